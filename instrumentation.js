@@ -0,0 +1,37 @@
+/**
+ * Server startup hook (Next.js instrumentation)
+ * Checks the deal field mapping before the first request: structural errors stop the server,
+ * mismatches with the portal's crm.deal.fields are logged (or stop it with FIELD_MAPPING_STRICT=true).
+ */
+
+export async function register() {
+  if (process.env.NEXT_RUNTIME !== 'nodejs' || process.env.NEXT_PHASE === 'phase-production-build') {
+    return;
+  }
+
+  const { getFieldMapping, validateFieldMappingAgainstPortal } = await import('./src/lib/bitrix/fieldMapping.js');
+
+  // Throws on unknown transforms, bad expressions or regexes
+  getFieldMapping();
+
+  if (process.env.FIELD_MAPPING_VALIDATE_ON_STARTUP === 'false') {
+    return;
+  }
+
+  const strict = process.env.FIELD_MAPPING_STRICT === 'true';
+  let validation = null;
+  try {
+    validation = await validateFieldMappingAgainstPortal();
+  } catch (error) {
+    // Portal unreachable - mapping can still be checked later via /api/field-mapping
+    console.error('[FIELD MAPPING] ⚠️ Startup validation against crm.deal.fields failed:', error.message);
+    if (strict) {
+      throw error;
+    }
+    return;
+  }
+
+  if (!validation.valid && strict) {
+    throw new Error(`Field mapping does not match Bitrix deal fields: ${validation.errors.join('; ')}`);
+  }
+}
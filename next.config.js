@@ -2,6 +2,10 @@
 const nextConfig = {
   reactStrictMode: true,
   swcMinify: true,
+  experimental: {
+    // Runs instrumentation.js on server start (field mapping validation)
+    instrumentationHook: true,
+  },
   webpack: (config, { isServer }) => {
     // Handle JSON imports with assert { type: 'json' }
     config.module.rules.push({
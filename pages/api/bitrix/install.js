@@ -0,0 +1,109 @@
+// Bitrix24 local application install/uninstall handler (OAuth app mode, BITRIX_AUTH_MODE=oauth)
+// - ONAPPINSTALL event: tokens + application_token of the portal are saved
+// - install page POST (AUTH_ID / REFRESH_ID): tokens are saved, the page finishes the install via BX24.installFinish()
+// - ONAPPUNINSTALL event: the portal is forgotten (application_token checked first)
+import {
+  isBitrixOAuthMode,
+  readEventAuth,
+  readInstallFormAuth,
+  saveInstalledPortal,
+  removeInstalledPortal,
+  bindPortalEvents,
+  verifyBitrixEventAuth
+} from '../../../src/lib/bitrix/oauth.js';
+
+// Deal events are bound to this URL on install (e.g. https://mw.example.com/api/webhook/bitrix)
+const EVENT_HANDLER_URL = process.env.BITRIX_APP_EVENT_HANDLER_URL || null;
+const DEAL_EVENTS = ['ONCRMDEALADD', 'ONCRMDEALUPDATE'];
+
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: '1mb',
+    },
+  },
+};
+
+const INSTALL_FINISH_PAGE = `<!DOCTYPE html>
+<html><head><script src="//api.bitrix24.com/api/v1/"></script></head>
+<body><script>BX24.init(function () { BX24.installFinish(); });</script></body></html>`;
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+  if (!isBitrixOAuthMode()) {
+    return res.status(400).json({
+      success: false,
+      error: 'OAUTH_MODE_DISABLED',
+      message: 'Set BITRIX_AUTH_MODE=oauth to install the middleware as a Bitrix24 application'
+    });
+  }
+
+  const body = req.body || {};
+  const eventType = String(body.event || body.EVENT || '').toUpperCase();
+
+  try {
+    if (eventType === 'ONAPPUNINSTALL') {
+      // Any installed portal may remove itself, not only the active one
+      const authCheck = await verifyBitrixEventAuth(body, { activePortalOnly: false });
+      if (!authCheck.ok) {
+        console.log(JSON.stringify({
+          event: 'BITRIX_APP_UNINSTALL_REJECTED',
+          reason: authCheck.reason,
+          memberId: authCheck.memberId,
+          timestamp: new Date().toISOString()
+        }));
+        return res.status(401).json({ success: false, error: 'Invalid authentication token' });
+      }
+      await removeInstalledPortal(authCheck.memberId);
+      return res.status(200).json({ success: true, memberId: authCheck.memberId, uninstalled: true });
+    }
+
+    const fromInstallPage = eventType !== 'ONAPPINSTALL' && !!body.AUTH_ID;
+    const auth = fromInstallPage ? readInstallFormAuth(body, req.query) : readEventAuth(body);
+    const portal = await saveInstalledPortal(auth, { source: fromInstallPage ? 'install_page' : 'event' });
+
+    let bindings = null;
+    if (EVENT_HANDLER_URL) {
+      const uninstallUrl = new URL('/api/bitrix/install', EVENT_HANDLER_URL).toString();
+      bindings = await bindPortalEvents(portal, {
+        ...Object.fromEntries(DEAL_EVENTS.map(eventName => [eventName, EVENT_HANDLER_URL])),
+        ONAPPUNINSTALL: uninstallUrl
+      });
+      console.log(JSON.stringify({
+        event: 'BITRIX_APP_EVENTS_BOUND',
+        memberId: portal.memberId,
+        bindings,
+        timestamp: new Date().toISOString()
+      }));
+    }
+
+    if (fromInstallPage) {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      return res.status(200).send(INSTALL_FINISH_PAGE);
+    }
+    return res.status(200).json({
+      success: true,
+      memberId: portal.memberId,
+      domain: portal.domain,
+      hasApplicationToken: !!portal.applicationToken,
+      bindings
+    });
+  } catch (error) {
+    console.log(JSON.stringify({
+      event: 'BITRIX_APP_INSTALL_ERROR',
+      eventType: eventType || 'install_page',
+      error: error.errorType || 'INSTALL_ERROR',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    }));
+    const status = error.errorType === 'INSTALL_INVALID' ? 400 : error.errorType === 'INSTALL_REJECTED' ? 403 : 500;
+    return res.status(status).json({
+      success: false,
+      error: error.errorType || 'INSTALL_ERROR',
+      message: error.message
+    });
+  }
+}
@@ -1,5 +1,6 @@
 // API endpoint to get Bitrix webhook URL from environment variable
 import { getBitrixWebhookBase } from '../../../src/lib/bitrix/client.js';
+import { isBitrixOAuthMode, getActivePortal } from '../../../src/lib/bitrix/oauth.js';
 
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
@@ -8,11 +9,23 @@ export default async function handler(req, res) {
   }
 
   try {
+    // OAuth app mode has no webhook URL - report the installed portal instead
+    if (isBitrixOAuthMode()) {
+      const portal = await getActivePortal();
+      return res.status(200).json({
+        success: true,
+        mode: 'oauth',
+        webhookUrl: null,
+        portal: { memberId: portal.memberId, domain: portal.domain, installedAt: portal.installedAt }
+      });
+    }
+
     const webhookUrl = getBitrixWebhookBase();
     const webhookUrlWithoutSlash = webhookUrl.endsWith('/') ? webhookUrl.slice(0, -1) : webhookUrl;
 
     return res.status(200).json({
       success: true,
+      mode: 'webhook',
       webhookUrl: webhookUrlWithoutSlash,
       source: process.env.BITRIX_WEBHOOK_BASE ? 'BITRIX_WEBHOOK_BASE' :
               process.env.BITRIX_WEBHOOK_URL ? 'BITRIX_WEBHOOK_URL' :
@@ -0,0 +1,23 @@
+// Responsible roster change log, newest first (?limit=&offset=)
+import { listRosterAudit } from '../../../../src/lib/bitrix/rosterStore.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const { entries, total } = listRosterAudit({ limit, offset });
+    return res.status(200).json({ success: true, entries, total, limit, offset });
+  } catch (error) {
+    console.error('Responsible roster audit error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to read responsible roster audit',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,82 @@
+// Responsible roster: GET the active roster (with manager names), PUT { roster, actor, note } to
+// replace it at runtime, DELETE { actor, note } to go back to responsibleMapping.json. Changes are audited
+// with the self-reported actor and the request source (IP, user agent).
+import { loadRoster, saveRoster, resetRoster } from '../../../../src/lib/bitrix/rosterStore.js';
+import { validateRoster } from '../../../../src/lib/bitrix/roster.js';
+import { getBitrixUsersByIds } from '../../../../src/lib/bitrix/users.js';
+
+function rosterManagerIds(roster) {
+  return [
+    roster.default,
+    ...(roster.shifts || []).flatMap(shift => shift.managers || []),
+    ...(roster.rules || []).flatMap(rule => rule.managers || []),
+    ...(roster.overrides || []).flatMap(override => [...(override.managers || []), ...(override.absent || [])]),
+  ].filter(Boolean);
+}
+
+// Where the request came from - actor is whatever the client sent, this is what it can't choose
+function getRequestSource(req) {
+  return {
+    ip: req.headers['x-forwarded-for']?.split(',')[0].trim() || req.socket?.remoteAddress || null,
+    userAgent: req.headers['user-agent']?.slice(0, 200) || null,
+  };
+}
+
+function getAuditMeta(req) {
+  const source = getRequestSource(req);
+  const actor = req.body?.actor;
+  return {
+    actor: typeof actor === 'string' && actor.trim() ? actor.trim().slice(0, 100) : source.ip || 'unknown',
+    note: req.body?.note || null,
+    source,
+  };
+}
+
+export default async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      const active = loadRoster();
+      let managers = {};
+      let managersError = null;
+      try {
+        managers = await getBitrixUsersByIds(rosterManagerIds(active.roster));
+      } catch (error) {
+        managersError = error.message;
+      }
+      return res.status(200).json({
+        success: true,
+        ...active,
+        validation: validateRoster(active.roster),
+        managers,
+        managersError
+      });
+    }
+
+    if (req.method === 'PUT') {
+      const { roster } = req.body || {};
+      if (!roster || typeof roster !== 'object' || Array.isArray(roster)) {
+        return res.status(400).json({ success: false, error: 'roster must be an object' });
+      }
+      const saved = await saveRoster(roster, getAuditMeta(req));
+      return res.status(200).json({ success: true, roster: saved.roster, auditEntry: saved.auditEntry });
+    }
+
+    if (req.method === 'DELETE') {
+      const reset = await resetRoster(getAuditMeta(req));
+      return res.status(200).json({ success: true, roster: reset.roster, auditEntry: reset.auditEntry });
+    }
+
+    res.setHeader('Allow', ['GET', 'PUT', 'DELETE']);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  } catch (error) {
+    if (error.errorType === 'ROSTER_INVALID') {
+      return res.status(400).json({ success: false, error: 'Invalid roster', errors: error.errorDetails });
+    }
+    console.error('Responsible roster error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to process responsible roster',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,68 @@
+// "Who would get this order": POST { orderId | order, at?, roster? } runs the real resolver
+// (rotation, open deal counts) for a Shopify order at `at` (default now), optionally against a draft roster.
+// Nothing is assigned or recorded.
+import { simulateResponsible } from '../../../../src/lib/bitrix/responsible.js';
+import { validateRoster } from '../../../../src/lib/bitrix/roster.js';
+import { getBitrixUsersByIds } from '../../../../src/lib/bitrix/users.js';
+import { getOrder } from '../../../../src/lib/shopify/adminClient.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  const { orderId, order: orderInput, at, roster } = req.body || {};
+
+  const now = at ? new Date(at) : new Date();
+  if (Number.isNaN(now.getTime())) {
+    return res.status(400).json({ success: false, error: 'at must be an ISO date-time' });
+  }
+  if (roster !== undefined) {
+    const validation = validateRoster(roster);
+    if (!validation.valid) {
+      return res.status(400).json({ success: false, error: 'Invalid roster', errors: validation.errors });
+    }
+  }
+
+  try {
+    let order = orderInput && typeof orderInput === 'object' ? orderInput : {};
+    if (orderId) {
+      order = await getOrder(String(orderId).trim());
+      if (!order) {
+        return res.status(404).json({ success: false, error: `Shopify order ${orderId} not found` });
+      }
+    }
+
+    const result = await simulateResponsible(order, { now, ...(roster !== undefined ? { roster } : {}) });
+
+    let managers = {};
+    try {
+      managers = await getBitrixUsersByIds([result.assigneeId, ...result.candidates].filter(Boolean));
+    } catch (error) {
+      console.warn('[RESPONSIBLE] ⚠️ Manager names unavailable for simulation:', error.message);
+    }
+
+    return res.status(200).json({
+      success: true,
+      at: now.toISOString(),
+      order: {
+        id: order.id || null,
+        name: order.name || null,
+        tags: order.tags || '',
+        countryCode: order.shipping_address?.country_code || order.billing_address?.country_code || null,
+        sourceName: order.source_name || null
+      },
+      result,
+      managers
+    });
+  } catch (error) {
+    const status = error.status === 404 ? 404 : 500;
+    console.error('Responsible simulation error:', error);
+    return res.status(status).json({
+      success: false,
+      error: status === 404 ? `Shopify order ${orderId} not found` : 'Failed to simulate responsible',
+      message: error.message
+    });
+  }
+}
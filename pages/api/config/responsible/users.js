@@ -0,0 +1,21 @@
+// Active Bitrix users for the roster editor (?refresh=1 bypasses the cache)
+import { getActiveBitrixUsers } from '../../../../src/lib/bitrix/users.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  try {
+    const users = await getActiveBitrixUsers({ force: req.query.refresh === '1' });
+    return res.status(200).json({ success: true, users });
+  } catch (error) {
+    console.error('Bitrix users error:', error);
+    return res.status(502).json({
+      success: false,
+      error: 'Failed to load Bitrix users',
+      message: error.message
+    });
+  }
+}
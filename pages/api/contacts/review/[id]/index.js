@@ -0,0 +1,39 @@
+// Contact review entry: GET to inspect, POST { action: 'link'|'create'|'dismiss', contactId, actor } to resolve
+import { getContactReview } from '../../../../../src/lib/bitrix/contactReview.js';
+import { resolveContactReview } from '../../../../../src/lib/bitrix/contact.js';
+import { getBitrixWebhookBase } from '../../../../../src/lib/bitrix/client.js';
+
+export default async function handler(req, res) {
+  const { id } = req.query;
+
+  try {
+    const entry = getContactReview(id);
+    if (!entry) {
+      return res.status(404).json({ success: false, error: 'Contact review entry not found' });
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json({ success: true, entry });
+    }
+
+    if (req.method === 'POST') {
+      const { action, contactId, actor } = req.body || {};
+      const updated = await resolveContactReview(getBitrixWebhookBase(), id, {
+        action,
+        contactId: contactId ? Number(contactId) : null,
+        actor: actor || req.headers['x-forwarded-for'] || req.socket?.remoteAddress || 'unknown'
+      });
+      return res.status(200).json({ success: true, entry: updated });
+    }
+
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  } catch (error) {
+    console.error('Contact review error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to process contact review',
+      message: error.message
+    });
+  }
+}
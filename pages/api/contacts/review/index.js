@@ -0,0 +1,32 @@
+// List ambiguous contact matches awaiting review (?status=open|linked|created|dismissed)
+import { listContactReviews } from '../../../../src/lib/bitrix/contactReview.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  try {
+    const status = req.query.status || null;
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    const { entries, total } = listContactReviews({ status, limit, offset });
+
+    return res.status(200).json({
+      success: true,
+      entries,
+      count: entries.length,
+      total,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Get contact reviews error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve contact reviews',
+      message: error.message
+    });
+  }
+}
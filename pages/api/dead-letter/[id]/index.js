@@ -0,0 +1,51 @@
+// Dead-letter entry: GET to inspect, PUT { payload } to edit, DELETE to discard
+import { deadLetterStore, DEAD_LETTER_STATUSES } from '../../../../src/lib/deadLetter/index.js';
+
+export default async function handler(req, res) {
+  const { id } = req.query;
+
+  try {
+    const entry = await deadLetterStore.get(id);
+    if (!entry) {
+      return res.status(404).json({ success: false, error: 'Dead-letter entry not found' });
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json({ success: true, entry });
+    }
+
+    if (req.method === 'PUT') {
+      const { payload } = req.body || {};
+      if (!payload || typeof payload !== 'object') {
+        return res.status(400).json({ success: false, error: 'payload must be an object' });
+      }
+      const updated = await deadLetterStore.update(id, { payload });
+      return res.status(200).json({ success: true, entry: updated });
+    }
+
+    if (req.method === 'DELETE') {
+      // Kept (as discarded) for audit until retention removes it
+      const updated = await deadLetterStore.update(id, {
+        status: DEAD_LETTER_STATUSES.DISCARDED,
+        discardedAt: new Date().toISOString()
+      });
+      console.log(JSON.stringify({
+        event: 'DEAD_LETTER_DISCARDED',
+        deadLetterId: id,
+        operation: entry.operation,
+        timestamp: new Date().toISOString()
+      }));
+      return res.status(200).json({ success: true, entry: updated });
+    }
+
+    res.setHeader('Allow', ['GET', 'PUT', 'DELETE']);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  } catch (error) {
+    console.error('Dead letter error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to process dead letter',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,36 @@
+// Replay dead-letter entry as a new queue job; optional body { payload } replays an edited payload
+import { replayDeadLetter } from '../../../../src/lib/deadLetter/replay.js';
+import { kickWorker } from '../../../../src/lib/queue/index.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  const payload = req.body?.payload;
+  if (payload !== undefined && (payload === null || typeof payload !== 'object')) {
+    return res.status(400).json({ success: false, error: 'payload must be an object' });
+  }
+
+  let result;
+  try {
+    result = await replayDeadLetter(req.query.id, { payload });
+  } catch (error) {
+    console.error('Replay dead letter error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to replay dead letter',
+      message: error.message
+    });
+  }
+
+  if (!result.success) {
+    return res.status(result.httpStatus || 400).json(result);
+  }
+
+  res.status(200).json(result);
+
+  // Run the replayed job right away; the queue worker endpoint picks it up otherwise
+  await kickWorker();
+}
@@ -0,0 +1,24 @@
+// Echo guard counters: how many orders/updated webhooks were passed, suppressed or downgraded as echoes of middleware writes
+import { getEchoGuardCounters } from '../../src/lib/sync/echoGuard.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  try {
+    const counters = await getEchoGuardCounters();
+    return res.status(200).json({
+      success: true,
+      counters
+    });
+  } catch (error) {
+    console.error('Echo guard counters error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to read echo guard counters',
+      message: error.message
+    });
+  }
+}
@@ -1,4 +1,4 @@
-// Get all Shopify events
+// Get Shopify events (all, paginated with ?limit=&offset=, or for one order with ?orderId=)
 import { shopifyAdapter } from '../../src/lib/adapters/shopify/index.js';
 
 export default async function handler(req, res) {
@@ -8,8 +8,31 @@ export default async function handler(req, res) {
   }
 
   try {
+    const { orderId, limit, offset } = req.query;
+
+    // Indexed lookup: all events for one Shopify order
+    if (orderId) {
+      const events = await shopifyAdapter.getEventsByOrderId(orderId);
+      return res.status(200).json({
+        success: true,
+        events: events,
+        count: events.length
+      });
+    }
+
+    // Paginated (newest first) when limit is given
+    if (limit) {
+      const { items, total } = await shopifyAdapter.getEvents({ limit: Number(limit), offset: Number(offset) || 0 });
+      return res.status(200).json({
+        success: true,
+        events: items,
+        count: items.length,
+        total
+      });
+    }
+
     // ✅ Return ALL events without deduplication so UI can show full history
-    const events = shopifyAdapter.getAllEvents(true); // includeAll = true
+    const events = await shopifyAdapter.getAllEvents(true); // includeAll = true
     
     return res.status(200).json({
       success: true,
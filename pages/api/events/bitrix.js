@@ -1,4 +1,4 @@
-// Get all Bitrix events
+// Get Bitrix events (all, paginated with ?limit=&offset=, or for one deal with ?dealId=)
 import { bitrixAdapter } from '../../../src/lib/adapters/bitrix/index.js';
 
 export default async function handler(req, res) {
@@ -8,7 +8,30 @@ export default async function handler(req, res) {
   }
 
   try {
-    const events = bitrixAdapter.getAllEvents();
+    const { dealId, limit, offset } = req.query;
+
+    // Indexed lookup: all events for one deal
+    if (dealId) {
+      const events = await bitrixAdapter.getEventsByDealId(dealId);
+      return res.status(200).json({
+        success: true,
+        events: events,
+        count: events.length
+      });
+    }
+
+    // Paginated (newest first) when limit is given
+    if (limit) {
+      const { items, total } = await bitrixAdapter.getEvents({ limit: Number(limit), offset: Number(offset) || 0 });
+      return res.status(200).json({
+        success: true,
+        events: items,
+        count: items.length,
+        total
+      });
+    }
+
+    const events = await bitrixAdapter.getAllEvents();
     
     return res.status(200).json({
       success: true,
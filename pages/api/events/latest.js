@@ -8,7 +8,7 @@ export default async function handler(req, res) {
   }
 
   try {
-    const latestEvent = shopifyAdapter.getLatestEvent();
+    const latestEvent = await shopifyAdapter.getLatestEvent();
     
     if (!latestEvent) {
       return res.status(200).json({
@@ -1,4 +1,4 @@
-// Get all successful operations
+// Get successful operations (all, paginated with ?limit=&offset=, or by ?dealId= / ?shopifyOrderId=)
 import { successAdapter } from '../../../src/lib/adapters/success/index.js';
 
 export default async function handler(req, res) {
@@ -8,7 +8,30 @@ export default async function handler(req, res) {
   }
 
   try {
-    const operations = successAdapter.getAllOperations();
+    const { dealId, shopifyOrderId, limit, offset } = req.query;
+
+    // Indexed lookup by deal or Shopify order
+    if (dealId || shopifyOrderId) {
+      const operations = await successAdapter.findOperations({ dealId, shopifyOrderId });
+      return res.status(200).json({
+        success: true,
+        operations: operations,
+        count: operations.length
+      });
+    }
+
+    // Paginated (newest first) when limit is given
+    if (limit) {
+      const { items, total } = await successAdapter.getOperations({ limit: Number(limit), offset: Number(offset) || 0 });
+      return res.status(200).json({
+        success: true,
+        operations: items,
+        count: items.length,
+        total
+      });
+    }
+
+    const operations = await successAdapter.getAllOperations();
     
     return res.status(200).json({
       success: true,
@@ -0,0 +1,27 @@
+// Active deal field mapping and its validation against Bitrix crm.deal.fields (?refresh=1 re-fetches)
+import { getFieldMapping, validateFieldMappingAgainstPortal } from '../../src/lib/bitrix/fieldMapping.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  try {
+    const mapping = getFieldMapping();
+    const validation = await validateFieldMappingAgainstPortal({ force: req.query.refresh === '1' });
+
+    return res.status(200).json({
+      success: true,
+      mapping,
+      validation
+    });
+  } catch (error) {
+    console.error('Field mapping validation error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to validate field mapping',
+      message: error.message
+    });
+  }
+}
@@ -3,6 +3,7 @@
  * Collects logs from recent Bitrix webhook operations and returns as text file
  */
 import { bitrixAdapter } from '../../../src/lib/adapters/bitrix/index.js';
+import { getDealFieldId } from '../../../src/lib/bitrix/fieldMapping.js';
 
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
@@ -38,7 +39,7 @@ export default async function handler(req, res) {
     logs.push('');
 
     try {
-      const events = bitrixAdapter.getAllEvents();
+      const events = await bitrixAdapter.getAllEvents();
       
       if (events && events.length > 0) {
         logs.push(`Total events: ${events.length}`);
@@ -75,7 +76,8 @@ export default async function handler(req, res) {
             logs.push(`    TITLE: ${dealData.TITLE || 'N/A'}`);
             logs.push(`    OPPORTUNITY: ${dealData.OPPORTUNITY || 'N/A'}`);
             logs.push(`    CURRENCY_ID: ${dealData.CURRENCY_ID || 'N/A'}`);
-            logs.push(`    UF_CRM_1742556489 (Shopify Order ID): ${dealData.UF_CRM_1742556489 || 'N/A'}`);
+            const shopifyOrderIdField = getDealFieldId('shopifyOrderId');
+            logs.push(`    ${shopifyOrderIdField} (Shopify Order ID): ${dealData[shopifyOrderIdField] || 'N/A'}`);
           }
           
           logs.push('');
@@ -5,6 +5,7 @@
 import { shopifyAdapter } from '../../../src/lib/adapters/shopify/index.js';
 import { successAdapter } from '../../../src/lib/adapters/success/index.js';
 import { mapShopifyOrderToBitrixDeal } from '../../../src/lib/bitrix/orderMapper.js';
+import { getDealFieldId, getEnumLabel } from '../../../src/lib/bitrix/fieldMapping.js';
 
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
@@ -40,7 +41,7 @@ export default async function handler(req, res) {
     logs.push('');
 
     try {
-      const events = shopifyAdapter.getAllEvents();
+      const events = await shopifyAdapter.getAllEvents();
       
       if (events && events.length > 0) {
         logs.push(`Total events: ${events.length}`);
@@ -151,14 +152,10 @@ export default async function handler(req, res) {
             if (dealFields.STAGE_ID) {
               logs.push(`    Stage ID (STAGE_ID): ${dealFields.STAGE_ID}`);
             }
-            if (dealFields.UF_CRM_1739183959976) {
-              const paymentStatusMap = {
-                '56': 'Paid',
-                '58': 'Unpaid',
-                '60': '10% prepayment'
-              };
-              const paymentStatusText = paymentStatusMap[dealFields.UF_CRM_1739183959976] || dealFields.UF_CRM_1739183959976;
-              logs.push(`    Payment Status (UF_CRM_1739183959976): ${dealFields.UF_CRM_1739183959976} (${paymentStatusText})`);
+            const paymentStatusField = getDealFieldId('paymentStatus');
+            if (paymentStatusField && dealFields[paymentStatusField]) {
+              const paymentStatusText = getEnumLabel(paymentStatusField, dealFields[paymentStatusField]);
+              logs.push(`    Payment Status (${paymentStatusField}): ${dealFields[paymentStatusField]} (${paymentStatusText})`);
             }
           } catch (mappingError) {
             logs.push(`  Bitrix Mapping Error: ${mappingError.message}`);
@@ -182,7 +179,7 @@ export default async function handler(req, res) {
     logs.push('');
 
     try {
-      const operations = successAdapter.getAllOperations();
+      const operations = await successAdapter.getAllOperations();
       
       if (operations && operations.length > 0) {
         logs.push(`Total successful operations: ${operations.length}`);
@@ -0,0 +1,53 @@
+// SKU ↔ Bitrix catalog reconciliation
+// GET: SKUs seen in orders without a catalog product (?status=mapped|all for the rest of the cache)
+// POST { skus?: string[], create?: boolean }: look them up / create them again
+import { skuMappingStore, reconcileUnmappedSkus, SKU_STATUSES } from '../../../src/lib/bitrix/skuResolver.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  try {
+    if (req.method === 'POST') {
+      const { skus, create } = req.body || {};
+      if (skus !== undefined && !Array.isArray(skus)) {
+        return res.status(400).json({
+          success: false,
+          error: 'INVALID_SKUS',
+          message: 'skus must be an array of SKU strings'
+        });
+      }
+
+      const results = await reconcileUnmappedSkus({
+        skus: skus || null,
+        ...(create !== undefined ? { allowCreate: !!create } : {})
+      });
+
+      return res.status(200).json({
+        success: true,
+        results,
+        resolved: results.filter(result => result.productId).length,
+        unresolved: results.filter(result => !result.productId).length
+      });
+    }
+
+    const status = req.query.status === 'all' ? null : (req.query.status || SKU_STATUSES.UNMAPPED);
+    const entries = await skuMappingStore.list({ status });
+
+    return res.status(200).json({
+      success: true,
+      status: status || 'all',
+      entries,
+      count: entries.length
+    });
+  } catch (error) {
+    console.error('SKU reconciliation error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to reconcile SKUs',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,28 @@
+// Get one queue job by id (state, attempts, result, error history)
+import { jobStore } from '../../../../src/lib/queue/index.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  try {
+    const job = await jobStore.get(req.query.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      job
+    });
+  } catch (error) {
+    console.error('Get job error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve job',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,28 @@
+// List queue jobs (newest first), optionally filtered by state and type
+import { jobStore } from '../../../../src/lib/queue/index.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  try {
+    const { state, type } = req.query;
+    const limit = Math.min(Number(req.query.limit) || 100, 500);
+    const jobs = await jobStore.list({ state: state || null, type: type || null, limit });
+
+    return res.status(200).json({
+      success: true,
+      jobs,
+      count: jobs.length
+    });
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve jobs',
+      message: error.message
+    });
+  }
+}
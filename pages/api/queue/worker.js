@@ -0,0 +1,32 @@
+// Queue worker endpoint - drains due jobs (retries, jobs left over by webhook requests)
+// Call from a scheduler (e.g., Vercel Cron) every minute
+import { kickWorker } from '../../../src/lib/queue/index.js';
+import '../../../src/lib/queue/jobs.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+
+  // Vercel Cron sends "Authorization: Bearer $CRON_SECRET"; QUEUE_WORKER_TOKEN works for other schedulers
+  const expectedToken = process.env.QUEUE_WORKER_TOKEN || process.env.CRON_SECRET;
+  if (expectedToken && req.headers.authorization !== `Bearer ${expectedToken}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const stats = await kickWorker({ force: true });
+    return res.status(200).json({
+      success: true,
+      ...stats
+    });
+  } catch (error) {
+    console.error('Queue worker error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Worker failed',
+      message: error.message
+    });
+  }
+}
@@ -1,8 +1,15 @@
 // Static endpoint for order creation webhook
 // Route: /api/webhook/order/crt
-export { config } from '../shopify.js';
 import shopifyHandler from '../shopify.js';
 
+// Page config must be declared here (Next.js reads it statically, re-exports are ignored).
+// Body parser stays disabled so the main handler can verify the HMAC over the raw body.
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
 export default async function handler(req, res) {
   // Set topic header to orders/create for the main handler
   req.headers['x-shopify-topic'] = 'orders/create';
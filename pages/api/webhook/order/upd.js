@@ -1,8 +1,15 @@
 // Static endpoint for order update webhook
 // Route: /api/webhook/order/upd
-export { config } from '../shopify.js';
 import shopifyHandler from '../shopify.js';
 
+// Page config must be declared here (Next.js reads it statically, re-exports are ignored).
+// Body parser stays disabled so the main handler can verify the HMAC over the raw body.
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
 export default async function handler(req, res) {
   // Set topic header to orders/updated for the main handler
   req.headers['x-shopify-topic'] = 'orders/updated';
@@ -0,0 +1,17 @@
+// Static endpoint for product creation webhook
+// Route: /api/webhook/product/crt
+import shopifyHandler from '../shopify.js';
+
+// Page config must be declared here (Next.js reads it statically, re-exports are ignored).
+// Body parser stays disabled so the main handler can verify the HMAC over the raw body.
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
+export default async function handler(req, res) {
+  // Set topic header to products/create for the main handler
+  req.headers['x-shopify-topic'] = 'products/create';
+  return shopifyHandler(req, res);
+}
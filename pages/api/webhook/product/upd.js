@@ -1,11 +1,17 @@
 // Static endpoint for product update webhook
 // Route: /api/webhook/product/upd
-export { config } from '../shopify.js';
-import { handler as shopifyHandler } from '../shopify.js';
+import shopifyHandler from '../shopify.js';
+
+// Page config must be declared here (Next.js reads it statically, re-exports are ignored).
+// Body parser stays disabled so the main handler can verify the HMAC over the raw body.
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
 
 export default async function handler(req, res) {
   // Set topic header to products/update for the main handler
   req.headers['x-shopify-topic'] = 'products/update';
   return shopifyHandler(req, res);
 }
-
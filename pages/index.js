@@ -1,9 +1,11 @@
 import Head from 'next/head';
+import Link from 'next/link';
 import { useState, useEffect } from 'react';
 import WebhookInfo from '../src/components/shopify/WebhookInfo';
 import EventsList from '../src/components/shopify/EventsList';
 import BitrixEventsList from '../src/components/bitrix/EventsList';
 import SuccessOperationsList from '../src/components/success/SuccessOperationsList';
+import DeadLetterPanel from '../src/components/deadLetter/DeadLetterPanel';
 import DataPreview from '../src/components/shopify/DataPreview';
 import { shopifyAdapter } from '../src/lib/adapters/shopify';
 
@@ -518,6 +520,9 @@ export default function ShopifyPage() {
             </p>
           </div>
           <div className="header-actions" style={{ display: 'flex', flexWrap: 'wrap', gap: '12px', alignItems: 'center' }}>
+            <Link href="/responsible" className="btn" style={{ background: '#0ea5e9', color: 'white' }}>
+              👥 Ответственные
+            </Link>
             {events.length > 0 && (
               <>
                 {selectedEvents.length === events.length ? (
@@ -915,6 +920,9 @@ export default function ShopifyPage() {
           </div>
         </div>
 
+        {/* Dead Letter - failed operations with edit & replay */}
+        <DeadLetterPanel />
+
         {/* Data Preview - Wide block below */}
         {(previewData && previewEvent) || (bitrixPreviewData && bitrixPreviewEvent) || (previewData && successPreviewOperation) ? (
           <div style={{ marginTop: '20px', width: '100%' }}>
@@ -0,0 +1,195 @@
+import Head from 'next/head';
+import Link from 'next/link';
+import { useState, useEffect } from 'react';
+import RosterEditor, { buttonStyle } from '../../src/components/responsible/RosterEditor';
+import RosterSimulator from '../../src/components/responsible/RosterSimulator';
+import RosterAudit from '../../src/components/responsible/RosterAudit';
+
+export default function ResponsiblePage() {
+  const [saved, setSaved] = useState(null); // { roster, source, updatedAt, updatedBy }
+  const [draft, setDraft] = useState(null);
+  const [managers, setManagers] = useState({});
+  const [users, setUsers] = useState([]);
+  const [showJson, setShowJson] = useState(false);
+  const [jsonText, setJsonText] = useState('');
+  const [actor, setActor] = useState('');
+  const [note, setNote] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+  const [message, setMessage] = useState(null); // { success, text, errors }
+  const [auditKey, setAuditKey] = useState(0);
+
+  const fetchRoster = async () => {
+    try {
+      const response = await fetch('/api/config/responsible');
+      const data = await response.json();
+      if (data.success) {
+        setSaved({ roster: data.roster, source: data.source, updatedAt: data.updatedAt, updatedBy: data.updatedBy });
+        setDraft(data.roster);
+        setManagers(data.managers || {});
+        if (data.managersError) {
+          setMessage({ success: false, text: `Имена менеджеров недоступны: ${data.managersError}` });
+        }
+        if (!data.validation.valid) {
+          setMessage({ success: false, text: 'Текущий график содержит ошибки', errors: data.validation.errors });
+        }
+      } else {
+        setMessage({ success: false, text: data.message || data.error || 'Failed to load roster' });
+      }
+    } catch (err) {
+      console.error('Fetch roster error:', err);
+      setMessage({ success: false, text: err.message || 'Network error' });
+    }
+  };
+
+  const fetchUsers = async () => {
+    try {
+      const response = await fetch('/api/config/responsible/users');
+      const data = await response.json();
+      if (data.success) {
+        setUsers(data.users || []);
+      }
+    } catch (err) {
+      console.error('Fetch Bitrix users error:', err);
+    }
+  };
+
+  useEffect(() => {
+    setActor(window.localStorage.getItem('rosterActor') || '');
+    fetchRoster();
+    fetchUsers();
+  }, []);
+
+  const hasUnsavedChanges = !!saved && JSON.stringify(saved.roster) !== JSON.stringify(draft);
+
+  const runRequest = async (method, body, successText) => {
+    setIsBusy(true);
+    setMessage(null);
+    try {
+      window.localStorage.setItem('rosterActor', actor);
+      const response = await fetch('/api/config/responsible', {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...body, actor: actor || undefined, note: note || undefined })
+      });
+      const data = await response.json();
+      if (data.success) {
+        setMessage({ success: true, text: data.auditEntry ? successText : 'Изменений нет' });
+        setNote('');
+        await fetchRoster();
+        setAuditKey(key => key + 1);
+      } else {
+        setMessage({ success: false, text: data.message || data.error || 'Request failed', errors: data.errors });
+      }
+    } catch (err) {
+      console.error('Save roster error:', err);
+      setMessage({ success: false, text: err.message || 'Network error' });
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleSave = () => runRequest('PUT', { roster: draft }, 'График сохранен, новые сделки распределяются по нему');
+
+  const handleReset = () => {
+    if (!window.confirm('Вернуть график из responsibleMapping.json? Изменения из дашборда будут отброшены.')) return;
+    runRequest('DELETE', {}, 'Действует график из responsibleMapping.json');
+  };
+
+  const toggleJson = () => {
+    if (!showJson) {
+      setJsonText(JSON.stringify(draft, null, 2));
+    }
+    setShowJson(!showJson);
+  };
+
+  const applyJson = () => {
+    try {
+      setDraft(JSON.parse(jsonText));
+      setShowJson(false);
+    } catch (err) {
+      setMessage({ success: false, text: `Невалидный JSON: ${err.message}` });
+    }
+  };
+
+  return (
+    <>
+      <Head>
+        <title>Ответственные - API Services</title>
+        <meta name="description" content="Responsible manager roster" />
+        <link rel="icon" href="/favicon.ico" />
+        <link rel="preconnect" href="https://fonts.googleapis.com" />
+        <link rel="preconnect" href="https://fonts.gstatic.com" crossOrigin="anonymous" />
+        <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap" rel="stylesheet" />
+      </Head>
+      <main className="page">
+        <header className="page-header">
+          <div>
+            <h1>Ответственные за сделки</h1>
+            <p className="subtitle">
+              График дежурств: кто получает новые сделки из Shopify
+            </p>
+          </div>
+          <div className="header-actions">
+            <Link href="/" className="btn">
+              ← Back
+            </Link>
+          </div>
+        </header>
+
+        {message && (
+          <div className={`alert ${message.success ? 'alert-success' : 'alert-error'}`}>
+            {message.text}
+            {message.errors && (
+              <ul style={{ margin: '6px 0 0', paddingLeft: '20px' }}>
+                {message.errors.map(error => <li key={error}>{error}</li>)}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {draft && (
+          <div className="card">
+            <header className="card-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '12px' }}>
+              <div>
+                <h2 style={{ color: '#f1f5f9', fontSize: '1.3rem', margin: 0 }}>График</h2>
+                <div style={{ fontSize: '0.85rem', color: '#94a3b8', marginTop: '4px' }}>
+                  {saved.source === 'runtime'
+                    ? `Изменен в дашборде: ${new Date(saved.updatedAt).toLocaleString()} (${saved.updatedBy})`
+                    : 'Из файла responsibleMapping.json'}
+                  {hasUnsavedChanges ? ' · есть несохраненные изменения' : ''}
+                </div>
+              </div>
+              <div style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap' }}>
+                <input className="form-input" placeholder="Кто меняет" value={actor} onChange={(e) => setActor(e.target.value)} style={{ width: '140px' }} />
+                <input className="form-input" placeholder="Комментарий" value={note} onChange={(e) => setNote(e.target.value)} style={{ width: '200px' }} />
+                <button onClick={handleSave} disabled={isBusy || !hasUnsavedChanges} style={buttonStyle('#3b82f6')}>Сохранить</button>
+                <button onClick={() => setDraft(saved.roster)} disabled={isBusy || !hasUnsavedChanges} style={buttonStyle('#6b7280')}>Отменить</button>
+                <button onClick={toggleJson} style={buttonStyle('#7c3aed')}>{showJson ? 'Форма' : 'JSON'}</button>
+                <button onClick={handleReset} disabled={isBusy || saved.source !== 'runtime'} style={buttonStyle('#ef4444')}>Сбросить к файлу</button>
+              </div>
+            </header>
+
+            {showJson ? (
+              <div style={{ marginTop: '12px' }}>
+                <textarea
+                  className="form-textarea"
+                  value={jsonText}
+                  onChange={(e) => setJsonText(e.target.value)}
+                  rows={24}
+                  style={{ width: '100%', fontFamily: 'monospace', fontSize: '0.75rem' }}
+                />
+                <button onClick={applyJson} style={{ ...buttonStyle('#3b82f6'), marginTop: '8px' }}>Применить к черновику</button>
+              </div>
+            ) : (
+              <RosterEditor draft={draft} onChange={setDraft} users={users} managers={managers} />
+            )}
+          </div>
+        )}
+
+        {draft && <RosterSimulator draft={draft} hasUnsavedChanges={hasUnsavedChanges} />}
+
+        <RosterAudit refreshKey={auditKey} />
+      </main>
+    </>
+  );
+}
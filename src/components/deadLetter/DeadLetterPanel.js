@@ -0,0 +1,281 @@
+import { useState, useEffect } from 'react';
+
+const STATUS_FILTERS = [
+  { value: 'open', label: 'Открытые' },
+  { value: 'replayed', label: 'Повторенные' },
+  { value: 'discarded', label: 'Отклоненные' },
+  { value: '', label: 'Все' }
+];
+
+const PAGE_SIZE = 20;
+
+const buttonStyle = (background) => ({
+  padding: '4px 10px',
+  background,
+  border: 'none',
+  borderRadius: '4px',
+  color: 'white',
+  cursor: 'pointer',
+  fontSize: '0.75rem'
+});
+
+function formatContext(context) {
+  if (!context) return null;
+  const parts = [];
+  if (context.dealId) parts.push(`Deal ${context.dealId}`);
+  if (context.orderName || context.orderId || context.shopifyOrderId) {
+    parts.push(`Order ${context.orderName || context.orderId || context.shopifyOrderId}`);
+  }
+  if (context.topic || context.eventType) parts.push(context.topic || context.eventType);
+  return parts.join(' · ');
+}
+
+export default function DeadLetterPanel() {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [status, setStatus] = useState('open');
+  const [offset, setOffset] = useState(0);
+  const [isLoading, setIsLoading] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+  const [drafts, setDrafts] = useState({}); // id -> edited payload JSON text
+  const [busyId, setBusyId] = useState(null);
+  const [message, setMessage] = useState(null); // { success, text }
+
+  const fetchEntries = async () => {
+    setIsLoading(true);
+    try {
+      const params = new URLSearchParams({ limit: String(PAGE_SIZE), offset: String(offset) });
+      if (status) params.set('status', status);
+      const response = await fetch(`/api/dead-letter?${params.toString()}`);
+      const data = await response.json();
+      if (data.success) {
+        setEntries(data.entries || []);
+        setTotal(data.total || 0);
+      } else {
+        setMessage({ success: false, text: data.message || data.error || 'Failed to load dead letters' });
+      }
+    } catch (err) {
+      console.error('Fetch dead letters error:', err);
+      setMessage({ success: false, text: err.message || 'Network error' });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchEntries();
+  }, [status, offset]);
+
+  const getDraft = (entry) => drafts[entry.id] ?? JSON.stringify(entry.payload, null, 2);
+
+  const parseDraft = (entry) => {
+    try {
+      return { payload: JSON.parse(getDraft(entry)) };
+    } catch (err) {
+      setMessage({ success: false, text: `Невалидный JSON: ${err.message}` });
+      return null;
+    }
+  };
+
+  const runAction = async (entry, request, successText) => {
+    setBusyId(entry.id);
+    setMessage(null);
+    try {
+      const response = await fetch(request.url, {
+        method: request.method,
+        headers: { 'Content-Type': 'application/json' },
+        body: request.body ? JSON.stringify(request.body) : undefined
+      });
+      const data = await response.json();
+      if (data.success) {
+        setMessage({ success: true, text: successText(data) });
+        setDrafts(prev => {
+          const next = { ...prev };
+          delete next[entry.id];
+          return next;
+        });
+        await fetchEntries();
+      } else {
+        setMessage({ success: false, text: data.message || data.error || 'Request failed' });
+      }
+    } catch (err) {
+      console.error('Dead letter action error:', err);
+      setMessage({ success: false, text: err.message || 'Network error' });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleSave = (entry) => {
+    const parsed = parseDraft(entry);
+    if (!parsed) return;
+    runAction(entry, { url: `/api/dead-letter/${entry.id}`, method: 'PUT', body: parsed }, () => 'Payload сохранен');
+  };
+
+  const handleReplay = (entry) => {
+    const edited = drafts[entry.id] !== undefined;
+    const parsed = edited ? parseDraft(entry) : {};
+    if (!parsed) return;
+    runAction(
+      entry,
+      { url: `/api/dead-letter/${entry.id}/replay`, method: 'POST', body: parsed },
+      data => `Поставлено в очередь повторно: ${data.jobId}`
+    );
+  };
+
+  const handleDiscard = (entry) => {
+    if (!window.confirm(`Отклонить операцию ${entry.operation}? Повторной отправки не будет.`)) return;
+    runAction(entry, { url: `/api/dead-letter/${entry.id}`, method: 'DELETE' }, () => 'Операция отклонена');
+  };
+
+  return (
+    <div className="card" style={{ marginTop: '20px' }}>
+      <header className="card-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '12px' }}>
+        <div>
+          <h2 style={{ color: '#f1f5f9', fontSize: '1.5rem', margin: 0 }}>⚠️ Неудачные операции (Dead Letter)</h2>
+          <div style={{ fontSize: '0.85rem', color: '#94a3b8', marginTop: '4px' }}>
+            Операции, которые не удалось выполнить после всех попыток. Можно исправить payload и повторить.
+          </div>
+        </div>
+        <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+          {STATUS_FILTERS.map(filter => (
+            <button
+              key={filter.value || 'all'}
+              onClick={() => { setStatus(filter.value); setOffset(0); }}
+              style={buttonStyle(status === filter.value ? '#3b82f6' : '#6b7280')}
+            >
+              {filter.label}
+            </button>
+          ))}
+          <button onClick={fetchEntries} disabled={isLoading} style={buttonStyle('#059669')}>
+            {isLoading ? '...' : 'Обновить'}
+          </button>
+        </div>
+      </header>
+
+      {message && (
+        <div className={`alert ${message.success ? 'alert-success' : 'alert-error'}`} style={{ marginTop: '12px' }}>
+          {message.text}
+        </div>
+      )}
+
+      {entries.length === 0 && !isLoading ? (
+        <div style={{ padding: '20px', textAlign: 'center', color: '#94a3b8' }}>
+          Нет операций с этим статусом
+        </div>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', marginTop: '12px' }}>
+          {entries.map(entry => {
+            const isExpanded = expandedId === entry.id;
+            const isBusy = busyId === entry.id;
+            const isOpen = entry.status === 'open';
+            const classification = entry.classification || {};
+
+            return (
+              <div
+                key={entry.id}
+                style={{
+                  background: isOpen ? 'rgba(239, 68, 68, 0.08)' : 'rgba(15, 23, 42, 0.5)',
+                  border: `1px solid ${isOpen ? 'rgba(239, 68, 68, 0.3)' : 'rgba(148, 163, 184, 0.2)'}`,
+                  borderRadius: '8px',
+                  padding: '12px'
+                }}
+              >
+                <div
+                  style={{ display: 'flex', justifyContent: 'space-between', gap: '12px', cursor: 'pointer' }}
+                  onClick={() => setExpandedId(isExpanded ? null : entry.id)}
+                >
+                  <div style={{ minWidth: 0 }}>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap' }}>
+                      <strong style={{ color: '#f1f5f9' }}>{entry.operation}</strong>
+                      <span style={{
+                        padding: '2px 8px',
+                        borderRadius: '4px',
+                        fontSize: '0.7rem',
+                        background: classification.retryable ? 'rgba(245, 158, 11, 0.2)' : 'rgba(239, 68, 68, 0.2)',
+                        color: classification.retryable ? '#f59e0b' : '#ef4444'
+                      }}>
+                        {classification.type || 'UNKNOWN'}
+                        {classification.httpStatus ? ` · HTTP ${classification.httpStatus}` : ''}
+                      </span>
+                      <span style={{ fontSize: '0.75rem', color: '#94a3b8' }}>
+                        Попыток: {entry.attempts} · {entry.status}
+                      </span>
+                    </div>
+                    <div style={{ fontSize: '0.8rem', color: '#cbd5e1', marginTop: '4px', wordBreak: 'break-word' }}>
+                      {classification.message}
+                    </div>
+                    <div style={{ fontSize: '0.75rem', color: '#94a3b8', marginTop: '4px' }}>
+                      {formatContext(entry.context)}
+                    </div>
+                  </div>
+                  <div style={{ fontSize: '0.75rem', color: '#94a3b8', whiteSpace: 'nowrap' }}>
+                    {new Date(entry.createdAt).toLocaleString()}
+                  </div>
+                </div>
+
+                {isExpanded && (
+                  <div style={{ marginTop: '12px' }}>
+                    <div style={{ fontSize: '0.8rem', color: '#94a3b8', marginBottom: '6px' }}>
+                      Payload ({entry.jobType})
+                    </div>
+                    <textarea
+                      className="form-textarea"
+                      value={getDraft(entry)}
+                      onChange={(e) => setDrafts(prev => ({ ...prev, [entry.id]: e.target.value }))}
+                      disabled={!isOpen || isBusy}
+                      rows={12}
+                      style={{ width: '100%', fontFamily: 'monospace', fontSize: '0.75rem' }}
+                    />
+                    {entry.replays && entry.replays.length > 0 && (
+                      <div style={{ fontSize: '0.75rem', color: '#94a3b8', marginTop: '6px' }}>
+                        Повторы: {entry.replays.map(replay => `${replay.jobId}${replay.edited ? ' (изменен)' : ''}`).join(', ')}
+                      </div>
+                    )}
+                    {isOpen && (
+                      <div style={{ display: 'flex', gap: '8px', marginTop: '8px' }}>
+                        <button onClick={() => handleReplay(entry)} disabled={isBusy} style={buttonStyle('#3b82f6')}>
+                          {drafts[entry.id] !== undefined ? 'Сохранить и повторить' : 'Повторить'}
+                        </button>
+                        <button
+                          onClick={() => handleSave(entry)}
+                          disabled={isBusy || drafts[entry.id] === undefined}
+                          style={buttonStyle('#6b7280')}
+                        >
+                          Сохранить
+                        </button>
+                        <button onClick={() => handleDiscard(entry)} disabled={isBusy} style={buttonStyle('#ef4444')}>
+                          Отклонить
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {total > PAGE_SIZE && (
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '12px', fontSize: '0.85rem', color: '#94a3b8' }}>
+          <button
+            onClick={() => setOffset(Math.max(offset - PAGE_SIZE, 0))}
+            disabled={offset === 0}
+            style={buttonStyle('#6b7280')}
+          >
+            ← Назад
+          </button>
+          <span>{offset + 1}–{Math.min(offset + PAGE_SIZE, total)} из {total}</span>
+          <button
+            onClick={() => setOffset(offset + PAGE_SIZE)}
+            disabled={offset + PAGE_SIZE >= total}
+            style={buttonStyle('#6b7280')}
+          >
+            Вперед →
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
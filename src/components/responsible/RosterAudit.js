@@ -0,0 +1,89 @@
+import { useState, useEffect } from 'react';
+import { buttonStyle } from './RosterEditor';
+
+const CHANGE_LABELS = {
+  added: 'добавлено',
+  removed: 'удалено',
+  changed: 'изменено',
+  reordered: 'порядок изменен'
+};
+
+/**
+ * Change log of the responsible roster (who, when, what); reloads when refreshKey changes
+ */
+export default function RosterAudit({ refreshKey }) {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [expandedId, setExpandedId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchAudit = async () => {
+    try {
+      const response = await fetch('/api/config/responsible/audit?limit=50');
+      const data = await response.json();
+      if (data.success) {
+        setEntries(data.entries || []);
+        setTotal(data.total || 0);
+        setError(null);
+      } else {
+        setError(data.message || data.error || 'Failed to load audit');
+      }
+    } catch (err) {
+      console.error('Roster audit error:', err);
+      setError(err.message || 'Network error');
+    }
+  };
+
+  useEffect(() => {
+    fetchAudit();
+  }, [refreshKey]);
+
+  return (
+    <div className="card" style={{ marginTop: '20px' }}>
+      <header className="card-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h2 style={{ color: '#f1f5f9', fontSize: '1.3rem', margin: 0 }}>История изменений ({total})</h2>
+        <button onClick={fetchAudit} style={buttonStyle('#059669')}>Обновить</button>
+      </header>
+
+      {error && <div className="alert alert-error" style={{ marginTop: '12px' }}>{error}</div>}
+
+      {entries.length === 0 ? (
+        <div style={{ padding: '20px', textAlign: 'center', color: '#94a3b8' }}>
+          Изменений еще не было - действует график из responsibleMapping.json
+        </div>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', marginTop: '12px' }}>
+          {entries.map(entry => (
+            <div
+              key={entry.id}
+              style={{ background: 'rgba(15, 23, 42, 0.5)', border: '1px solid rgba(148, 163, 184, 0.2)', borderRadius: '8px', padding: '10px' }}
+            >
+              <div
+                style={{ display: 'flex', justifyContent: 'space-between', gap: '12px', cursor: 'pointer' }}
+                onClick={() => setExpandedId(expandedId === entry.id ? null : entry.id)}
+              >
+                <div style={{ fontSize: '0.85rem', color: '#f1f5f9' }}>
+                  <strong>{entry.action === 'reset' ? 'Сброс к файлу' : 'Изменение'}</strong>
+                  {' · '}{entry.actor}
+                  {entry.source?.ip && entry.source.ip !== entry.actor ? <span style={{ color: '#94a3b8' }}> ({entry.source.ip})</span> : null}
+                  {entry.note ? <span style={{ color: '#94a3b8' }}> · {entry.note}</span> : null}
+                  <div style={{ fontSize: '0.75rem', color: '#94a3b8', marginTop: '4px' }}>
+                    {entry.changes.map(change => `${change.path}: ${CHANGE_LABELS[change.change] || change.change}`).join(' · ')}
+                  </div>
+                </div>
+                <div style={{ fontSize: '0.75rem', color: '#94a3b8', whiteSpace: 'nowrap' }}>
+                  {new Date(entry.at).toLocaleString()}
+                </div>
+              </div>
+              {expandedId === entry.id && (
+                <pre style={{ marginTop: '8px', fontSize: '0.7rem', color: '#cbd5e1', maxHeight: '300px', overflow: 'auto' }}>
+                  {JSON.stringify(entry.changes, null, 2)}
+                </pre>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,269 @@
+import { useState } from 'react';
+
+const STRATEGIES = [
+  { value: '', label: '— (наследовать)' },
+  { value: 'first', label: 'Первый в списке' },
+  { value: 'round_robin', label: 'По очереди' },
+  { value: 'least_open_deals', label: 'Меньше открытых сделок' }
+];
+
+const inputStyle = {
+  padding: '6px 8px',
+  background: 'rgba(15, 23, 42, 0.6)',
+  border: '1px solid rgba(148, 163, 184, 0.3)',
+  borderRadius: '4px',
+  color: '#f1f5f9',
+  fontSize: '0.8rem'
+};
+
+const labelStyle = { display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '0.75rem', color: '#94a3b8' };
+
+const rowStyle = {
+  background: 'rgba(15, 23, 42, 0.5)',
+  border: '1px solid rgba(148, 163, 184, 0.2)',
+  borderRadius: '8px',
+  padding: '12px',
+  display: 'grid',
+  gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))',
+  gap: '10px',
+  alignItems: 'start'
+};
+
+export const buttonStyle = (background) => ({
+  padding: '4px 10px',
+  background,
+  border: 'none',
+  borderRadius: '4px',
+  color: 'white',
+  cursor: 'pointer',
+  fontSize: '0.75rem'
+});
+
+// "a, b" <-> ['a', 'b']; empty list is dropped from the roster
+const toList = (text) => text.split(',').map(item => item.trim()).filter(Boolean);
+const fromList = (list) => (list || []).join(', ');
+
+// One window per line: "mon 09:01 - fri 19:01" or "mon,tue 09:00 - 18:00"
+export function formatWindows(windows = []) {
+  return windows.map(window => (Array.isArray(window.days)
+    ? `${window.days.join(',')} ${window.from} - ${window.to}`
+    : `${window.from} - ${window.to}`)).join('\n');
+}
+
+export function parseWindows(text) {
+  return text.split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+    const [from = '', to = ''] = line.split(/\s+-\s+/).map(part => part.trim());
+    // A bare end time means the same span on each listed day
+    const daily = /^([a-z,]+)\s+(\d{1,2}:\d{2})$/i.exec(from);
+    if (daily && /^\d{1,2}:\d{2}$/.test(to)) {
+      return { days: daily[1].split(',').map(day => day.trim().toLowerCase()).filter(Boolean), from: daily[2], to };
+    }
+    return { from, to };
+  });
+}
+
+function setOptional(item, key, value) {
+  const next = { ...item };
+  if (value === '' || value === undefined || (Array.isArray(value) && value.length === 0)) {
+    delete next[key];
+  } else {
+    next[key] = value;
+  }
+  return next;
+}
+
+function ManagerPicker({ value = [], users, managers, onChange }) {
+  const nameOf = (id) => managers[id]?.name || users.find(user => user.id === id)?.name || `ID ${id}`;
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', alignItems: 'center' }}>
+      {value.map(id => (
+        <span key={id} style={{ padding: '2px 6px', borderRadius: '4px', background: 'rgba(59, 130, 246, 0.2)', color: '#f1f5f9', fontSize: '0.75rem' }}>
+          {nameOf(id)} ({id})
+          <button onClick={() => onChange(value.filter(other => other !== id))} style={{ marginLeft: '4px', background: 'none', border: 'none', color: '#94a3b8', cursor: 'pointer' }}>×</button>
+        </span>
+      ))}
+      <select
+        value=""
+        onChange={(e) => e.target.value && onChange([...value, Number(e.target.value)])}
+        style={{ ...inputStyle, padding: '2px 4px' }}
+      >
+        <option value="">+ менеджер</option>
+        {users.filter(user => !value.includes(user.id)).map(user => (
+          <option key={user.id} value={user.id}>{user.name} ({user.id})</option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+function Section({ title, hint, onAdd, children }) {
+  return (
+    <div style={{ marginTop: '16px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+        <div>
+          <h3 style={{ color: '#f1f5f9', margin: 0, fontSize: '1.1rem' }}>{title}</h3>
+          {hint && <div style={{ fontSize: '0.75rem', color: '#94a3b8', marginTop: '2px' }}>{hint}</div>}
+        </div>
+        {onAdd && <button onClick={onAdd} style={buttonStyle('#059669')}>+ Добавить</button>}
+      </div>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>{children}</div>
+    </div>
+  );
+}
+
+function RowActions({ index, count, onMove, onRemove }) {
+  return (
+    <div style={{ display: 'flex', gap: '4px', alignSelf: 'end' }}>
+      <button onClick={() => onMove(index, -1)} disabled={index === 0} style={buttonStyle('#6b7280')}>↑</button>
+      <button onClick={() => onMove(index, 1)} disabled={index === count - 1} style={buttonStyle('#6b7280')}>↓</button>
+      <button onClick={onRemove} style={buttonStyle('#ef4444')}>Удалить</button>
+    </div>
+  );
+}
+
+/**
+ * Structured editor for the responsible roster (draft only - saving is done by the page)
+ * Window lines are kept as text while typing and parsed into the draft on every change.
+ */
+export default function RosterEditor({ draft, onChange, users, managers }) {
+  const [windowTexts, setWindowTexts] = useState({}); // shift index -> raw text
+
+  const update = (key, value) => onChange(setOptional(draft, key, value));
+  const updateItem = (section, index, item) => {
+    const items = [...(draft[section] || [])];
+    items[index] = item;
+    onChange({ ...draft, [section]: items });
+  };
+  const removeItem = (section, index) => {
+    onChange({ ...draft, [section]: (draft[section] || []).filter((_, other) => other !== index) });
+    if (section === 'shifts') setWindowTexts({});
+  };
+  const moveItem = (section) => (index, delta) => {
+    const items = [...(draft[section] || [])];
+    const [item] = items.splice(index, 1);
+    items.splice(index + delta, 0, item);
+    onChange({ ...draft, [section]: items });
+    if (section === 'shifts') setWindowTexts({});
+  };
+  const addItem = (section, item) => onChange({ ...draft, [section]: [...(draft[section] || []), item] });
+
+  const shifts = draft.shifts || [];
+  const rules = draft.rules || [];
+  const overrides = draft.overrides || [];
+
+  return (
+    <div>
+      <div style={rowStyle}>
+        <label style={labelStyle}>
+          Менеджер по умолчанию
+          <ManagerPicker
+            value={draft.default ? [Number(draft.default)] : []}
+            users={users}
+            managers={managers}
+            onChange={(ids) => update('default', ids[ids.length - 1])}
+          />
+        </label>
+        <label style={labelStyle}>
+          Часовой пояс
+          <input style={inputStyle} value={draft.timezone || ''} placeholder="Asia/Nicosia" onChange={(e) => update('timezone', e.target.value.trim())} />
+        </label>
+        <label style={labelStyle}>
+          Стратегия по умолчанию
+          <select style={inputStyle} value={draft.strategy || ''} onChange={(e) => update('strategy', e.target.value)}>
+            {STRATEGIES.map(strategy => <option key={strategy.value} value={strategy.value}>{strategy.label}</option>)}
+          </select>
+        </label>
+      </div>
+
+      <Section
+        title="Смены"
+        hint="Окно на строку: «mon 09:01 - fri 19:01» (отрезок недели) или «mon,tue 09:00 - 18:00» (каждый из дней)"
+        onAdd={() => addItem('shifts', { id: `shift-${shifts.length + 1}`, windows: [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], from: '09:00', to: '18:00' }], managers: [] })}
+      >
+        {shifts.map((shift, index) => (
+          <div key={index} style={rowStyle}>
+            <label style={labelStyle}>ID<input style={inputStyle} value={shift.id || ''} onChange={(e) => updateItem('shifts', index, { ...shift, id: e.target.value.trim() })} /></label>
+            <label style={labelStyle}>Название<input style={inputStyle} value={shift.label || ''} onChange={(e) => updateItem('shifts', index, setOptional(shift, 'label', e.target.value))} /></label>
+            <label style={labelStyle}>
+              Окна
+              <textarea
+                style={{ ...inputStyle, fontFamily: 'monospace' }}
+                rows={Math.max(2, (shift.windows || []).length)}
+                value={windowTexts[index] ?? formatWindows(shift.windows)}
+                onChange={(e) => {
+                  setWindowTexts(prev => ({ ...prev, [index]: e.target.value }));
+                  updateItem('shifts', index, { ...shift, windows: parseWindows(e.target.value) });
+                }}
+              />
+            </label>
+            <label style={labelStyle}>Часовой пояс<input style={inputStyle} value={shift.timezone || ''} placeholder={draft.timezone || 'Asia/Nicosia'} onChange={(e) => updateItem('shifts', index, setOptional(shift, 'timezone', e.target.value.trim()))} /></label>
+            <label style={labelStyle}>
+              Менеджеры
+              <ManagerPicker value={shift.managers || []} users={users} managers={managers} onChange={(ids) => updateItem('shifts', index, { ...shift, managers: ids })} />
+            </label>
+            <label style={labelStyle}>
+              Стратегия
+              <select style={inputStyle} value={shift.strategy || ''} onChange={(e) => updateItem('shifts', index, setOptional(shift, 'strategy', e.target.value))}>
+                {STRATEGIES.map(strategy => <option key={strategy.value} value={strategy.value}>{strategy.label}</option>)}
+              </select>
+            </label>
+            <RowActions index={index} count={shifts.length} onMove={moveItem('shifts')} onRemove={() => removeItem('shifts', index)} />
+          </div>
+        ))}
+      </Section>
+
+      <Section
+        title="Правила"
+        hint="По возрастанию приоритета. Условия (теги, страны, источники) через запятую; пул - менеджеры правила или активной смены"
+        onAdd={() => addItem('rules', { id: `rule-${rules.length + 1}`, priority: 50, when: {}, managers: [] })}
+      >
+        {rules.map((rule, index) => (
+          <div key={index} style={rowStyle}>
+            <label style={labelStyle}>ID<input style={inputStyle} value={rule.id || ''} onChange={(e) => updateItem('rules', index, { ...rule, id: e.target.value.trim() })} /></label>
+            <label style={labelStyle}>Приоритет<input style={inputStyle} type="number" value={rule.priority ?? ''} onChange={(e) => updateItem('rules', index, setOptional(rule, 'priority', e.target.value === '' ? '' : Number(e.target.value)))} /></label>
+            <label style={labelStyle}>Теги<input style={inputStyle} value={fromList(rule.when?.tags)} onChange={(e) => updateItem('rules', index, { ...rule, when: setOptional(rule.when || {}, 'tags', toList(e.target.value)) })} /></label>
+            <label style={labelStyle}>Страны (ISO2)<input style={inputStyle} value={fromList(rule.when?.countryCodes)} onChange={(e) => updateItem('rules', index, { ...rule, when: setOptional(rule.when || {}, 'countryCodes', toList(e.target.value)) })} /></label>
+            <label style={labelStyle}>Источники<input style={inputStyle} value={fromList(rule.when?.sources)} onChange={(e) => updateItem('rules', index, { ...rule, when: setOptional(rule.when || {}, 'sources', toList(e.target.value)) })} /></label>
+            <label style={labelStyle}>Смены (ID)<input style={inputStyle} value={fromList(rule.shifts)} onChange={(e) => updateItem('rules', index, setOptional(rule, 'shifts', toList(e.target.value)))} /></label>
+            <label style={labelStyle}>
+              Менеджеры
+              <ManagerPicker value={rule.managers || []} users={users} managers={managers} onChange={(ids) => updateItem('rules', index, setOptional(rule, 'managers', ids))} />
+            </label>
+            <label style={labelStyle}>
+              Стратегия
+              <select style={inputStyle} value={rule.strategy || ''} onChange={(e) => updateItem('rules', index, setOptional(rule, 'strategy', e.target.value))}>
+                {STRATEGIES.map(strategy => <option key={strategy.value} value={strategy.value}>{strategy.label}</option>)}
+              </select>
+            </label>
+            <RowActions index={index} count={rules.length} onMove={moveItem('rules')} onRemove={() => removeItem('rules', index)} />
+          </div>
+        ))}
+      </Section>
+
+      <Section
+        title="Исключения по датам"
+        hint="Праздники и отпуска: YYYY-MM-DD (включительно) или YYYY-MM-DDTHH:MM. «Замена» - пул смен на эти даты, «Отсутствуют» - убрать из всех пулов"
+        onAdd={() => addItem('overrides', { id: `override-${overrides.length + 1}`, from: new Date().toISOString().slice(0, 10), absent: [] })}
+      >
+        {overrides.map((override, index) => (
+          <div key={index} style={rowStyle}>
+            <label style={labelStyle}>ID<input style={inputStyle} value={override.id || ''} onChange={(e) => updateItem('overrides', index, { ...override, id: e.target.value.trim() })} /></label>
+            <label style={labelStyle}>С<input style={inputStyle} value={override.from || ''} onChange={(e) => updateItem('overrides', index, { ...override, from: e.target.value.trim() })} /></label>
+            <label style={labelStyle}>По<input style={inputStyle} value={override.to || ''} onChange={(e) => updateItem('overrides', index, setOptional(override, 'to', e.target.value.trim()))} /></label>
+            <label style={labelStyle}>Смены (ID, пусто - все)<input style={inputStyle} value={fromList(override.shifts)} onChange={(e) => updateItem('overrides', index, setOptional(override, 'shifts', toList(e.target.value)))} /></label>
+            <label style={labelStyle}>
+              Замена
+              <ManagerPicker value={override.managers || []} users={users} managers={managers} onChange={(ids) => updateItem('overrides', index, setOptional(override, 'managers', ids))} />
+            </label>
+            <label style={labelStyle}>
+              Отсутствуют
+              <ManagerPicker value={override.absent || []} users={users} managers={managers} onChange={(ids) => updateItem('overrides', index, setOptional(override, 'absent', ids))} />
+            </label>
+            <label style={labelStyle}>Комментарий<input style={inputStyle} value={override.note || ''} onChange={(e) => updateItem('overrides', index, setOptional(override, 'note', e.target.value))} /></label>
+            <RowActions index={index} count={overrides.length} onMove={moveItem('overrides')} onRemove={() => removeItem('overrides', index)} />
+          </div>
+        ))}
+      </Section>
+    </div>
+  );
+}
@@ -0,0 +1,124 @@
+import { useState } from 'react';
+import { buttonStyle } from './RosterEditor';
+
+const inputStyle = {
+  padding: '6px 8px',
+  background: 'rgba(15, 23, 42, 0.6)',
+  border: '1px solid rgba(148, 163, 184, 0.3)',
+  borderRadius: '4px',
+  color: '#f1f5f9',
+  fontSize: '0.8rem'
+};
+
+const RESULT_LABELS = {
+  assigned: 'назначено',
+  conditions_not_matched: 'условия не совпали',
+  no_active_shift: 'нет активной смены',
+  no_available_manager: 'все менеджеры отсутствуют'
+};
+
+/**
+ * "Who would get order X at time T" - runs the server resolver against the saved roster or the draft
+ */
+export default function RosterSimulator({ draft, hasUnsavedChanges }) {
+  const [orderId, setOrderId] = useState('');
+  const [tags, setTags] = useState('');
+  const [countryCode, setCountryCode] = useState('');
+  const [sourceName, setSourceName] = useState('');
+  const [at, setAt] = useState(''); // datetime-local, browser timezone; empty = now
+  const [useDraft, setUseDraft] = useState(true);
+  const [isRunning, setIsRunning] = useState(false);
+  const [response, setResponse] = useState(null);
+  const [error, setError] = useState(null);
+
+  const runSimulation = async () => {
+    setIsRunning(true);
+    setError(null);
+    try {
+      const body = {
+        ...(orderId.trim()
+          ? { orderId: orderId.trim() }
+          : { order: { tags, source_name: sourceName || undefined, shipping_address: countryCode ? { country_code: countryCode.toUpperCase() } : undefined } }),
+        ...(at ? { at: new Date(at).toISOString() } : {}),
+        ...(useDraft && hasUnsavedChanges ? { roster: draft } : {})
+      };
+      const res = await fetch('/api/config/responsible/simulate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const data = await res.json();
+      if (data.success) {
+        setResponse(data);
+      } else {
+        setResponse(null);
+        setError([data.error, data.message, ...(data.errors || [])].filter(Boolean).join(': '));
+      }
+    } catch (err) {
+      console.error('Responsible simulation error:', err);
+      setError(err.message || 'Network error');
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const nameOf = (id) => (response?.managers?.[id]?.name ? `${response.managers[id].name} (${id})` : `ID ${id}`);
+  const result = response?.result;
+
+  return (
+    <div className="card" style={{ marginTop: '20px' }}>
+      <header className="card-header">
+        <h2 style={{ color: '#f1f5f9', fontSize: '1.3rem', margin: 0 }}>Кто получит заказ?</h2>
+        <div style={{ fontSize: '0.85rem', color: '#94a3b8', marginTop: '4px' }}>
+          Тот же расчет, что при создании сделки (очередь, открытые сделки), без назначения. Без номера заказа - по тегам / стране / источнику.
+        </div>
+      </header>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', alignItems: 'center', marginTop: '12px' }}>
+        <input style={inputStyle} placeholder="ID заказа Shopify" value={orderId} onChange={(e) => setOrderId(e.target.value)} />
+        <input style={inputStyle} placeholder="Теги" value={tags} onChange={(e) => setTags(e.target.value)} disabled={!!orderId.trim()} />
+        <input style={{ ...inputStyle, width: '70px' }} placeholder="Страна" value={countryCode} onChange={(e) => setCountryCode(e.target.value)} disabled={!!orderId.trim()} />
+        <input style={inputStyle} placeholder="Источник (source_name)" value={sourceName} onChange={(e) => setSourceName(e.target.value)} disabled={!!orderId.trim()} />
+        <input style={inputStyle} type="datetime-local" value={at} onChange={(e) => setAt(e.target.value)} title="Пусто - сейчас (время браузера)" />
+        <label style={{ fontSize: '0.8rem', color: '#94a3b8', display: 'flex', gap: '4px', alignItems: 'center' }}>
+          <input type="checkbox" checked={useDraft} onChange={(e) => setUseDraft(e.target.checked)} disabled={!hasUnsavedChanges} />
+          по несохраненному черновику
+        </label>
+        <button onClick={runSimulation} disabled={isRunning} style={buttonStyle('#3b82f6')}>
+          {isRunning ? '...' : 'Проверить'}
+        </button>
+      </div>
+
+      {error && <div className="alert alert-error" style={{ marginTop: '12px' }}>{error}</div>}
+
+      {result && (
+        <div style={{ marginTop: '12px', fontSize: '0.85rem', color: '#cbd5e1' }}>
+          <div style={{ fontSize: '1rem', color: '#f1f5f9' }}>
+            <strong>{result.assigneeId ? nameOf(result.assigneeId) : 'Никто'}</strong>
+            {' '}на {new Date(response.at).toLocaleString()}
+            {response.order.name ? ` · заказ ${response.order.name}` : ''}
+          </div>
+          <div style={{ marginTop: '4px' }}>
+            {result.matchedBy === 'rule'
+              ? `Правило ${result.ruleId}${result.shiftId ? `, смена ${result.shiftId}` : ''}, стратегия ${result.strategy}${result.strategy !== result.requestedStrategy ? ` (вместо ${result.requestedStrategy})` : ''}`
+              : result.matchedBy === 'default' ? 'Ни одно правило не подошло - менеджер по умолчанию' : 'Ни одно правило не подошло, менеджер по умолчанию не задан'}
+          </div>
+          {result.overrideIds.length > 0 && <div>Действуют исключения: {result.overrideIds.join(', ')}</div>}
+          {result.candidates.length > 0 && (
+            <div>
+              Кандидаты: {result.candidates.map(id => {
+                const openDeals = result.stats?.openDeals?.[id];
+                return `${nameOf(id)}${openDeals !== undefined ? ` - ${openDeals} откр.` : ''}`;
+              }).join(', ')}
+            </div>
+          )}
+          <ol style={{ marginTop: '6px', paddingLeft: '20px', color: '#94a3b8' }}>
+            {result.evaluated.map((step, index) => (
+              <li key={index}>{step.ruleId}{step.shiftId ? ` (${step.shiftId})` : ''}: {RESULT_LABELS[step.result] || step.result}</li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+}
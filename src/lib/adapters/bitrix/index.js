@@ -1,58 +1,19 @@
 // Bitrix24 Webhook Adapter
 // Persistent storage for received events from Bitrix outbound webhooks
-import fs from 'fs';
-import path from 'path';
+import { createEventStore } from '../../storage/eventStore.js';
 
-// Storage file path
-const STORAGE_DIR = path.join(process.cwd(), '.data');
-const STORAGE_FILE = path.join(STORAGE_DIR, 'bitrix-events.json');
-
-// Ensure storage directory exists
-function ensureStorageDir() {
-  if (!fs.existsSync(STORAGE_DIR)) {
-    fs.mkdirSync(STORAGE_DIR, { recursive: true });
-    console.log(`[BITRIX ADAPTER] Created storage directory: ${STORAGE_DIR}`);
-  }
-}
-
-// Load events from file
-function loadEventsFromFile() {
-  try {
-    ensureStorageDir();
-    if (fs.existsSync(STORAGE_FILE)) {
-      const fileContent = fs.readFileSync(STORAGE_FILE, 'utf8');
-      const events = JSON.parse(fileContent);
-      console.log(`[BITRIX ADAPTER] ✅ Loaded ${events.length} events from persistent storage`);
-      return events;
-    }
-  } catch (error) {
-    console.error(`[BITRIX ADAPTER] ⚠️ Error loading events from file:`, error);
-  }
-  return [];
-}
-
-// Save events to file
-function saveEventsToFile(events) {
-  try {
-    ensureStorageDir();
-    fs.writeFileSync(STORAGE_FILE, JSON.stringify(events, null, 2), 'utf8');
-    console.log(`[BITRIX ADAPTER] 💾 Saved ${events.length} events to persistent storage`);
-  } catch (error) {
-    console.error(`[BITRIX ADAPTER] ⚠️ Error saving events to file:`, error);
-  }
-}
-
-// Initialize with persistent storage
-let receivedEvents = loadEventsFromFile();
+const eventStore = createEventStore('bitrix-events', {
+  indexes: ['dealId'],
+  timestampField: 'received_at',
+});
 
 /**
  * Bitrix Webhook Adapter
  * Handles Bitrix webhook events storage and retrieval
  */
 export class BitrixAdapter {
-  constructor() {
-    this.storage = receivedEvents; // Reference to in-memory array
-    console.log(`[BITRIX ADAPTER] Initialized with ${this.storage.length} events from storage`);
+  constructor(store = eventStore) {
+    this.store = store;
   }
 
   getName() {
@@ -62,9 +23,9 @@ export class BitrixAdapter {
   /**
    * Store webhook event
    * @param {Object} payload - Bitrix webhook event payload
-   * @returns {Object} Stored event with timestamp
+   * @returns {Promise<Object>} Stored event with timestamp
    */
-  storeEvent(payload) {
+  async storeEvent(payload) {
     // Generate unique event ID (timestamp + random to ensure uniqueness)
     const uniqueId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     
@@ -77,66 +38,77 @@ export class BitrixAdapter {
     
     console.log(`[BITRIX ADAPTER] 📥 Storing event: dealId=${event.dealId}, eventId=${event.id}, received_at=${event.received_at}`);
     
-    this.storage.push(event);
+    await this.store.append(event);
     
-    // Save to persistent storage (sync, blocking to ensure data is saved)
-    saveEventsToFile(this.storage);
-    
-    console.log(`[BITRIX ADAPTER] ✅ Event stored. Total events: ${this.storage.length}`);
+    console.log(`[BITRIX ADAPTER] ✅ Event stored. Total events: ${await this.store.count()}`);
     
     return event;
   }
 
+  /**
+   * Update stored event (e.g., fulfillment state known after processing)
+   * @param {string} eventId - Event ID returned by storeEvent
+   * @param {Object} patch - Fields to merge
+   * @returns {Promise<Object|null>} Updated event or null if not found
+   */
+  async updateEvent(eventId, patch) {
+    return this.store.update(eventId, patch);
+  }
+
   /**
    * Get all events (newest first)
-   * @returns {Array<Object>} All stored events
+   * @returns {Promise<Array<Object>>} All stored events
    */
-  getAllEvents() {
-    // Return events in reverse order (newest first)
-    const events = [...this.storage].reverse();
-    console.log(`[BITRIX ADAPTER] 📊 Returning ${events.length} events (newest first)`);
-    return events;
+  async getAllEvents() {
+    const { items } = await this.store.list();
+    console.log(`[BITRIX ADAPTER] 📊 Returning ${items.length} events (newest first)`);
+    return items;
+  }
+
+  /**
+   * Get one page of events (newest first)
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Object>} { items, total }
+   */
+  async getEvents({ limit = 100, offset = 0 } = {}) {
+    return this.store.list({ limit, offset });
+  }
+
+  /**
+   * Get events for a deal (newest first)
+   * @param {string|number} dealId - Bitrix deal ID
+   * @returns {Promise<Array<Object>>} Events for the deal
+   */
+  async getEventsByDealId(dealId) {
+    return this.store.findBy('dealId', dealId);
   }
 
   /**
    * Get latest event
-   * @returns {Object|null} Latest event or null
+   * @returns {Promise<Object|null>} Latest event or null
    */
-  getLatestEvent() {
-    if (this.storage.length === 0) {
-      return null;
-    }
-    return this.storage[this.storage.length - 1];
+  async getLatestEvent() {
+    return this.store.latest();
   }
 
   /**
    * Get events count
-   * @returns {number} Number of stored events
+   * @returns {Promise<number>} Number of stored events
    */
-  getEventsCount() {
-    return this.storage.length;
+  async getEventsCount() {
+    return this.store.count();
   }
 
   /**
    * Clear all events (for testing/reset)
-   * @returns {number} Number of cleared events
+   * @returns {Promise<number>} Number of cleared events
    */
-  clearEvents() {
-    const count = this.storage.length;
-    this.storage.length = 0;
-    // Also clear persistent storage
-    saveEventsToFile(this.storage);
-    console.log(`[BITRIX ADAPTER] 🗑️ Cleared ${count} events from memory and persistent storage`);
+  async clearEvents() {
+    const count = await this.store.clear();
+    console.log(`[BITRIX ADAPTER] 🗑️ Cleared ${count} events from persistent storage`);
     return count;
   }
 }
 
 // Export singleton instance
 export const bitrixAdapter = new BitrixAdapter();
-
-
-
-
-
-
-
@@ -1,60 +1,23 @@
 // Shopify Webhook Adapter
 // Persistent storage for received events
 import { mapShopifyOrderToBitrixDeal } from '../../bitrix/orderMapper.js';
-import { BITRIX_CONFIG, financialStatusToStageId } from '../../bitrix/config.js';
-import fs from 'fs';
-import path from 'path';
+import { BITRIX_CONFIG } from '../../bitrix/config.js';
+import { resolveOrderStage } from '../../bitrix/stageMachine.js';
+import { getDealFieldId } from '../../bitrix/fieldMapping.js';
+import { createEventStore } from '../../storage/eventStore.js';
 
-// Storage file path
-const STORAGE_DIR = path.join(process.cwd(), '.data');
-const STORAGE_FILE = path.join(STORAGE_DIR, 'shopify-events.json');
-
-// Ensure storage directory exists
-function ensureStorageDir() {
-  if (!fs.existsSync(STORAGE_DIR)) {
-    fs.mkdirSync(STORAGE_DIR, { recursive: true });
-    console.log(`[SHOPIFY ADAPTER] Created storage directory: ${STORAGE_DIR}`);
-  }
-}
-
-// Load events from file
-function loadEventsFromFile() {
-  try {
-    ensureStorageDir();
-    if (fs.existsSync(STORAGE_FILE)) {
-      const fileContent = fs.readFileSync(STORAGE_FILE, 'utf8');
-      const events = JSON.parse(fileContent);
-      console.log(`[SHOPIFY ADAPTER] ✅ Loaded ${events.length} events from persistent storage`);
-      return events;
-    }
-  } catch (error) {
-    console.error(`[SHOPIFY ADAPTER] ⚠️ Error loading events from file:`, error);
-  }
-  return [];
-}
-
-// Save events to file
-function saveEventsToFile(events) {
-  try {
-    ensureStorageDir();
-    fs.writeFileSync(STORAGE_FILE, JSON.stringify(events, null, 2), 'utf8');
-    console.log(`[SHOPIFY ADAPTER] 💾 Saved ${events.length} events to persistent storage`);
-  } catch (error) {
-    console.error(`[SHOPIFY ADAPTER] ⚠️ Error saving events to file:`, error);
-  }
-}
-
-// Initialize with persistent storage
-let receivedEvents = loadEventsFromFile();
+const eventStore = createEventStore('shopify-events', {
+  indexes: ['orderId'],
+  timestampField: 'received_at',
+});
 
 /**
  * Shopify Webhook Adapter
  * Handles Shopify webhook events storage and retrieval
  */
 export class ShopifyAdapter {
-  constructor() {
-    this.storage = receivedEvents; // Reference to in-memory array
-    console.log(`[SHOPIFY ADAPTER] Initialized with ${this.storage.length} events from storage`);
+  constructor(store = eventStore) {
+    this.store = store;
   }
 
   getName() {
@@ -168,9 +131,9 @@ export class ShopifyAdapter {
    * Store webhook event
    * @param {Object} payload - Validated webhook payload
    * @param {string} topic - Webhook topic (e.g., 'orders/create', 'orders/updated')
-   * @returns {Object} Stored event with timestamp
+   * @returns {Promise<Object>} Stored event with timestamp
    */
-  storeEvent(payload, topic = null) {
+  async storeEvent(payload, topic = null) {
     // Generate unique event ID (timestamp + random to ensure uniqueness)
     const uniqueId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     
@@ -185,12 +148,9 @@ export class ShopifyAdapter {
     
     console.log(`[SHOPIFY ADAPTER] 📥 Storing event: orderId=${event.orderId}, topic=${event.topic}, eventId=${event.id}`);
     
-    this.storage.push(event);
-    
-    // Save to persistent storage (sync, blocking to ensure data is saved)
-    saveEventsToFile(this.storage);
+    await this.store.append(event);
     
-    console.log(`[SHOPIFY ADAPTER] ✅ Event stored. Total events: ${this.storage.length}`);
+    console.log(`[SHOPIFY ADAPTER] ✅ Event stored. Total events: ${await this.store.count()}`);
     
     return event;
   }
@@ -199,12 +159,13 @@ export class ShopifyAdapter {
    * Get all events (newest first, deduplicated by orderId + topic)
    * Keeps separate events for different topics (orders/create, orders/updated)
    * @param {boolean} includeAll - If true, returns all events without deduplication. Default: false (deduplicated)
-   * @returns {Array<Object>} All stored events
+   * @returns {Promise<Array<Object>>} All stored events
    */
-  getAllEvents(includeAll = false) {
+  async getAllEvents(includeAll = false) {
+    const { items: allEvents } = await this.store.list(); // Newest first
+
     // If includeAll is true, return all events without deduplication (newest first)
     if (includeAll) {
-      const allEvents = [...this.storage].reverse(); // Newest first
       console.log(`[SHOPIFY ADAPTER] 📊 Returning all ${allEvents.length} events (no deduplication)`);
       return allEvents;
     }
@@ -214,11 +175,10 @@ export class ShopifyAdapter {
     const uniqueEvents = [];
     let skippedCount = 0;
     
-    console.log(`[SHOPIFY ADAPTER] 🔍 Starting deduplication: ${this.storage.length} total events`);
+    console.log(`[SHOPIFY ADAPTER] 🔍 Starting deduplication: ${allEvents.length} total events`);
     
-    // Process in reverse order (newest first) and keep only the first occurrence
-    for (let i = this.storage.length - 1; i >= 0; i--) {
-      const event = this.storage[i];
+    // Process newest first and keep only the first occurrence
+    for (const event of allEvents) {
       const orderId = event.orderId || event.id;
       const topic = event.topic || event.x_shopify_topic || 'unknown';
       
@@ -228,7 +188,7 @@ export class ShopifyAdapter {
       // If we haven't seen this (orderId + topic) combination yet, keep it
       if (!seen.has(dedupeKey)) {
         seen.set(dedupeKey, event);
-        uniqueEvents.unshift(event); // Add to beginning to maintain newest-first order
+        uniqueEvents.push(event); // Already iterating newest first
         
         // Log deduplication decision
         console.log(`[SHOPIFY ADAPTER] ✅ Keeping event: orderId=${orderId}, topic=${topic}, eventId=${event.id || event.eventId}, received_at=${event.received_at}`);
@@ -240,40 +200,52 @@ export class ShopifyAdapter {
       }
     }
     
-    console.log(`[SHOPIFY ADAPTER] 📊 Deduplication result: ${this.storage.length} total events → ${uniqueEvents.length} unique events (skipped ${skippedCount} duplicates)`);
+    console.log(`[SHOPIFY ADAPTER] 📊 Deduplication result: ${allEvents.length} total events → ${uniqueEvents.length} unique events (skipped ${skippedCount} duplicates)`);
     
     return uniqueEvents;
   }
 
+  /**
+   * Get one page of events (newest first, no deduplication)
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Object>} { items, total }
+   */
+  async getEvents({ limit = 100, offset = 0 } = {}) {
+    return this.store.list({ limit, offset });
+  }
+
+  /**
+   * Get events for a Shopify order (newest first)
+   * @param {string|number} orderId - Shopify order ID
+   * @returns {Promise<Array<Object>>} Events for the order
+   */
+  async getEventsByOrderId(orderId) {
+    return this.store.findBy('orderId', orderId);
+  }
+
   /**
    * Get latest event
-   * @returns {Object|null} Latest event or null
+   * @returns {Promise<Object|null>} Latest event or null
    */
-  getLatestEvent() {
-    if (this.storage.length === 0) {
-      return null;
-    }
-    return this.storage[this.storage.length - 1];
+  async getLatestEvent() {
+    return this.store.latest();
   }
 
   /**
    * Get events count
-   * @returns {number} Number of stored events
+   * @returns {Promise<number>} Number of stored events
    */
-  getEventsCount() {
-    return this.storage.length;
+  async getEventsCount() {
+    return this.store.count();
   }
 
   /**
    * Clear all events (for testing/reset)
-   * @returns {number} Number of cleared events
+   * @returns {Promise<number>} Number of cleared events
    */
-  clearEvents() {
-    const count = this.storage.length;
-    this.storage.length = 0;
-    // Also clear persistent storage
-    saveEventsToFile(this.storage);
-    console.log(`[SHOPIFY ADAPTER] 🗑️ Cleared ${count} events from memory and persistent storage`);
+  async clearEvents() {
+    const count = await this.store.clear();
+    console.log(`[SHOPIFY ADAPTER] 🗑️ Cleared ${count} events from persistent storage`);
     return count;
   }
 
@@ -305,8 +277,8 @@ export class ShopifyAdapter {
     // This ensures consistency: CATEGORY_ID, STAGE_ID, UF_SHOPIFY_ORDER_ID are all set correctly
     const { dealFields } = mapShopifyOrderToBitrixDeal(orderForMapper);
     
-    // ✅ ENSURE: UF_CRM_1742556489 (Shopify number) uses stable order.id (not eventId)
-    dealFields.UF_CRM_1742556489 = String(stableOrderId);
+    // ✅ ENSURE: Shopify number field (role shopifyOrderId) uses stable order.id (not eventId)
+    dealFields[getDealFieldId('shopifyOrderId')] = String(stableOrderId);
 
     // ✅ ENSURE: CATEGORY_ID and STAGE_ID are set (they should be set by mapShopifyOrderToBitrixDeal)
     // But verify they're not null (fail-safe check)
@@ -323,11 +295,8 @@ export class ShopifyAdapter {
     }
     
     if (!dealFields.STAGE_ID) {
-      // Map financial status to stage ID using the same function as webhook handlers
-      dealFields.STAGE_ID = financialStatusToStageId(
-        shopifyOrder.financial_status
-        // categoryId parameter is optional and not currently used in mapping logic
-      );
+      // Same stage machine as webhook handlers
+      dealFields.STAGE_ID = resolveOrderStage(shopifyOrder, dealFields.CATEGORY_ID);
     }
     
     // Return in the format expected by send-to-bitrix endpoint
@@ -1,8 +1,104 @@
 /**
  * Bitrix24 REST API Client
- * Handles all API calls to Bitrix24
+ * Handles all API calls to Bitrix24, through the incoming webhook URL (default) or,
+ * with BITRIX_AUTH_MODE=oauth, as an installed local application (see oauth.js)
  */
 
+import { isBitrixOAuthMode, getPortalAccess, refreshPortalToken } from './oauth.js';
+
+// Bitrix24 allows 2 requests/s per portal with a burst of 50 (enterprise plans: 5/s, 250).
+// The bucket is per process - instances sharing a portal still hit QUERY_LIMIT_EXCEEDED,
+// which is retried with backoff like 503.
+const RATE_LIMIT = {
+  perSecond: Number(process.env.BITRIX_RATE_LIMIT_PER_SEC) || 2,
+  burst: Number(process.env.BITRIX_RATE_LIMIT_BURST) || 50,
+};
+const MAX_RETRIES = Number.parseInt(process.env.BITRIX_MAX_RETRIES ?? '3', 10);
+const RETRY_BASE_MS = Number(process.env.BITRIX_RETRY_BASE_MS) || 500;
+
+// Commands per batch call (Bitrix limit)
+export const BITRIX_BATCH_LIMIT = 50;
+
+const bucket = { tokens: RATE_LIMIT.burst, updatedAt: Date.now() };
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Wait for a token of the request budget
+ */
+async function takeRateLimitToken() {
+  for (;;) {
+    const now = Date.now();
+    bucket.tokens = Math.min(RATE_LIMIT.burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * RATE_LIMIT.perSecond);
+    bucket.updatedAt = now;
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return;
+    }
+    await sleep(Math.ceil(((1 - bucket.tokens) / RATE_LIMIT.perSecond) * 1000));
+  }
+}
+
+/**
+ * Parse a response body; non-JSON bodies (proxy error pages) become a Bitrix-style error
+ * @param {Response} response - Fetch response
+ * @returns {Promise<Object>} Parsed body
+ */
+async function readBitrixResponse(response) {
+  const text = await response.text();
+  try {
+    return JSON.parse(text);
+  } catch {
+    return {
+      error: response.ok ? 'INVALID_RESPONSE' : `HTTP_${response.status}`,
+      error_description: text.slice(0, 200)
+    };
+  }
+}
+
+function retryDelay(attempt, response) {
+  const retryAfter = Number(response.headers.get('retry-after'));
+  if (retryAfter > 0) {
+    return retryAfter * 1000;
+  }
+  return RETRY_BASE_MS * 2 ** attempt + Math.floor(Math.random() * RETRY_BASE_MS);
+}
+
+/**
+ * POST to the REST API within the rate limit, retrying 503 and QUERY_LIMIT_EXCEEDED with backoff
+ * @param {string} url - Full method URL
+ * @param {string} method - Method (for logs)
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} { response, result } of the last attempt
+ */
+async function fetchBitrix(url, method, body) {
+  for (let attempt = 0; ; attempt++) {
+    await takeRateLimitToken();
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body)
+    });
+    const result = await readBitrixResponse(response);
+
+    const limited = response.status === 503 || result.error === 'QUERY_LIMIT_EXCEEDED';
+    if (!limited || attempt >= MAX_RETRIES) {
+      return { response, result };
+    }
+
+    const delay = retryDelay(attempt, response);
+    console.warn(`[BITRIX API] ⚠️ ${result.error || `HTTP ${response.status}`} calling ${method}, retry ${attempt + 1}/${MAX_RETRIES} in ${delay}ms`);
+    // The portal is over budget: drain the bucket so other calls of this process wait as well
+    bucket.tokens = 0;
+    bucket.updatedAt = Date.now();
+    await sleep(delay);
+  }
+}
+
 /**
  * Call Bitrix24 REST API method
  * @param {string} webhookUrl - Base webhook URL (e.g., https://domain.bitrix24.eu/rest/52/xxx/)
@@ -11,21 +107,18 @@
  * @returns {Promise<Object>} API response
  */
 export async function callBitrixAPI(webhookUrl, method, params = {}) {
+  // OAuth app mode: there is no webhook URL (getBitrixWebhookBase returns null), the installed portal is used
+  if (isBitrixOAuthMode()) {
+    return callBitrix(method.endsWith('.json') ? method : `${method}.json`, params);
+  }
+
   // Ensure webhook URL ends with / and method ends with .json
   const baseUrl = webhookUrl.endsWith('/') ? webhookUrl : `${webhookUrl}/`;
   const methodSuffix = method.endsWith('.json') ? method : `${method}.json`;
   const url = `${baseUrl}${methodSuffix}`;
 
   try {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(params)
-    });
-
-    const result = await response.json();
+    const { response, result } = await fetchBitrix(url, method, params);
 
     if (!response.ok) {
       throw new Error(`Bitrix API error: ${JSON.stringify(result)}`);
@@ -44,8 +137,13 @@ export async function callBitrixAPI(webhookUrl, method, params = {}) {
 
 /**
  * Get Bitrix webhook base URL from environment or use default
+ * @returns {string|null} Base URL, or null in OAuth app mode (calls go to the installed portal)
  */
 export function getBitrixWebhookBase() {
+  if (isBitrixOAuthMode()) {
+    return null;
+  }
+
   // Get from environment variable
   if (process.env.BITRIX_WEBHOOK_BASE) {
     const base = process.env.BITRIX_WEBHOOK_BASE;
@@ -129,26 +227,16 @@ export function classifyBitrixError(errorResponse) {
 }
 
 /**
- * Call Bitrix24 REST API method (simplified wrapper)
- * @param {string} method - API method (e.g., '/crm.deal.add.json')
- * @param {Object} payload - Method parameters
+ * POST one REST call and classify failures (errorType / errorDetails on the thrown error)
+ * @param {string} url - Full method URL
+ * @param {string} method - Method as given by the caller (for logs)
+ * @param {Object} payload - Method parameters (logged without the OAuth token)
+ * @param {Object} body - Request body actually sent
  * @returns {Promise<Object>} API response
  */
-export async function callBitrix(method, payload = {}) {
-  const baseUrl = getBitrixWebhookBase();
-  const methodPath = method.startsWith('/') ? method : `/${method}`;
-  const url = `${baseUrl}${methodPath}`;
-
+async function postBitrix(url, method, payload, body = payload) {
   try {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(payload)
-    });
-
-    const result = await response.json();
+    const { response, result } = await fetchBitrix(url, method, body);
 
     if (!response.ok) {
       const errorInfo = classifyBitrixError(result);
@@ -202,6 +290,128 @@ export async function callBitrix(method, payload = {}) {
   }
 }
 
+/**
+ * Call a method on the installed portal with its access token
+ * A token Bitrix rejects as expired_token is refreshed and the call repeated once
+ * @param {string} methodPath - Method path (e.g., '/crm.deal.add.json')
+ * @param {Object} payload - Method parameters
+ * @returns {Promise<Object>} API response
+ */
+async function callBitrixOAuth(methodPath, payload) {
+  let portal = await getPortalAccess();
+  try {
+    return await postBitrix(`${portal.clientEndpoint}${methodPath.slice(1)}`, methodPath, payload, { ...payload, auth: portal.accessToken });
+  } catch (error) {
+    if (error.errorType !== 'expired_token') {
+      throw error;
+    }
+    portal = await refreshPortalToken(portal.memberId, portal.accessToken);
+    return postBitrix(`${portal.clientEndpoint}${methodPath.slice(1)}`, methodPath, payload, { ...payload, auth: portal.accessToken });
+  }
+}
+
+/**
+ * Call Bitrix24 REST API method (simplified wrapper)
+ * @param {string} method - API method (e.g., '/crm.deal.add.json')
+ * @param {Object} payload - Method parameters
+ * @returns {Promise<Object>} API response
+ */
+export async function callBitrix(method, payload = {}) {
+  const methodPath = method.startsWith('/') ? method : `/${method}`;
+  if (isBitrixOAuthMode()) {
+    return callBitrixOAuth(methodPath, payload);
+  }
+
+  const baseUrl = getBitrixWebhookBase();
+  return postBitrix(`${baseUrl}${methodPath}`, method, payload);
+}
+
+/**
+ * Encode method parameters as a batch command query (PHP http_build_query rules:
+ * nested keys as fields[TITLE] / rows[0][PRICE], booleans as 1/0, undefined dropped).
+ * null and empty arrays become an empty value (fields[X]=) - that is how Bitrix clears a field,
+ * http_build_query would drop them and the update would keep the old value
+ * @param {Object} params - Method parameters
+ * @param {string} prefix - Key of the enclosing object
+ * @returns {Array<string>} key=value pairs
+ */
+function toQueryPairs(params, prefix = '') {
+  const pairs = [];
+  for (const [key, value] of Object.entries(params)) {
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (value === undefined) {
+      continue;
+    }
+    if (value === null || (Array.isArray(value) && value.length === 0)) {
+      pairs.push(`${encodeURIComponent(name)}=`);
+    } else if (typeof value === 'object') {
+      pairs.push(...toQueryPairs(value, name));
+    } else {
+      const scalar = typeof value === 'boolean' ? (value ? 1 : 0) : value;
+      pairs.push(`${encodeURIComponent(name)}=${encodeURIComponent(scalar)}`);
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Run up to 50 methods in one request (batch)
+ * Parameters may reference results of earlier commands of the same batch:
+ * '$result[add]' is the result of command "add", '$result[deal][ID]' a field of it.
+ * @param {Object} commands - { key: [method, params] } (method as 'crm.deal.get' or '/crm.deal.get.json')
+ * @param {Object} options - { halt: stop at the first failing command (default false) }
+ * @returns {Promise<Object>} { results: { key: result }, errors: { key: { error, error_description } }, totals: { key: total } }
+ *   (totals only for list methods). With halt, commands after the failing one are in neither
+ * @throws {Error} errorType 'BATCH_TOO_LARGE' over 50 commands; errors of the batch call itself as callBitrix
+ */
+export async function callBitrixBatch(commands, { halt = false } = {}) {
+  const keys = Object.keys(commands);
+  if (keys.length === 0) {
+    return { results: {}, errors: {}, totals: {} };
+  }
+  if (keys.length > BITRIX_BATCH_LIMIT) {
+    const error = new Error(`Bitrix batch accepts at most ${BITRIX_BATCH_LIMIT} commands, got ${keys.length}`);
+    error.errorType = 'BATCH_TOO_LARGE';
+    throw error;
+  }
+
+  const cmd = {};
+  for (const key of keys) {
+    const [method, params = {}] = commands[key];
+    const name = method.replace(/^\//, '').replace(/\.json$/, '');
+    const query = toQueryPairs(params).join('&');
+    cmd[key] = query ? `${name}?${query}` : name;
+  }
+
+  const response = await callBitrix('/batch.json', { halt: halt ? 1 : 0, cmd });
+  const batch = response.result || {};
+  // PHP serializes an empty map as []
+  const asMap = value => (value && !Array.isArray(value) ? value : {});
+  return {
+    results: asMap(batch.result),
+    errors: asMap(batch.result_error),
+    totals: asMap(batch.result_total),
+  };
+}
+
+/**
+ * Error of one batch command, shaped like a failed callBitrix (errorType / errorDetails)
+ * @param {Object} batch - callBitrixBatch result
+ * @param {string} key - Command key
+ * @returns {Error|null} Error or null if the command did not fail
+ */
+export function getBatchError(batch, key) {
+  const failure = batch.errors[key];
+  if (!failure) {
+    return null;
+  }
+  const errorInfo = classifyBitrixError(failure);
+  const error = new Error(`Bitrix API error (${errorInfo.type}): ${errorInfo.message}`);
+  error.errorType = errorInfo.type;
+  error.errorDetails = errorInfo.details;
+  return error;
+}
+
 /**
  * Get Bitrix webhook URL from environment or use default (legacy support)
  */
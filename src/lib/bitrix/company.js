@@ -0,0 +1,335 @@
+/**
+ * Bitrix24 Company Management
+ * B2B orders (Shopify B2B company location, or a company name in the billing address) get a
+ * Bitrix company: found by Shopify company id (ORIGIN_ID), VAT id (requisite) or name + country,
+ * created otherwise. VAT id and address go to the company requisite (crm.requisite.* / crm.address.*),
+ * the order contact is linked to the company and the deal gets COMPANY_ID.
+ * Find-or-create runs under a lease per company, so two orders of a new company processed in
+ * parallel don't both create it.
+ */
+
+import { callBitrixAPI } from './client.js';
+import { BITRIX_CONFIG } from './config.js';
+import { normalizeText } from './contactMatch.js';
+import { getCompanyLocation } from '../shopify/company.js';
+import { withLeaseOrRun } from '../locks/index.js';
+
+// crm.requisite / crm.address owner types
+const ENTITY_TYPE_COMPANY = 4;
+const ENTITY_TYPE_REQUISITE = 8;
+// ORIGINATOR_ID of companies created from Shopify B2B companies (ORIGIN_ID = Shopify company id)
+const ORIGINATOR_ID = 'shopify';
+const COMPANY_LEASE_WAIT_MS = 30 * 1000;
+
+// Shopify address field → crm.address field
+const REQUISITE_ADDRESS_FIELDS = {
+  address1: 'ADDRESS_1',
+  address2: 'ADDRESS_2',
+  city: 'CITY',
+  zip: 'POSTAL_CODE',
+  province: 'PROVINCE',
+  country: 'COUNTRY',
+  country_code: 'COUNTRY_CODE'
+};
+
+// Legal forms ignored when comparing company names ("Acme Ltd" = "ACME Limited")
+const LEGAL_FORMS = /(\s(ltd|limited|llc|llp|inc|corp|co|plc|gmbh|ag|sa|sarl|srl|spa|bv|nv|oy|ab|as|ooo|ip))+$/;
+
+/**
+ * Normalize a VAT / tax registration id for comparison
+ * @param {string} vatId - As entered
+ * @returns {string|null} Uppercase letters and digits only
+ */
+export function normalizeVatId(vatId) {
+  const normalized = String(vatId || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return normalized || null;
+}
+
+/**
+ * Normalize a company name for comparison (case, punctuation, legal form)
+ * @param {string} name - Company name
+ * @returns {string}
+ */
+export function normalizeCompanyName(name) {
+  return normalizeText(name).replace(LEGAL_FORMS, '').trim();
+}
+
+function vatFromNoteAttributes(order) {
+  const attribute = (order.note_attributes || []).find(({ name }) =>
+    /^(vat|tax)[ _-]?(id|no|number)?$/i.test(String(name || '').trim())
+  );
+  return attribute?.value || null;
+}
+
+/**
+ * Company data of a Shopify order
+ * @param {Object} order - Shopify order
+ * @param {Object} location - B2B company location (getCompanyLocation), if any
+ * @returns {Object|null} { name, vatId, countryCode, address, shopifyCompanyId, email, phone } - null for private buyers
+ */
+export function extractShopifyCompany(order, location = null) {
+  const billingAddress = order.billing_address || {};
+  const shippingAddress = order.shipping_address || {};
+  const name = String(location?.companyName || billingAddress.company || shippingAddress.company || '').trim();
+  if (!name) {
+    return null;
+  }
+
+  const source = location?.billingAddress
+    || (billingAddress.address1 ? billingAddress : null)
+    || (shippingAddress.address1 ? shippingAddress : null);
+  const address = source ? Object.fromEntries(Object.keys(REQUISITE_ADDRESS_FIELDS).map(field => [field, source[field] || null])) : null;
+
+  return {
+    name,
+    vatId: normalizeVatId(location?.taxRegistrationId || vatFromNoteAttributes(order)),
+    countryCode: String(address?.country_code || billingAddress.country_code || shippingAddress.country_code || '').toUpperCase() || null,
+    address,
+    shopifyCompanyId: location?.companyId || order.company?.id || null,
+    email: order.email || order.customer?.email || null,
+    phone: location?.billingAddress?.phone || billingAddress.phone || null
+  };
+}
+
+// VAT ids are entered with and without the country prefix ("CY10012345X" / "10012345X")
+function vatVariants(vatId, countryCode) {
+  const variants = new Set([vatId]);
+  if (countryCode && vatId.startsWith(countryCode)) {
+    variants.add(vatId.slice(countryCode.length));
+  } else if (countryCode && /^\d/.test(vatId)) {
+    variants.add(`${countryCode}${vatId}`);
+  }
+  return [...variants];
+}
+
+/**
+ * Find an existing Bitrix company: Shopify company id → VAT id → name + country
+ * @param {string} webhookUrl - Bitrix webhook URL
+ * @param {Object} company - Result of extractShopifyCompany
+ * @returns {Promise<Object|null>} { companyId, matchedBy } or null
+ */
+export async function findBitrixCompany(webhookUrl, company) {
+  if (company.shopifyCompanyId) {
+    const result = await callBitrixAPI(webhookUrl, 'crm.company.list', {
+      filter: { ORIGINATOR_ID: ORIGINATOR_ID, ORIGIN_ID: String(company.shopifyCompanyId) },
+      select: ['ID'],
+      order: { ID: 'ASC' }
+    });
+    if (result.result?.length > 0) {
+      return { companyId: parseInt(result.result[0].ID), matchedBy: 'shopify_id' };
+    }
+  }
+
+  if (company.vatId) {
+    const result = await callBitrixAPI(webhookUrl, 'crm.requisite.list', {
+      filter: { ENTITY_TYPE_ID: ENTITY_TYPE_COMPANY, [BITRIX_CONFIG.COMPANY_VAT_FIELD]: vatVariants(company.vatId, company.countryCode) },
+      select: ['ID', 'ENTITY_ID'],
+      order: { ID: 'ASC' }
+    });
+    if (result.result?.length > 0) {
+      return { companyId: parseInt(result.result[0].ENTITY_ID), matchedBy: 'vat' };
+    }
+  }
+
+  const result = await callBitrixAPI(webhookUrl, 'crm.company.list', {
+    filter: { '%TITLE': company.name },
+    select: ['ID', 'TITLE', 'ADDRESS_COUNTRY_CODE'],
+    order: { ID: 'ASC' }
+  });
+  const name = normalizeCompanyName(company.name);
+  const matches = (result.result || []).filter(candidate =>
+    normalizeCompanyName(candidate.TITLE) === name
+    && (!company.countryCode || !candidate.ADDRESS_COUNTRY_CODE || candidate.ADDRESS_COUNTRY_CODE.toUpperCase() === company.countryCode)
+  );
+  if (matches.length > 1) {
+    console.warn(`[BITRIX COMPANY] ${matches.length} companies named "${company.name}" (${company.countryCode || 'no country'}): ${matches.map(match => match.ID).join(', ')}, using the oldest`);
+  }
+  return matches.length > 0 ? { companyId: parseInt(matches[0].ID), matchedBy: 'name_country' } : null;
+}
+
+/**
+ * Lease key of a company, by the strongest identity the order has:
+ * Shopify company id → VAT id → normalized name + country
+ * @param {Object} company - Result of extractShopifyCompany
+ * @returns {string} Lease key
+ */
+export function companyLeaseKey(company) {
+  if (company.shopifyCompanyId) {
+    return `company:shopify:${company.shopifyCompanyId}`;
+  }
+  if (company.vatId) {
+    return `company:vat:${company.vatId}`;
+  }
+  return `company:name:${normalizeCompanyName(company.name)}|${company.countryCode || ''}`;
+}
+
+/**
+ * Create company in Bitrix24
+ * @param {string} webhookUrl - Bitrix webhook URL
+ * @param {Object} company - Result of extractShopifyCompany
+ * @returns {Promise<number>} Created company ID
+ */
+export async function createBitrixCompany(webhookUrl, company) {
+  const fields = {
+    TITLE: company.name,
+    COMPANY_TYPE: 'CUSTOMER',
+    OPENED: 'Y',
+    SOURCE_ID: 'WEB',
+    ADDRESS_COUNTRY_CODE: company.countryCode || '',
+    ...(company.shopifyCompanyId && { ORIGINATOR_ID: ORIGINATOR_ID, ORIGIN_ID: String(company.shopifyCompanyId) }),
+    ...(company.email && { EMAIL: [{ VALUE: company.email, VALUE_TYPE: 'WORK' }] }),
+    ...(company.phone && { PHONE: [{ VALUE: company.phone, VALUE_TYPE: 'WORK' }] })
+  };
+  const result = await callBitrixAPI(webhookUrl, 'crm.company.add', { fields });
+  if (!result.result) {
+    throw new Error(`crm.company.add returned no ID for "${company.name}"`);
+  }
+  return parseInt(result.result);
+}
+
+async function syncRequisiteAddress(webhookUrl, requisiteId, address) {
+  // Only what Shopify has: a missing zip or province does not clear the Bitrix value
+  const fields = {};
+  for (const [shopifyField, bitrixField] of Object.entries(REQUISITE_ADDRESS_FIELDS)) {
+    if (address[shopifyField]) {
+      fields[bitrixField] = address[shopifyField];
+    }
+  }
+  const owner = { TYPE_ID: BITRIX_CONFIG.COMPANY_ADDRESS_TYPE_ID, ENTITY_TYPE_ID: ENTITY_TYPE_REQUISITE, ENTITY_ID: requisiteId };
+
+  const result = await callBitrixAPI(webhookUrl, 'crm.address.list', {
+    filter: owner,
+    select: ['TYPE_ID', ...Object.values(REQUISITE_ADDRESS_FIELDS)]
+  });
+  const existing = result.result?.[0];
+  if (!existing) {
+    await callBitrixAPI(webhookUrl, 'crm.address.add', { fields: { ...owner, ...fields } });
+    return 'added';
+  }
+  if (Object.entries(fields).some(([field, value]) => String(existing[field] || '') !== String(value))) {
+    await callBitrixAPI(webhookUrl, 'crm.address.update', { fields: { ...owner, ...fields } });
+    return 'updated';
+  }
+  return 'unchanged';
+}
+
+/**
+ * Create or complete the company requisite: VAT id (filled when empty, never overwritten) and address
+ * @param {string} webhookUrl - Bitrix webhook URL
+ * @param {number} companyId - Bitrix company ID
+ * @param {Object} company - Result of extractShopifyCompany
+ * @returns {Promise<Object>} { requisiteId, created, address: 'added'|'updated'|'unchanged'|null }
+ */
+export async function syncCompanyRequisite(webhookUrl, companyId, company) {
+  const vatField = BITRIX_CONFIG.COMPANY_VAT_FIELD;
+  const result = await callBitrixAPI(webhookUrl, 'crm.requisite.list', {
+    filter: { ENTITY_TYPE_ID: ENTITY_TYPE_COMPANY, ENTITY_ID: companyId },
+    select: ['ID', vatField],
+    order: { ID: 'ASC' }
+  });
+  let requisite = result.result?.[0];
+  let created = false;
+
+  if (!requisite) {
+    const added = await callBitrixAPI(webhookUrl, 'crm.requisite.add', {
+      fields: {
+        ENTITY_TYPE_ID: ENTITY_TYPE_COMPANY,
+        ENTITY_ID: companyId,
+        PRESET_ID: BITRIX_CONFIG.COMPANY_REQUISITE_PRESET_ID,
+        NAME: company.name,
+        RQ_COMPANY_NAME: company.name,
+        ...(company.vatId && { [vatField]: company.vatId })
+      }
+    });
+    requisite = { ID: added.result, [vatField]: company.vatId };
+    created = true;
+    console.log(`[BITRIX COMPANY] Created requisite ${requisite.ID} for company ${companyId}`);
+  } else if (company.vatId && normalizeVatId(requisite[vatField]) !== company.vatId) {
+    if (!requisite[vatField]) {
+      await callBitrixAPI(webhookUrl, 'crm.requisite.update', { id: requisite.ID, fields: { [vatField]: company.vatId } });
+      console.log(`[BITRIX COMPANY] Set ${vatField} ${company.vatId} on requisite ${requisite.ID}`);
+    } else {
+      console.warn(`[BITRIX COMPANY] Company ${companyId} has ${vatField} ${requisite[vatField]}, Shopify order has ${company.vatId} - keeping the Bitrix value`);
+    }
+  }
+
+  const address = company.address ? await syncRequisiteAddress(webhookUrl, parseInt(requisite.ID), company.address) : null;
+  return { requisiteId: parseInt(requisite.ID), created, address };
+}
+
+/**
+ * Link a contact to a company (no-op if already linked)
+ * @param {string} webhookUrl - Bitrix webhook URL
+ * @param {number} contactId - Bitrix contact ID
+ * @param {number} companyId - Bitrix company ID
+ * @returns {Promise<boolean>} true if a link was added
+ */
+export async function linkContactToCompany(webhookUrl, contactId, companyId) {
+  const result = await callBitrixAPI(webhookUrl, 'crm.contact.company.items.get', { id: contactId });
+  if ((result.result || []).some(item => Number(item.COMPANY_ID) === Number(companyId))) {
+    return false;
+  }
+  await callBitrixAPI(webhookUrl, 'crm.contact.company.add', { id: contactId, fields: { COMPANY_ID: companyId } });
+  console.log(`[BITRIX COMPANY] Linked contact ${contactId} to company ${companyId}`);
+  return true;
+}
+
+/**
+ * Upsert company of a B2B order - find or create, sync requisite, link the contact
+ * Lookup errors are thrown so a failed search never ends in a duplicate company
+ * @param {string} webhookUrl - Bitrix webhook URL
+ * @param {Object} order - Shopify order
+ * @param {Object} options - { contactId: contact of the order to link }
+ * @returns {Promise<number|null>} Company ID, null for private buyers
+ */
+export async function upsertBitrixCompany(webhookUrl, order, { contactId = null } = {}) {
+  let location = null;
+  if (order.company?.location_id) {
+    try {
+      location = await getCompanyLocation(order.company.location_id);
+    } catch (error) {
+      console.error(`[BITRIX COMPANY] Failed to load Shopify company location ${order.company.location_id}, using the billing address:`, error.message);
+    }
+  }
+
+  const company = extractShopifyCompany(order, location);
+  if (!company) {
+    return null;
+  }
+
+  // The requisite is find-or-create as well, so it stays under the lease
+  const companyId = await withLeaseOrRun(companyLeaseKey(company), async () => {
+    const match = await findBitrixCompany(webhookUrl, company);
+    let id;
+    if (match) {
+      id = match.companyId;
+      console.log(`[BITRIX COMPANY] Found existing company with ID: ${id} (by ${match.matchedBy})`);
+      if (company.shopifyCompanyId && match.matchedBy !== 'shopify_id') {
+        await callBitrixAPI(webhookUrl, 'crm.company.update', {
+          id,
+          fields: { ORIGINATOR_ID: ORIGINATOR_ID, ORIGIN_ID: String(company.shopifyCompanyId) }
+        });
+      }
+    } else {
+      id = await createBitrixCompany(webhookUrl, company);
+      console.log(`[BITRIX COMPANY] Created new company with ID: ${id} ("${company.name}")`);
+    }
+
+    try {
+      await syncCompanyRequisite(webhookUrl, id, company);
+    } catch (error) {
+      console.error(`[BITRIX COMPANY] Requisite sync for company ${id} failed (non-blocking):`, error);
+    }
+    return id;
+  }, { waitMs: COMPANY_LEASE_WAIT_MS });
+
+  if (contactId) {
+    try {
+      await linkContactToCompany(webhookUrl, contactId, companyId);
+    } catch (error) {
+      console.error(`[BITRIX COMPANY] Linking contact ${contactId} to company ${companyId} failed (non-blocking):`, error);
+    }
+  }
+
+  return companyId;
+}
@@ -16,6 +16,22 @@ export const BITRIX_CONFIG = {
     DEFAULT: 'NEW' // Default to NEW stage
   },
 
+  // Stage IDs per category (Bitrix prefixes stages of non-default funnels with "C{categoryId}:")
+  // Transitions between them are defined in stageMachine.js
+  STAGES_CAT_2: {
+    NEW: 'C2:NEW',
+    PREPARATION: 'C2:PREPARATION',
+    EXECUTING: 'C2:EXECUTING', // Manager moves here → fulfillment is created in Shopify
+    WON: 'C2:WON',
+    LOSE: 'C2:LOSE'
+  },
+  STAGES_CAT_8: {
+    NEW: 'C8:NEW',
+    PREPARATION: 'C8:PREPARATION', // Paid, waiting for stock
+    WON: 'C8:WON',
+    LOSE: 'C8:LOSE'
+  },
+
   // Source IDs mapping
   SOURCES: {
     SHOPIFY_DRAFT_ORDER: 'WEB', // Use WEB for draft orders
@@ -25,6 +41,67 @@ export const BITRIX_CONFIG = {
   // Product ID for shipping (from working script)
   SHIPPING_PRODUCT_ID: 3000, // Real shipping product ID
 
+  // Catalog products synced from Shopify (products/* webhooks, SKU resolver)
+  // Article property code, e.g. 'PROPERTY_105' (XML_ID always holds the SKU)
+  PRODUCT_ARTICLE_FIELD: process.env.BITRIX_PRODUCT_ARTICLE_FIELD || null,
+  PRODUCT_SECTION_ID: process.env.BITRIX_PRODUCT_SECTION_ID || null, // Section for new products
+  // PROPERTY_<id> codes from crm.product.fields (null = not filled): BITRIX_PRODUCT_PROPERTY_SIZE,
+  // BITRIX_PRODUCT_PROPERTY_COLOR, BITRIX_PRODUCT_PROPERTY_BRAND, BITRIX_PRODUCT_PROPERTY_VARIANT_ID
+  PRODUCT_PROPERTIES: {
+    SIZE: process.env.BITRIX_PRODUCT_PROPERTY_SIZE || null, // Variant option "Size" / "Размер"
+    COLOR: process.env.BITRIX_PRODUCT_PROPERTY_COLOR || null, // Variant option "Color" / "Цвет"
+    BRAND: process.env.BITRIX_PRODUCT_PROPERTY_BRAND || null, // product.vendor
+    SHOPIFY_VARIANT_ID: process.env.BITRIX_PRODUCT_PROPERTY_VARIANT_ID || null
+  },
+
+  // Deal UF fields with shipment tracking, sent to the Shopify fulfillment
+  TRACKING_FIELDS: {
+    NUMBER: process.env.BITRIX_TRACKING_NUMBER_FIELD || null,
+    CARRIER: process.env.BITRIX_TRACKING_CARRIER_FIELD || null, // String, or enum mapped via TRACKING_CARRIERS
+    URL: process.env.BITRIX_TRACKING_URL_FIELD || null
+  },
+  // Enum item ID → Shopify tracking company (only needed when the carrier field is a list)
+  TRACKING_CARRIERS: {
+    // '70': 'DHL Express',
+  },
+  // Deal UF field naming the Shopify location a shipment leaves from (null = Shopify's assignment)
+  FULFILLMENT_LOCATION_FIELD: process.env.BITRIX_FULFILLMENT_LOCATION_FIELD || null,
+  // Enum item ID → Shopify location ID (a plain numeric field value is used as the location ID)
+  FULFILLMENT_LOCATIONS: {
+    // '80': '71234567890', // Warehouse
+  },
+  // Deal UF field managers put MW action JSON into (see sync/bitrixDeals.js)
+  MW_ACTION_FIELD: 'UF_MW_SHOPIFY_ACTION',
+  // Deal UF fields the outcome of an MW action is written to (see sync/mwOutcome.js)
+  MW_RESULT_FIELDS: {
+    STATUS: process.env.BITRIX_MW_RESULT_STATUS_FIELD || null, // "success" / "error"
+    MESSAGE: process.env.BITRIX_MW_RESULT_MESSAGE_FIELD || null, // Outcome text with Shopify IDs
+    ARCHIVE: process.env.BITRIX_MW_ACTION_ARCHIVE_FIELD || null // Last processed action JSON (action field is cleared)
+  },
+  // Deal UF fields a refund preview (refund_create, mode "preview") is written to, besides the timeline comment
+  REFUND_PREVIEW_FIELDS: {
+    AMOUNT: process.env.BITRIX_REFUND_PREVIEW_AMOUNT_FIELD || null, // Money field ("amount|currency")
+    DETAILS: process.env.BITRIX_REFUND_PREVIEW_DETAILS_FIELD || null // Text field (breakdown + confirm payload)
+  },
+  // Contact UF fields filled from Shopify customers (customers/* webhooks, see sync/shopifyCustomers.js)
+  CONTACT_FIELDS: {
+    TAGS: process.env.BITRIX_CONTACT_TAGS_FIELD || null, // String: customer tags
+    EMAIL_MARKETING: process.env.BITRIX_CONTACT_EMAIL_MARKETING_FIELD || null, // Boolean: e-mail marketing subscribed
+    SMS_MARKETING: process.env.BITRIX_CONTACT_SMS_MARKETING_FIELD || null, // Boolean: SMS marketing subscribed
+    TOTAL_SPENT: process.env.BITRIX_CONTACT_TOTAL_SPENT_FIELD || null, // Money field ("amount|currency")
+    ORDERS_COUNT: process.env.BITRIX_CONTACT_ORDERS_COUNT_FIELD || null // Integer
+  },
+  // Companies of B2B orders (see company.js): requisite preset (crm.requisite.preset.list),
+  // requisite field holding the VAT id and address type of the requisite address (6 = legal)
+  COMPANY_REQUISITE_PRESET_ID: Number(process.env.BITRIX_COMPANY_REQUISITE_PRESET_ID) || 1,
+  COMPANY_VAT_FIELD: process.env.BITRIX_COMPANY_VAT_FIELD || 'RQ_VAT_ID',
+  COMPANY_ADDRESS_TYPE_ID: 6,
+  // Shopify shipping notification per category on fulfillment create and tracking edits
+  TRACKING_NOTIFY_CUSTOMER: {
+    2: true, // Stock
+    8: true // Pre-order
+  },
+
   // SKU to Product ID mapping
   // TODO: Replace with actual product IDs from Bitrix24
   SKU_TO_PRODUCT_ID: {
@@ -34,8 +111,8 @@ export const BITRIX_CONFIG = {
   }
 };
 
-// Financial status to stage ID mapping
-// Note: categoryId parameter is accepted for future use if different categories have different stage mappings
+// Financial status to stage ID mapping (flat, category-less)
+// Kept for the legacy dealMapper; category-aware stage selection with transition checks lives in stageMachine.js
 export const financialStatusToStageId = (financialStatus, categoryId = null) => {
   const status = financialStatus?.toLowerCase() || '';
   const mapping = {
@@ -50,23 +127,6 @@ export const financialStatusToStageId = (financialStatus, categoryId = null) =>
   return mapping[status] || BITRIX_CONFIG.STAGES.DEFAULT;
 };
 
-// Financial status to payment status enum ID mapping
-// Bitrix field: UF_CRM_1739183959976 (Payment status)
-// Values: "56" = "Paid", "58" = "Unpaid", "60" = "10% prepayment"
-export const financialStatusToPaymentStatus = (financialStatus) => {
-  const status = financialStatus?.toLowerCase() || '';
-  const mapping = {
-    'paid': '56', // Paid - полная оплата
-    'pending': '58', // Unpaid - не оплачен
-    'partially_paid': '60', // 10% prepayment - частичная оплата
-    'refunded': '58', // Unpaid - после полного возврата не оплачен
-    'partially_refunded': '60', // 10% prepayment - частично возвращен, но частично оплачен
-    'cancelled': '58', // Unpaid - отменен, не оплачен
-    'voided': '58' // Unpaid - аннулирован
-  };
-  return mapping[status] || '58'; // Default to Unpaid
-};
-
 // Source name to source ID mapping
 export const sourceNameToSourceId = (sourceName) => {
   const source = sourceName?.toLowerCase() || '';
@@ -1,9 +1,210 @@
 /**
  * Bitrix24 Contact Management
  * Handles contact upsert logic
+ *
+ * Matching order (first strategy that finds something decides):
+ * 0. Shopify customer id already linked to a contact (customerLinks.js, ORIGIN_ID)
+ * 1. exact e-mail
+ * 2. phone normalized to E.164
+ * 3. fuzzy first/last name + city (confidence score, see contactMatch.js)
+ * Ambiguous matches are flagged for review (contactReview.js) and no contact is created.
+ * A matched contact is updated from the order when Shopify data is newer than the contact.
  */
 
 import { callBitrixAPI } from './client.js';
+import { BITRIX_CONFIG } from './config.js';
+import { getDealFieldId } from './fieldMapping.js';
+import { getCustomerLink, linkCustomerToContact, unlinkCustomer } from './customerLinks.js';
+import { withLeaseOrRun } from '../locks/index.js';
+import { normalizePhoneE164 } from '../utils/phone.js';
+import { decideContactMatch, contactEmails, contactPhones, normalizeText } from './contactMatch.js';
+import { flagContactReview, getContactReview, updateContactReview, CONTACT_REVIEW_STATUSES } from './contactReview.js';
+
+const CONTACT_SELECT = [
+  'ID', 'NAME', 'LAST_NAME', 'EMAIL', 'PHONE', 'DATE_MODIFY', 'ORIGINATOR_ID', 'ORIGIN_ID',
+  'ADDRESS', 'ADDRESS_2', 'ADDRESS_CITY', 'ADDRESS_POSTAL_CODE', 'ADDRESS_PROVINCE', 'ADDRESS_COUNTRY', 'ADDRESS_COUNTRY_CODE',
+  ...Object.values(BITRIX_CONFIG.CONTACT_FIELDS).filter(Boolean)
+];
+
+// ORIGINATOR_ID of contacts linked to a Shopify customer (ORIGIN_ID = customer id)
+const ORIGINATOR_ID = 'shopify';
+// Serializes customers/create and orders/create of a new customer, which arrive together
+const CUSTOMER_LEASE_WAIT_MS = 30 * 1000;
+
+// Shopify address field → Bitrix contact address field
+const ADDRESS_FIELDS = {
+  address1: 'ADDRESS',
+  address2: 'ADDRESS_2',
+  city: 'ADDRESS_CITY',
+  zip: 'ADDRESS_POSTAL_CODE',
+  province: 'ADDRESS_PROVINCE',
+  country: 'ADDRESS_COUNTRY',
+  country_code: 'ADDRESS_COUNTRY_CODE'
+};
+
+/**
+ * Customer data of a Shopify order used for matching and contact fields
+ * @param {Object} shopifyOrder - Shopify order object
+ * @returns {Object} { shopifyCustomerId, firstName, lastName, email, phone (E.164|null), rawPhone, countryCode, address, updatedAt }
+ */
+export function extractShopifyContact(shopifyOrder) {
+  const customer = shopifyOrder.customer || {};
+  const billingAddress = shopifyOrder.billing_address || {};
+  const shippingAddress = shopifyOrder.shipping_address || {};
+  const address = shippingAddress.address1 ? shippingAddress : billingAddress;
+
+  const email = customer.email || shopifyOrder.email || shopifyOrder.contact_email || billingAddress.email || null;
+  const rawPhone = customer.phone || shopifyOrder.phone || billingAddress.phone || shippingAddress.phone || null;
+  const countryCode = shippingAddress.country_code || billingAddress.country_code || customer.default_address?.country_code || null;
+
+  return {
+    shopifyCustomerId: customer.id ? String(customer.id) : null,
+    firstName: customer.first_name || billingAddress.first_name || shippingAddress.first_name || '',
+    lastName: customer.last_name || billingAddress.last_name || shippingAddress.last_name || '',
+    email: email ? String(email).trim().toLowerCase() : null,
+    phone: normalizePhoneE164(rawPhone, countryCode),
+    rawPhone,
+    countryCode,
+    address: address.address1 ? {
+      address1: address.address1,
+      address2: address.address2,
+      city: address.city,
+      zip: address.zip,
+      province: address.province,
+      country: address.country,
+      country_code: address.country_code
+    } : null,
+    updatedAt: customer.updated_at || shopifyOrder.updated_at || shopifyOrder.created_at || null
+  };
+}
+
+/**
+ * Contacts by id with the fields used for matching and sync
+ * @param {string} webhookUrl - Bitrix webhook URL
+ * @param {Array} ids - Contact ids
+ * @returns {Promise<Array>} Bitrix contacts
+ */
+export async function getContactsByIds(webhookUrl, ids) {
+  if (ids.length === 0) {
+    return [];
+  }
+  const result = await callBitrixAPI(webhookUrl, 'crm.contact.list', {
+    filter: { ID: ids },
+    select: CONTACT_SELECT
+  });
+  return result.result || [];
+}
+
+// crm.duplicate.findbycomm normalizes phones/e-mails the same way the Bitrix duplicate check does
+async function findContactsByComm(webhookUrl, type, values) {
+  const result = await callBitrixAPI(webhookUrl, 'crm.duplicate.findbycomm', {
+    entity_type: 'CONTACT',
+    type,
+    values
+  });
+  return getContactsByIds(webhookUrl, result.result?.CONTACT || []);
+}
+
+async function findContactsByLastName(webhookUrl, lastName) {
+  const result = await callBitrixAPI(webhookUrl, 'crm.contact.list', {
+    filter: { '%LAST_NAME': lastName.trim() },
+    select: CONTACT_SELECT
+  });
+  return result.result || [];
+}
+
+/**
+ * Contact linked to a Shopify customer: link store, then ORIGIN_ID (restores a lost link)
+ * A link to a contact deleted in Bitrix is dropped
+ * @param {string} webhookUrl - Bitrix webhook URL
+ * @param {string|number} shopifyCustomerId - Shopify customer id
+ * @returns {Promise<Object|null>} Bitrix contact (CONTACT_SELECT fields)
+ */
+export async function findContactByShopifyCustomer(webhookUrl, shopifyCustomerId) {
+  if (!shopifyCustomerId) {
+    return null;
+  }
+
+  const link = getCustomerLink(shopifyCustomerId);
+  if (link) {
+    const [contact] = await getContactsByIds(webhookUrl, [link.contactId]);
+    if (contact) {
+      return contact;
+    }
+    console.warn(`[BITRIX CONTACT] Contact ${link.contactId} linked to Shopify customer ${shopifyCustomerId} no longer exists, unlinking`);
+    await unlinkCustomer(shopifyCustomerId);
+  }
+
+  const result = await callBitrixAPI(webhookUrl, 'crm.contact.list', {
+    filter: { ORIGINATOR_ID, ORIGIN_ID: String(shopifyCustomerId) },
+    select: CONTACT_SELECT,
+    order: { ID: 'ASC' }
+  });
+  const contact = result.result?.[0] || null;
+  if (contact) {
+    await linkCustomerToContact(shopifyCustomerId, parseInt(contact.ID), 'origin');
+  }
+  return contact;
+}
+
+/**
+ * Record that a contact belongs to a Shopify customer: link store, and ORIGIN_ID if the contact has none
+ * @param {string} webhookUrl - Bitrix webhook URL
+ * @param {Object} contact - Bitrix contact (CONTACT_SELECT fields)
+ * @param {string|number} shopifyCustomerId - Shopify customer id
+ * @param {string} source - 'customer' | 'order' | 'review'
+ */
+export async function rememberCustomerContact(webhookUrl, contact, shopifyCustomerId, source) {
+  await linkCustomerToContact(shopifyCustomerId, parseInt(contact.ID), source);
+  if (!contact.ORIGIN_ID) {
+    await callBitrixAPI(webhookUrl, 'crm.contact.update', {
+      id: contact.ID,
+      fields: { ORIGINATOR_ID, ORIGIN_ID: String(shopifyCustomerId) }
+    });
+  }
+}
+
+/**
+ * Undo rememberCustomerContact for a customer deleted in Shopify: drop the link and clear
+ * ORIGINATOR_ID / ORIGIN_ID on the contacts carrying the customer id, otherwise
+ * findContactByShopifyCustomer would restore the link from ORIGIN_ID
+ * @param {string} webhookUrl - Bitrix webhook URL
+ * @param {string|number} shopifyCustomerId - Shopify customer id
+ * @returns {Promise<Object>} { contactId: linked contact (else the first cleared one), clearedContactIds }
+ */
+export async function forgetCustomerContact(webhookUrl, shopifyCustomerId) {
+  const link = await unlinkCustomer(shopifyCustomerId);
+
+  const result = await callBitrixAPI(webhookUrl, 'crm.contact.list', {
+    filter: { ORIGINATOR_ID, ORIGIN_ID: String(shopifyCustomerId) },
+    select: ['ID'],
+    order: { ID: 'ASC' }
+  });
+  const clearedContactIds = [];
+  for (const contact of result.result || []) {
+    await callBitrixAPI(webhookUrl, 'crm.contact.update', {
+      id: contact.ID,
+      fields: { ORIGINATOR_ID: '', ORIGIN_ID: '' }
+    });
+    clearedContactIds.push(parseInt(contact.ID));
+  }
+
+  return { contactId: link?.contactId || clearedContactIds[0] || null, clearedContactIds };
+}
+
+/**
+ * Run fn under the lease of a Shopify customer, so a customer event and an order of the same
+ * new customer can't both create a contact; runs unlocked if the lease is not available
+ * @param {string|number|null} shopifyCustomerId - Shopify customer id (no id - no lease)
+ * @param {Function} fn - Async function
+ * @returns {Promise<*>} fn result
+ */
+export async function withCustomerLease(shopifyCustomerId, fn) {
+  if (!shopifyCustomerId) {
+    return fn();
+  }
+  return withLeaseOrRun(`customer:${shopifyCustomerId}`, fn, { waitMs: CUSTOMER_LEASE_WAIT_MS });
+}
 
 /**
  * Find contact by email
@@ -17,26 +218,123 @@ export async function findContactByEmail(webhookUrl, email) {
   }
 
   try {
-    const result = await callBitrixAPI(webhookUrl, 'crm.contact.list', {
-      filter: { EMAIL: email },
-      select: ['ID', 'NAME', 'LAST_NAME', 'EMAIL']
-    });
-
-    if (result.result && result.result.length > 0) {
-      return parseInt(result.result[0].ID);
-    }
-
-    return null;
+    const contacts = await findContactsByComm(webhookUrl, 'EMAIL', [String(email).trim().toLowerCase()]);
+    const match = decideContactMatch({}, contacts, 'email');
+    return match.contact ? parseInt(match.contact.ID) : null;
   } catch (error) {
     console.error('[BITRIX CONTACT] Error finding contact by email:', error);
     return null;
   }
 }
 
+/**
+ * Match the order customer against existing contacts: e-mail → phone → name + city
+ * Lookup errors are thrown so a failed search never ends in a duplicate contact
+ * @param {string} webhookUrl - Bitrix webhook URL
+ * @param {Object} person - Result of extractShopifyContact
+ * @returns {Promise<Object>} { contact, contactId, matchedBy, confidence, ambiguous, candidates }
+ */
+export async function matchBitrixContact(webhookUrl, person) {
+  const phones = [...new Set([person.phone, person.rawPhone].filter(Boolean))];
+  const strategies = [
+    ['email', person.email && (() => findContactsByComm(webhookUrl, 'EMAIL', [person.email]))],
+    ['phone', phones.length > 0 && (() => findContactsByComm(webhookUrl, 'PHONE', phones))],
+    ['name_city', normalizeText(person.lastName).length >= 2 && person.address?.city && (() => findContactsByLastName(webhookUrl, person.lastName))]
+  ];
+
+  for (const [matchedBy, load] of strategies) {
+    if (!load) continue;
+    const decision = decideContactMatch(person, await load(), matchedBy);
+    if (decision.contact || decision.ambiguous) {
+      return {
+        ...decision,
+        contactId: decision.contact ? parseInt(decision.contact.ID) : null,
+        matchedBy
+      };
+    }
+  }
+  return { contact: null, contactId: null, matchedBy: null, confidence: 0, ambiguous: false, candidates: [] };
+}
+
+/**
+ * Contact fields that differ from the Shopify data
+ * Names and address are replaced, a new e-mail/phone is added next to the existing ones
+ * @param {Object} contact - Bitrix contact (CONTACT_SELECT fields)
+ * @param {Object} person - Result of extractShopifyContact
+ * @param {Object} extraFields - Further fields to set when they differ (UF fields of customers/* events)
+ * @returns {Object} Fields for crm.contact.update (empty when nothing changed)
+ */
+export function buildContactUpdate(contact, person, extraFields = {}) {
+  const fields = {};
+  if (person.firstName && normalizeText(person.firstName) !== normalizeText(contact.NAME)) {
+    fields.NAME = person.firstName;
+  }
+  if (person.lastName && normalizeText(person.lastName) !== normalizeText(contact.LAST_NAME)) {
+    fields.LAST_NAME = person.lastName;
+  }
+  if (person.email && !contactEmails(contact).includes(person.email)) {
+    fields.EMAIL = [{ VALUE: person.email, VALUE_TYPE: 'WORK' }];
+  }
+  if (person.phone && !contactPhones(contact, person.countryCode).includes(person.phone)) {
+    fields.PHONE = [{ VALUE: person.phone, VALUE_TYPE: 'WORK' }];
+  } else if (!person.phone && person.rawPhone) {
+    // Not normalizable (unknown country): compare digits only
+    const digits = value => String(value || '').replace(/\D/g, '');
+    if (!(contact.PHONE || []).some(phone => digits(phone.VALUE) === digits(person.rawPhone))) {
+      fields.PHONE = [{ VALUE: person.rawPhone, VALUE_TYPE: 'WORK' }];
+    }
+  }
+  if (person.address) {
+    for (const [shopifyField, bitrixField] of Object.entries(ADDRESS_FIELDS)) {
+      const value = String(person.address[shopifyField] || '').trim();
+      if (value && value !== String(contact[bitrixField] || '').trim()) {
+        fields[bitrixField] = value;
+      }
+    }
+  }
+  return { ...fields, ...changedExtraFields(contact, extraFields) };
+}
+
+function changedExtraFields(contact, extraFields) {
+  const fields = {};
+  for (const [field, value] of Object.entries(extraFields)) {
+    if (String(value ?? '') !== String(contact[field] ?? '')) {
+      fields[field] = value;
+    }
+  }
+  return fields;
+}
+
+/**
+ * Update a matched contact from the order when Shopify has newer data than Bitrix
+ * @param {string} webhookUrl - Bitrix webhook URL
+ * @param {Object} contact - Bitrix contact (CONTACT_SELECT fields)
+ * @param {Object} person - Result of extractShopifyContact
+ * @param {Object} extraFields - Shopify-owned fields (see buildContactUpdate), written even when Bitrix is newer
+ * @returns {Promise<Object>} { updated, fields, reason }
+ */
+export async function syncContactFields(webhookUrl, contact, person, extraFields = {}) {
+  const shopifyUpdatedAt = Date.parse(person.updatedAt);
+  const bitrixUpdatedAt = Date.parse(contact.DATE_MODIFY);
+  const bitrixNewer = Number.isFinite(shopifyUpdatedAt) && Number.isFinite(bitrixUpdatedAt) && shopifyUpdatedAt <= bitrixUpdatedAt;
+  if (bitrixNewer) {
+    console.log(`[BITRIX CONTACT] Contact ${contact.ID} changed in Bitrix after the Shopify data (${contact.DATE_MODIFY}), keeping its names, communications and address`);
+  }
+
+  const fields = bitrixNewer ? changedExtraFields(contact, extraFields) : buildContactUpdate(contact, person, extraFields);
+  if (Object.keys(fields).length === 0) {
+    return { updated: false, fields: [], reason: bitrixNewer ? 'bitrix_newer' : 'unchanged' };
+  }
+
+  await callBitrixAPI(webhookUrl, 'crm.contact.update', { id: contact.ID, fields });
+  console.log(`[BITRIX CONTACT] Updated contact ${contact.ID} from Shopify: ${Object.keys(fields).join(', ')}`);
+  return { updated: true, fields: Object.keys(fields), reason: null };
+}
+
 /**
  * Create contact in Bitrix24
  * @param {string} webhookUrl - Bitrix webhook URL
- * @param {Object} contactData - Contact data
+ * @param {Object} contactData - Contact data (extraFields - further fields as is)
  * @returns {Promise<number|null>} Created contact ID or null on error
  */
 export async function createContact(webhookUrl, contactData) {
@@ -58,16 +356,13 @@ export async function createContact(webhookUrl, contactData) {
 
     // Add address if available
     if (contactData.address) {
-      const addr = contactData.address;
-      fields.ADDRESS = {
-        ADDRESS_1: addr.address1 || '',
-        ADDRESS_2: addr.address2 || '',
-        CITY: addr.city || '',
-        POSTAL_CODE: addr.zip || '',
-        COUNTRY: addr.country || '',
-        PROVINCE: addr.province || ''
-      };
+      for (const [shopifyField, bitrixField] of Object.entries(ADDRESS_FIELDS)) {
+        if (contactData.address[shopifyField]) {
+          fields[bitrixField] = contactData.address[shopifyField];
+        }
+      }
     }
+    Object.assign(fields, contactData.extraFields);
 
     const result = await callBitrixAPI(webhookUrl, 'crm.contact.add', { fields });
 
@@ -83,53 +378,89 @@ export async function createContact(webhookUrl, contactData) {
 }
 
 /**
- * Upsert contact - find by email or create new
+ * Create a contact from extracted Shopify data, marked with the Shopify customer id
+ * @param {string} webhookUrl - Bitrix webhook URL
+ * @param {Object} person - Result of extractShopifyContact / extractShopifyCustomer
+ * @param {Object} extraFields - Further fields (UF fields of customers/* events)
+ * @param {string} source - Link source, see linkCustomerToContact
+ * @returns {Promise<number|null>} Created contact ID or null on error
+ */
+export async function createContactForPerson(webhookUrl, person, extraFields = {}, source = 'order') {
+  const contactId = await createContact(webhookUrl, {
+    firstName: person.firstName,
+    lastName: person.lastName,
+    email: person.email,
+    phone: person.phone || person.rawPhone,
+    address: person.address,
+    extraFields: {
+      ...(person.shopifyCustomerId && { ORIGINATOR_ID, ORIGIN_ID: String(person.shopifyCustomerId) }),
+      ...extraFields
+    }
+  });
+  if (contactId && person.shopifyCustomerId) {
+    await linkCustomerToContact(person.shopifyCustomerId, contactId, source);
+  }
+  return contactId;
+}
+
+/**
+ * Upsert contact - match an existing one (e-mail → phone → name + city) or create new
  * @param {string} webhookUrl - Bitrix webhook URL
  * @param {Object} shopifyOrder - Shopify order object
- * @returns {Promise<number|null>} Contact ID or null
+ * @param {Object} options - { flagAmbiguous: record ambiguous matches for review (default true) }
+ * @returns {Promise<number|null>} Contact ID or null (no customer data, ambiguous match, create failed)
  */
-export async function upsertBitrixContact(webhookUrl, shopifyOrder) {
-  // Get email from order
-  const email = shopifyOrder.customer?.email || 
-                shopifyOrder.email || 
-                shopifyOrder.billing_address?.email || 
-                null;
+export async function upsertBitrixContact(webhookUrl, shopifyOrder, { flagAmbiguous = true } = {}) {
+  const person = extractShopifyContact(shopifyOrder);
 
-  if (!email) {
-    console.log('[BITRIX CONTACT] No email found in order, skipping contact creation');
+  if (!person.email && !person.rawPhone && !person.lastName) {
+    console.log('[BITRIX CONTACT] No email, phone or name found in order, skipping contact creation');
     return null;
   }
 
-  // Try to find existing contact
-  let contactId = await findContactByEmail(webhookUrl, email);
+  return withCustomerLease(person.shopifyCustomerId, () => upsertPersonContact(webhookUrl, shopifyOrder, person, flagAmbiguous));
+}
 
-  if (contactId) {
-    console.log(`[BITRIX CONTACT] Found existing contact with ID: ${contactId}`);
-    return contactId;
+async function upsertPersonContact(webhookUrl, shopifyOrder, person, flagAmbiguous) {
+  const linked = await findContactByShopifyCustomer(webhookUrl, person.shopifyCustomerId);
+  const match = linked
+    ? { contact: linked, contactId: parseInt(linked.ID), matchedBy: 'customer_link', confidence: 1 }
+    : await matchBitrixContact(webhookUrl, person);
+
+  if (match.contact) {
+    console.log(`[BITRIX CONTACT] Found existing contact with ID: ${match.contactId} (by ${match.matchedBy}, confidence ${match.confidence.toFixed(2)})`);
+    try {
+      await syncContactFields(webhookUrl, match.contact, person);
+      if (person.shopifyCustomerId && !linked) {
+        await rememberCustomerContact(webhookUrl, match.contact, person.shopifyCustomerId, 'order');
+      }
+    } catch (syncError) {
+      console.error(`[BITRIX CONTACT] Contact ${match.contactId} update failed (non-blocking):`, syncError);
+    }
+    return match.contactId;
   }
 
-  // Create new contact
-  const customer = shopifyOrder.customer || {};
-  const billingAddress = shopifyOrder.billing_address || {};
-  const shippingAddress = shopifyOrder.shipping_address || {};
-  const address = shippingAddress.address1 ? shippingAddress : billingAddress;
+  if (match.ambiguous) {
+    console.warn(`[BITRIX CONTACT] Ambiguous ${match.matchedBy} match for order ${shopifyOrder.name || shopifyOrder.id}: ${match.candidates.map(candidate => `${candidate.id} (${candidate.score})`).join(', ')} - not creating a contact`);
+    if (flagAmbiguous && shopifyOrder.id) {
+      await flagContactReview({
+        shopifyOrderId: shopifyOrder.id,
+        orderName: shopifyOrder.name || null,
+        person,
+        matchedBy: match.matchedBy,
+        candidates: match.candidates
+      });
+    }
+    return null;
+  }
 
-  const contactData = {
-    firstName: customer.first_name || billingAddress.first_name || '',
-    lastName: customer.last_name || billingAddress.last_name || '',
-    email: email,
-    phone: customer.phone || billingAddress.phone || null,
-    address: address.address1 ? {
-      address1: address.address1,
-      address2: address.address2,
-      city: address.city,
-      zip: address.zip,
-      province: address.province,
-      country: address.country
-    } : null
-  };
+  if (!person.email && !person.rawPhone) {
+    console.log('[BITRIX CONTACT] No email or phone found in order and no contact matched by name, skipping contact creation');
+    return null;
+  }
 
-  contactId = await createContact(webhookUrl, contactData);
+  // Create new contact
+  const contactId = await createContactForPerson(webhookUrl, person);
 
   if (contactId) {
     console.log(`[BITRIX CONTACT] Created new contact with ID: ${contactId}`);
@@ -140,3 +471,77 @@ export async function upsertBitrixContact(webhookUrl, shopifyOrder) {
   return contactId;
 }
 
+function reviewError(message) {
+  const error = new Error(message);
+  error.errorType = 'VALIDATION';
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Resolve a flagged ambiguous match: link an existing contact, create a new one or dismiss
+ * The deal of the order (if it exists by now) gets the contact
+ * @param {string} webhookUrl - Bitrix webhook URL
+ * @param {string} id - Review entry id
+ * @param {Object} resolution - { action: 'link'|'create'|'dismiss', contactId (for link), actor }
+ * @returns {Promise<Object|null>} Updated review entry, null if not found
+ */
+export async function resolveContactReview(webhookUrl, id, { action, contactId = null, actor = 'unknown' }) {
+  const entry = getContactReview(id);
+  if (!entry) {
+    return null;
+  }
+  if (entry.status !== CONTACT_REVIEW_STATUSES.OPEN) {
+    throw reviewError(`Review ${id} is already ${entry.status}`);
+  }
+
+  const resolution = { action, contactId: null, dealId: null, actor, at: new Date().toISOString() };
+  let status;
+  if (action === 'dismiss') {
+    status = CONTACT_REVIEW_STATUSES.DISMISSED;
+  } else if (action === 'link') {
+    const [contact] = contactId ? await getContactsByIds(webhookUrl, [contactId]) : [];
+    if (!contact) {
+      throw reviewError(`Contact ${contactId} not found`);
+    }
+    await syncContactFields(webhookUrl, contact, entry.person);
+    if (entry.person.shopifyCustomerId) {
+      await rememberCustomerContact(webhookUrl, contact, entry.person.shopifyCustomerId, 'review');
+    }
+    resolution.contactId = parseInt(contact.ID);
+    status = CONTACT_REVIEW_STATUSES.LINKED;
+  } else if (action === 'create') {
+    resolution.contactId = await createContactForPerson(webhookUrl, entry.person, {}, 'review');
+    if (!resolution.contactId) {
+      throw new Error('Failed to create contact');
+    }
+    status = CONTACT_REVIEW_STATUSES.CREATED;
+  } else {
+    throw reviewError(`Unknown action: ${action}`);
+  }
+
+  if (resolution.contactId) {
+    const deals = await callBitrixAPI(webhookUrl, 'crm.deal.list', {
+      filter: { [getDealFieldId('shopifyOrderId')]: entry.shopifyOrderId },
+      select: ['ID', 'CONTACT_ID']
+    });
+    const deal = deals.result?.[0];
+    if (deal) {
+      await callBitrixAPI(webhookUrl, 'crm.deal.update', { id: deal.ID, fields: { CONTACT_ID: resolution.contactId } });
+      resolution.dealId = parseInt(deal.ID);
+    }
+  }
+
+  const updated = await updateContactReview(id, { status, resolution });
+  console.log(JSON.stringify({
+    event: 'CONTACT_REVIEW_RESOLVED',
+    reviewId: id,
+    shopifyOrderId: entry.shopifyOrderId,
+    action,
+    contactId: resolution.contactId,
+    dealId: resolution.dealId,
+    actor,
+    timestamp: resolution.at
+  }));
+  return updated;
+}
@@ -0,0 +1,210 @@
+/**
+ * Contact Matching
+ * Pure scoring of Bitrix contact candidates against the customer of a Shopify order.
+ * No Bitrix calls here - contact.js loads the candidates (email → phone → name + city)
+ * and decides with these helpers whether a candidate is a confident match, an ambiguous
+ * one (flagged for review) or no match (a new contact is created).
+ *
+ * Scores are 0..1:
+ * - name: Jaro-Winkler of first and last name (also tried swapped), diacritics and case ignored
+ * - name + city: 0.7 * name + 0.3 * city, only when both sides have a city
+ */
+
+import { normalizePhoneE164 } from '../utils/phone.js';
+
+// Fuzzy name + city: auto-link at or above, review between REVIEW and AUTO
+export const NAME_CITY_AUTO_THRESHOLD = 0.93;
+export const NAME_CITY_REVIEW_THRESHOLD = 0.8;
+// Phone match whose name scores below this is treated as a different person (family phone, reassigned number):
+// no match, the search goes on with name + city. A shared last name alone scores 0.5, so the first name has to be close as well
+export const PHONE_NAME_MATCH_THRESHOLD = 0.85;
+// Name createContact falls back to when the order has none
+const PLACEHOLDER_NAME = 'shopify customer';
+
+/**
+ * Lowercase, strip diacritics and punctuation, collapse whitespace
+ * @param {string} value - Name or city
+ * @returns {string}
+ */
+export function normalizeText(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Jaro-Winkler similarity of two normalized strings
+ * @returns {number} 0..1
+ */
+export function jaroWinkler(a, b) {
+  if (!a || !b) {
+    return 0;
+  }
+  if (a === b) {
+    return 1;
+  }
+
+  const matchWindow = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+  let matches = 0;
+  for (let i = 0; i < a.length; i++) {
+    const from = Math.max(0, i - matchWindow);
+    const to = Math.min(b.length - 1, i + matchWindow);
+    for (let j = from; j <= to; j++) {
+      if (!bMatched[j] && a[i] === b[j]) {
+        aMatched[i] = true;
+        bMatched[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+  if (matches === 0) {
+    return 0;
+  }
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+/**
+ * Name similarity, tolerant to first/last name swapped between the systems
+ * @param {Object} person - { firstName, lastName }
+ * @param {Object} contact - Bitrix contact (NAME, LAST_NAME)
+ * @returns {number|null} 0..1, or null when either side has no name to compare
+ */
+export function nameScore(person, contact) {
+  const first = normalizeText(person.firstName);
+  const last = normalizeText(person.lastName);
+  const contactFirst = normalizeText(contact.NAME);
+  const contactLast = normalizeText(contact.LAST_NAME);
+  if (!(first || last) || !(contactFirst || contactLast) || `${contactFirst} ${contactLast}` === PLACEHOLDER_NAME) {
+    return null;
+  }
+
+  const pairScore = (x1, x2, y1, y2) => {
+    const scores = [];
+    if (x1 || y1) scores.push(jaroWinkler(x1, y1));
+    if (x2 || y2) scores.push(jaroWinkler(x2, y2));
+    return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  };
+  return Math.max(
+    pairScore(first, last, contactFirst, contactLast),
+    pairScore(first, last, contactLast, contactFirst)
+  );
+}
+
+/**
+ * Name + city score of a candidate found by last name
+ * @param {Object} person - { firstName, lastName, address: { city } }
+ * @param {Object} contact - Bitrix contact (NAME, LAST_NAME, ADDRESS_CITY)
+ * @returns {number} 0..1 (0 when a name or city is missing on either side)
+ */
+export function nameCityScore(person, contact) {
+  const name = nameScore(person, contact);
+  const city = normalizeText(person.address?.city);
+  const contactCity = normalizeText(contact.ADDRESS_CITY);
+  if (name === null || !city || !contactCity) {
+    return 0;
+  }
+  return 0.7 * name + 0.3 * jaroWinkler(city, contactCity);
+}
+
+/**
+ * Phone numbers of a Bitrix contact in E.164
+ * @param {Object} contact - Bitrix contact (PHONE multifield, ADDRESS_COUNTRY_CODE)
+ * @param {string} countryCode - Fallback country for national numbers
+ * @returns {Array<string>}
+ */
+export function contactPhones(contact, countryCode = null) {
+  return (contact.PHONE || [])
+    .map(phone => normalizePhoneE164(phone.VALUE, contact.ADDRESS_COUNTRY_CODE || countryCode))
+    .filter(Boolean);
+}
+
+/**
+ * E-mails of a Bitrix contact, lowercased
+ * @param {Object} contact - Bitrix contact (EMAIL multifield)
+ * @returns {Array<string>}
+ */
+export function contactEmails(contact) {
+  return (contact.EMAIL || []).map(email => String(email.VALUE || '').trim().toLowerCase()).filter(Boolean);
+}
+
+function describe(contact, matchedBy, score) {
+  return {
+    id: Number(contact.ID),
+    name: [contact.NAME, contact.LAST_NAME].filter(Boolean).join(' '),
+    city: contact.ADDRESS_CITY || null,
+    matchedBy,
+    score: Math.round(score * 100) / 100,
+  };
+}
+
+/**
+ * Decide between candidates found by one strategy
+ * @param {Object} person - Extracted Shopify customer (see extractShopifyContact)
+ * @param {Array} contacts - Bitrix contacts found by the strategy
+ * @param {string} matchedBy - 'email' | 'phone' | 'name_city'
+ * @returns {Object} { contact, confidence, ambiguous, candidates } - contact null when ambiguous or nothing matched
+ */
+export function decideContactMatch(person, contacts, matchedBy) {
+  if (contacts.length === 0) {
+    return { contact: null, confidence: 0, ambiguous: false, candidates: [] };
+  }
+
+  if (matchedBy === 'email') {
+    // The same e-mail on several contacts means duplicates already exist: take the best named, then the oldest
+    const ranked = contacts
+      .map(contact => ({ contact, score: nameScore(person, contact) ?? 0 }))
+      .sort((a, b) => b.score - a.score || Number(a.contact.ID) - Number(b.contact.ID));
+    return {
+      contact: ranked[0].contact,
+      confidence: 1,
+      ambiguous: false,
+      candidates: ranked.map(({ contact }) => describe(contact, matchedBy, 1)),
+    };
+  }
+
+  if (matchedBy === 'phone') {
+    // Without a name to compare a phone match stands on its own
+    const ranked = contacts
+      .map(contact => ({ contact, score: nameScore(person, contact) ?? 1 }))
+      .sort((a, b) => b.score - a.score || Number(a.contact.ID) - Number(b.contact.ID));
+    const candidates = ranked.map(({ contact, score }) => describe(contact, matchedBy, score));
+    const plausible = ranked.filter(({ score }) => score >= PHONE_NAME_MATCH_THRESHOLD);
+    if (plausible.length === 1) {
+      return { contact: plausible[0].contact, confidence: plausible[0].score, ambiguous: false, candidates };
+    }
+    // No name close enough: the number belongs to someone else
+    return { contact: null, confidence: ranked[0].score, ambiguous: plausible.length > 1, candidates };
+  }
+
+  const ranked = contacts
+    .map(contact => ({ contact, score: nameCityScore(person, contact) }))
+    .filter(({ score }) => score >= NAME_CITY_REVIEW_THRESHOLD)
+    .sort((a, b) => b.score - a.score || Number(a.contact.ID) - Number(b.contact.ID));
+  const candidates = ranked.map(({ contact, score }) => describe(contact, matchedBy, score));
+  if (ranked.length === 0) {
+    return { contact: null, confidence: 0, ambiguous: false, candidates };
+  }
+  if (ranked.length === 1 && ranked[0].score >= NAME_CITY_AUTO_THRESHOLD) {
+    return { contact: ranked[0].contact, confidence: ranked[0].score, ambiguous: false, candidates };
+  }
+  return { contact: null, confidence: ranked[0].score, ambiguous: true, candidates };
+}
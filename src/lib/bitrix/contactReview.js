@@ -0,0 +1,108 @@
+/**
+ * Contact Review Store
+ * Orders whose customer matched existing Bitrix contacts only ambiguously (phone shared by
+ * differently named contacts, close name + city candidates) are kept here instead of creating
+ * a possible duplicate. The deal is created without a contact; resolving the entry links an
+ * existing contact or creates a new one (resolveContactReview in contact.js).
+ *
+ * Entry status: open → linked | created | dismissed
+ * One entry per Shopify order: repeated webhooks for the same order refresh the open entry.
+ */
+
+import { dataFilePath, readJsonFile, writeJsonFileAtomic, withFileLock } from '../storage/jsonFile.js';
+
+export const CONTACT_REVIEW_STATUSES = {
+  OPEN: 'open',
+  LINKED: 'linked',
+  CREATED: 'created',
+  DISMISSED: 'dismissed',
+};
+
+const REVIEW_FILE = 'contact-review.json';
+// Resolved entries are dropped after this long; open ones stay until handled
+const CLOSED_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+async function mutate(fn) {
+  const filePath = dataFilePath(REVIEW_FILE);
+  return withFileLock(filePath, () => {
+    const entries = readJsonFile(filePath, {});
+    const now = Date.now();
+    for (const [id, entry] of Object.entries(entries)) {
+      if (entry.status !== CONTACT_REVIEW_STATUSES.OPEN && Date.parse(entry.updatedAt) + CLOSED_RETENTION_MS <= now) {
+        delete entries[id];
+      }
+    }
+    const result = fn(entries, new Date(now).toISOString());
+    writeJsonFileAtomic(filePath, entries);
+    return result;
+  });
+}
+
+/**
+ * Flag an ambiguous contact match for review
+ * @param {Object} flag - { shopifyOrderId, orderName, person, matchedBy, candidates }
+ * @returns {Promise<Object>} Open entry
+ */
+export async function flagContactReview({ shopifyOrderId, orderName = null, person, matchedBy, candidates }) {
+  const id = `cr_${shopifyOrderId}`;
+  const entry = await mutate((entries, at) => {
+    const existing = entries[id]?.status === CONTACT_REVIEW_STATUSES.OPEN ? entries[id] : null;
+    entries[id] = {
+      id,
+      status: CONTACT_REVIEW_STATUSES.OPEN,
+      shopifyOrderId: String(shopifyOrderId),
+      orderName,
+      person,
+      matchedBy,
+      candidates,
+      createdAt: existing?.createdAt || at,
+      updatedAt: at,
+    };
+    return entries[id];
+  });
+
+  console.log(JSON.stringify({
+    event: 'CONTACT_MATCH_AMBIGUOUS',
+    reviewId: id,
+    shopifyOrderId: entry.shopifyOrderId,
+    matchedBy,
+    candidates: candidates.map(candidate => `${candidate.id}:${candidate.score}`),
+    timestamp: entry.updatedAt
+  }));
+  return entry;
+}
+
+/**
+ * @param {string} id - Review entry id (cr_<shopifyOrderId>)
+ * @returns {Object|null}
+ */
+export function getContactReview(id) {
+  return readJsonFile(dataFilePath(REVIEW_FILE), {})[id] || null;
+}
+
+/**
+ * Review entries, newest first
+ * @param {Object} options - { status, limit, offset }
+ * @returns {Object} { entries, total }
+ */
+export function listContactReviews({ status = null, limit = 50, offset = 0 } = {}) {
+  const entries = Object.values(readJsonFile(dataFilePath(REVIEW_FILE), {}))
+    .filter(entry => !status || entry.status === status)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  return { entries: entries.slice(offset, offset + limit), total: entries.length };
+}
+
+/**
+ * @param {string} id - Review entry id
+ * @param {Object} patch - Fields to merge (status, resolution)
+ * @returns {Promise<Object|null>} Updated entry or null if not found
+ */
+export async function updateContactReview(id, patch) {
+  return mutate((entries, at) => {
+    if (!entries[id]) {
+      return null;
+    }
+    entries[id] = { ...entries[id], ...patch, updatedAt: at };
+    return entries[id];
+  });
+}
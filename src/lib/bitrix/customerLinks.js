@@ -0,0 +1,67 @@
+/**
+ * Shopify Customer ↔ Bitrix Contact Links
+ * Persistent map from Shopify customer id to the Bitrix contact it was matched to or created as,
+ * so orders and customers/* events of a known customer attach to that contact without matching.
+ * Contacts also carry ORIGINATOR_ID = shopify / ORIGIN_ID = customer id (see contact.js),
+ * which restores a link when the data directory is lost.
+ */
+
+import { dataFilePath, readJsonFile, writeJsonFileAtomic, withFileLock } from '../storage/jsonFile.js';
+
+const LINKS_FILE = 'customer-contact-links.json';
+
+/**
+ * @param {string|number} shopifyCustomerId - Shopify customer id
+ * @returns {Object|null} { contactId, source, linkedAt, updatedAt }
+ */
+export function getCustomerLink(shopifyCustomerId) {
+  if (!shopifyCustomerId) {
+    return null;
+  }
+  return readJsonFile(dataFilePath(LINKS_FILE), {})[String(shopifyCustomerId)] || null;
+}
+
+/**
+ * Link a Shopify customer to a Bitrix contact (replaces a previous link)
+ * @param {string|number} shopifyCustomerId - Shopify customer id
+ * @param {number} contactId - Bitrix contact id
+ * @param {string} source - What established the link: 'customer' | 'order' | 'review' | 'origin' (restored from ORIGIN_ID)
+ * @returns {Promise<Object>} { link, changed }
+ */
+export async function linkCustomerToContact(shopifyCustomerId, contactId, source) {
+  const filePath = dataFilePath(LINKS_FILE);
+  return withFileLock(filePath, () => {
+    const links = readJsonFile(filePath, {});
+    const key = String(shopifyCustomerId);
+    const existing = links[key];
+    if (existing?.contactId === Number(contactId)) {
+      return { link: existing, changed: false };
+    }
+    const now = new Date().toISOString();
+    links[key] = { contactId: Number(contactId), source, linkedAt: now, updatedAt: now };
+    writeJsonFileAtomic(filePath, links);
+    if (existing) {
+      console.warn(`[CUSTOMER LINKS] Customer ${key} moved from contact ${existing.contactId} to ${contactId} (${source})`);
+    }
+    return { link: links[key], changed: true };
+  });
+}
+
+/**
+ * Remove the link of a Shopify customer
+ * @param {string|number} shopifyCustomerId - Shopify customer id
+ * @returns {Promise<Object|null>} Removed link or null if there was none
+ */
+export async function unlinkCustomer(shopifyCustomerId) {
+  const filePath = dataFilePath(LINKS_FILE);
+  return withFileLock(filePath, () => {
+    const links = readJsonFile(filePath, {});
+    const key = String(shopifyCustomerId);
+    const existing = links[key] || null;
+    if (existing) {
+      delete links[key];
+      writeJsonFileAtomic(filePath, links);
+    }
+    return existing;
+  });
+}
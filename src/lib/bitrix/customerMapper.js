@@ -0,0 +1,90 @@
+/**
+ * Map Shopify Customer to Bitrix24 Contact
+ * customers/* webhook payloads → the person shape of extractShopifyContact (contact.js)
+ * plus the contact UF fields configured in BITRIX_CONFIG.CONTACT_FIELDS
+ */
+
+import { BITRIX_CONFIG } from './config.js';
+import { normalizePhoneE164 } from '../utils/phone.js';
+
+// Shopify marketing consent states that mean "subscribed"
+const SUBSCRIBED_STATES = ['subscribed', 'pending'];
+const SHOP_CURRENCY = process.env.SHOPIFY_CURRENCY || 'EUR';
+
+/**
+ * Extract contact data from a Shopify customer
+ * @param {Object} customer - Shopify customer (customers/create, customers/update payload)
+ * @returns {Object} Same shape as extractShopifyContact
+ */
+export function extractShopifyCustomer(customer) {
+  const addresses = Array.isArray(customer.addresses) ? customer.addresses : [];
+  const address = customer.default_address || addresses.find(candidate => candidate.default) || addresses[0] || {};
+
+  const email = customer.email || null;
+  const rawPhone = customer.phone || address.phone || null;
+  const countryCode = address.country_code || null;
+
+  return {
+    shopifyCustomerId: customer.id ? String(customer.id) : null,
+    firstName: customer.first_name || address.first_name || '',
+    lastName: customer.last_name || address.last_name || '',
+    email: email ? String(email).trim().toLowerCase() : null,
+    phone: normalizePhoneE164(rawPhone, countryCode),
+    rawPhone,
+    countryCode,
+    address: address.address1 ? {
+      address1: address.address1,
+      address2: address.address2,
+      city: address.city,
+      zip: address.zip,
+      province: address.province,
+      country: address.country,
+      country_code: address.country_code
+    } : null,
+    updatedAt: customer.updated_at || customer.created_at || null
+  };
+}
+
+function consentFlag(consent, legacyFlag) {
+  if (consent?.state) {
+    return SUBSCRIBED_STATES.includes(consent.state) ? 'Y' : 'N';
+  }
+  if (legacyFlag === undefined || legacyFlag === null) {
+    return null;
+  }
+  return legacyFlag ? 'Y' : 'N';
+}
+
+function totalSpent(customer) {
+  const amount = customer.amount_spent?.amount ?? customer.total_spent;
+  if (amount === undefined || amount === null || amount === '') {
+    return null;
+  }
+  const currency = customer.amount_spent?.currency_code || customer.currency || SHOP_CURRENCY;
+  return `${parseFloat(amount)}|${currency}`;
+}
+
+/**
+ * Map customer tags, marketing consent and totals to contact UF fields
+ * Only configured fields with a value in the payload are returned
+ * @param {Object} customer - Shopify customer
+ * @returns {Object} Bitrix contact fields
+ */
+export function mapCustomerContactFields(customer) {
+  const { TAGS, EMAIL_MARKETING, SMS_MARKETING, TOTAL_SPENT, ORDERS_COUNT } = BITRIX_CONFIG.CONTACT_FIELDS;
+  const values = [
+    [TAGS, typeof customer.tags === 'string' ? customer.tags.split(',').map(tag => tag.trim()).filter(Boolean).join(', ') : null],
+    [EMAIL_MARKETING, consentFlag(customer.email_marketing_consent, customer.accepts_marketing)],
+    [SMS_MARKETING, consentFlag(customer.sms_marketing_consent, null)],
+    [TOTAL_SPENT, totalSpent(customer)],
+    [ORDERS_COUNT, customer.orders_count ?? null]
+  ];
+
+  const fields = {};
+  for (const [field, value] of values) {
+    if (field && value !== null) {
+      fields[field] = value;
+    }
+  }
+  return fields;
+}
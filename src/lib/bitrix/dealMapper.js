@@ -8,9 +8,10 @@ import { BITRIX_CONFIG, financialStatusToStageId, sourceNameToSourceId } from '.
  * Map Shopify order to Bitrix24 deal fields
  * @param {Object} shopifyOrder - Shopify order object
  * @param {number|null} contactId - Bitrix contact ID (if available)
+ * @param {number|null} companyId - Bitrix company ID (B2B orders)
  * @returns {Object} Bitrix24 deal fields object
  */
-export function mapShopifyOrderToBitrixDealFields(shopifyOrder, contactId = null) {
+export function mapShopifyOrderToBitrixDealFields(shopifyOrder, contactId = null, companyId = null) {
   // Helper function to safely get value or null
   const getValue = (value, transform = null) => {
     if (value === undefined || value === null || value === '') {
@@ -115,7 +116,7 @@ export function mapShopifyOrderToBitrixDealFields(shopifyOrder, contactId = null
     UF_SHOPIFY_TOTAL_DISCOUNT: totalDiscount,
     UF_SHOPIFY_SHIPPING_PRICE: shippingPrice,
     CONTACT_ID: contactId,
-    COMPANY_ID: null, // Not available in Shopify order
+    COMPANY_ID: companyId, // B2B orders, see company.js
     BEGINDATE: formatDate(shopifyOrder.created_at),
     CLOSEDATE: formatDate(shopifyOrder.updated_at || shopifyOrder.created_at),
     SOURCE_ID: sourceId,
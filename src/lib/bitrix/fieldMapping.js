@@ -0,0 +1,425 @@
+/**
+ * Deal Field Mapping
+ * Declarative Shopify order → Bitrix deal field mapping, keyed by Bitrix field name
+ * (dealFieldMapping.json, or the file in FIELD_MAPPING_PATH), so portal changes are config edits.
+ *
+ * Field definition:
+ * - label, description - for humans
+ * - role - stable name code uses instead of the field id (getDealFieldId('shopifyOrderId'))
+ * - source - expression, or array of expressions where the first non-empty one wins
+ * - default - value used when the source is empty
+ * - transforms - applied in order: string, number, lowercase, uppercase, trim, join, sum,
+ *   lookup { table }, regex { pattern, replace | group }, match { cases, default }, date { format }
+ * - enum - value → enum item id ("*" = any other value); enumLabels - item id → label, for logs
+ * - onUpdate - also written when an existing deal is updated from orders/updated
+ *
+ * Expressions: "$.line_items[0].price" (Shopify order), "$.line_items[*].price" (array),
+ * "@name.path" (values computed by orderMapper), { "join": [expr, ...], "separator": " " }, { "literal": value }
+ */
+
+import fs from 'fs';
+import defaultMapping from './dealFieldMapping.json' assert { type: 'json' };
+import brandMapping from './brandMapping.json' assert { type: 'json' };
+import { callBitrix } from './client.js';
+
+// Named lookup tables usable as { "type": "lookup", "table": "<name>" }
+const LOOKUP_TABLES = {
+  brandMapping,
+};
+
+const PATH_TOKEN = /\.([^.[\]]+)|\[(\d+|\*)\]|\['([^']+)'\]/g;
+
+let cachedMapping = null;
+let portalValidation = null;
+
+function isEmpty(value) {
+  // Mirrors the `a || b` fallbacks the mapper used before: 0 and '' fall through to the next source
+  return value === undefined || value === null || value === '' || value === 0 || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Parse "$.a.b[0][*]" / "@name.b" into { root, tokens }
+ */
+function parsePath(expression) {
+  const rootMatch = /^(\$|@[A-Za-z_][\w]*)/.exec(expression);
+  if (!rootMatch) {
+    throw new Error(`Invalid source expression "${expression}" - must start with $ or @name`);
+  }
+  const rest = expression.slice(rootMatch[0].length);
+  const tokens = [];
+  let consumed = 0;
+  for (const match of rest.matchAll(PATH_TOKEN)) {
+    if (match.index !== consumed) {
+      break;
+    }
+    tokens.push(match[1] ?? match[3] ?? (match[2] === '*' ? '*' : Number(match[2])));
+    consumed += match[0].length;
+  }
+  if (consumed !== rest.length) {
+    throw new Error(`Invalid source expression "${expression}" near "${rest.slice(consumed)}"`);
+  }
+  return { root: rootMatch[0], tokens };
+}
+
+function walkPath(value, tokens) {
+  let current = [value];
+  let wildcard = false;
+  for (const token of tokens) {
+    const next = [];
+    for (const item of current) {
+      if (item === undefined || item === null) {
+        continue;
+      }
+      if (token === '*') {
+        wildcard = true;
+        if (Array.isArray(item)) {
+          next.push(...item);
+        }
+      } else {
+        next.push(item[token]);
+      }
+    }
+    current = next;
+  }
+  return wildcard ? current.filter(item => item !== undefined && item !== null) : current[0];
+}
+
+/**
+ * Evaluate a source expression
+ * @param {string|Array|Object} expression - See module header
+ * @param {Object} scope - { order, computed }
+ * @returns {*} Value (undefined when the path does not exist)
+ */
+export function evaluateSource(expression, scope) {
+  if (Array.isArray(expression)) {
+    for (const candidate of expression) {
+      const value = evaluateSource(candidate, scope);
+      if (!isEmpty(value)) {
+        return value;
+      }
+    }
+    return undefined;
+  }
+
+  if (expression && typeof expression === 'object') {
+    if ('literal' in expression) {
+      return expression.literal;
+    }
+    if (Array.isArray(expression.join)) {
+      return expression.join
+        .map(part => evaluateSource(part, scope))
+        .map(part => (part === undefined || part === null ? '' : String(part)))
+        .join(expression.separator ?? ' ')
+        .trim();
+    }
+    throw new Error(`Invalid source expression ${JSON.stringify(expression)}`);
+  }
+
+  const { root, tokens } = parsePath(String(expression));
+  const base = root === '$' ? scope.order : scope.computed?.[root.slice(1)];
+  return walkPath(base, tokens);
+}
+
+function pad(number, length = 2) {
+  return String(number).padStart(length, '0');
+}
+
+function formatDate(value, format = 'YYYY-MM-DD', utc = true) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return undefined;
+  }
+  const parts = utc
+    ? { YYYY: date.getUTCFullYear(), MM: date.getUTCMonth() + 1, DD: date.getUTCDate(), HH: date.getUTCHours(), mm: date.getUTCMinutes(), ss: date.getUTCSeconds() }
+    : { YYYY: date.getFullYear(), MM: date.getMonth() + 1, DD: date.getDate(), HH: date.getHours(), mm: date.getMinutes(), ss: date.getSeconds() };
+  return format.replace(/YYYY|MM|DD|HH|mm|ss/g, token => (token === 'YYYY' ? String(parts.YYYY) : pad(parts[token])));
+}
+
+const TRANSFORMS = {
+  string: value => String(value),
+  number: value => {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : undefined;
+  },
+  lowercase: value => String(value).toLowerCase(),
+  uppercase: value => String(value).toUpperCase(),
+  trim: value => String(value).trim(),
+  join: (value, options) => (Array.isArray(value) ? value.join(options.separator ?? ', ') : value),
+  sum: (value, options) => {
+    const items = Array.isArray(value) ? value : [value];
+    return items.reduce((total, item) => total + (Number(options.field ? item?.[options.field] : item) || 0), 0);
+  },
+  lookup: (value, options, context) => {
+    const table = typeof options.table === 'string' ? LOOKUP_TABLES[options.table] : options.table;
+    const result = table?.[value];
+    if (result === undefined) {
+      console.warn(`[FIELD MAPPING] ${context.fieldId}: "${value}" not found in lookup table ${typeof options.table === 'string' ? options.table : '(inline)'}`);
+      return options.default;
+    }
+    return result;
+  },
+  regex: (value, options) => {
+    const pattern = new RegExp(options.pattern, options.flags || '');
+    if (options.replace !== undefined) {
+      return String(value).replace(pattern, options.replace);
+    }
+    const match = pattern.exec(String(value));
+    if (!match) {
+      return options.default;
+    }
+    return match[options.group ?? (match.length > 1 ? 1 : 0)];
+  },
+  match: (value, options) => {
+    const text = String(value);
+    const matched = (options.cases || []).find(candidate => new RegExp(candidate.pattern, candidate.flags || 'i').test(text));
+    return matched ? matched.value : options.default;
+  },
+  date: (value, options) => formatDate(value, options.format, options.utc !== false),
+};
+
+/**
+ * Check a mapping config for structural errors (unknown transforms, bad expressions/regexes)
+ * @param {Object} mapping - Mapping config
+ * @returns {string[]} Errors (empty when valid)
+ */
+export function checkFieldMappingConfig(mapping) {
+  const errors = [];
+  if (!mapping || typeof mapping.fields !== 'object') {
+    return ['Mapping config must have a "fields" object'];
+  }
+
+  const roles = new Set();
+  const checkExpression = (fieldId, expression) => {
+    if (Array.isArray(expression)) {
+      expression.forEach(candidate => checkExpression(fieldId, candidate));
+    } else if (expression && typeof expression === 'object') {
+      if (Array.isArray(expression.join)) {
+        expression.join.forEach(part => checkExpression(fieldId, part));
+      } else if (!('literal' in expression)) {
+        errors.push(`${fieldId}: invalid source ${JSON.stringify(expression)}`);
+      }
+    } else {
+      try {
+        parsePath(String(expression));
+      } catch (error) {
+        errors.push(`${fieldId}: ${error.message}`);
+      }
+    }
+  };
+
+  for (const [fieldId, definition] of Object.entries(mapping.fields)) {
+    if (definition.source === undefined) {
+      errors.push(`${fieldId}: source is required`);
+    } else {
+      checkExpression(fieldId, definition.source);
+    }
+    if (definition.role) {
+      if (roles.has(definition.role)) {
+        errors.push(`${fieldId}: role "${definition.role}" is used by more than one field`);
+      }
+      roles.add(definition.role);
+    }
+    for (const transform of definition.transforms || []) {
+      if (!TRANSFORMS[transform.type]) {
+        errors.push(`${fieldId}: unknown transform "${transform.type}"`);
+        continue;
+      }
+      if (transform.type === 'lookup' && typeof transform.table === 'string' && !LOOKUP_TABLES[transform.table]) {
+        errors.push(`${fieldId}: unknown lookup table "${transform.table}"`);
+      }
+      let patterns = [];
+      if (transform.type === 'regex') {
+        patterns = [transform.pattern];
+      } else if (transform.type === 'match') {
+        patterns = (transform.cases || []).map(candidate => candidate.pattern);
+      }
+      for (const pattern of patterns) {
+        try {
+          new RegExp(pattern);
+        } catch (error) {
+          errors.push(`${fieldId}: invalid regex "${pattern}": ${error.message}`);
+        }
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Load the active mapping config (FIELD_MAPPING_PATH on the server, bundled dealFieldMapping.json otherwise)
+ * Structural errors throw - a broken mapping must not silently drop fields
+ * @returns {Object} Mapping config
+ */
+export function getFieldMapping() {
+  if (cachedMapping) {
+    return cachedMapping;
+  }
+
+  let mapping = defaultMapping;
+  const customPath = typeof window === 'undefined' ? process.env.FIELD_MAPPING_PATH : null;
+  if (customPath) {
+    mapping = JSON.parse(fs.readFileSync(customPath, 'utf8'));
+  }
+
+  const errors = checkFieldMappingConfig(mapping);
+  if (errors.length > 0) {
+    throw new Error(`Invalid field mapping${customPath ? ` (${customPath})` : ''}: ${errors.join('; ')}`);
+  }
+
+  cachedMapping = mapping;
+  return cachedMapping;
+}
+
+/**
+ * Bitrix field id for a mapping role
+ * @param {string} role - Role name (e.g., 'shopifyOrderId', 'paymentStatus')
+ * @returns {string|null} Field id or null when no field has that role
+ */
+export function getDealFieldId(role) {
+  const entry = Object.entries(getFieldMapping().fields).find(([, definition]) => definition.role === role);
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Field ids written when an existing deal is updated from orders/updated
+ * @returns {string[]}
+ */
+export function getUpdateFieldIds() {
+  return Object.entries(getFieldMapping().fields)
+    .filter(([, definition]) => definition.onUpdate)
+    .map(([fieldId]) => fieldId);
+}
+
+/**
+ * Human-readable label of an enum value (from enumLabels), for logs
+ * @param {string} fieldId - Bitrix field id
+ * @param {string} value - Enum item id
+ * @returns {string} Label or the value itself
+ */
+export function getEnumLabel(fieldId, value) {
+  return getFieldMapping().fields[fieldId]?.enumLabels?.[value] || value;
+}
+
+/**
+ * Map one field
+ * @returns {*} Value or undefined when the field should not be written
+ */
+function mapField(fieldId, definition, scope) {
+  let value = evaluateSource(definition.source, scope);
+  if (isEmpty(value)) {
+    if (definition.default === undefined) {
+      return undefined;
+    }
+    value = definition.default;
+  }
+
+  for (const transform of definition.transforms || []) {
+    value = TRANSFORMS[transform.type](value, transform, { fieldId });
+    if (value === undefined || value === null) {
+      return undefined;
+    }
+  }
+
+  if (definition.enum) {
+    const key = String(value);
+    const enumId = definition.enum[key] ?? definition.enum['*'];
+    if (enumId === undefined) {
+      console.warn(`[FIELD MAPPING] ${fieldId}: no enum item for "${key}", field skipped`);
+      return undefined;
+    }
+    value = enumId;
+  }
+
+  return value === '' ? undefined : value;
+}
+
+/**
+ * Map a Shopify order to Bitrix deal fields per mapping config
+ * @param {Object} order - Shopify order
+ * @param {Object} computed - Values computed by the mapper, referenced as @name
+ * @returns {Object} { [fieldId]: value } (fields without a value are omitted)
+ */
+export function mapOrderFields(order, computed = {}) {
+  const fields = {};
+  const scope = { order, computed };
+  for (const [fieldId, definition] of Object.entries(getFieldMapping().fields)) {
+    const value = mapField(fieldId, definition, scope);
+    if (value !== undefined) {
+      fields[fieldId] = value;
+    }
+  }
+  return fields;
+}
+
+/**
+ * Validate mapping against the portal's deal fields (crm.deal.fields)
+ * Checks that mapped fields exist, are not read-only, and that enum ids exist in the field's items
+ * @param {Object} bitrixFields - crm.deal.fields result
+ * @param {Object} mapping - Mapping config (default: active mapping)
+ * @returns {Object} { valid, errors, warnings }
+ */
+export function validateFieldMapping(bitrixFields, mapping = getFieldMapping()) {
+  const errors = [];
+  const warnings = [];
+
+  for (const [fieldId, definition] of Object.entries(mapping.fields)) {
+    const fieldInfo = bitrixFields[fieldId];
+    if (!fieldInfo) {
+      errors.push(`${fieldId} (${definition.label || definition.role || 'no label'}): field does not exist in Bitrix`);
+      continue;
+    }
+    if (fieldInfo.isReadOnly) {
+      errors.push(`${fieldId}: field is read-only in Bitrix`);
+    }
+
+    const enumValues = definition.enum
+      ? Object.values(definition.enum)
+      : (definition.transforms || [])
+        .filter(transform => transform.type === 'lookup')
+        .flatMap(transform => Object.values(typeof transform.table === 'string' ? LOOKUP_TABLES[transform.table] || {} : transform.table || {}));
+
+    if (fieldInfo.type === 'enumeration') {
+      const itemIds = new Set((fieldInfo.items || []).map(item => String(item.ID)));
+      const missing = [...new Set(enumValues.map(String))].filter(id => !itemIds.has(id));
+      if (missing.length > 0) {
+        // Unknown ids from the enum map break every deal with that value; from lookup tables only some
+        (definition.enum ? errors : warnings).push(`${fieldId}: enum item ids not in Bitrix: ${missing.join(', ')}`);
+      }
+    } else if (definition.enum) {
+      warnings.push(`${fieldId}: enum map configured but Bitrix field type is "${fieldInfo.type}"`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Fetch crm.deal.fields and validate the active mapping (result cached per process)
+ * @param {Object} options - { force: re-fetch even if already validated }
+ * @returns {Promise<Object>} { valid, errors, warnings, checkedAt }
+ */
+export async function validateFieldMappingAgainstPortal({ force = false } = {}) {
+  if (portalValidation && !force) {
+    return portalValidation;
+  }
+
+  const response = await callBitrix('/crm.deal.fields.json', {});
+  if (!response.result) {
+    throw new Error('crm.deal.fields returned no result');
+  }
+
+  portalValidation = {
+    ...validateFieldMapping(response.result),
+    checkedAt: new Date().toISOString(),
+  };
+
+  console.log(JSON.stringify({
+    event: portalValidation.valid ? 'FIELD_MAPPING_VALIDATED' : 'FIELD_MAPPING_INVALID',
+    fields: Object.keys(getFieldMapping().fields).length,
+    errors: portalValidation.errors,
+    warnings: portalValidation.warnings,
+    timestamp: portalValidation.checkedAt
+  }));
+
+  return portalValidation;
+}
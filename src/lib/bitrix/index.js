@@ -3,9 +3,10 @@
  * Main entry point for all Bitrix24 related functions
  */
 
-export { callBitrixAPI, callBitrix, getBitrixWebhookUrl, getBitrixWebhookBase } from './client.js';
+export { callBitrixAPI, callBitrix, callBitrixBatch, getBatchError, getBitrixWebhookUrl, getBitrixWebhookBase } from './client.js';
 export { BITRIX_CONFIG, financialStatusToStageId, sourceNameToSourceId } from './config.js';
-export { upsertBitrixContact, findContactByEmail, createContact } from './contact.js';
+export { upsertBitrixContact, findContactByEmail, createContact, matchBitrixContact, resolveContactReview } from './contact.js';
+export { upsertBitrixCompany } from './company.js';
 export { mapShopifyOrderToBitrixDealFields } from './dealMapper.js';
 export { mapShopifyOrderToBitrixDeal } from './orderMapper.js';
 export { createProductRowsFromOrder, setBitrixDealProductRows } from './productRows.js';
@@ -0,0 +1,458 @@
+/**
+ * Bitrix24 OAuth Application Mode
+ * Alternative to the incoming webhook URL (BITRIX_WEBHOOK_BASE): the middleware runs as a local
+ * Bitrix24 application. Selected with BITRIX_AUTH_MODE=oauth.
+ *
+ * - install: the ONAPPINSTALL event (or the install page POST) delivers the access/refresh tokens
+ *   and the portal's application_token; they are saved per portal (member_id) in the portal store
+ * - REST calls go to the portal's client_endpoint with auth=access_token; a token close to expiry,
+ *   or one rejected with expired_token, is refreshed through the OAuth server (BITRIX_OAUTH_SERVER)
+ * - installs are accepted only from the configured portal(s) (BITRIX_ALLOWED_DOMAINS / BITRIX_MEMBER_ID)
+ *   and only for this application (app.info CLIENT_ID = BITRIX_CLIENT_ID)
+ * - outbound events are accepted only from the active portal, with the application_token saved for it
+ *
+ * Backend interface (all methods async):
+ * - get(memberId) → portal|null
+ * - list() → portal[]
+ * - upsert(memberId, patch) → portal
+ * - remove(memberId) → void
+ */
+
+import crypto from 'crypto';
+import { dataFilePath, readJsonFile, writeJsonFileAtomic, withFileLock } from '../storage/jsonFile.js';
+import { withLease } from '../locks/index.js';
+
+const AUTH_MODE = (process.env.BITRIX_AUTH_MODE || 'webhook').toLowerCase();
+const CLIENT_ID = process.env.BITRIX_CLIENT_ID || null;
+const CLIENT_SECRET = process.env.BITRIX_CLIENT_SECRET || null;
+// Configurable so a local mock server can stand in for oauth.bitrix.info
+const OAUTH_SERVER = (process.env.BITRIX_OAUTH_SERVER || 'https://oauth.bitrix.info').replace(/\/$/, '');
+// Portal the middleware calls when more than one is installed; installs from other portals are rejected when set
+const MEMBER_ID = process.env.BITRIX_MEMBER_ID || null;
+// Installs from other portals are rejected when set (comma-separated domains)
+const ALLOWED_DOMAINS = (process.env.BITRIX_ALLOWED_DOMAINS || '').split(',').map(d => d.trim().toLowerCase()).filter(Boolean);
+// Refresh this long before the access token expires (Bitrix tokens live 1 hour)
+const REFRESH_MARGIN_MS = Number(process.env.BITRIX_TOKEN_REFRESH_MARGIN_MS) || 60 * 1000;
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+
+/**
+ * Whether Bitrix calls and event checks run in OAuth application mode
+ * @returns {boolean}
+ */
+export function isBitrixOAuthMode() {
+  return AUTH_MODE === 'oauth';
+}
+
+/**
+ * File-backed portal token store (default backend)
+ */
+export class FileBitrixPortalStore {
+  constructor(fileName = 'bitrix-portals.json') {
+    this.fileName = fileName;
+  }
+
+  getName() {
+    return 'file';
+  }
+
+  getFilePath() {
+    return dataFilePath(this.fileName);
+  }
+
+  load() {
+    return readJsonFile(this.getFilePath(), {});
+  }
+
+  async get(memberId) {
+    return this.load()[String(memberId)] || null;
+  }
+
+  async list() {
+    return Object.values(this.load());
+  }
+
+  async upsert(memberId, patch) {
+    const filePath = this.getFilePath();
+    return withFileLock(filePath, () => {
+      const portals = readJsonFile(filePath, {});
+      const key = String(memberId);
+      portals[key] = { ...(portals[key] || { memberId: key }), ...patch, updatedAt: new Date().toISOString() };
+      writeJsonFileAtomic(filePath, portals);
+      return portals[key];
+    });
+  }
+
+  async remove(memberId) {
+    const filePath = this.getFilePath();
+    return withFileLock(filePath, () => {
+      const portals = readJsonFile(filePath, {});
+      delete portals[String(memberId)];
+      writeJsonFileAtomic(filePath, portals);
+    });
+  }
+}
+
+const backends = {
+  file: () => new FileBitrixPortalStore(),
+};
+
+/**
+ * Register an alternative backend under a name selectable via BITRIX_PORTAL_BACKEND
+ * @param {string} name - Backend name
+ * @param {Function} factory - () => store implementing the interface above
+ */
+export function registerBitrixPortalBackend(name, factory) {
+  backends[name] = factory;
+}
+
+/**
+ * Create portal store for configured backend
+ * @param {string} backendName - Backend name (default: BITRIX_PORTAL_BACKEND or 'file')
+ * @returns {Object} Store instance
+ */
+export function createBitrixPortalStore(backendName = process.env.BITRIX_PORTAL_BACKEND || 'file') {
+  const factory = backends[backendName];
+  if (!factory) {
+    throw new Error(`Unknown Bitrix portal backend: ${backendName}. Registered: ${Object.keys(backends).join(', ')}`);
+  }
+  return factory();
+}
+
+// Export singleton instance
+export const bitrixPortalStore = createBitrixPortalStore();
+
+function oauthError(errorType, message) {
+  const error = new Error(message);
+  error.errorType = errorType;
+  return error;
+}
+
+function ensureTrailingSlash(url) {
+  return url.endsWith('/') ? url : `${url}/`;
+}
+
+/**
+ * Read auth[...] of an application event (JSON or form-urlencoded body)
+ * @param {Object} body - Request body
+ * @returns {Object} Auth fields (access_token, refresh_token, expires_in, member_id, domain,
+ *   client_endpoint, application_token, ...) - missing ones are undefined
+ */
+export function readEventAuth(body) {
+  if (!body || typeof body !== 'object') {
+    return {};
+  }
+  if (body.auth && typeof body.auth === 'object') {
+    return body.auth;
+  }
+  const auth = {};
+  for (const [key, value] of Object.entries(body)) {
+    const match = key.match(/^auth\[(\w+)\]$/);
+    if (match) {
+      auth[match[1]] = value;
+    }
+  }
+  return auth;
+}
+
+/**
+ * Auth of the install page POST (AUTH_ID / REFRESH_ID / member_id, portal in the query string)
+ * @param {Object} body - Form body
+ * @param {Object} query - Query string (DOMAIN, PROTOCOL)
+ * @returns {Object} Auth fields in event format
+ */
+export function readInstallFormAuth(body, query = {}) {
+  const domain = query.DOMAIN || body.DOMAIN || null;
+  const protocol = String(query.PROTOCOL ?? '1') === '0' ? 'http' : 'https';
+  return {
+    access_token: body.AUTH_ID,
+    refresh_token: body.REFRESH_ID,
+    expires_in: body.AUTH_EXPIRES,
+    member_id: body.member_id,
+    domain,
+    client_endpoint: domain ? `${protocol}://${domain}/rest/` : null
+  };
+}
+
+/**
+ * Check that a token works on the portal it claims to come from
+ * @param {string} clientEndpoint - Portal REST endpoint
+ * @param {string} accessToken - Access token
+ * @returns {Promise<Object>} app.info result
+ */
+async function fetchAppInfo(clientEndpoint, accessToken) {
+  const response = await fetch(`${ensureTrailingSlash(clientEndpoint)}app.info.json`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ auth: accessToken }),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok || result.error) {
+    throw oauthError('INSTALL_REJECTED', `app.info failed: ${result.error_description || result.error || `HTTP ${response.status}`}`);
+  }
+  return result.result || {};
+}
+
+/**
+ * Save the tokens of an installed portal
+ * The token is checked with app.info on the portal's endpoint first, so made-up credentials and tokens
+ * of another application are rejected; BITRIX_ALLOWED_DOMAINS / BITRIX_MEMBER_ID limit which portals
+ * may install at all, and one of them must be set
+ * @param {Object} auth - Auth fields (readEventAuth / readInstallFormAuth)
+ * @param {Object} options - { source: 'event'|'install_page' }
+ * @returns {Promise<Object>} Saved portal
+ */
+export async function saveInstalledPortal(auth, { source = 'event' } = {}) {
+  const memberId = auth.member_id ? String(auth.member_id) : null;
+  const domain = auth.domain ? String(auth.domain).toLowerCase() : null;
+  if (!memberId || !auth.access_token || !auth.refresh_token || !domain) {
+    throw oauthError('INSTALL_INVALID', 'Install payload needs member_id, domain, access_token and refresh_token');
+  }
+  if (!CLIENT_ID) {
+    throw oauthError('INSTALL_REJECTED', 'BITRIX_CLIENT_ID is required to accept installs');
+  }
+  if (ALLOWED_DOMAINS.length === 0 && !MEMBER_ID) {
+    throw oauthError('INSTALL_REJECTED', 'Set BITRIX_ALLOWED_DOMAINS or BITRIX_MEMBER_ID to accept installs');
+  }
+  if (ALLOWED_DOMAINS.length > 0 && !ALLOWED_DOMAINS.includes(domain)) {
+    throw oauthError('INSTALL_REJECTED', `Portal ${domain} is not in BITRIX_ALLOWED_DOMAINS`);
+  }
+  if (MEMBER_ID && memberId !== MEMBER_ID) {
+    throw oauthError('INSTALL_REJECTED', `Portal ${memberId} is not BITRIX_MEMBER_ID`);
+  }
+
+  const existing = await bitrixPortalStore.get(memberId);
+  if (existing && existing.domain !== domain) {
+    throw oauthError('INSTALL_REJECTED', `Portal ${memberId} is registered for ${existing.domain}, not ${domain}`);
+  }
+
+  const clientEndpoint = ensureTrailingSlash(auth.client_endpoint || `https://${domain}/rest/`);
+  if (new URL(clientEndpoint).host.toLowerCase() !== domain) {
+    throw oauthError('INSTALL_REJECTED', `client_endpoint ${clientEndpoint} does not belong to ${domain}`);
+  }
+  const appInfo = await fetchAppInfo(clientEndpoint, auth.access_token);
+  if (String(appInfo.CLIENT_ID || '') !== CLIENT_ID) {
+    throw oauthError('INSTALL_REJECTED', `Token belongs to application ${appInfo.CLIENT_ID || 'unknown'}, not BITRIX_CLIENT_ID`);
+  }
+
+  const portal = await bitrixPortalStore.upsert(memberId, {
+    domain,
+    clientEndpoint,
+    serverEndpoint: auth.server_endpoint || null,
+    accessToken: auth.access_token,
+    refreshToken: auth.refresh_token,
+    expiresAt: Date.now() + (Number(auth.expires_in) || 3600) * 1000,
+    // The install page carries no application_token - keep the one from ONAPPINSTALL
+    applicationToken: auth.application_token || existing?.applicationToken || null,
+    appCode: appInfo.CODE || null,
+    installedAt: existing?.installedAt || new Date().toISOString(),
+    installSource: source
+  });
+
+  console.log(JSON.stringify({
+    event: 'BITRIX_APP_INSTALLED',
+    memberId,
+    domain,
+    source,
+    reinstall: !!existing,
+    hasApplicationToken: !!portal.applicationToken,
+    timestamp: new Date().toISOString()
+  }));
+
+  return portal;
+}
+
+/**
+ * Subscribe the portal's outbound events to a handler URL (event.bind; "already bound" is fine)
+ * @param {Object} portal - Saved portal
+ * @param {Object} bindings - { [event]: handlerUrl }
+ * @returns {Promise<Object>} { [event]: 'bound'|'exists'|error message }
+ */
+export async function bindPortalEvents(portal, bindings) {
+  const results = {};
+  for (const [eventName, handlerUrl] of Object.entries(bindings)) {
+    try {
+      const response = await fetch(`${portal.clientEndpoint}event.bind.json`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ auth: portal.accessToken, event: eventName, handler: handlerUrl }),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+      const result = await response.json().catch(() => ({}));
+      if (result.error === 'ERROR_EVENT_ALREADY_INSTALLED' || /already/i.test(result.error_description || '')) {
+        results[eventName] = 'exists';
+      } else if (!response.ok || result.error) {
+        results[eventName] = result.error_description || result.error || `HTTP ${response.status}`;
+      } else {
+        results[eventName] = 'bound';
+      }
+    } catch (error) {
+      results[eventName] = error.message;
+    }
+  }
+  return results;
+}
+
+/**
+ * Forget an uninstalled portal
+ * @param {string} memberId - Portal member_id
+ */
+export async function removeInstalledPortal(memberId) {
+  await bitrixPortalStore.remove(memberId);
+  console.log(JSON.stringify({
+    event: 'BITRIX_APP_UNINSTALLED',
+    memberId: String(memberId),
+    timestamp: new Date().toISOString()
+  }));
+}
+
+/**
+ * Portal the middleware calls (BITRIX_MEMBER_ID, or the only installed one)
+ * @returns {Promise<Object>} Portal
+ */
+export async function getActivePortal() {
+  if (MEMBER_ID) {
+    const portal = await bitrixPortalStore.get(MEMBER_ID);
+    if (!portal) {
+      throw oauthError('APP_NOT_INSTALLED', `Bitrix app is not installed on portal ${MEMBER_ID} (BITRIX_MEMBER_ID)`);
+    }
+    return portal;
+  }
+  const portals = await bitrixPortalStore.list();
+  if (portals.length === 0) {
+    throw oauthError('APP_NOT_INSTALLED', 'Bitrix app is not installed on any portal');
+  }
+  if (portals.length > 1) {
+    throw oauthError('APP_PORTAL_AMBIGUOUS', `Bitrix app is installed on ${portals.length} portals - set BITRIX_MEMBER_ID`);
+  }
+  return portals[0];
+}
+
+/**
+ * Refresh the access token of a portal
+ * Serialized per portal; if another worker refreshed meanwhile, its token is used
+ * @param {string} memberId - Portal member_id
+ * @param {string} staleAccessToken - Token the caller found expired
+ * @returns {Promise<Object>} Portal with a fresh token
+ */
+export async function refreshPortalToken(memberId, staleAccessToken) {
+  if (!CLIENT_ID || !CLIENT_SECRET) {
+    throw oauthError('OAUTH_NOT_CONFIGURED', 'BITRIX_CLIENT_ID and BITRIX_CLIENT_SECRET are required to refresh tokens');
+  }
+
+  return withLease(`bitrix-oauth:${memberId}`, async () => {
+    const portal = await bitrixPortalStore.get(memberId);
+    if (!portal) {
+      throw oauthError('APP_NOT_INSTALLED', `Bitrix app is not installed on portal ${memberId}`);
+    }
+    if (portal.accessToken !== staleAccessToken && portal.expiresAt - REFRESH_MARGIN_MS > Date.now()) {
+      return portal;
+    }
+
+    const params = new URLSearchParams({
+      grant_type: 'refresh_token',
+      client_id: CLIENT_ID,
+      client_secret: CLIENT_SECRET,
+      refresh_token: portal.refreshToken
+    });
+    const response = await fetch(`${OAUTH_SERVER}/oauth/token/?${params}`, {
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || result.error || !result.access_token) {
+      console.log(JSON.stringify({
+        event: 'BITRIX_OAUTH_REFRESH_ERROR',
+        memberId,
+        httpStatus: response.status,
+        error: result.error || null,
+        message: result.error_description || null,
+        timestamp: new Date().toISOString()
+      }));
+      throw oauthError('OAUTH_REFRESH_FAILED', `Bitrix token refresh failed: ${result.error_description || result.error || `HTTP ${response.status}`}`);
+    }
+
+    const refreshed = await bitrixPortalStore.upsert(memberId, {
+      accessToken: result.access_token,
+      refreshToken: result.refresh_token || portal.refreshToken,
+      expiresAt: Date.now() + (Number(result.expires_in) || 3600) * 1000,
+      clientEndpoint: result.client_endpoint ? ensureTrailingSlash(result.client_endpoint) : portal.clientEndpoint,
+      refreshedAt: new Date().toISOString()
+    });
+
+    console.log(JSON.stringify({
+      event: 'BITRIX_OAUTH_TOKEN_REFRESHED',
+      memberId,
+      domain: refreshed.domain,
+      expiresAt: new Date(refreshed.expiresAt).toISOString(),
+      timestamp: new Date().toISOString()
+    }));
+    return refreshed;
+  }, { waitMs: REQUEST_TIMEOUT_MS });
+}
+
+/**
+ * Active portal with a token that is not about to expire
+ * @returns {Promise<Object>} { memberId, clientEndpoint, accessToken }
+ */
+export async function getPortalAccess() {
+  const portal = await getActivePortal();
+  if (portal.expiresAt - REFRESH_MARGIN_MS > Date.now()) {
+    return portal;
+  }
+  return refreshPortalToken(portal.memberId, portal.accessToken);
+}
+
+function tokensEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Check the auth of an outbound Bitrix event
+ * - OAuth mode: the event must come from the active portal (getActivePortal) and its application_token
+ *   must match the one saved for it; activePortalOnly=false accepts any installed portal (uninstall)
+ * - webhook mode: application_token, when sent, must match expectedToken (BITRIX_AUTH_TOKEN);
+ *   a token that can't be checked because none is configured is rejected
+ * @param {Object} body - Request body
+ * @param {Object} options - { expectedToken } for webhook mode, { activePortalOnly } for OAuth mode
+ * @returns {Promise<Object>} { ok, reason, memberId }
+ */
+export async function verifyBitrixEventAuth(body, { expectedToken = null, activePortalOnly = true } = {}) {
+  const auth = readEventAuth(body);
+  const token = auth.application_token ? String(auth.application_token) : null;
+  const memberId = auth.member_id ? String(auth.member_id) : null;
+
+  if (!isBitrixOAuthMode()) {
+    if (!token) {
+      return { ok: true, reason: 'no_token', memberId };
+    }
+    if (!expectedToken) {
+      return { ok: false, reason: 'token_not_configured', memberId };
+    }
+    return tokensEqual(token, expectedToken)
+      ? { ok: true, reason: 'token_match', memberId }
+      : { ok: false, reason: 'token_mismatch', memberId };
+  }
+
+  if (!token || !memberId) {
+    return { ok: false, reason: 'missing_application_token', memberId };
+  }
+  const portal = await bitrixPortalStore.get(memberId);
+  if (!portal) {
+    return { ok: false, reason: 'unknown_portal', memberId };
+  }
+  if (activePortalOnly) {
+    // A second installed portal (no BITRIX_MEMBER_ID) leaves no active portal: nothing is accepted
+    const active = await getActivePortal().catch(() => null);
+    if (!active || active.memberId !== memberId) {
+      return { ok: false, reason: 'foreign_portal', memberId };
+    }
+  }
+  if (!portal.applicationToken) {
+    return { ok: false, reason: 'application_token_not_registered', memberId };
+  }
+  return tokensEqual(token, portal.applicationToken)
+    ? { ok: true, reason: 'token_match', memberId }
+    : { ok: false, reason: 'token_mismatch', memberId };
+}
@@ -3,14 +3,10 @@
  * Returns both deal fields and product rows
  */
 
-import { BITRIX_CONFIG, financialStatusToStageId, financialStatusToPaymentStatus, sourceNameToSourceId } from './config.js';
-import skuMapping from './skuMapping.json' assert { type: 'json' };
-import handleMapping from './handleMapping.json' assert { type: 'json' };
-import brandMapping from './brandMapping.json' assert { type: 'json' };
-// ENHANCED MAPPING (закомментировано - используется семантический маппинг)
-// import skuMappingEnhanced from './skuMappingEnhanced.json' assert { type: 'json' };
-// ✅ SEMANTIC MAPPING: Используем семантический маппинг с 100% совпадениями
-import skuMappingSemantic from './skuMappingSemantic.json' assert { type: 'json' };
+import { BITRIX_CONFIG, sourceNameToSourceId } from './config.js';
+import { resolveOrderStage } from './stageMachine.js';
+import { mapOrderFields } from './fieldMapping.js';
+import { lookupStaticProductId } from './skuResolver.js';
 import { resolveResponsibleId } from './responsible.js';
 
 /**
@@ -93,12 +89,51 @@ function parseColorFromTitle(title, properties = []) {
   return null;
 }
 
+/**
+ * Size per active line item: single item → its size, several → "1: 31; 2: 36-39"
+ * @param {Array} lineItems - Active line items
+ * @returns {string|null}
+ */
+function summarizeSizes(lineItems) {
+  const sizeOf = (item) => {
+    if (item.variant_title) {
+      return String(item.variant_title).trim();
+    }
+    if (item.name) {
+      const nameParts = item.name.split(' - ');
+      if (nameParts.length > 1) {
+        return nameParts[nameParts.length - 1].trim();
+      }
+    }
+    return null;
+  };
+
+  if (lineItems.length === 0) return null;
+  if (lineItems.length === 1) return sizeOf(lineItems[0]);
+  return lineItems.map((item, index) => `${index + 1}: ${sizeOf(item) || '-'}`).join('; ');
+}
+
+/**
+ * Color per active line item, same format as summarizeSizes
+ * @param {Array} lineItems - Active line items
+ * @returns {string|null}
+ */
+function summarizeColors(lineItems) {
+  const colorOf = (item) => parseColorFromTitle(item.title, item.properties || []);
+
+  if (lineItems.length === 0) return null;
+  if (lineItems.length === 1) return colorOf(lineItems[0]);
+  return lineItems.map((item, index) => `${index + 1}: ${colorOf(item) || '-'}`).join('; ');
+}
+
 /**
  * Map Shopify order to Bitrix24 deal fields and product rows
  * @param {Object} order - Shopify order object
+ * @param {Object} options - { productIds: { [sku]: productId } from resolveOrderProductIds,
+ *   assigneeId: responsible picked by assignResponsible (default: resolveResponsibleId) }
  * @returns {Object} { dealFields, productRows }
  */
-export function mapShopifyOrderToBitrixDeal(order) {
+export function mapShopifyOrderToBitrixDeal(order, options = {}) {
   // Aggregates - Log price calculation for refund detection
   console.log(`[ORDER MAPPER] ===== PRICE CALCULATION =====`);
   console.log(`[ORDER MAPPER] order.current_total_price: ${order.current_total_price}`);
@@ -175,69 +210,26 @@ export function mapShopifyOrderToBitrixDeal(order) {
     ? `${order.customer.first_name || ''} ${order.customer.last_name || ''}`.trim() || null
     : null;
 
-  // Map financial status to stage ID (based on category)
-  const stageId = financialStatusToStageId(order.financial_status, categoryId);
-  console.log(`[ORDER MAPPER] Financial status "${order.financial_status}" → Stage "${stageId}" for category ${categoryId}`);
-  
-  // Map financial status to payment status field
-  const paymentStatusEnumId = financialStatusToPaymentStatus(order.financial_status);
-  console.log(`[ORDER MAPPER] Financial status "${order.financial_status}" → Payment status enum ID "${paymentStatusEnumId}"`);
+  // Map order state (financial, fulfillment, cancellation) to stage ID of the category's stage machine
+  const stageId = resolveOrderStage(order, categoryId);
+  console.log(`[ORDER MAPPER] Financial status "${order.financial_status}", fulfillment "${order.fulfillment_status || 'none'}" → Stage "${stageId}" for category ${categoryId}`);
   
   // Map source name to source ID
   const sourceId = sourceNameToSourceId(order.source_name);
   // SOURCE_DESCRIPTION: use actual source_name if available, otherwise default to 'shopify_draft_order'
   const sourceName = order.source_name || 'shopify_draft_order';
 
-  // Determine order type based on source and pre-order status
-  // Bitrix field: UF_CRM_1739183268662 (enumeration)
-  // Values: "44" = "online (stock)", "46" = "ofline (stock)", "48" = "online (pre-order)", "50" = "ofline (pre-order)"
-  let orderTypeId = null;
-  if (order.source_name === 'pos') {
-    orderTypeId = hasPreorderTag ? '50' : '46'; // ofline (pre-order) or ofline (stock)
-  } else {
-    orderTypeId = hasPreorderTag ? '48' : '44'; // online (pre-order) or online (stock)
-  }
-  console.log(`[ORDER MAPPER] Order type determined: ID "${orderTypeId}" (source: ${order.source_name}, preorder: ${hasPreorderTag})`);
-
-  // Determine delivery method from shipping_lines
-  // Bitrix field: UF_CRM_1739183302609 (enumeration)
-  // Values: "52" = "Pick up in shop", "54" = "Delivery by courier"
-  let deliveryMethodId = null;
-  if (order.shipping_lines && Array.isArray(order.shipping_lines) && order.shipping_lines.length > 0) {
-    const shippingLine = order.shipping_lines[0];
-    // Check if it's pickup (shop pickup, store pickup, etc.)
-    const shippingTitle = (shippingLine.title || shippingLine.code || '').toLowerCase();
-    const shippingCode = (shippingLine.code || '').toLowerCase();
-    
-    if (shippingTitle.includes('pick') || shippingTitle.includes('shop') || 
-        shippingCode.includes('pick') || shippingCode.includes('shop') ||
-        shippingTitle.includes('самовывоз') || shippingTitle.includes('магазин')) {
-      deliveryMethodId = '52'; // Pick up in shop
-    } else {
-      deliveryMethodId = '54'; // Delivery by courier
-    }
-  } else {
-    // Also check fulfillment status for pickup
-    if (order.fulfillment_status) {
-      const fulfillmentStatus = String(order.fulfillment_status).toLowerCase();
-      if (fulfillmentStatus.includes('pick') || fulfillmentStatus.includes('shop')) {
-        deliveryMethodId = '52'; // Pick up in shop
-      } else {
-        deliveryMethodId = '54'; // Delivery by courier
-      }
-    } else if (shippingPrice > 0) {
-      // Default to courier delivery if shipping price > 0
-      deliveryMethodId = '54'; // Delivery by courier
-    }
+  // ✅ FILTER: Only active items (current_quantity > 0) feed UF-fields (refunded/removed items are ignored)
+  const activeLineItems = (Array.isArray(order.line_items) ? order.line_items : []).filter(item => {
+    const currentQty = Number(item.current_quantity ?? item.quantity ?? 0);
+    return currentQty > 0;
+  });
+  if (activeLineItems.length === 0) {
+    console.warn(`[ORDER MAPPER] ⚠️ No active line_items found in order, cannot extract product properties`);
   }
-  
-  console.log(`[ORDER MAPPER] Delivery method determined: ID "${deliveryMethodId}"`);
-
-  // ✅ Calculate paid amount (total - refunds)
-  // current_total_price reflects refunds, total_price is original
-  const paidAmount = Number(order.current_total_price || order.total_price || 0);
 
-  // Deal fields - using REAL Bitrix UF_CRM_* fields only
+  // Deal fields - standard fields here, UF_CRM_* fields (ids, enum ids, sources) come from
+  // the field mapping config (dealFieldMapping.json), values below are available there as @name
   const dealFields = {
     TITLE: order.name || `Order #${order.id}`,
     OPPORTUNITY: totalPrice, // Sum of active line_items (current_quantity > 0) + shipping - matches Shopify UI "Total"
@@ -247,159 +239,24 @@ export function mapShopifyOrderToBitrixDeal(order) {
     STAGE_ID: stageId,
     SOURCE_ID: sourceId || 'WEB', // Default to 'WEB' if not mapped
     SOURCE_DESCRIPTION: sourceName || 'shopify_draft_order',
-
-    // ✅ Key to Shopify order - REAL Bitrix field
-    // UF_CRM_1742556489 (Shopify number) - store stable order.id (numeric Shopify order ID)
-    // NEVER use eventId here - eventId is webhook-specific and changes per webhook call
-    UF_CRM_1742556489: String(order.id),
-
-    // Order total - REAL Bitrix field
-    // UF_CRM_1741634415367 (Order total)
-    UF_CRM_1741634415367: Number(totalPrice),
-
-    // Paid amount - REAL Bitrix field
-    // UF_CRM_1741634439258 (Paid amount) - фактически оплачено (total - refunds)
-    UF_CRM_1741634439258: paidAmount,
-
-    // Delivery price - REAL Bitrix field (optional)
-    // UF_CRM_67BEF8B2AA721 (Delivery price)
-    ...(shippingPrice > 0 ? { UF_CRM_67BEF8B2AA721: shippingPrice } : {}),
-
-    // Payment status (enumeration) - REAL Bitrix field
-    // UF_CRM_1739183959976 (Payment status)
-    // Values: "56" = "Paid", "58" = "Unpaid", "60" = "10% prepayment"
-    UF_CRM_1739183959976: paymentStatusEnumId,
-
-    // Order type (enumeration) - UF_CRM_1739183268662
-    // Values: "44" = "online (stock)", "46" = "ofline (stock)", "48" = "online (pre-order)", "50" = "ofline (pre-order)"
-    UF_CRM_1739183268662: orderTypeId,
-
-    // Delivery method (enumeration) - UF_CRM_1739183302609
-    // Values: "52" = "Pick up in shop", "54" = "Delivery by courier"
-    // Only set if determined, otherwise leave empty (Bitrix will show empty)
-    ...(deliveryMethodId ? { UF_CRM_1739183302609: deliveryMethodId } : {}),
+    ...mapOrderFields(order, {
+      orderTotal: totalPrice,
+      shippingPrice,
+      isPreorder: hasPreorderTag,
+      categoryId,
+      activeLineItems,
+      sizeSummary: summarizeSizes(activeLineItems),
+      colorSummary: summarizeColors(activeLineItems),
+      model: activeLineItems.length > 0 ? parseModelFromTitle(activeLineItems[0].title) : null,
+    }),
   };
-  
-  // Log all fields being sent for debugging
-  console.log(`[ORDER MAPPER] Deal fields prepared:`, {
-    ORDER_TYPE_ID: orderTypeId,
-    DELIVERY_METHOD_ID: deliveryMethodId,
-    PAYMENT_STATUS_ID: paymentStatusEnumId,
-    CATEGORY_ID: categoryId,
-    STAGE_ID: stageId
-  });
 
   // Resolve responsible: assign explicitly on create per mapping (Bitrix can reassign later)
-  const assigneeId = resolveResponsibleId(order);
+  const assigneeId = options.assigneeId !== undefined ? options.assigneeId : resolveResponsibleId(order);
   if (assigneeId) {
     dealFields.ASSIGNED_BY_ID = assigneeId;
   }
 
-  // Extract product properties from ACTIVE line_items (current_quantity > 0) for UF-fields
-  // Aggregate Size and Color across all active positions to preserve ordering
-  if (order.line_items && Array.isArray(order.line_items) && order.line_items.length > 0) {
-    // ✅ FILTER: Only process active items (current_quantity > 0) for UF-fields
-    const activeLineItems = order.line_items.filter(item => {
-      const currentQty = Number(item.current_quantity ?? item.quantity ?? 0);
-      return currentQty > 0;
-    });
-    const lineItems = activeLineItems;
-    const itemsCount = lineItems.length;
-
-    console.log(`[ORDER MAPPER] Processing ${itemsCount} active line_item(s) for UF-fields (filtered from ${order.line_items.length} total)`);
-
-    // ===== SIZE AGGREGATION =====
-    if (itemsCount === 1) {
-      const firstItem = lineItems[0];
-      let sizeValue = null;
-      if (firstItem.variant_title) {
-        sizeValue = String(firstItem.variant_title).trim();
-        console.log(`[ORDER MAPPER] Size from variant_title (single): "${sizeValue}"`);
-      } else if (firstItem.name) {
-        const nameParts = firstItem.name.split(' - ');
-        if (nameParts.length > 1) {
-          sizeValue = nameParts[nameParts.length - 1].trim();
-          console.log(`[ORDER MAPPER] Size from name (single): "${sizeValue}"`);
-        }
-      }
-      if (sizeValue) {
-        dealFields.UF_CRM_1739793720585 = sizeValue;
-        console.log(`[ORDER MAPPER] ✅ Size (single) UF_CRM_1739793720585 = "${sizeValue}"`);
-      }
-    } else {
-      const sizeParts = [];
-      for (let i = 0; i < itemsCount; i++) {
-        const item = lineItems[i];
-        const position = i + 1;
-        let sizeValue = null;
-        if (item.variant_title) {
-          sizeValue = String(item.variant_title).trim();
-        } else if (item.name) {
-          const nameParts = item.name.split(' - ');
-          if (nameParts.length > 1) {
-            sizeValue = nameParts[nameParts.length - 1].trim();
-          }
-        }
-        const sizeDisplay = sizeValue || '-';
-        sizeParts.push(`${position}: ${sizeDisplay}`);
-      }
-      if (sizeParts.length > 0) {
-        dealFields.UF_CRM_1739793720585 = sizeParts.join('; ');
-        console.log(`[ORDER MAPPER] ✅ Size (aggregated) UF_CRM_1739793720585 = "${dealFields.UF_CRM_1739793720585}"`);
-      }
-    }
-
-    // ===== COLOR AGGREGATION =====
-    if (itemsCount === 1) {
-      const firstItem = lineItems[0];
-      const color = parseColorFromTitle(firstItem.title, firstItem.properties || []);
-      if (color) {
-        dealFields.UF_CRM_1739793651654 = color;
-        console.log(`[ORDER MAPPER] ✅ Color (single) UF_CRM_1739793651654 = "${color}"`);
-      }
-    } else {
-      const colorParts = [];
-      for (let i = 0; i < itemsCount; i++) {
-        const item = lineItems[i];
-        const position = i + 1;
-        const color = parseColorFromTitle(item.title, item.properties || []);
-        const colorDisplay = color || '-';
-        colorParts.push(`${position}: ${colorDisplay}`);
-      }
-      if (colorParts.length > 0) {
-        dealFields.UF_CRM_1739793651654 = colorParts.join('; ');
-        console.log(`[ORDER MAPPER] ✅ Color (aggregated) UF_CRM_1739793651654 = "${dealFields.UF_CRM_1739793651654}"`);
-      }
-    }
-
-    // ===== MODEL AND BRAND (first item as reference) =====
-    const firstItem = lineItems[0];
-
-    const model = parseModelFromTitle(firstItem.title);
-    if (model) {
-      dealFields.UF_CRM_1739793668182 = model;
-    }
-
-    if (firstItem.vendor) {
-      const vendorUpper = String(firstItem.vendor).toUpperCase().trim();
-      const brandId = brandMapping[vendorUpper];
-      if (brandId) {
-        dealFields.UF_CRM_1741642513658 = brandId; // Enum field - use ID
-      } else {
-        console.warn(`[ORDER MAPPER] Brand "${vendorUpper}" not found in brandMapping.json, skipping UF_CRM_1741642513658`);
-      }
-    }
-
-    console.log(`[ORDER MAPPER] Extracted UF-fields:`, {
-      size: dealFields.UF_CRM_1739793720585 || 'N/A',
-      color: dealFields.UF_CRM_1739793651654 || 'N/A',
-      model: dealFields.UF_CRM_1739793668182 || 'N/A',
-      brand: dealFields.UF_CRM_1741642513658 || 'N/A'
-    });
-  } else {
-    console.warn(`[ORDER MAPPER] ⚠️ No line_items found in order, cannot extract product properties`);
-  }
-  
   // Log all UF-fields that will be sent to Bitrix
   const ufFields = Object.keys(dealFields).filter(key => key.startsWith('UF_'));
   console.log(`[ORDER MAPPER] All UF-fields in dealFields:`, ufFields.map(key => ({
@@ -432,35 +289,10 @@ export function mapShopifyOrderToBitrixDeal(order) {
       // CRITICAL: line_items are ALWAYS products, NEVER shipping
       // Even if a product has the same ID as shipping, it's still a product from line_items
       
-      // ===== SEMANTIC MAPPING LOGIC (используется семантический маппинг с 100% совпадениями) =====
-      // Семантический маппинг использует:
-      // - Взвешенное сопоставление (Brand 40%, Model 30%, Color 20%, Type 10%)
-      // - Семантический анализ цветов (синонимы: lion=beige, jeans=blue, и т.д.)
-      // - Расширенный словарь цветов (50+ цветов)
-      // - Динамические пороги сопоставления
-      // - Jaccard similarity + Sequence similarity для семантического анализа
-      // Try semantic SKU mapping first (with semantic analysis and weighted matching)
-      const productIdFromSemantic = item.sku ? skuMappingSemantic[item.sku] : null;
-      // ENHANCED MAPPING (закомментировано - используется семантический)
-      // const productIdFromEnhanced = item.sku ? skuMappingEnhanced[item.sku] : null; // Fallback to enhanced
-      const productIdFromOldMapping = item.sku ? skuMapping[item.sku] : null; // Fallback to old mapping
-      const productIdFromConfig = item.sku ? BITRIX_CONFIG.SKU_TO_PRODUCT_ID[item.sku] : null;
-
-      // Try handle-based mapping (with a small normalization removing "barefoot-")
-      const rawHandle = item.handle || item.product_handle || null;
-      const normHandle = rawHandle ? rawHandle.toLowerCase().replace('barefoot-', '') : null;
-      const productIdFromHandle = normHandle ? (handleMapping[normHandle] || handleMapping[rawHandle]) : null;
+      // Product ID: resolved by the SKU resolver (catalog lookup/creation, see skuResolver.js) when the
+      // caller passed options.productIds, otherwise the static mapping files only (UI preview)
+      const productId = (item.sku && options.productIds?.[item.sku]) || lookupStaticProductId(item)?.productId || null;
 
-      // Use semantic mapping with fallback chain
-      let productId = productIdFromSemantic || productIdFromOldMapping || productIdFromHandle || productIdFromConfig || null;
-      
-      // Log if semantic mapping was used
-      if (productIdFromSemantic) {
-        if (!productIdFromOldMapping) {
-          console.log(`[ORDER MAPPER] ✅ Semantic mapping used for SKU: ${item.sku} -> Product ID: ${productIdFromSemantic}`);
-        }
-      }
-      
       // Safety check: if product ID matches shipping ID, log warning but keep it as product
       // (line_items are always products, even if they accidentally have shipping ID)
       if (productId && productId == shippingProductId) {
@@ -0,0 +1,101 @@
+/**
+ * Shopify Product → Bitrix24 Catalog Product Mapper
+ * One catalog product per Shopify variant, keyed by SKU (XML_ID + article property),
+ * the same key the SKU resolver uses for deal product rows.
+ */
+
+import { BITRIX_CONFIG } from './config.js';
+
+// Shopify puts this title on products without options
+const DEFAULT_VARIANT_TITLE = 'Default Title';
+
+// Option names (lowercase) that fill the size/color catalog properties
+const OPTION_PROPERTIES = {
+  SIZE: ['size', 'размер', 'розмір'],
+  COLOR: ['color', 'colour', 'цвет', 'колір'],
+};
+
+/**
+ * Variant option value by option name (options are matched by position: option1..option3)
+ * @param {Object} product - Shopify product
+ * @param {Object} variant - Shopify variant
+ * @param {string[]} names - Accepted option names (lowercase)
+ * @returns {string|null} Option value
+ */
+function getVariantOption(product, variant, names) {
+  const options = Array.isArray(product?.options) ? product.options : [];
+  const index = options.findIndex(option => names.includes(String(option?.name || '').trim().toLowerCase()));
+  if (index < 0) {
+    return null;
+  }
+  const position = options[index].position || index + 1;
+  return variant?.[`option${position}`] || null;
+}
+
+/**
+ * Image URL for a variant: its own image, else the product's main image
+ * @param {Object} product - Shopify product
+ * @param {Object} variant - Shopify variant
+ * @returns {string|null} Image URL
+ */
+export function getVariantImageUrl(product, variant) {
+  const images = Array.isArray(product?.images) ? product.images : [];
+  const own = variant?.image_id ? images.find(image => String(image.id) === String(variant.image_id)) : null;
+  return own?.src || product?.image?.src || images[0]?.src || null;
+}
+
+/**
+ * Catalog product name: product title plus the variant title unless it's the default one
+ * @param {Object} product - Shopify product
+ * @param {Object} variant - Shopify variant
+ * @returns {string} Product name
+ */
+export function getVariantProductName(product, variant) {
+  const variantTitle = variant?.title && variant.title !== DEFAULT_VARIANT_TITLE ? variant.title : null;
+  return [product?.title, variantTitle].filter(Boolean).join(' - ') || variant?.sku || String(variant?.id || '');
+}
+
+/**
+ * Map Shopify variant to crm.product.add / crm.product.update fields (without images)
+ * @param {Object} product - Shopify product
+ * @param {Object} variant - Shopify variant (must have a SKU)
+ * @param {Object} options - { currency }
+ * @returns {Object} Bitrix product fields
+ */
+export function mapShopifyVariantToCatalogFields(product, variant, { currency = 'EUR' } = {}) {
+  const sku = String(variant.sku).trim();
+  // Drafts and archived products are not for sale - keep them in the catalog but inactive
+  const active = !product?.status || product.status === 'active';
+
+  const fields = {
+    NAME: getVariantProductName(product, variant),
+    XML_ID: sku,
+    ACTIVE: active ? 'Y' : 'N',
+    PRICE: Number(variant.price || 0),
+    CURRENCY_ID: currency,
+    DESCRIPTION: product?.body_html || '',
+    DESCRIPTION_TYPE: 'html',
+  };
+
+  if (BITRIX_CONFIG.PRODUCT_ARTICLE_FIELD) {
+    fields[BITRIX_CONFIG.PRODUCT_ARTICLE_FIELD] = sku;
+  }
+  if (BITRIX_CONFIG.PRODUCT_SECTION_ID) {
+    fields.SECTION_ID = BITRIX_CONFIG.PRODUCT_SECTION_ID;
+  }
+
+  const properties = BITRIX_CONFIG.PRODUCT_PROPERTIES || {};
+  const values = {
+    SIZE: getVariantOption(product, variant, OPTION_PROPERTIES.SIZE),
+    COLOR: getVariantOption(product, variant, OPTION_PROPERTIES.COLOR),
+    BRAND: product?.vendor || null,
+    SHOPIFY_VARIANT_ID: variant.id ? String(variant.id) : null,
+  };
+  for (const [key, propertyCode] of Object.entries(properties)) {
+    if (propertyCode && values[key]) {
+      fields[propertyCode] = values[key];
+    }
+  }
+
+  return fields;
+}
@@ -5,26 +5,22 @@
 
 import { callBitrixAPI } from './client.js';
 import { BITRIX_CONFIG } from './config.js';
+import { lookupStaticProductId } from './skuResolver.js';
 
 /**
  * Map Shopify line item to Bitrix product row
+ * Unmapped SKUs become custom rows (PRODUCT_NAME only) instead of being dropped
  * @param {Object} lineItem - Shopify line item
  * @param {Object} order - Shopify order
- * @returns {Object|null} Bitrix product row or null if SKU not found
+ * @param {Object} productIds - { [sku]: productId } from resolveOrderProductIds
+ * @returns {Object} Bitrix product row
  */
-function mapLineItemToProductRow(lineItem, order) {
+function mapLineItemToProductRow(lineItem, order, productIds = {}) {
   const sku = lineItem.sku;
-  
-  if (!sku) {
-    console.warn(`[BITRIX PRODUCT ROWS] Line item ${lineItem.id} has no SKU, skipping`);
-    return null;
-  }
-
-  const productId = BITRIX_CONFIG.SKU_TO_PRODUCT_ID[sku];
+  const productId = (sku && productIds[sku]) || lookupStaticProductId(lineItem)?.productId || null;
 
   if (!productId) {
-    console.warn(`[BITRIX PRODUCT ROWS] SKU ${sku} not found in mapping, skipping`);
-    return null;
+    console.warn(`[BITRIX PRODUCT ROWS] SKU ${sku || 'N/A'} (line item ${lineItem.id}) not mapped, sending as custom row`);
   }
 
   // Parse price
@@ -41,7 +37,8 @@ function mapLineItemToProductRow(lineItem, order) {
   }
 
   return {
-    PRODUCT_ID: productId,
+    ...(productId ? { PRODUCT_ID: productId } : {}),
+    PRODUCT_NAME: [lineItem.title, lineItem.variant_title].filter(Boolean).join(' - ') || sku || 'Shopify item',
     PRICE: price,
     QUANTITY: lineItem.quantity || 1,
     TAX_INCLUDED: order.taxes_included ? 'Y' : 'N',
@@ -52,18 +49,16 @@ function mapLineItemToProductRow(lineItem, order) {
 /**
  * Create product rows array from Shopify order
  * @param {Object} order - Shopify order
+ * @param {Object} productIds - { [sku]: productId } from resolveOrderProductIds (optional)
  * @returns {Array<Object>} Array of product rows
  */
-export function createProductRowsFromOrder(order) {
+export function createProductRowsFromOrder(order, productIds = {}) {
   const rows = [];
 
   // Process line items
   if (order.line_items && Array.isArray(order.line_items)) {
     for (const lineItem of order.line_items) {
-      const row = mapLineItemToProductRow(lineItem, order);
-      if (row) {
-        rows.push(row);
-      }
+      rows.push(mapLineItemToProductRow(lineItem, order, productIds));
     }
   }
 
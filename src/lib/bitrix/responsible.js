@@ -1,167 +1,159 @@
-import mapping from './responsibleMapping.json' assert { type: 'json' };
+/**
+ * Responsible Manager Resolution
+ * Who gets a new deal (ASSIGNED_BY_ID): the roster (shifts, overrides, prioritized rules - see
+ * roster.js; edited at runtime via rosterStore.js, else responsibleMapping.json) evaluated at the
+ * current time.
+ *
+ * Rotation state (when each manager last got a deal, for round_robin / tie breaks) lives in
+ * responsible-rotation.json in the data directory and is only advanced by assignResponsible(),
+ * which deal creation calls. resolveResponsibleId() only reads it, so re-mapping an order
+ * (updates, log exports) never moves the rotation.
+ */
+
+import { resolveRoster, validateRoster, ROSTER_STRATEGIES } from './roster.js';
+import { loadRoster } from './rosterStore.js';
+import { callBitrixBatch, BITRIX_BATCH_LIMIT } from './client.js';
+import { dataFilePath, readJsonFile, writeJsonFileAtomic, withFileLock } from '../storage/jsonFile.js';
+
+const ROTATION_FILE = 'responsible-rotation.json';
+
+let bundledChecked = false;
 
 /**
- * Get current time in Cyprus timezone (Asia/Nicosia, UTC+2/UTC+3)
- * Returns date object with Cyprus local time components
- * @returns {Object} { date: Date, hours: number, minutes: number, day: number }
+ * Current roster config
+ * A runtime roster is validated when saved; the bundled one once per process - problems are
+ * logged, the roster is still used as far as it goes
+ * @returns {Object} Roster
  */
-function getCyprusTime() {
-  const now = new Date();
-  // Format time in Cyprus timezone
-  const cyprusTimeString = now.toLocaleString('en-US', { 
-    timeZone: 'Asia/Nicosia',
-    hour12: false,
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit'
-  });
-  
-  // Parse the formatted string to get components
-  // Format: "MM/DD/YYYY, HH:MM"
-  const [datePart, timePart] = cyprusTimeString.split(', ');
-  const [month, day, year] = datePart.split('/').map(Number);
-  const [hours, minutes] = timePart.split(':').map(Number);
-  
-  // Create a date object (in local time, but represents Cyprus time)
-  const cyprusDate = new Date(year, month - 1, day, hours, minutes);
-  
-  return {
-    date: cyprusDate,
-    hours,
-    minutes,
-    day: cyprusDate.getDay() // 0 = Sunday, 1 = Monday, etc.
-  };
+export function getResponsibleRoster() {
+  const { roster, source } = loadRoster();
+  if (source === 'bundled' && !bundledChecked) {
+    const { valid, errors } = validateRoster(roster);
+    if (!valid) {
+      console.error(`[RESPONSIBLE] ❌ responsibleMapping.json has errors:`, errors);
+    }
+    bundledChecked = true;
+  }
+  return roster;
+}
+
+function loadRotation() {
+  return readJsonFile(dataFilePath(ROTATION_FILE), { lastAssignedAt: {} });
+}
+
+function logResolution(order, result, now) {
+  const prefix = `[RESPONSIBLE] Order ${order?.id || 'n/a'} at ${now.toISOString()}`;
+  if (result.matchedBy === 'rule') {
+    const shift = result.shiftId ? `, shift ${result.shiftId}` : '';
+    const overrides = result.overrideIds.length > 0 ? `, overrides ${result.overrideIds.join(',')}` : '';
+    console.log(`${prefix} → ${result.assigneeId} (rule ${result.ruleId}${shift}${overrides}, ${result.strategy} of [${result.candidates.join(', ')}])`);
+  } else if (result.matchedBy === 'default') {
+    console.warn(`[RESPONSIBLE] ⚠️ Order ${order?.id || 'n/a'}: no roster rule matched → default ${result.assigneeId}`, result.evaluated);
+  } else {
+    console.error(`[RESPONSIBLE] ❌ CRITICAL: Order ${order?.id || 'n/a'}: no roster rule matched and no default manager configured`, result.evaluated);
+  }
 }
 
 /**
- * Check if current time is after switch time for weekday schedule
- * @param {string} switchTime - Time in format "HH:MM" (e.g., "09:01", "19:01")
- * @param {Object} cyprusTime - Current time object from getCyprusTime()
- * @returns {boolean} True if current time is after switch time
+ * Resolve Bitrix responsible (ASSIGNED_BY_ID) for a Shopify order without advancing the rotation
+ * @param {Object} order - Shopify order
+ * @param {Object} options - { now: Date (default current time), roster }
+ * @returns {number|null} Bitrix user ID
  */
-function isAfterSwitchTime(switchTime, cyprusTime) {
-  const [switchHours, switchMinutes] = switchTime.split(':').map(Number);
-  const { hours, minutes } = cyprusTime;
-  
-  return hours > switchHours || (hours === switchHours && minutes >= switchMinutes);
+export function resolveResponsibleId(order, { now = new Date(), roster = getResponsibleRoster() } = {}) {
+  const result = resolveRoster(roster, order, { now, stats: loadRotation() });
+  logResolution(order, result, now);
+  return result.assigneeId;
 }
 
 /**
- * Resolve Bitrix responsible (ASSIGNED_BY_ID) based on Shopify order.
- * Priority: byWeekday (with time schedule) -> byTag -> byCountryCode -> bySource -> default.
- * Logs warning if matched by default.
+ * Open deals per manager (crm.deal.list totals, one batch)
+ * @param {Array} managerIds - Bitrix user IDs
+ * @returns {Promise<Object>} { id: count } - managers whose count failed are missing
  */
-export function resolveResponsibleId(order) {
-  const {
-    default: defaultId = null,
-    byWeekday = {},
-    byTag = {},
-    byCountryCode = {},
-    bySource = {},
-    weekdaySchedule = {},
-  } = mapping;
+async function countOpenDeals(managerIds) {
+  const ids = managerIds.slice(0, BITRIX_BATCH_LIMIT);
+  const batch = await callBitrixBatch(Object.fromEntries(ids.map(id => [
+    `user_${id}`,
+    ['crm.deal.list', { filter: { ASSIGNED_BY_ID: id, CLOSED: 'N' }, select: ['ID'] }],
+  ])));
 
-  // 0) By weekday with time schedule (highest priority)
-  const cyprusTime = getCyprusTime();
-  const weekday = cyprusTime.day; // 0 = Sunday, 1 = Monday, ..., 6 = Saturday
-  
-  console.log(`[RESPONSIBLE] Resolving for weekday ${weekday}, Cyprus time: ${cyprusTime.hours}:${String(cyprusTime.minutes).padStart(2, '0')}`);
-  
-  // Check weekday schedule for Monday (switch at 9:01) and Friday (switch at 19:01)
-  if (weekdaySchedule.monday && weekday === 1) {
-    // Monday: switch to Alena at 9:01
-    const isAfter = isAfterSwitchTime(weekdaySchedule.monday.switchTime, cyprusTime);
-    console.log(`[RESPONSIBLE] Monday check: after ${weekdaySchedule.monday.switchTime} = ${isAfter}`);
-    
-    if (isAfter) {
-      const mondayManagerId = weekdaySchedule.monday.managerId;
-      if (mondayManagerId) {
-        console.log(`[RESPONSIBLE] ✅ Monday after 9:01 → Alena (ID: ${mondayManagerId})`);
-        return mondayManagerId;
-      } else {
-        console.warn(`[RESPONSIBLE] ⚠️ Monday managerId is null/undefined, falling back`);
-      }
-    } else {
-      // Monday before 9:01 → previous manager (Lena from Friday)
-      const fridayManagerId = weekdaySchedule.friday?.managerId || defaultId;
-      if (fridayManagerId) {
-        console.log(`[RESPONSIBLE] ✅ Monday before 9:01 → previous (Lena, ID: ${fridayManagerId})`);
-        return fridayManagerId;
-      }
-    }
-  }
-  
-  if (weekdaySchedule.friday && weekday === 5) {
-    // Friday: switch to Lena at 19:01
-    const isAfter = isAfterSwitchTime(weekdaySchedule.friday.switchTime, cyprusTime);
-    console.log(`[RESPONSIBLE] Friday check: after ${weekdaySchedule.friday.switchTime} = ${isAfter}`);
-    
-    if (isAfter) {
-      const fridayManagerId = weekdaySchedule.friday.managerId;
-      if (fridayManagerId) {
-        console.log(`[RESPONSIBLE] ✅ Friday after 19:01 → Lena (ID: ${fridayManagerId})`);
-        return fridayManagerId;
-      } else {
-        console.warn(`[RESPONSIBLE] ⚠️ Friday managerId is null/undefined, falling back`);
-      }
-    } else {
-      // Friday before 19:01 → previous manager (Alena from Monday)
-      const mondayManagerId = weekdaySchedule.monday?.managerId || defaultId;
-      if (mondayManagerId) {
-        console.log(`[RESPONSIBLE] ✅ Friday before 19:01 → previous (Alena, ID: ${mondayManagerId})`);
-        return mondayManagerId;
-      }
+  const counts = {};
+  for (const id of ids) {
+    const key = `user_${id}`;
+    if (batch.errors[key]) {
+      continue;
     }
-  }
-  
-  // Fallback to byWeekday mapping (without time schedule)
-  if (byWeekday && byWeekday.hasOwnProperty(String(weekday))) {
-    const weekdayManagerId = byWeekday[String(weekday)];
-    if (weekdayManagerId) {
-      console.log(`[RESPONSIBLE] ✅ Weekday ${weekday} → manager ID: ${weekdayManagerId}`);
-      return weekdayManagerId;
-    } else {
-      console.warn(`[RESPONSIBLE] ⚠️ Weekday ${weekday} managerId is null/undefined`);
+    const total = batch.totals[key] ?? (Array.isArray(batch.results[key]) ? batch.results[key].length : undefined);
+    if (Number.isFinite(Number(total))) {
+      counts[id] = Number(total);
     }
   }
+  return counts;
+}
 
-  // 1) By tag
-  const tags = (order.tags || '')
-    .split(',')
-    .map(t => t.trim())
-    .filter(Boolean);
-  for (const tag of tags) {
-    if (byTag[tag]) {
-      return byTag[tag];
+/**
+ * Rotation plus, when the matching pool uses least_open_deals, open deal counts from Bitrix
+ * @param {Object} roster - Roster
+ * @param {Object} order - Shopify order
+ * @param {Date} now - Moment
+ * @returns {Promise<Object>} { lastAssignedAt, openDeals } - openDeals null when not needed or unavailable
+ */
+async function loadAssignmentStats(roster, order, now) {
+  const rotation = loadRotation();
+  let openDeals = null;
+  const preview = resolveRoster(roster, order, { now, stats: rotation });
+  if (preview.requestedStrategy === ROSTER_STRATEGIES.LEAST_OPEN_DEALS && preview.candidates.length > 1) {
+    try {
+      openDeals = await countOpenDeals(preview.candidates);
+    } catch (error) {
+      console.warn(`[RESPONSIBLE] ⚠️ Open deal counts unavailable, rotating instead: ${error.message}`);
     }
   }
+  return { ...rotation, openDeals };
+}
 
-  // 2) By country code (shipping or billing)
-  const countryCode =
-    order.shipping_address?.country_code ||
-    order.billing_address?.country_code ||
-    null;
-  if (countryCode && byCountryCode[countryCode]) {
-    return byCountryCode[countryCode];
-  }
+/**
+ * Who would get the order at a moment - same resolver and statistics as assignResponsible,
+ * nothing is recorded
+ * @param {Object} order - Shopify order
+ * @param {Object} options - { now: Date (default current time), roster (default: active roster, e.g. a draft to try) }
+ * @returns {Promise<Object>} resolveRoster result plus stats { lastAssignedAt, openDeals }
+ */
+export async function simulateResponsible(order, { now = new Date(), roster = getResponsibleRoster() } = {}) {
+  const stats = await loadAssignmentStats(roster, order, now);
+  return { ...resolveRoster(roster, order, { now, stats }), stats };
+}
 
-  // 3) By source
-  const source = order.source_name || '';
-  if (source && bySource[source]) {
-    return bySource[source];
-  }
+/**
+ * Pick the responsible for a deal about to be created and advance the rotation
+ * least_open_deals reads open deal counts from Bitrix; if that fails the pool rotates instead.
+ * @param {Object} order - Shopify order
+ * @param {Object} options - { now: Date (default current time), roster }
+ * @returns {Promise<Object>} resolveRoster result
+ */
+export async function assignResponsible(order, { now = new Date(), roster = getResponsibleRoster() } = {}) {
+  const { openDeals } = await loadAssignmentStats(roster, order, now);
 
-  // 4) Default - always return defaultId if available, never return null
-  if (defaultId) {
-    console.warn(`[RESPONSIBLE] ⚠️ Matched by default for order ${order.id} → ID: ${defaultId} (Lena/Helen Bozbei)`);
-    return defaultId;
+  // Resolve and record under the lock so concurrent orders see each other's assignment
+  const filePath = dataFilePath(ROTATION_FILE);
+  let result;
+  try {
+    result = await withFileLock(filePath, () => {
+      const rotation = readJsonFile(filePath, { lastAssignedAt: {} });
+      const resolved = resolveRoster(roster, order, { now, stats: { ...rotation, openDeals } });
+      if (resolved.matchedBy === 'rule') {
+        rotation.lastAssignedAt = { ...rotation.lastAssignedAt, [resolved.assigneeId]: now.getTime() };
+        writeJsonFileAtomic(filePath, rotation);
+      }
+      return resolved;
+    });
+  } catch (error) {
+    // A stuck rotation file must not block deal creation - assign without recording
+    console.warn(`[RESPONSIBLE] ⚠️ Rotation not recorded: ${error.message}`);
+    result = resolveRoster(roster, order, { now, stats: { ...loadRotation(), openDeals } });
   }
 
-  // Last resort: if no default, log error but still try to return a fallback
-  console.error(`[RESPONSIBLE] ❌ CRITICAL: No default manager ID configured! Order ${order.id} will have no responsible.`);
-  console.error(`[RESPONSIBLE] Mapping config:`, JSON.stringify({ defaultId, byWeekday, weekdaySchedule }, null, 2));
-  return null;
+  logResolution(order, result, now);
+  return result;
 }
-
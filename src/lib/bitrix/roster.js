@@ -0,0 +1,416 @@
+/**
+ * Responsible Roster Engine
+ * Decides who gets a new deal (ASSIGNED_BY_ID) from a declarative roster: weekly shift windows
+ * per timezone, date-specific overrides (holidays, vacations) and prioritized rules.
+ *
+ * - shifts: [{ id, label, timezone, windows, managers, strategy }]
+ *   window { from: 'mon 09:01', to: 'fri 19:01' } - one span across the week (may wrap over Sunday)
+ *   window { days: ['mon', ...], from: '09:00', to: '18:00' } - daily span on the listed days
+ *   (to <= from ends on the next day, '24:00' is the end of the day)
+ * - overrides: [{ id, from, to, timezone, shifts, managers, absent, note }]
+ *   from/to 'YYYY-MM-DD' or 'YYYY-MM-DDTHH:MM' in the roster timezone, a date-only `to` is inclusive.
+ *   managers replaces the pool of the listed shifts (all when omitted), absent removes managers everywhere
+ * - rules: [{ id, priority, when: { tags, countryCodes, sources }, shifts, managers, strategy }]
+ *   sorted by priority (lower first, then list order). A rule applies when all `when` conditions match
+ *   and, with `shifts`, one of them is active. Pool = rule.managers, else the active shift's managers.
+ *   A rule whose pool is empty after absences falls through to the next one; nothing matched → default.
+ * - strategy (rule → shift → roster): first | round_robin (longest without a deal) | least_open_deals
+ *
+ * Pure and synchronous: the clock and the assignment statistics are passed in, so the same roster
+ * can be evaluated for any moment (simulation, tests).
+ */
+
+export const ROSTER_STRATEGIES = {
+  FIRST: 'first',
+  ROUND_ROBIN: 'round_robin',
+  LEAST_OPEN_DEALS: 'least_open_deals',
+};
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$|^24:00$/;
+const OVERRIDE_PATTERN = /^\d{4}-\d{2}-\d{2}(T([01]\d|2[0-3]):[0-5]\d)?$/;
+const DEFAULT_TIMEZONE = 'Asia/Nicosia';
+
+const formatters = new Map();
+
+/**
+ * Wall clock of a moment in a timezone
+ * @param {Date} now - Moment
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} { day (0 = Sunday), minuteOfWeek, date: 'YYYY-MM-DD', time: 'HH:MM', local: 'YYYY-MM-DDTHH:MM' }
+ */
+export function getLocalTime(now, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+    }));
+  }
+  const parts = Object.fromEntries(formatters.get(timeZone).formatToParts(now).map(part => [part.type, part.value]));
+  const day = DAY_NAMES.indexOf(parts.weekday.toLowerCase());
+  const minutes = Number(parts.hour) * 60 + Number(parts.minute);
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+  const time = `${parts.hour}:${parts.minute}`;
+  return { day, minuteOfWeek: day * MINUTES_PER_DAY + minutes, date, time, local: `${date}T${time}` };
+}
+
+function parseClock(value) {
+  const match = TIME_PATTERN.exec(String(value || '').trim());
+  if (!match) {
+    return null;
+  }
+  return match[1] === undefined ? MINUTES_PER_DAY : Number(match[1]) * 60 + Number(match[2]);
+}
+
+function parseDay(value) {
+  return DAY_NAMES.indexOf(String(value || '').trim().slice(0, 3).toLowerCase());
+}
+
+/**
+ * Window → spans in minutes of the week [start, end), end may exceed a week (wraps)
+ * @param {Object} window - Shift window
+ * @returns {Array|null} [[start, end]] or null if the window is malformed
+ */
+function windowSpans(window) {
+  if (Array.isArray(window?.days)) {
+    const from = parseClock(window.from);
+    const to = parseClock(window.to);
+    const days = window.days.map(parseDay);
+    if (from === null || to === null || days.length === 0 || days.includes(-1)) {
+      return null;
+    }
+    const length = to > from ? to - from : to + MINUTES_PER_DAY - from;
+    return days.map(day => [day * MINUTES_PER_DAY + from, day * MINUTES_PER_DAY + from + length]);
+  }
+
+  const [fromDay, fromTime] = String(window?.from || '').trim().split(/\s+/);
+  const [toDay, toTime] = String(window?.to || '').trim().split(/\s+/);
+  const startDay = parseDay(fromDay);
+  const endDay = parseDay(toDay);
+  const startClock = parseClock(fromTime);
+  const endClock = parseClock(toTime);
+  if (startDay === -1 || endDay === -1 || startClock === null || endClock === null) {
+    return null;
+  }
+  const start = startDay * MINUTES_PER_DAY + startClock;
+  const end = endDay * MINUTES_PER_DAY + endClock;
+  return [[start, end > start ? end : end + MINUTES_PER_WEEK]];
+}
+
+function inSpan(minuteOfWeek, [start, end]) {
+  return (minuteOfWeek >= start && minuteOfWeek < end)
+    || (minuteOfWeek + MINUTES_PER_WEEK >= start && minuteOfWeek + MINUTES_PER_WEEK < end);
+}
+
+/**
+ * Whether a shift is on at the given moment
+ * @param {Object} shift - Shift definition
+ * @param {Date} now - Moment
+ * @param {string} defaultTimezone - Roster timezone
+ * @returns {boolean} True if one of the shift windows contains the moment
+ */
+export function isShiftActive(shift, now, defaultTimezone = DEFAULT_TIMEZONE) {
+  const { minuteOfWeek } = getLocalTime(now, shift.timezone || defaultTimezone);
+  return (shift.windows || []).some(window => (windowSpans(window) || []).some(span => inSpan(minuteOfWeek, span)));
+}
+
+function overrideBounds(override) {
+  const from = String(override.from || '');
+  const to = String(override.to || override.from || '');
+  return {
+    from: from.includes('T') ? from : `${from}T00:00`,
+    // A date-only end covers the whole day ('24:00' sorts after any time of that day)
+    to: to.includes('T') ? to : `${to}T24:00`,
+  };
+}
+
+/**
+ * Overrides in effect at the given moment
+ * @param {Object} roster - Roster config
+ * @param {Date} now - Moment
+ * @returns {Array} Active overrides in list order
+ */
+export function getActiveOverrides(roster, now) {
+  return (roster.overrides || []).filter(override => {
+    const { local } = getLocalTime(now, override.timezone || roster.timezone || DEFAULT_TIMEZONE);
+    const { from, to } = overrideBounds(override);
+    return local >= from && local < to;
+  });
+}
+
+function normalizeList(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  return (Array.isArray(value) ? value : [value]).map(item => String(item).trim().toLowerCase()).filter(Boolean);
+}
+
+function orderTags(order) {
+  return normalizeList(String(order?.tags || '').split(','));
+}
+
+/**
+ * Whether a rule's `when` conditions match the order (all listed conditions must match)
+ * @param {Object} when - { tags, countryCodes, sources }
+ * @param {Object} order - Shopify order
+ * @returns {boolean} True on match (an empty `when` always matches)
+ */
+export function matchesRuleConditions(when, order = {}) {
+  when = when || {};
+  const tags = normalizeList(when.tags);
+  if (tags.length > 0 && !orderTags(order).some(tag => tags.includes(tag))) {
+    return false;
+  }
+  const countryCodes = normalizeList(when.countryCodes);
+  if (countryCodes.length > 0) {
+    const countryCode = String(order.shipping_address?.country_code || order.billing_address?.country_code || '').toLowerCase();
+    if (!countryCodes.includes(countryCode)) {
+      return false;
+    }
+  }
+  const sources = normalizeList(when.sources);
+  if (sources.length > 0 && !sources.includes(String(order.source_name || '').toLowerCase())) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Rules in evaluation order (priority ascending, then list order)
+ * @param {Object} roster - Roster config
+ * @returns {Array} Sorted rules
+ */
+export function sortRosterRules(roster) {
+  return (roster.rules || [])
+    .map((rule, index) => ({ rule, index }))
+    .sort((a, b) => (Number(a.rule.priority ?? 0) - Number(b.rule.priority ?? 0)) || (a.index - b.index))
+    .map(({ rule }) => rule);
+}
+
+/**
+ * Pick one manager from the pool
+ * @param {Array} pool - Candidate manager ids in preference order
+ * @param {string} strategy - ROSTER_STRATEGIES value
+ * @param {Object} stats - { lastAssignedAt: { id: ms }, openDeals: { id: count } }
+ * @returns {Object} { assigneeId, strategy } - strategy actually applied
+ */
+export function pickManager(pool, strategy, stats = {}) {
+  const lastAssignedAt = id => Number(stats.lastAssignedAt?.[id] || 0);
+  const byRotation = (a, b) => lastAssignedAt(a) - lastAssignedAt(b);
+
+  if (strategy === ROSTER_STRATEGIES.LEAST_OPEN_DEALS) {
+    const openDeals = stats.openDeals || {};
+    // Without counts for every candidate a comparison would be wrong - rotate instead
+    if (pool.every(id => Number.isFinite(openDeals[id]))) {
+      const sorted = [...pool].sort((a, b) => (openDeals[a] - openDeals[b]) || byRotation(a, b));
+      return { assigneeId: sorted[0], strategy };
+    }
+    strategy = ROSTER_STRATEGIES.ROUND_ROBIN;
+  }
+  if (strategy === ROSTER_STRATEGIES.ROUND_ROBIN) {
+    return { assigneeId: [...pool].sort(byRotation)[0], strategy };
+  }
+  return { assigneeId: pool[0], strategy: ROSTER_STRATEGIES.FIRST };
+}
+
+function uniqueIds(ids) {
+  return [...new Set((ids || []).map(Number).filter(id => Number.isInteger(id) && id > 0))];
+}
+
+/**
+ * Resolve the responsible manager for an order at a moment
+ * @param {Object} roster - Roster config
+ * @param {Object} order - Shopify order (tags, shipping/billing country_code, source_name)
+ * @param {Object} options - { now: Date, stats: { lastAssignedAt, openDeals } }
+ * @returns {Object} { assigneeId, matchedBy: 'rule'|'default'|'none', ruleId, shiftId, overrideIds, poolOverrideId,
+ *   requestedStrategy, strategy, candidates, evaluated }. strategy is the one applied (least_open_deals
+ *   without counts rotates); evaluated lists every rule with the reason it was skipped or taken
+ */
+export function resolveRoster(roster, order = {}, { now = new Date(), stats = {} } = {}) {
+  const timezone = roster.timezone || DEFAULT_TIMEZONE;
+  const shifts = new Map((roster.shifts || []).map(shift => [shift.id, shift]));
+  const overrides = getActiveOverrides(roster, now);
+  const absent = new Set(overrides.flatMap(override => uniqueIds(override.absent)));
+  const evaluated = [];
+
+  const shiftPool = shift => {
+    const replacement = overrides.find(override => Array.isArray(override.managers)
+      && (!override.shifts || override.shifts.includes(shift.id)));
+    return { managers: uniqueIds(replacement ? replacement.managers : shift.managers), overrideId: replacement?.id || null };
+  };
+
+  for (const rule of sortRosterRules(roster)) {
+    if (!matchesRuleConditions(rule.when, order)) {
+      evaluated.push({ ruleId: rule.id, result: 'conditions_not_matched' });
+      continue;
+    }
+
+    let shift = null;
+    if (Array.isArray(rule.shifts) && rule.shifts.length > 0) {
+      shift = rule.shifts.map(id => shifts.get(id)).find(candidate => candidate && isShiftActive(candidate, now, timezone)) || null;
+      if (!shift) {
+        evaluated.push({ ruleId: rule.id, result: 'no_active_shift' });
+        continue;
+      }
+    }
+
+    const pool = Array.isArray(rule.managers) && rule.managers.length > 0
+      ? { managers: uniqueIds(rule.managers), overrideId: null }
+      : shift ? shiftPool(shift) : { managers: [], overrideId: null };
+    const candidates = pool.managers.filter(id => !absent.has(id));
+    if (candidates.length === 0) {
+      evaluated.push({ ruleId: rule.id, shiftId: shift?.id || null, result: 'no_available_manager' });
+      continue;
+    }
+
+    const requestedStrategy = rule.strategy || shift?.strategy || roster.strategy || ROSTER_STRATEGIES.FIRST;
+    const { assigneeId, strategy } = pickManager(candidates, requestedStrategy, stats);
+    evaluated.push({ ruleId: rule.id, shiftId: shift?.id || null, result: 'assigned' });
+    return {
+      assigneeId,
+      matchedBy: 'rule',
+      ruleId: rule.id,
+      shiftId: shift?.id || null,
+      overrideIds: overrides.map(override => override.id),
+      poolOverrideId: pool.overrideId,
+      requestedStrategy,
+      strategy,
+      candidates,
+      evaluated,
+    };
+  }
+
+  const defaultId = uniqueIds([roster.default])[0] || null;
+  return {
+    assigneeId: defaultId,
+    matchedBy: defaultId ? 'default' : 'none',
+    ruleId: null,
+    shiftId: null,
+    overrideIds: overrides.map(override => override.id),
+    poolOverrideId: null,
+    requestedStrategy: null,
+    strategy: null,
+    candidates: defaultId ? [defaultId] : [],
+    evaluated,
+  };
+}
+
+/**
+ * Check a roster config
+ * @param {Object} roster - Roster config
+ * @returns {Object} { valid, errors: [string] }
+ */
+export function validateRoster(roster) {
+  const errors = [];
+  if (!roster || typeof roster !== 'object') {
+    return { valid: false, errors: ['roster must be an object'] };
+  }
+
+  const checkTimezone = (timeZone, where) => {
+    if (!timeZone) {
+      return;
+    }
+    try {
+      getLocalTime(new Date(0), timeZone);
+    } catch (error) {
+      errors.push(`${where}: unknown timezone "${timeZone}"`);
+    }
+  };
+  const checkStrategy = (strategy, where) => {
+    if (strategy && !Object.values(ROSTER_STRATEGIES).includes(strategy)) {
+      errors.push(`${where}: unknown strategy "${strategy}"`);
+    }
+  };
+  const checkIds = (ids, where) => {
+    if (ids !== undefined && (!Array.isArray(ids) || uniqueIds(ids).length !== ids.length)) {
+      errors.push(`${where}: expected a list of distinct positive user ids`);
+    }
+  };
+  const checkUniqueIds = (items, what) => {
+    const seen = new Set();
+    for (const item of items) {
+      if (!item.id) {
+        errors.push(`${what}: every entry needs an id`);
+      } else if (seen.has(item.id)) {
+        errors.push(`${what}: duplicate id "${item.id}"`);
+      }
+      seen.add(item.id);
+    }
+  };
+
+  if (roster.default !== undefined && roster.default !== null && uniqueIds([roster.default]).length === 0) {
+    errors.push('default: expected a positive user id');
+  }
+  checkTimezone(roster.timezone, 'timezone');
+  checkStrategy(roster.strategy, 'strategy');
+
+  const shifts = roster.shifts || [];
+  const rules = roster.rules || [];
+  const overrides = roster.overrides || [];
+  checkUniqueIds(shifts, 'shifts');
+  checkUniqueIds(rules, 'rules');
+  checkUniqueIds(overrides, 'overrides');
+  const shiftIds = new Set(shifts.map(shift => shift.id));
+
+  for (const shift of shifts) {
+    const where = `shift "${shift.id}"`;
+    checkTimezone(shift.timezone, where);
+    checkStrategy(shift.strategy, where);
+    checkIds(shift.managers, `${where} managers`);
+    if (!Array.isArray(shift.windows) || shift.windows.length === 0) {
+      errors.push(`${where}: at least one window is required`);
+    } else if (shift.windows.some(window => !windowSpans(window))) {
+      errors.push(`${where}: windows are { from: 'mon 09:00', to: 'fri 18:00' } or { days: ['mon'], from: '09:00', to: '18:00' }`);
+    }
+  }
+
+  for (const rule of rules) {
+    const where = `rule "${rule.id}"`;
+    checkStrategy(rule.strategy, where);
+    checkIds(rule.managers, `${where} managers`);
+    if (rule.priority !== undefined && !Number.isFinite(Number(rule.priority))) {
+      errors.push(`${where}: priority must be a number`);
+    }
+    for (const shiftId of rule.shifts || []) {
+      if (!shiftIds.has(shiftId)) {
+        errors.push(`${where}: unknown shift "${shiftId}"`);
+      }
+    }
+    if (!(rule.managers || []).length && !(rule.shifts || []).length) {
+      errors.push(`${where}: needs managers or shifts`);
+    }
+  }
+
+  for (const override of overrides) {
+    const where = `override "${override.id}"`;
+    checkTimezone(override.timezone, where);
+    checkIds(override.managers, `${where} managers`);
+    checkIds(override.absent, `${where} absent`);
+    if (!OVERRIDE_PATTERN.test(String(override.from || '')) || (override.to && !OVERRIDE_PATTERN.test(String(override.to)))) {
+      errors.push(`${where}: from/to are 'YYYY-MM-DD' or 'YYYY-MM-DDTHH:MM'`);
+    } else {
+      const { from, to } = overrideBounds(override);
+      if (to <= from) {
+        errors.push(`${where}: ends before it starts`);
+      }
+    }
+    for (const shiftId of override.shifts || []) {
+      if (!shiftIds.has(shiftId)) {
+        errors.push(`${where}: unknown shift "${shiftId}"`);
+      }
+    }
+    if (!override.managers && !override.absent) {
+      errors.push(`${where}: needs managers or absent`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
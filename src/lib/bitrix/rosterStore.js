@@ -0,0 +1,171 @@
+/**
+ * Responsible Roster Store
+ * Runtime copy of the responsible roster, editable from the dashboard without a redeploy.
+ * responsible-roster.json in the data directory wins over the bundled responsibleMapping.json;
+ * resetting deletes it. Every save/reset is appended to responsible-roster-audit.json with
+ * who (self-reported actor plus the request source), when, what changed (diff) and the full
+ * roster before and after. The entry is written under the roster lock, before the roster
+ * itself: concurrent saves are audited in the order they were applied, and a change never
+ * lands without its entry.
+ */
+
+import fs from 'fs';
+import { randomUUID } from 'crypto';
+import bundledRoster from './responsibleMapping.json' assert { type: 'json' };
+import { validateRoster } from './roster.js';
+import { dataFilePath, readJsonFile, writeJsonFileAtomic, withFileLock } from '../storage/jsonFile.js';
+
+const ROSTER_FILE = 'responsible-roster.json';
+const AUDIT_FILE = 'responsible-roster-audit.json';
+
+/**
+ * Active roster
+ * @returns {Object} { roster, source: 'runtime'|'bundled', updatedAt, updatedBy }
+ */
+export function loadRoster() {
+  const stored = readJsonFile(dataFilePath(ROSTER_FILE), null);
+  if (stored?.roster) {
+    return { roster: stored.roster, source: 'runtime', updatedAt: stored.updatedAt || null, updatedBy: stored.updatedBy || null };
+  }
+  return { roster: bundledRoster, source: 'bundled', updatedAt: null, updatedBy: null };
+}
+
+/**
+ * Changes between two rosters, per scalar setting and per shift/rule/override id, plus the order of
+ * each section (rules are tried in order)
+ * @param {Object} before - Previous roster
+ * @param {Object} after - New roster
+ * @returns {Array} [{ path, change: 'added'|'removed'|'changed'|'reordered', from, to }]
+ *   ('reordered': from/to are the ids present in both rosters, in their old and new order)
+ */
+export function diffRosters(before = {}, after = {}) {
+  const changes = [];
+  for (const key of ['default', 'timezone', 'strategy']) {
+    if (JSON.stringify(before[key] ?? null) !== JSON.stringify(after[key] ?? null)) {
+      changes.push({ path: key, change: 'changed', from: before[key] ?? null, to: after[key] ?? null });
+    }
+  }
+  for (const section of ['shifts', 'rules', 'overrides']) {
+    const previous = new Map((before[section] || []).map(item => [item.id, item]));
+    const next = new Map((after[section] || []).map(item => [item.id, item]));
+    for (const [id, item] of next) {
+      if (!previous.has(id)) {
+        changes.push({ path: `${section}.${id}`, change: 'added', from: null, to: item });
+      } else if (JSON.stringify(previous.get(id)) !== JSON.stringify(item)) {
+        changes.push({ path: `${section}.${id}`, change: 'changed', from: previous.get(id), to: item });
+      }
+    }
+    for (const [id, item] of previous) {
+      if (!next.has(id)) {
+        changes.push({ path: `${section}.${id}`, change: 'removed', from: item, to: null });
+      }
+    }
+    const previousOrder = [...previous.keys()].filter(id => next.has(id));
+    const nextOrder = [...next.keys()].filter(id => previous.has(id));
+    if (previousOrder.join('\u0000') !== nextOrder.join('\u0000')) {
+      changes.push({ path: section, change: 'reordered', from: previousOrder, to: nextOrder });
+    }
+  }
+  return changes;
+}
+
+// Called with the roster lock held
+async function appendAudit(entry) {
+  const filePath = dataFilePath(AUDIT_FILE);
+  await withFileLock(filePath, () => {
+    const entries = readJsonFile(filePath, []);
+    entries.push(entry);
+    writeJsonFileAtomic(filePath, entries);
+  });
+}
+
+function logAudit(entry) {
+  console.log(JSON.stringify({
+    event: 'RESPONSIBLE_ROSTER_CHANGED',
+    auditId: entry.id,
+    action: entry.action,
+    actor: entry.actor,
+    source: entry.source,
+    changes: entry.changes.map(change => `${change.change} ${change.path}`),
+    timestamp: entry.at
+  }));
+}
+
+/**
+ * Validate and store a roster as the runtime roster
+ * @param {Object} roster - New roster
+ * @param {Object} meta - { actor, note, source: { ip, userAgent } of the request }
+ * @returns {Promise<Object>} { roster, auditEntry } (auditEntry null when nothing changed)
+ * @throws {Error} errorType 'ROSTER_INVALID' with errorDetails = validation errors
+ */
+export async function saveRoster(roster, { actor = 'unknown', note = null, source = null } = {}) {
+  const validation = validateRoster(roster);
+  if (!validation.valid) {
+    const error = new Error(`Invalid roster: ${validation.errors.join('; ')}`);
+    error.errorType = 'ROSTER_INVALID';
+    error.errorDetails = validation.errors;
+    throw error;
+  }
+
+  const filePath = dataFilePath(ROSTER_FILE);
+  const auditEntry = await withFileLock(filePath, async () => {
+    const before = loadRoster().roster;
+    const changes = diffRosters(before, roster);
+    if (changes.length === 0) {
+      return null;
+    }
+    const entry = { id: randomUUID(), at: new Date().toISOString(), action: 'update', actor, source, note, changes, before, after: roster };
+    await appendAudit(entry);
+    writeJsonFileAtomic(filePath, { roster, updatedAt: entry.at, updatedBy: actor });
+    return entry;
+  });
+
+  if (auditEntry) {
+    logAudit(auditEntry);
+  }
+  return { roster, auditEntry };
+}
+
+/**
+ * Drop the runtime roster and go back to the bundled responsibleMapping.json
+ * @param {Object} meta - { actor, note, source: { ip, userAgent } of the request }
+ * @returns {Promise<Object>} { roster, auditEntry } (auditEntry null if the bundled roster was already active)
+ */
+export async function resetRoster({ actor = 'unknown', note = null, source = null } = {}) {
+  const filePath = dataFilePath(ROSTER_FILE);
+  const auditEntry = await withFileLock(filePath, async () => {
+    const current = loadRoster();
+    if (current.source !== 'runtime') {
+      return null;
+    }
+    const entry = {
+      id: randomUUID(),
+      at: new Date().toISOString(),
+      action: 'reset',
+      actor,
+      source,
+      note,
+      changes: diffRosters(current.roster, bundledRoster),
+      before: current.roster,
+      after: bundledRoster,
+    };
+    await appendAudit(entry);
+    fs.unlinkSync(filePath);
+    return entry;
+  });
+
+  if (auditEntry) {
+    logAudit(auditEntry);
+  }
+  return { roster: bundledRoster, auditEntry };
+}
+
+/**
+ * Audit entries, newest first
+ * @param {Object} options - { limit (default 50), offset }
+ * @returns {Object} { entries, total }
+ */
+export function listRosterAudit({ limit = 50, offset = 0 } = {}) {
+  const entries = readJsonFile(dataFilePath(AUDIT_FILE), []).slice().reverse();
+  return { entries: entries.slice(offset, offset + limit), total: entries.length };
+}
@@ -0,0 +1,347 @@
+/**
+ * SKU Resolver
+ * Resolves Shopify SKUs to Bitrix catalog product IDs for deal product rows:
+ * static mapping files → persistent SKU cache → catalog lookup by XML_ID / article property →
+ * product created from the Shopify variant. SKUs that still can't be resolved are kept as
+ * "unmapped" (with a sample line item) for the reconciliation endpoint.
+ *
+ * Backend interface (all methods async):
+ * - get(sku) → entry|null
+ * - list({ status }) → entry[] (most recently seen first)
+ * - upsert(sku, patch) → entry
+ */
+
+import { dataFilePath, readJsonFile, writeJsonFileAtomic, withFileLock } from '../storage/jsonFile.js';
+import { callBitrix } from './client.js';
+import { BITRIX_CONFIG } from './config.js';
+import { withLease } from '../locks/index.js';
+import skuMapping from './skuMapping.json' assert { type: 'json' };
+import handleMapping from './handleMapping.json' assert { type: 'json' };
+// ENHANCED MAPPING (закомментировано - используется семантический маппинг)
+// import skuMappingEnhanced from './skuMappingEnhanced.json' assert { type: 'json' };
+// ✅ SEMANTIC MAPPING: Используем семантический маппинг с 100% совпадениями
+import skuMappingSemantic from './skuMappingSemantic.json' assert { type: 'json' };
+
+export const SKU_STATUSES = {
+  MAPPED: 'mapped',
+  UNMAPPED: 'unmapped',
+};
+
+// Unmapped SKUs are looked up in Bitrix again at most this often (not on every order)
+const UNMAPPED_RECHECK_MS = Number(process.env.SKU_UNMAPPED_RECHECK_MS) || 60 * 60 * 1000;
+const AUTO_CREATE = process.env.SKU_AUTO_CREATE !== 'false';
+// Catalog property holding the article (XML_ID is always checked)
+const ARTICLE_FIELD = BITRIX_CONFIG.PRODUCT_ARTICLE_FIELD;
+const PRODUCT_SECTION_ID = BITRIX_CONFIG.PRODUCT_SECTION_ID;
+
+/**
+ * File-backed SKU cache (default backend)
+ */
+export class FileSkuMappingStore {
+  constructor(fileName = 'sku-mapping.json') {
+    this.fileName = fileName;
+  }
+
+  getName() {
+    return 'file';
+  }
+
+  getFilePath() {
+    return dataFilePath(this.fileName);
+  }
+
+  async get(sku) {
+    return readJsonFile(this.getFilePath(), {})[sku] || null;
+  }
+
+  async list({ status = null } = {}) {
+    return Object.values(readJsonFile(this.getFilePath(), {}))
+      .filter(entry => !status || entry.status === status)
+      .sort((a, b) => (b.lastSeenAt || b.updatedAt).localeCompare(a.lastSeenAt || a.updatedAt));
+  }
+
+  async upsert(sku, patch) {
+    const filePath = this.getFilePath();
+    return withFileLock(filePath, () => {
+      const entries = readJsonFile(filePath, {});
+      const now = new Date().toISOString();
+      const current = entries[sku] || { sku, createdAt: now };
+      const next = typeof patch === 'function' ? patch(current) : patch;
+      entries[sku] = { ...current, ...next, sku, updatedAt: now };
+      writeJsonFileAtomic(filePath, entries);
+      return entries[sku];
+    });
+  }
+}
+
+const backends = {
+  file: () => new FileSkuMappingStore(),
+};
+
+/**
+ * Register an alternative backend under a name selectable via SKU_MAPPING_BACKEND
+ * @param {string} name - Backend name
+ * @param {Function} factory - () => store implementing the interface above
+ */
+export function registerSkuMappingBackend(name, factory) {
+  backends[name] = factory;
+}
+
+/**
+ * Create SKU cache store for configured backend
+ * @param {string} backendName - Backend name (default: SKU_MAPPING_BACKEND or 'file')
+ * @returns {Object} Store instance
+ */
+export function createSkuMappingStore(backendName = process.env.SKU_MAPPING_BACKEND || 'file') {
+  const factory = backends[backendName];
+  if (!factory) {
+    throw new Error(`Unknown SKU mapping backend: ${backendName}. Registered: ${Object.keys(backends).join(', ')}`);
+  }
+  return factory();
+}
+
+// Export singleton instance
+export const skuMappingStore = createSkuMappingStore();
+
+/**
+ * Product ID from the static mapping files (no I/O, safe in the UI bundle)
+ * Fallback chain: semantic SKU mapping → old SKU mapping → handle mapping → BITRIX_CONFIG.SKU_TO_PRODUCT_ID
+ * (0 means "not mapped yet" in all of them)
+ * @param {Object} lineItem - Shopify line item
+ * @returns {Object|null} { productId, source } or null
+ */
+export function lookupStaticProductId(lineItem) {
+  const sku = lineItem?.sku || null;
+  // Семантический маппинг: взвешенное сопоставление (Brand/Model/Color/Type) с синонимами цветов
+  const fromSemantic = sku ? skuMappingSemantic[sku] : null;
+  const fromOldMapping = sku ? skuMapping[sku] : null;
+
+  // Handle-based mapping (with a small normalization removing "barefoot-")
+  const rawHandle = lineItem?.handle || lineItem?.product_handle || null;
+  const normHandle = rawHandle ? rawHandle.toLowerCase().replace('barefoot-', '') : null;
+  const fromHandle = normHandle ? (handleMapping[normHandle] || handleMapping[rawHandle]) : null;
+
+  const fromConfig = sku ? BITRIX_CONFIG.SKU_TO_PRODUCT_ID[sku] : null;
+
+  const candidates = [
+    [fromSemantic, 'semantic'],
+    [fromOldMapping, 'sku_mapping'],
+    [fromHandle, 'handle_mapping'],
+    [fromConfig, 'config'],
+  ];
+  const match = candidates.find(([productId]) => productId && Number(productId) !== 0);
+  return match ? { productId: match[0], source: match[1] } : null;
+}
+
+/**
+ * Find catalog product by SKU (XML_ID, then the article property if configured)
+ * @param {string} sku - Shopify SKU
+ * @returns {Promise<Object|null>} Bitrix product or null
+ */
+export async function findCatalogProductBySku(sku) {
+  const filters = [{ XML_ID: sku }];
+  if (ARTICLE_FIELD) {
+    filters.push({ [ARTICLE_FIELD]: sku });
+  }
+
+  for (const filter of filters) {
+    const response = await callBitrix('/crm.product.list.json', {
+      filter,
+      select: ['ID', 'NAME', 'XML_ID', 'PRICE'],
+    });
+    const product = response.result?.[0];
+    if (product) {
+      return product;
+    }
+  }
+  return null;
+}
+
+/**
+ * Create catalog product from Shopify variant data
+ * @param {string} sku - Shopify SKU (stored as XML_ID and in the article property)
+ * @param {Object} sample - { title, variantTitle, vendor, price, currency, variantId, productId }
+ * @returns {Promise<string>} New product ID
+ */
+export async function createCatalogProduct(sku, sample = {}) {
+  const name = [sample.title, sample.variantTitle].filter(Boolean).join(' - ') || sku;
+  const fields = {
+    NAME: name,
+    XML_ID: sku,
+    ACTIVE: 'Y',
+    PRICE: Number(sample.price || 0),
+    CURRENCY_ID: sample.currency || 'EUR',
+    DESCRIPTION: [
+      sample.vendor ? `Brand: ${sample.vendor}` : null,
+      `SKU: ${sku}`,
+      sample.variantId ? `Shopify variant ${sample.variantId}` : null,
+    ].filter(Boolean).join('\n'),
+  };
+  if (ARTICLE_FIELD) {
+    fields[ARTICLE_FIELD] = sku;
+  }
+  if (PRODUCT_SECTION_ID) {
+    fields.SECTION_ID = PRODUCT_SECTION_ID;
+  }
+
+  const response = await callBitrix('/crm.product.add.json', { fields });
+  if (!response.result) {
+    throw new Error(`crm.product.add returned no ID for SKU ${sku}`);
+  }
+  return String(response.result);
+}
+
+function sampleFromLineItem(lineItem, order) {
+  return {
+    title: lineItem.title || null,
+    variantTitle: lineItem.variant_title || null,
+    vendor: lineItem.vendor || null,
+    price: lineItem.price || lineItem.price_set?.shop_money?.amount || null,
+    currency: order?.currency || null,
+    variantId: lineItem.variant_id || null,
+    productId: lineItem.product_id || null,
+  };
+}
+
+/**
+ * Resolve one SKU against Bitrix (cache → catalog lookup → create)
+ * @param {string} sku - Shopify SKU
+ * @param {Object} options - { sample, orderId, allowCreate, force: ignore the unmapped recheck window }
+ * @returns {Promise<Object>} { sku, productId, source } (productId null when unmapped)
+ */
+export async function resolveSku(sku, { sample = {}, orderId = null, allowCreate = AUTO_CREATE, force = false } = {}) {
+  const cached = await skuMappingStore.get(sku);
+  if (cached?.status === SKU_STATUSES.MAPPED) {
+    return { sku, productId: cached.productId, source: cached.source };
+  }
+  if (!force && cached?.lastCheckedAt && Date.parse(cached.lastCheckedAt) + UNMAPPED_RECHECK_MS > Date.now()) {
+    await skuMappingStore.upsert(sku, current => ({
+      seenCount: (current.seenCount || 0) + 1,
+      lastSeenAt: new Date().toISOString(),
+      lastOrderId: orderId || current.lastOrderId || null,
+    }));
+    return { sku, productId: null, source: null };
+  }
+
+  // One resolver per SKU at a time - two orders with a new SKU must not create two products
+  return withLease(`sku:${sku}`, async () => {
+    const again = await skuMappingStore.get(sku);
+    if (again?.status === SKU_STATUSES.MAPPED) {
+      return { sku, productId: again.productId, source: again.source };
+    }
+
+    const now = new Date().toISOString();
+    const mergedSample = { ...(again?.sample || {}), ...Object.fromEntries(Object.entries(sample).filter(([, value]) => value !== null && value !== undefined)) };
+    try {
+      let productId = null;
+      let source = null;
+      const product = await findCatalogProductBySku(sku);
+      if (product) {
+        productId = String(product.ID);
+        source = 'catalog';
+      } else if (allowCreate) {
+        productId = await createCatalogProduct(sku, mergedSample);
+        source = 'created';
+        console.log(JSON.stringify({
+          event: 'SKU_PRODUCT_CREATED',
+          sku,
+          productId,
+          name: mergedSample.title || null,
+          orderId,
+          timestamp: now
+        }));
+      }
+
+      if (productId) {
+        await skuMappingStore.upsert(sku, {
+          status: SKU_STATUSES.MAPPED,
+          productId,
+          source,
+          sample: mergedSample,
+          lastSeenAt: now,
+          lastCheckedAt: now,
+          lastError: null,
+        });
+        console.log(JSON.stringify({ event: 'SKU_RESOLVED', sku, productId, source, orderId, timestamp: now }));
+        return { sku, productId, source };
+      }
+
+      await markUnmapped(sku, { sample: mergedSample, orderId, error: null });
+      return { sku, productId: null, source: null };
+    } catch (error) {
+      await markUnmapped(sku, { sample: mergedSample, orderId, error: error.message });
+      return { sku, productId: null, source: null, error: error.message };
+    }
+  }, { waitMs: 10 * 1000 });
+}
+
+async function markUnmapped(sku, { sample, orderId, error }) {
+  const now = new Date().toISOString();
+  await skuMappingStore.upsert(sku, current => ({
+    status: SKU_STATUSES.UNMAPPED,
+    productId: null,
+    source: null,
+    sample,
+    seenCount: (current.seenCount || 0) + 1,
+    lastSeenAt: now,
+    lastCheckedAt: now,
+    lastOrderId: orderId || current.lastOrderId || null,
+    lastError: error,
+  }));
+  console.log(JSON.stringify({ event: 'SKU_UNMAPPED', sku, orderId, error, timestamp: now }));
+}
+
+/**
+ * Resolve product IDs for the active line items of an order
+ * Static mappings win; other SKUs go through resolveSku. Never throws - unresolved SKUs
+ * stay out of the result and the row is sent as a custom (name-only) row
+ * @param {Object} order - Shopify order
+ * @param {Object} options - { allowCreate }
+ * @returns {Promise<Object>} { [sku]: productId }
+ */
+export async function resolveOrderProductIds(order, options = {}) {
+  const productIds = {};
+  const lineItems = Array.isArray(order?.line_items) ? order.line_items : [];
+
+  for (const item of lineItems) {
+    const currentQuantity = Number(item.current_quantity ?? item.quantity ?? 0);
+    if (!item.sku || currentQuantity <= 0 || productIds[item.sku]) {
+      continue;
+    }
+    const staticMatch = lookupStaticProductId(item);
+    if (staticMatch) {
+      productIds[item.sku] = staticMatch.productId;
+      continue;
+    }
+    try {
+      const resolved = await resolveSku(item.sku, {
+        sample: sampleFromLineItem(item, order),
+        orderId: order.id ? String(order.id) : null,
+        allowCreate: options.allowCreate ?? AUTO_CREATE,
+      });
+      if (resolved.productId) {
+        productIds[item.sku] = resolved.productId;
+      }
+    } catch (error) {
+      // Store/lock unavailable - the row still goes out as a custom row
+      console.error(`[SKU RESOLVER] ⚠️ Failed to resolve SKU ${item.sku} (non-blocking):`, error.message);
+    }
+  }
+
+  return productIds;
+}
+
+/**
+ * Retry unmapped SKUs (reconciliation)
+ * @param {Object} options - { skus: limit to these SKUs, allowCreate }
+ * @returns {Promise<Array>} Results per SKU
+ */
+export async function reconcileUnmappedSkus({ skus = null, allowCreate = AUTO_CREATE } = {}) {
+  const unmapped = await skuMappingStore.list({ status: SKU_STATUSES.UNMAPPED });
+  const targets = skus ? unmapped.filter(entry => skus.includes(entry.sku)) : unmapped;
+  const results = [];
+  for (const entry of targets) {
+    results.push(await resolveSku(entry.sku, { sample: entry.sample || {}, allowCreate, force: true }));
+  }
+  return results;
+}
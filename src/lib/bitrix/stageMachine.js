@@ -0,0 +1,225 @@
+/**
+ * Deal Stage Machine
+ * Declarative stage model per deal category (2 Stock, 8 Pre-order): which Shopify order state
+ * puts a deal into which stage, which stage transitions are allowed (with guards), and which
+ * Shopify side effects a stage change made in Bitrix triggers.
+ *
+ * - Shopify → Bitrix: planOrderStageTransition() decides whether an order event may move the deal
+ * - Bitrix → Shopify: planDealStageChange() lists side effects of a stage change made by a manager
+ *
+ * Transitions not listed in a machine are regressions (e.g. WON → NEW): Shopify events never
+ * apply them, stage changes made in Bitrix are flagged and trigger no side effects.
+ */
+
+import { BITRIX_CONFIG } from './config.js';
+
+const STOCK = BITRIX_CONFIG.STAGES_CAT_2;
+const PREORDER = BITRIX_CONFIG.STAGES_CAT_8;
+
+// Side effects of entering a stage in Bitrix
+export const STAGE_EFFECTS = {
+  FULFILLMENT_CREATE: 'fulfillment_create',
+  // Deal lost in Bitrix while the Shopify order is still open - a manager has to cancel/refund it in Shopify
+  CANCELLATION_REVIEW: 'cancellation_review',
+};
+
+/**
+ * Guards: (context) => boolean, context = { order, shopifyOrderId, deal }
+ * order is only present for Shopify events, deal only for Bitrix events
+ */
+const GUARDS = {
+  hasShopifyOrder: ({ shopifyOrderId }) => !!(shopifyOrderId && String(shopifyOrderId).trim()),
+  partiallyRefunded: ({ order }) => getFinancialStatus(order) === 'partially_refunded',
+  refundedOrCancelled: ({ order }) => !!order && (!!order.cancelled_at || ['refunded', 'voided'].includes(getFinancialStatus(order))),
+  fulfilled: ({ order }) => getFulfillmentStatus(order) === 'fulfilled',
+};
+
+/**
+ * Machine definition per category
+ * - orderRules: first rule whose conditions all match the order gives the target stage
+ *   (conditions: cancelled, financialStatus[], fulfillmentStatus[])
+ * - transitions: allowed moves, optionally behind a guard
+ * - effects: Shopify side effects when a deal enters the stage in Bitrix
+ */
+export const STAGE_MACHINES = {
+  [BITRIX_CONFIG.CATEGORY_STOCK]: {
+    name: 'Stock',
+    stages: [STOCK.NEW, STOCK.PREPARATION, STOCK.EXECUTING, STOCK.WON, STOCK.LOSE],
+    finalStages: [STOCK.WON, STOCK.LOSE],
+    orderRules: [
+      { stage: STOCK.LOSE, when: { cancelled: true } },
+      { stage: STOCK.LOSE, when: { financialStatus: ['refunded', 'voided'] } },
+      { stage: STOCK.WON, when: { financialStatus: ['paid'], fulfillmentStatus: ['fulfilled'] } },
+      // Paid and partially refunded orders are still active until shipped
+      { stage: STOCK.PREPARATION, when: { financialStatus: ['paid', 'partially_refunded'] } },
+      { stage: STOCK.NEW, when: {} },
+    ],
+    transitions: [
+      { from: STOCK.NEW, to: [STOCK.PREPARATION, STOCK.EXECUTING, STOCK.WON, STOCK.LOSE] },
+      { from: STOCK.PREPARATION, to: [STOCK.EXECUTING, STOCK.WON, STOCK.LOSE] },
+      { from: STOCK.EXECUTING, to: [STOCK.WON, STOCK.LOSE] },
+      // A closed deal is only reopened or lost by money going back in Shopify
+      { from: STOCK.WON, to: [STOCK.PREPARATION], guard: 'partiallyRefunded' },
+      { from: STOCK.WON, to: [STOCK.LOSE], guard: 'refundedOrCancelled' },
+    ],
+    effects: {
+      [STOCK.EXECUTING]: [{ action: STAGE_EFFECTS.FULFILLMENT_CREATE, guard: 'hasShopifyOrder' }],
+      [STOCK.LOSE]: [{ action: STAGE_EFFECTS.CANCELLATION_REVIEW, guard: 'hasShopifyOrder' }],
+    },
+  },
+  [BITRIX_CONFIG.CATEGORY_PREORDER]: {
+    name: 'Pre-order',
+    stages: [PREORDER.NEW, PREORDER.PREPARATION, PREORDER.WON, PREORDER.LOSE],
+    finalStages: [PREORDER.WON, PREORDER.LOSE],
+    orderRules: [
+      { stage: PREORDER.LOSE, when: { cancelled: true } },
+      { stage: PREORDER.LOSE, when: { financialStatus: ['refunded', 'voided'] } },
+      { stage: PREORDER.WON, when: { financialStatus: ['paid'], fulfillmentStatus: ['fulfilled'] } },
+      // Prepayment is enough to start waiting for stock
+      { stage: PREORDER.PREPARATION, when: { financialStatus: ['paid', 'partially_paid', 'partially_refunded'] } },
+      { stage: PREORDER.NEW, when: {} },
+    ],
+    transitions: [
+      { from: PREORDER.NEW, to: [PREORDER.PREPARATION, PREORDER.WON, PREORDER.LOSE] },
+      { from: PREORDER.PREPARATION, to: [PREORDER.WON, PREORDER.LOSE] },
+      { from: PREORDER.WON, to: [PREORDER.PREPARATION], guard: 'partiallyRefunded' },
+      { from: PREORDER.WON, to: [PREORDER.LOSE], guard: 'refundedOrCancelled' },
+    ],
+    effects: {
+      [PREORDER.LOSE]: [{ action: STAGE_EFFECTS.CANCELLATION_REVIEW, guard: 'hasShopifyOrder' }],
+    },
+  },
+};
+
+function getFinancialStatus(order) {
+  return String(order?.financial_status || '').toLowerCase();
+}
+
+function getFulfillmentStatus(order) {
+  return String(order?.fulfillment_status || '').toLowerCase();
+}
+
+function matchesRule(when, order) {
+  if (when.cancelled !== undefined && !!order.cancelled_at !== when.cancelled) {
+    return false;
+  }
+  if (when.financialStatus && !when.financialStatus.includes(getFinancialStatus(order))) {
+    return false;
+  }
+  if (when.fulfillmentStatus && !when.fulfillmentStatus.includes(getFulfillmentStatus(order))) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Get stage machine for a deal category
+ * @param {number|string} categoryId - Deal CATEGORY_ID
+ * @returns {Object|null} Machine definition or null for categories without one
+ */
+export function getStageMachine(categoryId) {
+  return STAGE_MACHINES[Number(categoryId)] || null;
+}
+
+/**
+ * Stage a Shopify order belongs in, ignoring the deal's current stage
+ * @param {Object} order - Shopify order
+ * @param {number|string} categoryId - Deal CATEGORY_ID
+ * @returns {string|null} Stage ID or null for categories without a machine
+ */
+export function resolveOrderStage(order, categoryId) {
+  const machine = getStageMachine(categoryId);
+  if (!machine) {
+    return null;
+  }
+  const rule = machine.orderRules.find(candidate => matchesRule(candidate.when, order || {}));
+  return rule ? rule.stage : machine.stages[0];
+}
+
+/**
+ * Check a single transition against the machine
+ * @param {Object} machine - Machine definition
+ * @param {string} fromStageId - Current stage
+ * @param {string} toStageId - Target stage
+ * @param {Object} context - Guard context { order, shopifyOrderId, deal }
+ * @returns {Object} { allowed, regression, reason }
+ */
+function checkTransition(machine, fromStageId, toStageId, context) {
+  if (fromStageId === toStageId) {
+    return { allowed: true, regression: false, reason: 'unchanged' };
+  }
+  if (!machine.stages.includes(fromStageId)) {
+    // Stage unknown to the machine (added in Bitrix later) - don't block, just say so
+    return { allowed: true, regression: false, reason: 'unknown_current_stage' };
+  }
+  if (!machine.stages.includes(toStageId)) {
+    return { allowed: false, regression: false, reason: `unknown_target_stage:${toStageId}` };
+  }
+
+  const candidates = machine.transitions.filter(transition => transition.from === fromStageId && transition.to.includes(toStageId));
+  const passed = candidates.find(transition => !transition.guard || GUARDS[transition.guard](context));
+  if (passed) {
+    return { allowed: true, regression: false, reason: passed.guard ? `guard:${passed.guard}` : 'allowed' };
+  }
+
+  const regression = machine.finalStages.includes(fromStageId)
+    || machine.stages.indexOf(toStageId) < machine.stages.indexOf(fromStageId);
+  return {
+    allowed: false,
+    regression,
+    reason: candidates.length > 0 ? `guard_failed:${candidates.map(transition => transition.guard).join(',')}` : 'transition_not_allowed',
+  };
+}
+
+/**
+ * Plan the stage change for a Shopify order event on an existing deal
+ * @param {Object} params - { categoryId, currentStageId, order }
+ * @returns {Object} { targetStageId, stageId, allowed, regression, reason }
+ *   stageId - stage to write (null = leave STAGE_ID untouched)
+ */
+export function planOrderStageTransition({ categoryId, currentStageId, order }) {
+  const machine = getStageMachine(categoryId);
+  if (!machine) {
+    return { targetStageId: null, stageId: null, allowed: false, regression: false, reason: `no_machine_for_category:${categoryId}` };
+  }
+
+  const targetStageId = resolveOrderStage(order, categoryId);
+  if (!currentStageId) {
+    return { targetStageId, stageId: targetStageId, allowed: true, regression: false, reason: 'no_current_stage' };
+  }
+
+  const check = checkTransition(machine, currentStageId, targetStageId, { order, shopifyOrderId: order?.id });
+  return { targetStageId, stageId: check.allowed ? targetStageId : null, ...check };
+}
+
+/**
+ * Plan Shopify side effects for a deal stage seen in a Bitrix event
+ * @param {Object} params - { categoryId, previousStageId, stageId, shopifyOrderId, deal }
+ *   previousStageId - last stage seen for this deal (null if unknown)
+ * @returns {Object} { allowed, regression, reason, effects: string[], skippedEffects: [{ action, reason }] }
+ */
+export function planDealStageChange({ categoryId, previousStageId = null, stageId, shopifyOrderId = null, deal = null }) {
+  const machine = getStageMachine(categoryId);
+  if (!machine) {
+    return { allowed: true, regression: false, reason: `no_machine_for_category:${categoryId}`, effects: [], skippedEffects: [] };
+  }
+
+  const context = { shopifyOrderId, deal };
+  const check = previousStageId
+    ? checkTransition(machine, previousStageId, stageId, context)
+    : { allowed: true, regression: false, reason: 'no_previous_stage' };
+
+  const effects = [];
+  const skippedEffects = [];
+  for (const effect of machine.effects[stageId] || []) {
+    if (!check.allowed) {
+      skippedEffects.push({ action: effect.action, reason: check.reason });
+    } else if (effect.guard && !GUARDS[effect.guard](context)) {
+      skippedEffects.push({ action: effect.action, reason: `guard_failed:${effect.guard}` });
+    } else {
+      effects.push(effect.action);
+    }
+  }
+
+  return { ...check, effects, skippedEffects };
+}
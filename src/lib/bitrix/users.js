@@ -0,0 +1,74 @@
+/**
+ * Bitrix24 Users
+ * Employee names for screens that show Bitrix user ids (responsible roster).
+ * Active users are loaded with user.get and cached per process for USERS_CACHE_TTL_MS.
+ */
+
+import { callBitrix, callBitrixBatch, BITRIX_BATCH_LIMIT } from './client.js';
+
+const USERS_CACHE_TTL_MS = 10 * 60 * 1000;
+// user.get returns 50 users per page
+const MAX_PAGES = 20;
+
+let cachedUsers = null;
+
+function toUser(user) {
+  const name = [user.NAME, user.LAST_NAME].filter(Boolean).join(' ').trim();
+  return {
+    id: Number(user.ID),
+    name: name || user.EMAIL || `User ${user.ID}`,
+    email: user.EMAIL || null,
+    position: user.WORK_POSITION || null,
+    active: user.ACTIVE === true || user.ACTIVE === 'Y',
+  };
+}
+
+/**
+ * Active Bitrix users
+ * @param {Object} options - { force: bypass the cache }
+ * @returns {Promise<Array>} [{ id, name, email, position, active }] sorted by name
+ */
+export async function getActiveBitrixUsers({ force = false } = {}) {
+  if (!force && cachedUsers && Date.now() - cachedUsers.loadedAt < USERS_CACHE_TTL_MS) {
+    return cachedUsers.users;
+  }
+
+  const users = [];
+  let start = 0;
+  for (let page = 0; page < MAX_PAGES && start !== undefined; page++) {
+    const response = await callBitrix('/user.get.json', { FILTER: { ACTIVE: true }, sort: 'ID', order: 'ASC', start });
+    users.push(...(response.result || []).map(toUser));
+    start = response.next;
+  }
+  users.sort((a, b) => a.name.localeCompare(b.name));
+
+  cachedUsers = { users, loadedAt: Date.now() };
+  return users;
+}
+
+/**
+ * Users by id, including deactivated ones (looked up one by one in a batch)
+ * @param {Array} ids - Bitrix user ids
+ * @returns {Promise<Object>} { id: { id, name, email, position, active } } - unknown ids are missing
+ */
+export async function getBitrixUsersByIds(ids) {
+  const wanted = [...new Set(ids.map(Number).filter(id => Number.isInteger(id) && id > 0))];
+  const users = {};
+  for (const user of await getActiveBitrixUsers()) {
+    if (wanted.includes(user.id)) {
+      users[user.id] = user;
+    }
+  }
+
+  const missing = wanted.filter(id => !users[id]).slice(0, BITRIX_BATCH_LIMIT);
+  if (missing.length > 0) {
+    const batch = await callBitrixBatch(Object.fromEntries(missing.map(id => [`user_${id}`, ['user.get', { ID: id }]])));
+    for (const id of missing) {
+      const [user] = batch.results[`user_${id}`] || [];
+      if (user) {
+        users[id] = toUser(user);
+      }
+    }
+  }
+  return users;
+}
@@ -0,0 +1,193 @@
+/**
+ * Dead-Letter Store
+ * Operations that failed for good (queue jobs out of attempts, failed MW actions) are kept
+ * here with their payload and error classification so they can be inspected, edited and replayed.
+ *
+ * Entry status: open → replayed (new job enqueued) | discarded
+ *
+ * Backend interface (all methods async):
+ * - add(entry) → entry
+ * - get(id) → entry|null
+ * - list({ status, limit, offset }) → { entries, total } (newest first)
+ * - update(id, patch) → entry|null
+ */
+
+import crypto from 'crypto';
+import { dataFilePath, readJsonFile, writeJsonFileAtomic, withFileLock } from '../storage/jsonFile.js';
+import { classifyBitrixError } from '../bitrix/client.js';
+
+export const DEAD_LETTER_STATUSES = {
+  OPEN: 'open',
+  REPLAYED: 'replayed',
+  DISCARDED: 'discarded',
+};
+
+// Closed entries are dropped after this long; open ones stay until handled
+const CLOSED_RETENTION_MS = Number(process.env.DEAD_LETTER_RETENTION_MS) || 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * File-backed dead-letter store (default backend)
+ */
+export class FileDeadLetterStore {
+  constructor(fileName = 'dead-letters.json') {
+    this.fileName = fileName;
+  }
+
+  getName() {
+    return 'file';
+  }
+
+  getFilePath() {
+    return dataFilePath(this.fileName);
+  }
+
+  load() {
+    return readJsonFile(this.getFilePath(), {});
+  }
+
+  async mutate(fn) {
+    const filePath = this.getFilePath();
+    return withFileLock(filePath, () => {
+      const entries = readJsonFile(filePath, {});
+      const now = Date.now();
+      for (const [id, entry] of Object.entries(entries)) {
+        if (entry.status !== DEAD_LETTER_STATUSES.OPEN && Date.parse(entry.updatedAt) + CLOSED_RETENTION_MS <= now) {
+          delete entries[id];
+        }
+      }
+      const result = fn(entries, now);
+      writeJsonFileAtomic(filePath, entries);
+      return result;
+    });
+  }
+
+  async add(entry) {
+    return this.mutate(entries => {
+      entries[entry.id] = entry;
+      return entry;
+    });
+  }
+
+  async get(id) {
+    return this.load()[id] || null;
+  }
+
+  async list({ status = null, limit = 50, offset = 0 } = {}) {
+    const entries = Object.values(this.load())
+      .filter(entry => !status || entry.status === status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    return { entries: entries.slice(offset, offset + limit), total: entries.length };
+  }
+
+  async update(id, patch) {
+    return this.mutate((entries, now) => {
+      if (!entries[id]) {
+        return null;
+      }
+      entries[id] = { ...entries[id], ...patch, updatedAt: new Date(now).toISOString() };
+      return entries[id];
+    });
+  }
+}
+
+const backends = {
+  file: () => new FileDeadLetterStore(),
+};
+
+/**
+ * Register an alternative backend under a name selectable via DEAD_LETTER_BACKEND
+ * @param {string} name - Backend name
+ * @param {Function} factory - () => store implementing the interface above
+ */
+export function registerDeadLetterBackend(name, factory) {
+  backends[name] = factory;
+}
+
+/**
+ * Create dead-letter store for configured backend
+ * @param {string} backendName - Backend name (default: DEAD_LETTER_BACKEND or 'file')
+ * @returns {Object} Store instance
+ */
+export function createDeadLetterStore(backendName = process.env.DEAD_LETTER_BACKEND || 'file') {
+  const factory = backends[backendName];
+  if (!factory) {
+    throw new Error(`Unknown dead-letter backend: ${backendName}. Registered: ${Object.keys(backends).join(', ')}`);
+  }
+  return factory();
+}
+
+// Export singleton instance
+export const deadLetterStore = createDeadLetterStore();
+
+/**
+ * Classify a failure for display and replay decisions
+ * Errors thrown by callBitrix already carry errorType from classifyBitrixError; untyped errors
+ * and Shopify result objects ({ error, message, httpStatus }) are classified here
+ * @param {Error|Object} failure - Thrown error or failed operation result
+ * @returns {Object} { type, code, message, httpStatus, retryable }
+ */
+export function classifyFailure(failure) {
+  if (failure instanceof Error) {
+    const classification = failure.errorType
+      ? { type: failure.errorType, code: failure.errorDetails?.error || null, message: failure.message }
+      : classifyBitrixError({ error_description: failure.message });
+    return {
+      type: classification.type,
+      code: classification.code || null,
+      message: failure.message,
+      httpStatus: failure.status || failure.httpStatus || null,
+      retryable: failure.retryable ?? !['VALIDATION', 'PERMISSION'].includes(classification.type),
+    };
+  }
+
+  const httpStatus = failure?.httpStatus || null;
+  return {
+    type: failure?.error || 'UNKNOWN',
+    code: failure?.error || null,
+    message: failure?.message || 'Unknown error',
+    httpStatus,
+    // 4xx other than rate limiting will fail the same way until the payload is fixed
+    retryable: !httpStatus || httpStatus >= 500 || httpStatus === 429,
+  };
+}
+
+/**
+ * Record a failed operation
+ * @param {Object} params - { source, jobType, operation, payload, failure, attempts, groupKey, context }
+ *   source: 'queue' | 'mw_action'; jobType: queue job type used for replay
+ * @returns {Promise<Object>} Stored entry
+ */
+export async function recordDeadLetter({ source, jobType, operation, payload, failure, attempts = 1, groupKey = null, context = null }) {
+  const now = new Date().toISOString();
+  const entry = {
+    id: `dl_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+    status: DEAD_LETTER_STATUSES.OPEN,
+    source,
+    jobType,
+    operation: operation || jobType,
+    payload,
+    originalPayload: payload,
+    classification: classifyFailure(failure),
+    attempts,
+    groupKey,
+    context,
+    replays: [],
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  await deadLetterStore.add(entry);
+
+  console.log(JSON.stringify({
+    event: 'DEAD_LETTER_RECORDED',
+    deadLetterId: entry.id,
+    source,
+    operation: entry.operation,
+    errorType: entry.classification.type,
+    attempts,
+    context,
+    timestamp: now
+  }));
+
+  return entry;
+}
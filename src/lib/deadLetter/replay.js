@@ -0,0 +1,47 @@
+/**
+ * Dead-Letter Replay
+ * Re-enqueues a dead-letter entry (optionally with an edited payload) as a new queue job
+ */
+
+import { deadLetterStore, DEAD_LETTER_STATUSES } from './index.js';
+import { enqueueJob } from '../queue/index.js';
+import '../queue/jobs.js';
+
+/**
+ * Replay dead-letter entry
+ * @param {string} id - Dead-letter entry ID
+ * @param {Object} options - { payload } to replay with an edited payload (saved on the entry)
+ * @returns {Promise<Object>} { success, entry, jobId } or { success: false, error, httpStatus }
+ */
+export async function replayDeadLetter(id, options = {}) {
+  const entry = await deadLetterStore.get(id);
+  if (!entry) {
+    return { success: false, error: 'NOT_FOUND', message: `Dead-letter entry ${id} not found`, httpStatus: 404 };
+  }
+  if (entry.status === DEAD_LETTER_STATUSES.DISCARDED) {
+    return { success: false, error: 'DISCARDED', message: 'Discarded entries cannot be replayed', httpStatus: 409 };
+  }
+
+  const payload = options.payload ?? entry.payload;
+  const { job } = await enqueueJob(entry.jobType, payload, {
+    groupKey: entry.groupKey,
+    meta: { ...(entry.context || {}), replayOf: entry.id }
+  });
+
+  const updated = await deadLetterStore.update(id, {
+    status: DEAD_LETTER_STATUSES.REPLAYED,
+    payload,
+    replays: [...(entry.replays || []), { jobId: job.id, at: new Date().toISOString(), edited: options.payload !== undefined }],
+  });
+
+  console.log(JSON.stringify({
+    event: 'DEAD_LETTER_REPLAYED',
+    deadLetterId: id,
+    jobId: job.id,
+    jobType: entry.jobType,
+    edited: options.payload !== undefined,
+    timestamp: new Date().toISOString()
+  }));
+
+  return { success: true, entry: updated, jobId: job.id };
+}
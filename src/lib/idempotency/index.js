@@ -0,0 +1,219 @@
+/**
+ * Idempotency Store
+ * Durable claim/complete/fail records so a repeated delivery of the same event
+ * short-circuits with the first result instead of running twice.
+ *
+ * Keys in use:
+ * - shopify:{X-Shopify-Webhook-Id}   - Shopify webhook deliveries
+ * - mw:{dealId}:{payloadHash}         - Bitrix MW actions (correlationId); a refund preview's result is
+ *                                      read back from here by the confirming action
+ *
+ * Backend interface (all methods async, so Redis-like backends can implement it):
+ * - get(key) → record|null
+ * - claim(key, { ttlMs, leaseMs, meta }) → { claimed: boolean, record }
+ * - complete(key, result) → record
+ * - fail(key, error) → record
+ * - release(key) → void (drop claim without recording an outcome)
+ */
+
+import { dataFilePath, readJsonFile, writeJsonFileAtomic, withFileLock } from '../storage/jsonFile.js';
+
+// How long a completed key short-circuits repeated deliveries
+const DEFAULT_TTL_MS = Number(process.env.IDEMPOTENCY_TTL_MS) || 7 * 24 * 60 * 60 * 1000;
+// How long a claim is held before another delivery may take over (crashed worker)
+const DEFAULT_LEASE_MS = Number(process.env.IDEMPOTENCY_LEASE_MS) || 5 * 60 * 1000;
+
+export const IDEMPOTENCY_STATES = {
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+};
+
+/**
+ * File-backed idempotency store (default backend)
+ * All records live in one JSON file, every mutation runs under a lock file
+ */
+export class FileIdempotencyStore {
+  constructor(fileName = 'idempotency.json') {
+    this.fileName = fileName;
+  }
+
+  getName() {
+    return 'file';
+  }
+
+  getFilePath() {
+    return dataFilePath(this.fileName);
+  }
+
+  load() {
+    return readJsonFile(this.getFilePath(), {});
+  }
+
+  /**
+   * Read-modify-write under lock; expired records are purged on every write
+   */
+  async mutate(fn) {
+    const filePath = this.getFilePath();
+    return withFileLock(filePath, () => {
+      const records = readJsonFile(filePath, {});
+      const now = Date.now();
+      for (const [key, record] of Object.entries(records)) {
+        if (record.expiresAt && record.expiresAt <= now) {
+          delete records[key];
+        }
+      }
+      const result = fn(records, now);
+      writeJsonFileAtomic(filePath, records);
+      return result;
+    });
+  }
+
+  async get(key) {
+    const record = this.load()[key];
+    if (!record || (record.expiresAt && record.expiresAt <= Date.now())) {
+      return null;
+    }
+    return record;
+  }
+
+  async claim(key, options = {}) {
+    const ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+    const leaseMs = options.leaseMs || DEFAULT_LEASE_MS;
+
+    return this.mutate((records, now) => {
+      const existing = records[key];
+
+      if (existing) {
+        if (existing.state === IDEMPOTENCY_STATES.COMPLETED) {
+          return { claimed: false, record: existing };
+        }
+        if (existing.state === IDEMPOTENCY_STATES.PROCESSING && existing.leaseExpiresAt > now) {
+          return { claimed: false, record: existing };
+        }
+      }
+
+      // New key, failed attempt, or abandoned claim - take it over
+      const record = {
+        key,
+        state: IDEMPOTENCY_STATES.PROCESSING,
+        attempts: (existing?.attempts || 0) + 1,
+        claimedAt: new Date(now).toISOString(),
+        leaseExpiresAt: now + leaseMs,
+        expiresAt: now + ttlMs,
+        meta: options.meta || existing?.meta || null,
+        result: null,
+        error: existing?.error || null,
+      };
+      records[key] = record;
+      return { claimed: true, record };
+    });
+  }
+
+  async complete(key, result = null) {
+    return this.mutate((records, now) => {
+      const record = {
+        ...(records[key] || { key, attempts: 1, expiresAt: now + DEFAULT_TTL_MS }),
+        state: IDEMPOTENCY_STATES.COMPLETED,
+        completedAt: new Date(now).toISOString(),
+        leaseExpiresAt: null,
+        result,
+        error: null,
+      };
+      records[key] = record;
+      return record;
+    });
+  }
+
+  async fail(key, error = null) {
+    return this.mutate((records, now) => {
+      const record = {
+        ...(records[key] || { key, attempts: 1, expiresAt: now + DEFAULT_TTL_MS }),
+        state: IDEMPOTENCY_STATES.FAILED,
+        failedAt: new Date(now).toISOString(),
+        leaseExpiresAt: null,
+        error: error instanceof Error ? { message: error.message, errorType: error.errorType || null } : error,
+      };
+      records[key] = record;
+      return record;
+    });
+  }
+
+  async release(key) {
+    return this.mutate(records => {
+      delete records[key];
+    });
+  }
+}
+
+const backends = {
+  file: () => new FileIdempotencyStore(),
+};
+
+/**
+ * Register an alternative backend (e.g., Redis) under a name selectable via IDEMPOTENCY_BACKEND
+ * @param {string} name - Backend name
+ * @param {Function} factory - () => store implementing the interface above
+ */
+export function registerIdempotencyBackend(name, factory) {
+  backends[name] = factory;
+}
+
+/**
+ * Create idempotency store for configured backend
+ * @param {string} backendName - Backend name (default: IDEMPOTENCY_BACKEND or 'file')
+ * @returns {Object} Store instance
+ */
+export function createIdempotencyStore(backendName = process.env.IDEMPOTENCY_BACKEND || 'file') {
+  const factory = backends[backendName];
+  if (!factory) {
+    throw new Error(`Unknown idempotency backend: ${backendName}. Registered: ${Object.keys(backends).join(', ')}`);
+  }
+  return factory();
+}
+
+// Export singleton instance
+export const idempotencyStore = createIdempotencyStore();
+
+/**
+ * Claim a Shopify webhook delivery (shopify:{X-Shopify-Webhook-Id}) before processing it
+ * An unavailable store does not stop processing - the delivery then runs unclaimed
+ * @param {string|null} webhookId - X-Shopify-Webhook-Id (none - nothing to claim)
+ * @param {Object} meta - { topic, <entity>Id } stored on the claim and logged for a duplicate
+ * @param {string} logPrefix - Log prefix of the caller (e.g. '[SHOPIFY WEBHOOK]')
+ * @returns {Promise<Object>} { key: claimed key or null, duplicate: first result of a completed delivery or null }
+ * @throws {Error} errorType 'IN_PROGRESS' when the same delivery is being processed elsewhere
+ */
+export async function claimWebhookDelivery(webhookId, meta, logPrefix) {
+  if (!webhookId) {
+    return { key: null, duplicate: null };
+  }
+
+  const key = `shopify:${webhookId}`;
+  let claim;
+  try {
+    claim = await idempotencyStore.claim(key, { meta });
+  } catch (idempotencyError) {
+    console.error(`${logPrefix} ⚠️ Idempotency store unavailable (non-blocking, processing anyway):`, idempotencyError.message);
+    return { key: null, duplicate: null };
+  }
+  if (claim.claimed) {
+    return { key, duplicate: null };
+  }
+
+  console.log(JSON.stringify({
+    event: 'SHOPIFY_WEBHOOK_DUPLICATE',
+    webhookId,
+    ...meta,
+    state: claim.record.state,
+    firstResult: claim.record.result,
+    timestamp: new Date().toISOString()
+  }));
+  if (claim.record.state === IDEMPOTENCY_STATES.PROCESSING) {
+    // Let the queue retry once the other run has finished
+    const error = new Error(`Delivery ${webhookId} is being processed by another worker`);
+    error.errorType = 'IN_PROGRESS';
+    throw error;
+  }
+  return { key: null, duplicate: { ...claim.record.result, duplicate: true } };
+}
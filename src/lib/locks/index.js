@@ -0,0 +1,229 @@
+/**
+ * Lease Locks
+ * Shared mutex with lease expiry, used to serialize work per Shopify order
+ * (orders/create and orders/updated for the same order must not run crm.deal.add in parallel)
+ * and around company/contact find-or-create.
+ *
+ * Backend interface (all methods async, so Redis-like backends can implement it):
+ * - acquire(key, owner, leaseMs) → boolean
+ * - renew(key, owner, leaseMs) → boolean
+ * - release(key, owner) → void
+ */
+
+import crypto from 'crypto';
+import { dataFilePath, readJsonFile, writeJsonFileAtomic, withFileLock } from '../storage/jsonFile.js';
+
+const DEFAULT_LEASE_MS = Number(process.env.ORDER_LOCK_LEASE_MS) || 60 * 1000;
+// Shopify stops waiting after ~5s; the waiting delivery still finishes its work and
+// the redelivery Shopify sends meanwhile is answered by the idempotency store
+const DEFAULT_WAIT_MS = Number(process.env.ORDER_LOCK_WAIT_MS) || 25 * 1000;
+const POLL_INTERVAL_MS = 200;
+
+/**
+ * File-backed lease store (default backend)
+ */
+export class FileLeaseStore {
+  constructor(fileName = 'locks.json') {
+    this.fileName = fileName;
+  }
+
+  getName() {
+    return 'file';
+  }
+
+  async mutate(fn) {
+    const filePath = dataFilePath(this.fileName);
+    return withFileLock(filePath, () => {
+      const leases = readJsonFile(filePath, {});
+      const now = Date.now();
+      for (const [key, lease] of Object.entries(leases)) {
+        if (lease.expiresAt <= now) {
+          delete leases[key];
+        }
+      }
+      const result = fn(leases, now);
+      writeJsonFileAtomic(filePath, leases);
+      return result;
+    });
+  }
+
+  async acquire(key, owner, leaseMs = DEFAULT_LEASE_MS) {
+    return this.mutate((leases, now) => {
+      const current = leases[key];
+      if (current && current.owner !== owner) {
+        return false;
+      }
+      leases[key] = { owner, acquiredAt: current?.acquiredAt || new Date(now).toISOString(), expiresAt: now + leaseMs };
+      return true;
+    });
+  }
+
+  async renew(key, owner, leaseMs = DEFAULT_LEASE_MS) {
+    return this.mutate((leases, now) => {
+      const current = leases[key];
+      if (!current || current.owner !== owner) {
+        return false;
+      }
+      current.expiresAt = now + leaseMs;
+      return true;
+    });
+  }
+
+  async release(key, owner) {
+    return this.mutate(leases => {
+      if (leases[key]?.owner === owner) {
+        delete leases[key];
+      }
+    });
+  }
+}
+
+const backends = {
+  file: () => new FileLeaseStore(),
+};
+
+/**
+ * Register an alternative backend under a name selectable via LOCK_BACKEND
+ * @param {string} name - Backend name
+ * @param {Function} factory - () => store implementing the interface above
+ */
+export function registerLeaseBackend(name, factory) {
+  backends[name] = factory;
+}
+
+/**
+ * Create lease store for configured backend
+ * @param {string} backendName - Backend name (default: LOCK_BACKEND or 'file')
+ * @returns {Object} Store instance
+ */
+export function createLeaseStore(backendName = process.env.LOCK_BACKEND || 'file') {
+  const factory = backends[backendName];
+  if (!factory) {
+    throw new Error(`Unknown lock backend: ${backendName}. Registered: ${Object.keys(backends).join(', ')}`);
+  }
+  return factory();
+}
+
+// Export singleton instance
+export const leaseStore = createLeaseStore();
+
+/**
+ * Run fn while holding the lease for key; waits for a concurrent holder to finish
+ * The lease is renewed in the background while fn runs, so long Bitrix chains keep it
+ * @param {string} key - Lock key
+ * @param {Function} fn - Async function to run under the lock
+ * @param {Object} options - { leaseMs, waitMs, store }
+ * @returns {Promise<*>} fn result
+ * @throws {Error} errorType 'LOCK_TIMEOUT' if the lease could not be acquired within waitMs
+ */
+export async function withLease(key, fn, options = {}) {
+  const store = options.store || leaseStore;
+  const leaseMs = options.leaseMs || DEFAULT_LEASE_MS;
+  const waitMs = options.waitMs ?? DEFAULT_WAIT_MS;
+  const owner = `${process.pid}-${crypto.randomBytes(6).toString('hex')}`;
+  const startedAt = Date.now();
+  let waited = false;
+
+  for (;;) {
+    let acquired;
+    try {
+      acquired = await store.acquire(key, owner, leaseMs);
+    } catch (storeError) {
+      // Same policy as the idempotency store: an unavailable store must not stop processing
+      console.log(JSON.stringify({
+        event: 'LOCK_STORE_ERROR',
+        key,
+        error: storeError.message,
+        timestamp: new Date().toISOString()
+      }));
+      return fn();
+    }
+    if (acquired) {
+      break;
+    }
+    if (Date.now() - startedAt >= waitMs) {
+      const error = new Error(`Lock ${key} is held by another worker (waited ${Date.now() - startedAt}ms)`);
+      error.errorType = 'LOCK_TIMEOUT';
+      throw error;
+    }
+    if (!waited) {
+      waited = true;
+      console.log(JSON.stringify({
+        event: 'LOCK_WAIT',
+        key,
+        owner,
+        timestamp: new Date().toISOString()
+      }));
+    }
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+
+  if (waited) {
+    console.log(JSON.stringify({
+      event: 'LOCK_ACQUIRED_AFTER_WAIT',
+      key,
+      owner,
+      waitedMs: Date.now() - startedAt,
+      timestamp: new Date().toISOString()
+    }));
+  }
+
+  const renewTimer = setInterval(() => {
+    store.renew(key, owner, leaseMs).catch(error => {
+      console.error(`[LOCKS] ⚠️ Failed to renew lease ${key}:`, error.message);
+    });
+  }, Math.max(Math.floor(leaseMs / 3), 1000));
+
+  try {
+    return await fn();
+  } finally {
+    clearInterval(renewTimer);
+    await store.release(key, owner).catch(error => {
+      console.error(`[LOCKS] ⚠️ Failed to release lease ${key}:`, error.message);
+    });
+  }
+}
+
+/**
+ * Serialize processing of one Shopify order across concurrent deliveries
+ * @param {string|number} shopifyOrderId - Shopify order ID
+ * @param {Function} fn - Async function to run under the lock
+ * @param {Object} options - See withLease
+ * @returns {Promise<*>} fn result
+ */
+export async function withOrderLock(shopifyOrderId, fn, options = {}) {
+  if (!shopifyOrderId) {
+    return fn();
+  }
+  return withLease(`order:${shopifyOrderId}`, fn, options);
+}
+
+/**
+ * Run fn under the lease for key, or without it when the lease is not free within waitMs
+ * For find-or-create work where waiting avoids duplicates, but a stuck holder must not stop processing
+ * @param {string} key - Lock key
+ * @param {Function} fn - Async function
+ * @param {Object} options - See withLease
+ * @returns {Promise<*>} fn result
+ */
+export async function withLeaseOrRun(key, fn, options = {}) {
+  let started = false;
+  try {
+    return await withLease(key, () => {
+      started = true;
+      return fn();
+    }, options);
+  } catch (error) {
+    // A LOCK_TIMEOUT thrown by fn itself is not ours to swallow
+    if (started || error.errorType !== 'LOCK_TIMEOUT') {
+      throw error;
+    }
+    console.log(JSON.stringify({
+      event: 'LOCK_TIMEOUT_RUN_UNLOCKED',
+      key,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    }));
+    return fn();
+  }
+}
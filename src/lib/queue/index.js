@@ -0,0 +1,434 @@
+/**
+ * Job Queue
+ * Persistent queue so webhook handlers only validate + enqueue and answer immediately;
+ * Bitrix/Shopify API calls run in a worker with retries and exponential backoff.
+ *
+ * Job lifecycle: queued → running → succeeded
+ *                              ↘ retry (runAt in the future) → running → ...
+ *                              ↘ dead (attempts exhausted or non-retryable error) → dead-letter entry
+ *
+ * Jobs sharing a groupKey (e.g., order:{id}, deal:{id}) never run concurrently and
+ * are picked up in enqueue order.
+ *
+ * Backend interface (all methods async, so Redis-like backends can implement it):
+ * - add(job) → { job, created } (returns the live job with the same dedupeKey instead of adding)
+ * - get(id) → job|null
+ * - list({ state, type, limit }) → job[] (newest first)
+ * - claimDue({ limit, leaseMs, owner }) → job[] (marked running)
+ * - update(id, patch) → job|null
+ */
+
+import crypto from 'crypto';
+import { dataFilePath, readJsonFile, writeJsonFileAtomic, withFileLock } from '../storage/jsonFile.js';
+import { recordDeadLetter } from '../deadLetter/index.js';
+
+const DEFAULT_MAX_ATTEMPTS = Number(process.env.QUEUE_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_MS = Number(process.env.QUEUE_RETRY_BASE_MS) || 5 * 1000;
+const RETRY_MAX_MS = Number(process.env.QUEUE_RETRY_MAX_MS) || 15 * 60 * 1000;
+// A running job whose lease expired belongs to a crashed worker and is picked up again
+const JOB_LEASE_MS = Number(process.env.QUEUE_JOB_LEASE_MS) || 5 * 60 * 1000;
+// Succeeded jobs are kept this long for tracing; dead jobs longer - they are handled from their
+// dead-letter copy (src/lib/deadLetter/), the job itself only serves /api/queue/jobs lookups
+const SUCCEEDED_RETENTION_MS = Number(process.env.QUEUE_RETENTION_MS) || 24 * 60 * 60 * 1000;
+const DEAD_RETENTION_MS = Number(process.env.QUEUE_DEAD_RETENTION_MS) || 7 * 24 * 60 * 60 * 1000;
+const DEFAULT_CONCURRENCY = Number(process.env.QUEUE_CONCURRENCY) || 2;
+// Stay below the serverless function timeout
+const DEFAULT_TIME_BUDGET_MS = Number(process.env.QUEUE_WORKER_TIME_BUDGET_MS) || 50 * 1000;
+const MAX_ERROR_HISTORY = 10;
+
+// Errors that will fail the same way on every attempt
+const NON_RETRYABLE_ERROR_TYPES = ['VALIDATION', 'PERMISSION'];
+
+export const JOB_STATES = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  RETRY: 'retry',
+  SUCCEEDED: 'succeeded',
+  DEAD: 'dead',
+};
+
+/**
+ * File-backed job store (default backend)
+ */
+export class FileJobStore {
+  constructor(fileName = 'jobs.json') {
+    this.fileName = fileName;
+  }
+
+  getName() {
+    return 'file';
+  }
+
+  getFilePath() {
+    return dataFilePath(this.fileName);
+  }
+
+  load() {
+    return readJsonFile(this.getFilePath(), {});
+  }
+
+  /**
+   * Read-modify-write under lock; succeeded and dead jobs past retention are purged on every write
+   */
+  async mutate(fn) {
+    const filePath = this.getFilePath();
+    return withFileLock(filePath, () => {
+      const jobs = readJsonFile(filePath, {});
+      const now = Date.now();
+      for (const [id, job] of Object.entries(jobs)) {
+        const retentionMs = job.state === JOB_STATES.SUCCEEDED ? SUCCEEDED_RETENTION_MS
+          : job.state === JOB_STATES.DEAD ? DEAD_RETENTION_MS
+          : null;
+        if (retentionMs !== null && Date.parse(job.finishedAt) + retentionMs <= now) {
+          delete jobs[id];
+        }
+      }
+      const result = fn(jobs, now);
+      writeJsonFileAtomic(filePath, jobs);
+      return result;
+    });
+  }
+
+  async add(job) {
+    return this.mutate(jobs => {
+      if (job.dedupeKey) {
+        const existing = Object.values(jobs).find(
+          candidate => candidate.dedupeKey === job.dedupeKey && candidate.state !== JOB_STATES.DEAD
+        );
+        if (existing) {
+          return { job: existing, created: false };
+        }
+      }
+      jobs[job.id] = job;
+      return { job, created: true };
+    });
+  }
+
+  async get(id) {
+    return this.load()[id] || null;
+  }
+
+  async list({ state = null, type = null, limit = 100 } = {}) {
+    return Object.values(this.load())
+      .filter(job => (!state || job.state === state) && (!type || job.type === type))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit);
+  }
+
+  async claimDue({ limit = 1, leaseMs = JOB_LEASE_MS, owner }) {
+    return this.mutate((jobs, now) => {
+      const all = Object.values(jobs).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+      const isLive = job => job.state === JOB_STATES.RUNNING && job.leaseExpiresAt > now;
+
+      // Groups with a job in flight, or with an older job still waiting, are blocked
+      const blockedGroups = new Set(all.filter(isLive).map(job => job.groupKey).filter(Boolean));
+      const claimed = [];
+
+      for (const job of all) {
+        if (claimed.length >= limit) {
+          break;
+        }
+        const pending = job.state === JOB_STATES.QUEUED
+          || job.state === JOB_STATES.RETRY
+          || (job.state === JOB_STATES.RUNNING && !isLive(job));
+        if (!pending) {
+          continue;
+        }
+        if (job.groupKey && blockedGroups.has(job.groupKey)) {
+          continue;
+        }
+        if (job.groupKey) {
+          blockedGroups.add(job.groupKey);
+        }
+        if (job.runAt > now) {
+          continue;
+        }
+
+        job.state = JOB_STATES.RUNNING;
+        job.attempts += 1;
+        job.owner = owner;
+        job.startedAt = new Date(now).toISOString();
+        job.updatedAt = job.startedAt;
+        job.leaseExpiresAt = now + leaseMs;
+        claimed.push({ ...job });
+      }
+
+      return claimed;
+    });
+  }
+
+  async update(id, patch) {
+    return this.mutate((jobs, now) => {
+      if (!jobs[id]) {
+        return null;
+      }
+      jobs[id] = { ...jobs[id], ...patch, updatedAt: new Date(now).toISOString() };
+      return jobs[id];
+    });
+  }
+}
+
+const backends = {
+  file: () => new FileJobStore(),
+};
+
+/**
+ * Register an alternative backend under a name selectable via QUEUE_BACKEND
+ * @param {string} name - Backend name
+ * @param {Function} factory - () => store implementing the interface above
+ */
+export function registerQueueBackend(name, factory) {
+  backends[name] = factory;
+}
+
+/**
+ * Create job store for configured backend
+ * @param {string} backendName - Backend name (default: QUEUE_BACKEND or 'file')
+ * @returns {Object} Store instance
+ */
+export function createJobStore(backendName = process.env.QUEUE_BACKEND || 'file') {
+  const factory = backends[backendName];
+  if (!factory) {
+    throw new Error(`Unknown queue backend: ${backendName}. Registered: ${Object.keys(backends).join(', ')}`);
+  }
+  return factory();
+}
+
+// Export singleton instance
+export const jobStore = createJobStore();
+
+const handlers = {};
+
+/**
+ * Register processor for a job type
+ * @param {string} type - Job type (e.g., 'shopify.order_event')
+ * @param {Function} handler - async (payload, job) => result; throw to retry
+ */
+export function registerJobHandler(type, handler) {
+  handlers[type] = handler;
+}
+
+/**
+ * Persist a job for the worker
+ * @param {string} type - Job type with a registered handler
+ * @param {Object} payload - Serializable job input
+ * @param {Object} options - { groupKey, dedupeKey, maxAttempts, delayMs, meta }
+ * @returns {Promise<Object>} { job, created }
+ */
+export async function enqueueJob(type, payload, options = {}) {
+  const now = Date.now();
+  const job = {
+    id: `job_${now}_${crypto.randomBytes(4).toString('hex')}`,
+    type,
+    state: JOB_STATES.QUEUED,
+    payload,
+    groupKey: options.groupKey || null,
+    dedupeKey: options.dedupeKey || null,
+    meta: options.meta || null,
+    attempts: 0,
+    maxAttempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+    runAt: now + (options.delayMs || 0),
+    createdAt: new Date(now).toISOString(),
+    updatedAt: new Date(now).toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    leaseExpiresAt: null,
+    owner: null,
+    result: null,
+    lastError: null,
+    errors: [],
+  };
+
+  const added = await jobStore.add(job);
+
+  console.log(JSON.stringify({
+    event: added.created ? 'JOB_ENQUEUED' : 'JOB_ENQUEUE_DEDUPED',
+    jobId: added.job.id,
+    type,
+    groupKey: job.groupKey,
+    dedupeKey: job.dedupeKey,
+    state: added.job.state,
+    timestamp: new Date().toISOString()
+  }));
+
+  return added;
+}
+
+/**
+ * Delay before the next attempt: base * 2^(attempt-1), capped, with ±20% jitter
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in ms
+ */
+export function getRetryDelayMs(attempts) {
+  const delay = Math.min(RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * @param {Error} error - Error thrown by a job handler
+ * @returns {boolean} Whether another attempt can succeed
+ */
+export function isRetryableError(error) {
+  if (error?.retryable === false) {
+    return false;
+  }
+  return !NON_RETRYABLE_ERROR_TYPES.includes(error?.errorType);
+}
+
+async function runJob(job) {
+  const handler = handlers[job.type];
+  const startedAt = Date.now();
+
+  console.log(JSON.stringify({
+    event: 'JOB_STARTED',
+    jobId: job.id,
+    type: job.type,
+    groupKey: job.groupKey,
+    attempt: job.attempts,
+    maxAttempts: job.maxAttempts,
+    timestamp: new Date().toISOString()
+  }));
+
+  try {
+    if (!handler) {
+      const error = new Error(`No handler registered for job type ${job.type}`);
+      error.retryable = false;
+      throw error;
+    }
+
+    const result = await handler(job.payload, job);
+    await jobStore.update(job.id, {
+      state: JOB_STATES.SUCCEEDED,
+      result: result ?? null,
+      finishedAt: new Date().toISOString(),
+      leaseExpiresAt: null,
+      owner: null,
+    });
+
+    console.log(JSON.stringify({
+      event: 'JOB_SUCCEEDED',
+      jobId: job.id,
+      type: job.type,
+      attempt: job.attempts,
+      durationMs: Date.now() - startedAt,
+      timestamp: new Date().toISOString()
+    }));
+  } catch (error) {
+    const errorInfo = {
+      attempt: job.attempts,
+      message: error.message,
+      errorType: error.errorType || null,
+      errorDetails: error.errorDetails || null,
+      at: new Date().toISOString(),
+    };
+    const retryable = isRetryableError(error) && job.attempts < job.maxAttempts;
+    const delayMs = retryable ? getRetryDelayMs(job.attempts) : null;
+
+    await jobStore.update(job.id, {
+      state: retryable ? JOB_STATES.RETRY : JOB_STATES.DEAD,
+      runAt: retryable ? Date.now() + delayMs : job.runAt,
+      finishedAt: retryable ? null : errorInfo.at,
+      leaseExpiresAt: null,
+      owner: null,
+      lastError: errorInfo,
+      errors: [...(job.errors || []), errorInfo].slice(-MAX_ERROR_HISTORY),
+    }).catch(storeError => {
+      // Lease expiry will hand the job to the next worker run
+      console.error(`[QUEUE] ⚠️ Failed to record outcome of job ${job.id}:`, storeError.message);
+    });
+
+    console.log(JSON.stringify({
+      event: retryable ? 'JOB_RETRY_SCHEDULED' : 'JOB_DEAD',
+      jobId: job.id,
+      type: job.type,
+      attempt: job.attempts,
+      maxAttempts: job.maxAttempts,
+      retryInMs: delayMs,
+      error: error.message,
+      errorType: error.errorType || null,
+      timestamp: new Date().toISOString()
+    }));
+
+    if (!retryable) {
+      await recordDeadLetter({
+        source: 'queue',
+        jobType: job.type,
+        payload: job.payload,
+        failure: error,
+        attempts: job.attempts,
+        groupKey: job.groupKey,
+        context: { jobId: job.id, ...(job.meta || {}) },
+      }).catch(storeError => {
+        console.error(`[QUEUE] ⚠️ Failed to record dead letter for job ${job.id}:`, storeError.message);
+      });
+    }
+  }
+}
+
+/**
+ * Process due jobs until the queue is empty, maxJobs ran, or the time budget is spent
+ * @param {Object} options - { concurrency, maxJobs, timeBudgetMs }
+ * @returns {Promise<Object>} { processed, durationMs }
+ */
+export async function runWorker(options = {}) {
+  const concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+  const maxJobs = options.maxJobs || Infinity;
+  const timeBudgetMs = options.timeBudgetMs || DEFAULT_TIME_BUDGET_MS;
+  const owner = `${process.pid}-${crypto.randomBytes(6).toString('hex')}`;
+  const startedAt = Date.now();
+  const active = new Set();
+  let processed = 0;
+
+  for (;;) {
+    const free = Math.min(concurrency - active.size, maxJobs - processed - active.size);
+    if (free > 0 && Date.now() - startedAt < timeBudgetMs) {
+      let jobs = [];
+      try {
+        jobs = await jobStore.claimDue({ limit: free, owner });
+      } catch (storeError) {
+        console.error('[QUEUE] ⚠️ Failed to claim jobs:', storeError.message);
+      }
+      for (const job of jobs) {
+        const running = runJob(job).finally(() => {
+          active.delete(running);
+          processed++;
+        });
+        active.add(running);
+      }
+    }
+
+    if (active.size === 0) {
+      break;
+    }
+    // Wait for a slot; a finished job may also unblock the next job of its group
+    await Promise.race(active);
+  }
+
+  return { processed, durationMs: Date.now() - startedAt };
+}
+
+let currentRun = null;
+
+/**
+ * Start the worker unless one is already running in this process
+ * Webhook handlers call this after responding; QUEUE_INLINE_WORKER=false leaves
+ * all processing to the /api/queue/worker endpoint (cron)
+ * @param {Object} options - See runWorker
+ * @returns {Promise<Object|null>} Worker stats, or null when inline processing is disabled
+ */
+export async function kickWorker(options = {}) {
+  if (!options.force && process.env.QUEUE_INLINE_WORKER === 'false') {
+    return null;
+  }
+  if (!currentRun) {
+    currentRun = runWorker(options)
+      .catch(error => {
+        console.error('[QUEUE] ❌ Worker failed:', error.message);
+        return { processed: 0, error: error.message };
+      })
+      .finally(() => {
+        currentRun = null;
+      });
+  }
+  return currentRun;
+}
@@ -0,0 +1,25 @@
+/**
+ * Job Types
+ * Registers the sync processors with the queue; import this module (not only
+ * ./index.js) anywhere jobs are enqueued or the worker is run.
+ */
+
+import { registerJobHandler } from './index.js';
+import { processShopifyOrderEvent } from '../sync/shopifyOrders.js';
+import { processShopifyProductEvent } from '../sync/shopifyProducts.js';
+import { processShopifyCustomerEvent } from '../sync/shopifyCustomers.js';
+import { processBitrixDealEvent, processMWActionJob, MW_ACTION_JOB_TYPE } from '../sync/bitrixDeals.js';
+
+export const JOB_TYPES = {
+  SHOPIFY_ORDER_EVENT: 'shopify.order_event',
+  SHOPIFY_PRODUCT_EVENT: 'shopify.product_event',
+  SHOPIFY_CUSTOMER_EVENT: 'shopify.customer_event',
+  BITRIX_DEAL_EVENT: 'bitrix.deal_event',
+  BITRIX_MW_ACTION: MW_ACTION_JOB_TYPE,
+};
+
+registerJobHandler(JOB_TYPES.SHOPIFY_ORDER_EVENT, payload => processShopifyOrderEvent(payload));
+registerJobHandler(JOB_TYPES.SHOPIFY_PRODUCT_EVENT, payload => processShopifyProductEvent(payload));
+registerJobHandler(JOB_TYPES.SHOPIFY_CUSTOMER_EVENT, payload => processShopifyCustomerEvent(payload));
+registerJobHandler(JOB_TYPES.BITRIX_DEAL_EVENT, payload => processBitrixDealEvent(payload));
+registerJobHandler(JOB_TYPES.BITRIX_MW_ACTION, payload => processMWActionJob(payload));
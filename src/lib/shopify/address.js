@@ -1,9 +1,25 @@
 /**
  * Shopify Address Operations
- * Handles shipping address updates in Shopify orders
+ * Handles shipping address updates in Shopify orders (GraphQL orderUpdate; REST with SHOPIFY_ADMIN_API=rest)
  */
 
-import { callShopifyAdmin, getOrder } from './adminClient.js';
+import { callShopifyAdmin, callShopifyGraphQL, getOrder, toShopifyGid } from './adminClient.js';
+import { isShopifyRestFallback } from './config.js';
+
+const ORDER_UPDATE_MUTATION = `
+  mutation orderUpdate($input: OrderInput!) {
+    orderUpdate(input: $input) {
+      order {
+        id
+        name
+        shippingAddress {
+          firstName lastName company address1 address2 city province provinceCode country countryCodeV2 zip phone
+        }
+      }
+      userErrors { field message }
+    }
+  }
+`;
 
 /**
  * Get country name from ISO2 code
@@ -63,6 +79,146 @@ async function normalizeAddress(addressData) {
   return normalized;
 }
 
+/**
+ * Build a GraphQL MailingAddressInput from address data
+ * ISO2 countries and short province codes go in as codes; names are passed as given
+ * @param {Object} addressData - Raw address data (REST field names)
+ * @returns {Object} MailingAddressInput
+ */
+function toMailingAddressInput(addressData) {
+  const input = {};
+  const fields = {
+    first_name: 'firstName',
+    last_name: 'lastName',
+    company: 'company',
+    address1: 'address1',
+    address2: 'address2',
+    city: 'city',
+    zip: 'zip',
+    phone: 'phone'
+  };
+  for (const [restField, graphqlField] of Object.entries(fields)) {
+    if (addressData[restField]) {
+      input[graphqlField] = String(addressData[restField]);
+    }
+  }
+
+  if (addressData.country) {
+    const country = String(addressData.country);
+    if (/^[A-Za-z]{2}$/.test(country)) {
+      input.countryCode = country.toUpperCase();
+    } else {
+      input.country = country;
+    }
+  }
+  if (addressData.province) {
+    const province = String(addressData.province);
+    if (/^[A-Za-z0-9]{1,3}$/.test(province)) {
+      input.provinceCode = province.toUpperCase();
+    } else {
+      input.province = province;
+    }
+  }
+
+  return input;
+}
+
+// GraphQL MailingAddress in the REST shape of order.shipping_address
+function toRestAddress(address) {
+  if (!address) {
+    return null;
+  }
+  return {
+    first_name: address.firstName,
+    last_name: address.lastName,
+    company: address.company,
+    address1: address.address1,
+    address2: address.address2,
+    city: address.city,
+    province: address.province,
+    province_code: address.provinceCode,
+    country: address.country,
+    country_code: address.countryCodeV2,
+    zip: address.zip,
+    phone: address.phone
+  };
+}
+
+/**
+ * Update the shipping address with orderUpdate
+ * @param {string|number} orderId - Shopify order ID
+ * @param {Object} shippingAddress - Address from the normalized action
+ * @returns {Promise<Object>} Address update result
+ */
+async function updateShippingAddressGraphQL(orderId, shippingAddress) {
+  const data = await callShopifyGraphQL(ORDER_UPDATE_MUTATION, {
+    input: {
+      id: toShopifyGid('Order', orderId),
+      shippingAddress: toMailingAddressInput(shippingAddress)
+    }
+  });
+
+  const userErrors = data.orderUpdate?.userErrors || [];
+  if (userErrors.length > 0 || !data.orderUpdate?.order) {
+    return {
+      success: false,
+      error: 'ADDRESS_UPDATE_REJECTED',
+      message: userErrors.map(e => e.message).join('; ') || `Order ${orderId} was not updated`,
+      userErrors,
+      httpStatus: 422
+    };
+  }
+
+  const updatedOrder = data.orderUpdate.order;
+  return {
+    success: true,
+    orderId: String(orderId),
+    orderName: updatedOrder.name,
+    shippingAddress: toRestAddress(updatedOrder.shippingAddress)
+  };
+}
+
+/**
+ * Update the shipping address with PUT /orders/{id}.json
+ * @param {string|number} orderId - Shopify order ID
+ * @param {Object} shippingAddress - Address from the normalized action
+ * @returns {Promise<Object>} Address update result
+ */
+async function updateShippingAddressRest(orderId, shippingAddress) {
+  // Step 1: Get order to verify it exists
+  const order = await getOrder(orderId);
+  if (!order) {
+    return {
+      success: false,
+      error: 'ORDER_NOT_FOUND',
+      message: `Order ${orderId} not found in Shopify`
+    };
+  }
+
+  // Step 2: Normalize address data
+  const normalizedAddress = await normalizeAddress(shippingAddress);
+
+  // Step 3: Update order shipping address
+  const updateResponse = await callShopifyAdmin(`/orders/${orderId}.json`, {
+    method: 'PUT',
+    body: JSON.stringify({
+      order: {
+        id: orderId,
+        shipping_address: normalizedAddress
+      }
+    })
+  });
+
+  const updatedOrder = updateResponse.order;
+
+  return {
+    success: true,
+    orderId: String(orderId),
+    orderName: updatedOrder.name,
+    shippingAddress: updatedOrder.shipping_address
+  };
+}
+
 /**
  * Update shipping address for a Shopify order
  * @param {string|number} orderId - Shopify order ID
@@ -89,38 +245,9 @@ export async function updateShippingAddress(orderId, addressPayload, correlation
   }
 
   try {
-    // Step 1: Get order to verify it exists
-    const order = await getOrder(orderId);
-    if (!order) {
-      return {
-        success: false,
-        error: 'ORDER_NOT_FOUND',
-        message: `Order ${orderId} not found in Shopify`
-      };
-    }
-
-    // Step 2: Normalize address data
-    const normalizedAddress = await normalizeAddress(addressPayload.shipping_address);
-
-    // Step 3: Update order shipping address
-    const updateResponse = await callShopifyAdmin(`/orders/${orderId}.json`, {
-      method: 'PUT',
-      body: JSON.stringify({
-        order: {
-          id: orderId,
-          shipping_address: normalizedAddress
-        }
-      })
-    });
-
-    const updatedOrder = updateResponse.order;
-
-    return {
-      success: true,
-      orderId: String(orderId),
-      orderName: updatedOrder.name,
-      shippingAddress: updatedOrder.shipping_address
-    };
+    return isShopifyRestFallback()
+      ? await updateShippingAddressRest(orderId, addressPayload.shipping_address)
+      : await updateShippingAddressGraphQL(orderId, addressPayload.shipping_address);
   } catch (error) {
     return {
       success: false,
@@ -1,53 +1,311 @@
 /**
  * Shopify Admin API Client
- * Uses SHOPIFY_24_ADMIN token for authenticated requests
+ * Uses SHOPIFY_24_ADMIN token for authenticated requests (domain and API version: config.js)
+ *
+ * Requests are paced by Shopify's own limits:
+ * - REST: leaky bucket reported in X-Shopify-Shop-Api-Call-Limit ("used/size", leaks SHOPIFY_REST_LEAK_RATE/s)
+ * - GraphQL: query cost budget reported in extensions.cost.throttleStatus
+ * 429 and THROTTLED responses are retried after Retry-After / the restore time. 5xx and network
+ * failures are retried (exponential backoff with jitter) only for reads - a failed POST or
+ * mutation may still have been applied by Shopify.
+ * Failures are thrown as errors with errorType (SHOPIFY_ERROR_TYPES), status, retryable and requestId.
  */
 
-const SHOPIFY_STORE_DOMAIN = process.env.SHOPIFY_24_DOMAIN || process.env.SHOPIFY_STORE_DOMAIN || '83bfa8-c4.myshopify.com';
-const SHOPIFY_ADMIN_TOKEN = process.env.SHOPIFY_24_ADMIN;
-const SHOPIFY_API_VERSION = process.env.SHOPIFY_API_VERSION || '2024-01';
+import { SHOPIFY_CONFIG, getShopifyApiVersion } from './config.js';
+
+export const SHOPIFY_ERROR_TYPES = {
+  CONFIG: 'SHOPIFY_CONFIG',         // Token / API version not configured correctly
+  AUTH: 'SHOPIFY_AUTH',             // 401, 403
+  NOT_FOUND: 'SHOPIFY_NOT_FOUND',   // 404
+  VALIDATION: 'SHOPIFY_VALIDATION', // 400, 422
+  REQUEST: 'SHOPIFY_REQUEST',       // other 4xx (402 frozen shop, 423 locked, ...)
+  GRAPHQL: 'SHOPIFY_GRAPHQL',       // Top-level GraphQL errors (invalid query, access denied)
+  THROTTLED: 'SHOPIFY_THROTTLED',   // 429 / THROTTLED after all retries
+  SERVER: 'SHOPIFY_SERVER',         // 5xx
+  NETWORK: 'SHOPIFY_NETWORK',       // No response
+};
+
+const RETRYABLE_ERROR_TYPES = [SHOPIFY_ERROR_TYPES.THROTTLED, SHOPIFY_ERROR_TYPES.SERVER, SHOPIFY_ERROR_TYPES.NETWORK];
+
+const MAX_RETRIES = Number.parseInt(process.env.SHOPIFY_MAX_RETRIES ?? '4', 10);
+const RETRY_BASE_MS = Number(process.env.SHOPIFY_RETRY_BASE_MS) || 500;
+const REST_LEAK_PER_SEC = Number(process.env.SHOPIFY_REST_LEAK_RATE) || 2;
+// Assumed cost of a GraphQL query not seen yet (Shopify reports the real one with the response)
+const DEFAULT_GRAPHQL_COST = 10;
+const MAX_PAGES = 100;
+
+// Bucket state as last reported by Shopify, advanced locally between responses (per process)
+const restBucket = { used: 0, size: 40, updatedAt: Date.now() };
+const graphqlBucket = { available: null, maximum: null, restoreRate: null, updatedAt: Date.now() };
+const graphqlQueryCosts = new Map();
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function getAdminToken() {
+  if (!SHOPIFY_CONFIG.ADMIN_TOKEN) {
+    throw createShopifyError(SHOPIFY_ERROR_TYPES.CONFIG, 'SHOPIFY_24_ADMIN token is not configured');
+  }
+  return SHOPIFY_CONFIG.ADMIN_TOKEN;
+}
+
+/**
+ * Build a typed Shopify error
+ * @param {string} type - SHOPIFY_ERROR_TYPES value
+ * @param {string} message - Message
+ * @param {Object} details - { status, requestId, errors (Shopify error body) }
+ * @returns {Error} Error with errorType, status, retryable, requestId, errors
+ */
+function createShopifyError(type, message, { status = null, requestId = null, errors = null } = {}) {
+  const error = new Error(message);
+  error.errorType = type;
+  error.status = status;
+  error.retryable = RETRYABLE_ERROR_TYPES.includes(type);
+  error.requestId = requestId;
+  error.errors = errors;
+  return error;
+}
+
+function errorTypeForStatus(status) {
+  if (status === 401 || status === 403) return SHOPIFY_ERROR_TYPES.AUTH;
+  if (status === 404) return SHOPIFY_ERROR_TYPES.NOT_FOUND;
+  if (status === 400 || status === 422) return SHOPIFY_ERROR_TYPES.VALIDATION;
+  if (status === 429) return SHOPIFY_ERROR_TYPES.THROTTLED;
+  if (status >= 500) return SHOPIFY_ERROR_TYPES.SERVER;
+  return SHOPIFY_ERROR_TYPES.REQUEST;
+}
+
+/**
+ * Typed error for a non-2xx response (message keeps the "(status)" format callers parse)
+ * @param {string} label - 'Shopify Admin API' or 'Shopify GraphQL API'
+ * @param {Response} response - Fetch response
+ * @returns {Promise<Error>} Error
+ */
+async function createHttpError(label, response) {
+  const errorText = await response.text();
+  let errors = null;
+  try {
+    errors = JSON.parse(errorText).errors ?? null;
+  } catch {
+    // Not JSON (proxy error page) - the text is in the message
+  }
+  return createShopifyError(errorTypeForStatus(response.status), `${label} error (${response.status}): ${errorText}`, {
+    status: response.status,
+    requestId: response.headers.get('x-request-id'),
+    errors,
+  });
+}
+
+async function waitForRestCapacity() {
+  for (;;) {
+    const now = Date.now();
+    restBucket.used = Math.max(0, restBucket.used - ((now - restBucket.updatedAt) / 1000) * REST_LEAK_PER_SEC);
+    restBucket.updatedAt = now;
+    // Keep one slot free for other apps of the shop
+    if (restBucket.used + 1 <= restBucket.size - 1) {
+      restBucket.used += 1;
+      return;
+    }
+    await sleep(Math.ceil(((restBucket.used + 2 - restBucket.size) / REST_LEAK_PER_SEC) * 1000));
+  }
+}
+
+function recordRestCallLimit(response) {
+  const [used, size] = String(response.headers.get('x-shopify-shop-api-call-limit') || '').split('/').map(Number);
+  if (used >= 0 && size > 0) {
+    restBucket.used = used;
+    restBucket.size = size;
+    restBucket.updatedAt = Date.now();
+  }
+}
+
+async function waitForGraphQLCapacity(query) {
+  if (graphqlBucket.available === null) {
+    return;
+  }
+  const cost = Math.min(graphqlQueryCosts.get(query) ?? DEFAULT_GRAPHQL_COST, graphqlBucket.maximum);
+  for (;;) {
+    const now = Date.now();
+    graphqlBucket.available = Math.min(
+      graphqlBucket.maximum,
+      graphqlBucket.available + ((now - graphqlBucket.updatedAt) / 1000) * graphqlBucket.restoreRate
+    );
+    graphqlBucket.updatedAt = now;
+    if (graphqlBucket.available >= cost) {
+      graphqlBucket.available -= cost;
+      return;
+    }
+    await sleep(Math.ceil(((cost - graphqlBucket.available) / graphqlBucket.restoreRate) * 1000));
+  }
+}
+
+function recordGraphQLCost(query, cost) {
+  const throttle = cost?.throttleStatus;
+  if (!throttle) {
+    return;
+  }
+  graphqlQueryCosts.set(query, cost.requestedQueryCost);
+  graphqlBucket.available = throttle.currentlyAvailable;
+  graphqlBucket.maximum = throttle.maximumAvailable;
+  graphqlBucket.restoreRate = throttle.restoreRate;
+  graphqlBucket.updatedAt = Date.now();
+}
+
+function backoffDelay(attempt) {
+  return RETRY_BASE_MS * 2 ** attempt + Math.floor(Math.random() * RETRY_BASE_MS);
+}
+
+function retryAfterMs(response) {
+  const seconds = Number(response.headers.get('retry-after'));
+  return seconds > 0 ? Math.ceil(seconds * 1000) : null;
+}
+
+/**
+ * fetch with pacing and retries
+ * @param {string} url - Request URL
+ * @param {Object} init - Fetch options
+ * @param {Object} policy - { label, idempotent (retry 5xx / network), pace(), observe(response) }
+ * @returns {Promise<Response>} Last response (may be non-2xx)
+ */
+async function fetchWithRetry(url, init, { label, idempotent, pace, observe }) {
+  for (let attempt = 0; ; attempt++) {
+    await pace();
+
+    let response;
+    try {
+      response = await fetch(url, init);
+    } catch (cause) {
+      const error = createShopifyError(SHOPIFY_ERROR_TYPES.NETWORK, `${label} request failed: ${cause.message}`);
+      if (!idempotent || attempt >= MAX_RETRIES) {
+        throw error;
+      }
+      const delay = backoffDelay(attempt);
+      console.warn(`[SHOPIFY] ⚠️ ${error.message}, retry ${attempt + 1}/${MAX_RETRIES} in ${delay}ms`);
+      await sleep(delay);
+      continue;
+    }
+    observe(response);
+
+    const retry = response.status === 429 || (response.status >= 500 && idempotent);
+    if (!retry || attempt >= MAX_RETRIES) {
+      return response;
+    }
+    const delay = retryAfterMs(response) ?? backoffDelay(attempt);
+    console.warn(`[SHOPIFY] ⚠️ ${label} HTTP ${response.status}, retry ${attempt + 1}/${MAX_RETRIES} in ${delay}ms`);
+    await response.text();
+    await sleep(delay);
+  }
+}
 
 /**
  * Get Shopify Admin API base URL
  */
 export function getShopifyAdminBase() {
-  if (!SHOPIFY_ADMIN_TOKEN) {
-    throw new Error('SHOPIFY_24_ADMIN token is not configured');
-  }
-  
-  // Remove protocol if present, ensure it's just the domain
-  const domain = SHOPIFY_STORE_DOMAIN.replace(/^https?:\/\//, '').replace(/\/$/, '');
-  
-  return `https://${domain}/admin/api/${SHOPIFY_API_VERSION}`;
+  getAdminToken();
+  return `https://${SHOPIFY_CONFIG.STORE_DOMAIN}/admin/api/${getShopifyApiVersion()}`;
 }
 
 /**
- * Make authenticated request to Shopify Admin API
- * @param {string} endpoint - API endpoint (e.g., '/orders.json')
- * @param {object} options - Fetch options (method, body, etc.)
- * @returns {Promise<object>} Response JSON
+ * Link to a page of the Shopify admin (for people, not the API)
+ * @param {string} path - Admin path (e.g., '/orders/123')
+ * @returns {string} URL
  */
-export async function callShopifyAdmin(endpoint, options = {}) {
-  const baseUrl = getShopifyAdminBase();
-  const url = `${baseUrl}${endpoint}`;
-  
+export function getShopifyAdminUrl(path) {
+  return `https://${SHOPIFY_CONFIG.STORE_DOMAIN}/admin${path}`;
+}
+
+/**
+ * REST request returning the response as well (for Link headers)
+ * @param {string} endpoint - API endpoint (e.g., '/orders.json') or absolute URL of a page link
+ * @param {object} options - Fetch options
+ * @returns {Promise<Object>} { data, response }
+ */
+async function requestShopifyAdmin(endpoint, options = {}) {
+  const url = /^https?:\/\//.test(endpoint) ? endpoint : `${getShopifyAdminBase()}${endpoint}`;
+  const method = (options.method || 'GET').toUpperCase();
+
   const headers = {
     'Content-Type': 'application/json',
-    'X-Shopify-Access-Token': SHOPIFY_ADMIN_TOKEN,
+    'X-Shopify-Access-Token': getAdminToken(),
     ...options.headers,
   };
 
-  const response = await fetch(url, {
-    ...options,
-    headers,
+  const response = await fetchWithRetry(url, { ...options, headers }, {
+    label: 'Shopify Admin API',
+    idempotent: method !== 'POST',
+    pace: waitForRestCapacity,
+    observe: recordRestCallLimit,
   });
 
   if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Shopify Admin API error (${response.status}): ${errorText}`);
+    throw await createHttpError('Shopify Admin API', response);
   }
 
-  return await response.json();
+  // DELETE answers with an empty body
+  const text = await response.text();
+  return { data: text ? JSON.parse(text) : {}, response };
+}
+
+/**
+ * Make authenticated request to Shopify Admin API
+ * @param {string} endpoint - API endpoint (e.g., '/orders.json')
+ * @param {object} options - Fetch options (method, body, etc.)
+ * @returns {Promise<object>} Response JSON
+ * @throws {Error} Typed Shopify error (errorType, status, retryable)
+ */
+export async function callShopifyAdmin(endpoint, options = {}) {
+  const { data } = await requestShopifyAdmin(endpoint, options);
+  return data;
+}
+
+function getNextPageUrl(linkHeader) {
+  const next = String(linkHeader || '').split(',').find(part => /rel="?next"?/.test(part));
+  return next ? next.match(/<([^>]+)>/)?.[1] || null : null;
+}
+
+/**
+ * Read all pages of a REST list endpoint (cursor pagination through the Link header)
+ * @param {string} endpoint - First page (e.g., '/orders.json?status=any&limit=250')
+ * @param {string} resourceKey - Key of the list in the response (e.g., 'orders')
+ * @param {Object} options - { maxPages }
+ * @returns {Promise<Array>} Items of all pages
+ */
+export async function callShopifyAdminPages(endpoint, resourceKey, { maxPages = MAX_PAGES } = {}) {
+  const items = [];
+  let next = endpoint;
+  for (let page = 0; next && page < maxPages; page++) {
+    const { data, response } = await requestShopifyAdmin(next);
+    items.push(...(data[resourceKey] || []));
+    next = getNextPageUrl(response.headers.get('link'));
+  }
+  if (next) {
+    console.warn(`[SHOPIFY] ⚠️ ${endpoint}: stopped after ${maxPages} pages, more ${resourceKey} remain`);
+  }
+  return items;
+}
+
+/**
+ * GraphQL global ID of a REST resource ID
+ * @param {string} type - Resource type (e.g., 'Order', 'FulfillmentOrder')
+ * @param {string|number} id - Numeric ID (a GID is returned unchanged)
+ * @returns {string} gid://shopify/{type}/{id}
+ */
+export function toShopifyGid(type, id) {
+  return String(id).startsWith('gid://') ? String(id) : `gid://shopify/${type}/${id}`;
+}
+
+/**
+ * Numeric ID of a GraphQL global ID (the ID REST uses)
+ * @param {string|null} gid - e.g. 'gid://shopify/Fulfillment/123'
+ * @returns {number|null} 123
+ */
+export function fromShopifyGid(gid) {
+  if (!gid) {
+    return null;
+  }
+  const id = String(gid).split('/').pop().split('?')[0];
+  return /^\d+$/.test(id) ? Number(id) : null;
 }
 
 /**
@@ -76,46 +334,87 @@ export async function updateOrder(orderId, orderData) {
 
 /**
  * Make GraphQL request to Shopify Admin API
+ * A THROTTLED answer is retried once the cost budget has been restored
  * @param {string} query - GraphQL query string
  * @param {object} variables - GraphQL variables (optional)
  * @returns {Promise<object>} GraphQL response data
+ * @throws {Error} Typed Shopify error (errorType, status, retryable)
  */
 export async function callShopifyGraphQL(query, variables = {}) {
-  if (!SHOPIFY_ADMIN_TOKEN) {
-    throw new Error('SHOPIFY_24_ADMIN token is not configured');
-  }
-
-  // GraphQL endpoint: https://{domain}/admin/api/{version}/graphql.json
-  const domain = SHOPIFY_STORE_DOMAIN.replace(/^https?:\/\//, '').replace(/\/$/, '');
-  const url = `https://${domain}/admin/api/${SHOPIFY_API_VERSION}/graphql.json`;
-
-  const headers = {
-    'Content-Type': 'application/json',
-    'X-Shopify-Access-Token': SHOPIFY_ADMIN_TOKEN,
-  };
-
-  const response = await fetch(url, {
+  const url = `${getShopifyAdminBase()}/graphql.json`;
+  const init = {
     method: 'POST',
-    headers,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Shopify-Access-Token': getAdminToken(),
+    },
     body: JSON.stringify({
       query,
       variables,
     }),
-  });
+  };
+  const policy = {
+    label: 'Shopify GraphQL API',
+    idempotent: !/^\s*mutation\b/.test(query),
+    pace: () => waitForGraphQLCapacity(query),
+    observe: () => {},
+  };
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Shopify GraphQL API error (${response.status}): ${errorText}`);
-  }
+  for (let attempt = 0; ; attempt++) {
+    const response = await fetchWithRetry(url, init, policy);
+    if (!response.ok) {
+      throw await createHttpError('Shopify GraphQL API', response);
+    }
 
-  const result = await response.json();
+    const result = await response.json();
+    recordGraphQLCost(query, result.extensions?.cost);
 
-  // Check for GraphQL errors
-  if (result.errors && result.errors.length > 0) {
-    const errorMessages = result.errors.map(e => e.message).join('; ');
-    throw new Error(`Shopify GraphQL errors: ${errorMessages}`);
-  }
+    // Check for GraphQL errors
+    if (result.errors && result.errors.length > 0) {
+      const errorMessages = result.errors.map(e => e.message).join('; ');
+      const throttled = result.errors.some(e => e.extensions?.code === 'THROTTLED');
+      // Throttled queries are not executed, so mutations can be repeated as well
+      if (throttled && attempt < MAX_RETRIES) {
+        console.warn(`[SHOPIFY] ⚠️ GraphQL query throttled, retry ${attempt + 1}/${MAX_RETRIES}`);
+        // With cost data the next pace() waits for the budget; without it back off
+        if (!result.extensions?.cost?.throttleStatus) {
+          await sleep(backoffDelay(attempt));
+        }
+        continue;
+      }
+      throw createShopifyError(
+        throttled ? SHOPIFY_ERROR_TYPES.THROTTLED : SHOPIFY_ERROR_TYPES.GRAPHQL,
+        `Shopify GraphQL errors: ${errorMessages}`,
+        { status: response.status, requestId: response.headers.get('x-request-id'), errors: result.errors }
+      );
+    }
 
-  return result.data;
+    return result.data;
+  }
 }
 
+/**
+ * Read all pages of a GraphQL connection
+ * The query takes a $cursor: String variable, passes it as after: $cursor and selects
+ * pageInfo { hasNextPage endCursor } with nodes (or edges { node }).
+ * @param {string} query - GraphQL query
+ * @param {object} variables - Variables besides cursor
+ * @param {string} connectionPath - Path of the connection in data (e.g., 'productVariants')
+ * @param {Object} options - { maxPages }
+ * @returns {Promise<Array>} Nodes of all pages
+ */
+export async function callShopifyGraphQLPages(query, variables, connectionPath, { maxPages = MAX_PAGES } = {}) {
+  const nodes = [];
+  let cursor = null;
+  for (let page = 0; page < maxPages; page++) {
+    const data = await callShopifyGraphQL(query, { ...variables, cursor });
+    const connection = connectionPath.split('.').reduce((value, key) => value?.[key], data);
+    nodes.push(...(connection?.nodes || (connection?.edges || []).map(edge => edge.node)));
+    if (!connection?.pageInfo?.hasNextPage) {
+      return nodes;
+    }
+    cursor = connection.pageInfo.endCursor;
+  }
+  console.warn(`[SHOPIFY] ⚠️ ${connectionPath}: stopped after ${maxPages} pages, more nodes remain`);
+  return nodes;
+}
@@ -0,0 +1,119 @@
+/**
+ * Shopify Order Cancellation
+ * Cancels orders through the GraphQL orderCancel mutation (reason, refund, restock)
+ */
+
+import { callShopifyGraphQL, getOrder } from './adminClient.js';
+
+// Bitrix payload reason → Shopify OrderCancelReason
+const CANCEL_REASONS = {
+  customer: 'CUSTOMER',
+  declined: 'DECLINED',
+  fraud: 'FRAUD',
+  inventory: 'INVENTORY',
+  staff: 'STAFF',
+  other: 'OTHER'
+};
+
+const ORDER_CANCEL_MUTATION = `
+  mutation orderCancel($orderId: ID!, $reason: OrderCancelReason!, $refund: Boolean!, $restock: Boolean!, $notifyCustomer: Boolean, $staffNote: String) {
+    orderCancel(orderId: $orderId, reason: $reason, refund: $refund, restock: $restock, notifyCustomer: $notifyCustomer, staffNote: $staffNote) {
+      job { id done }
+      orderCancelUserErrors { field message code }
+    }
+  }
+`;
+
+/**
+ * Map payload reason to Shopify enum
+ * @param {string} reason - customer|declined|fraud|inventory|staff|other
+ * @returns {string|null} OrderCancelReason or null if unknown
+ */
+export function toShopifyCancelReason(reason) {
+  return CANCEL_REASONS[String(reason || 'other').toLowerCase()] || null;
+}
+
+/**
+ * Cancel a Shopify order
+ * Already cancelled orders are reported as success (alreadyCancelled) without a second call
+ * @param {string|number} orderId - Shopify order ID
+ * @param {Object} cancelPayload - Normalized action ({ reason, refund, restock, notify_customer, staff_note })
+ * @param {string} correlationId - Correlation ID for tracking
+ * @param {string} payloadHash - Payload hash for loop guard
+ * @returns {Promise<Object>} Cancellation result
+ */
+export async function cancelOrder(orderId, cancelPayload, correlationId, payloadHash) {
+  if (!orderId) {
+    return {
+      success: false,
+      error: 'MISSING_ORDER_ID',
+      message: 'Shopify order ID is required for order cancel'
+    };
+  }
+
+  const reason = toShopifyCancelReason(cancelPayload.reason);
+  if (!reason) {
+    return {
+      success: false,
+      error: 'INVALID_CANCEL_REASON',
+      message: `Unknown cancel reason "${cancelPayload.reason}" (expected one of: ${Object.keys(CANCEL_REASONS).join(', ')})`
+    };
+  }
+
+  try {
+    const order = await getOrder(orderId);
+    if (!order) {
+      return {
+        success: false,
+        error: 'ORDER_NOT_FOUND',
+        message: `Order ${orderId} not found in Shopify`
+      };
+    }
+    if (order.cancelled_at) {
+      return {
+        success: true,
+        orderId: String(orderId),
+        orderName: order.name,
+        alreadyCancelled: true,
+        cancelledAt: order.cancelled_at
+      };
+    }
+
+    const data = await callShopifyGraphQL(ORDER_CANCEL_MUTATION, {
+      orderId: `gid://shopify/Order/${orderId}`,
+      reason,
+      refund: cancelPayload.refund,
+      restock: cancelPayload.restock,
+      notifyCustomer: cancelPayload.notify_customer,
+      staffNote: cancelPayload.staff_note || `Cancelled from Bitrix (${correlationId})`
+    });
+
+    const userErrors = data.orderCancel?.orderCancelUserErrors || [];
+    if (userErrors.length > 0) {
+      return {
+        success: false,
+        error: 'ORDER_CANCEL_REJECTED',
+        message: userErrors.map(e => `${e.code || 'ERROR'}: ${e.message}`).join('; '),
+        userErrors
+      };
+    }
+
+    // Cancellation runs as a Shopify job; orders/cancelled + orders/updated webhooks follow
+    return {
+      success: true,
+      orderId: String(orderId),
+      orderName: order.name,
+      jobId: data.orderCancel?.job?.id || null,
+      refund: cancelPayload.refund,
+      restock: cancelPayload.restock,
+      payloadHash
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: 'ORDER_CANCEL_ERROR',
+      message: error.message,
+      httpStatus: error.status || 500
+    };
+  }
+}
@@ -0,0 +1,54 @@
+/**
+ * Shopify B2B Companies
+ * Company location of a B2B order (order.company = { id, location_id } in the REST payload):
+ * company name, tax registration (VAT) id and billing address for the Bitrix company and requisite
+ */
+
+import { callShopifyGraphQL, toShopifyGid, fromShopifyGid } from './adminClient.js';
+
+const COMPANY_LOCATION_QUERY = `
+  query companyLocation($id: ID!) {
+    companyLocation(id: $id) {
+      id
+      name
+      taxSettings { taxRegistrationId }
+      billingAddress { address1 address2 city zip province country countryCode phone }
+      company { id name externalId }
+    }
+  }
+`;
+
+/**
+ * Get B2B company location
+ * @param {string|number} locationId - Company location ID
+ * @returns {Promise<Object|null>} { companyId, companyName, externalId, locationId, locationName, taxRegistrationId, billingAddress } or null if not found
+ */
+export async function getCompanyLocation(locationId) {
+  const data = await callShopifyGraphQL(COMPANY_LOCATION_QUERY, {
+    id: toShopifyGid('CompanyLocation', locationId),
+  });
+  const location = data.companyLocation;
+  if (!location) {
+    return null;
+  }
+
+  const address = location.billingAddress;
+  return {
+    companyId: fromShopifyGid(location.company?.id),
+    companyName: location.company?.name || location.name,
+    externalId: location.company?.externalId || null,
+    locationId: fromShopifyGid(location.id),
+    locationName: location.name,
+    taxRegistrationId: location.taxSettings?.taxRegistrationId || null,
+    billingAddress: address ? {
+      address1: address.address1,
+      address2: address.address2,
+      city: address.city,
+      zip: address.zip,
+      province: address.province,
+      country: address.country,
+      country_code: address.countryCode,
+      phone: address.phone,
+    } : null,
+  };
+}
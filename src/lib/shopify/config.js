@@ -0,0 +1,86 @@
+/**
+ * Shopify Configuration
+ * Store domain, Admin API token and the pinned Admin API version.
+ *
+ * Shopify releases a version every quarter (YYYY-01/04/07/10) and supports each for 12 months.
+ * Requests to an unsupported version are served by the oldest supported one, so an expired
+ * pin is only warned about; a malformed one fails the first request (SHOPIFY_CONFIG error).
+ *
+ * Fulfillment, refund, address and metafield operations use the GraphQL Admin API.
+ * SHOPIFY_ADMIN_API=rest switches them back to the REST endpoints (fallback while REST is still served).
+ */
+
+// Bump together with a check of the REST/GraphQL calls in src/lib/shopify
+export const DEFAULT_SHOPIFY_API_VERSION = '2026-04';
+
+const VERSION_PATTERN = /^(\d{4})-(01|04|07|10)$/;
+const SUPPORT_MONTHS = 12;
+
+export const SHOPIFY_CONFIG = {
+  STORE_DOMAIN: (process.env.SHOPIFY_24_DOMAIN || process.env.SHOPIFY_STORE_DOMAIN || '83bfa8-c4.myshopify.com')
+    .replace(/^https?:\/\//, '')
+    .replace(/\/$/, ''),
+  ADMIN_TOKEN: process.env.SHOPIFY_24_ADMIN,
+  API_VERSION: (process.env.SHOPIFY_API_VERSION || DEFAULT_SHOPIFY_API_VERSION).trim(),
+  ADMIN_API: (process.env.SHOPIFY_ADMIN_API || 'graphql').trim().toLowerCase(),
+};
+
+/**
+ * Whether operations go through the REST fallback instead of GraphQL
+ * @returns {boolean} True for SHOPIFY_ADMIN_API=rest
+ */
+export function isShopifyRestFallback() {
+  return SHOPIFY_CONFIG.ADMIN_API === 'rest';
+}
+
+/**
+ * Check an Admin API version string
+ * @param {string} version - e.g. '2026-04' or 'unstable'
+ * @param {Date} now - Reference date for the support window
+ * @returns {Object} { valid, supported, reason }
+ */
+export function validateShopifyApiVersion(version, now = new Date()) {
+  if (version === 'unstable') {
+    return { valid: true, supported: true, reason: 'unstable' };
+  }
+  const match = VERSION_PATTERN.exec(String(version || ''));
+  if (!match) {
+    return { valid: false, supported: false, reason: 'expected YYYY-MM with MM one of 01, 04, 07, 10' };
+  }
+
+  const ageMonths = (now.getUTCFullYear() - Number(match[1])) * 12 + (now.getUTCMonth() + 1 - Number(match[2]));
+  if (ageMonths < 0) {
+    return { valid: false, supported: false, reason: 'version is not released yet' };
+  }
+  if (ageMonths >= SUPPORT_MONTHS) {
+    return { valid: true, supported: false, reason: `released ${ageMonths} months ago, support ends after ${SUPPORT_MONTHS}` };
+  }
+  return { valid: true, supported: true, reason: null };
+}
+
+let checkedVersion = null;
+
+/**
+ * Configured Admin API version, validated once per process
+ * @returns {string} Version
+ * @throws {Error} errorType 'SHOPIFY_CONFIG' if SHOPIFY_API_VERSION is malformed
+ */
+export function getShopifyApiVersion() {
+  const version = SHOPIFY_CONFIG.API_VERSION;
+  if (checkedVersion === version) {
+    return version;
+  }
+
+  const check = validateShopifyApiVersion(version);
+  if (!check.valid) {
+    const error = new Error(`Invalid SHOPIFY_API_VERSION "${version}": ${check.reason}`);
+    error.errorType = 'SHOPIFY_CONFIG';
+    error.retryable = false;
+    throw error;
+  }
+  if (!check.supported) {
+    console.warn(`[SHOPIFY] ⚠️ SHOPIFY_API_VERSION ${version} is no longer supported (${check.reason}); Shopify answers with the oldest supported version`);
+  }
+  checkedVersion = version;
+  return version;
+}
@@ -1,9 +1,211 @@
 /**
  * Shopify Fulfillment API
  * Handles fulfillment-related operations for Shopify orders
+ *
+ * Fulfillment orders and fulfillment writes go through GraphQL (fulfillmentOrderMove,
+ * fulfillmentCreateV2, fulfillmentCancel, fulfillmentTrackingInfoUpdateV2); results are mapped
+ * to the REST shapes (numeric ids, lowercase statuses). SHOPIFY_ADMIN_API=rest uses the REST
+ * endpoints instead. Order and fulfillment reads stay on REST.
  */
 
-import { callShopifyAdmin } from './adminClient.js';
+import { callShopifyAdmin, callShopifyGraphQL, toShopifyGid, fromShopifyGid } from './adminClient.js';
+import { isShopifyRestFallback } from './config.js';
+
+const FULFILLMENT_ORDERS_QUERY = `
+  query orderFulfillmentOrders($id: ID!) {
+    order(id: $id) {
+      fulfillmentOrders(first: 50) {
+        nodes {
+          id
+          status
+          assignedLocation { location { id } }
+          lineItems(first: 250) {
+            nodes { id remainingQuantity lineItem { id } }
+          }
+        }
+      }
+    }
+  }
+`;
+
+const FULFILLMENT_ORDER_MOVE_MUTATION = `
+  mutation fulfillmentOrderMove($id: ID!, $newLocationId: ID!, $fulfillmentOrderLineItems: [FulfillmentOrderLineItemInput!]) {
+    fulfillmentOrderMove(id: $id, newLocationId: $newLocationId, fulfillmentOrderLineItems: $fulfillmentOrderLineItems) {
+      movedFulfillmentOrder {
+        id
+        lineItems(first: 250) { nodes { id lineItem { id } } }
+      }
+      userErrors { field message }
+    }
+  }
+`;
+
+const FULFILLMENT_CREATE_MUTATION = `
+  mutation fulfillmentCreateV2($fulfillment: FulfillmentV2Input!) {
+    fulfillmentCreateV2(fulfillment: $fulfillment) {
+      fulfillment { id status }
+      userErrors { field message }
+    }
+  }
+`;
+
+const FULFILLMENT_CANCEL_MUTATION = `
+  mutation fulfillmentCancel($id: ID!) {
+    fulfillmentCancel(id: $id) {
+      fulfillment { id status }
+      userErrors { field message }
+    }
+  }
+`;
+
+const FULFILLMENT_TRACKING_UPDATE_MUTATION = `
+  mutation fulfillmentTrackingInfoUpdateV2($fulfillmentId: ID!, $trackingInfoInput: FulfillmentTrackingInput!, $notifyCustomer: Boolean) {
+    fulfillmentTrackingInfoUpdateV2(fulfillmentId: $fulfillmentId, trackingInfoInput: $trackingInfoInput, notifyCustomer: $notifyCustomer) {
+      fulfillment { id status trackingInfo { number company url } }
+      userErrors { field message }
+    }
+  }
+`;
+
+/**
+ * Throw a 422 error when a mutation returned userErrors
+ * @param {string} mutation - Mutation name for the message
+ * @param {Array} userErrors - userErrors from the payload
+ */
+function throwOnUserErrors(mutation, userErrors) {
+  if (userErrors && userErrors.length > 0) {
+    const error = new Error(`${mutation} rejected the request: ${userErrors.map(e => e.message).join('; ')}`);
+    error.status = 422;
+    error.errors = userErrors;
+    throw error;
+  }
+}
+
+/**
+ * GraphQL fulfillment in the REST shape
+ * @param {Object|null} fulfillment - { id, status, trackingInfo? }
+ * @returns {Object|null} { id, status, tracking_number?, tracking_company?, tracking_url? }
+ */
+function toRestFulfillment(fulfillment) {
+  if (!fulfillment) {
+    return null;
+  }
+  const restFulfillment = {
+    id: fromShopifyGid(fulfillment.id),
+    status: String(fulfillment.status || '').toLowerCase()
+  };
+  const tracking = fulfillment.trackingInfo?.[0];
+  if (tracking) {
+    restFulfillment.tracking_number = tracking.number || null;
+    restFulfillment.tracking_company = tracking.company || null;
+    restFulfillment.tracking_url = tracking.url || null;
+  }
+  return restFulfillment;
+}
+
+/**
+ * Fulfillment orders of an order in the REST shape
+ * @param {string|number} orderId - Shopify order ID
+ * @returns {Promise<Array>} [{ id, status, assigned_location_id, line_items: [{ id, line_item_id, fulfillable_quantity }] }]
+ */
+async function listFulfillmentOrders(orderId) {
+  if (isShopifyRestFallback()) {
+    const response = await callShopifyAdmin(`/orders/${orderId}/fulfillment_orders.json`);
+    return response.fulfillment_orders || [];
+  }
+
+  const data = await callShopifyGraphQL(FULFILLMENT_ORDERS_QUERY, { id: toShopifyGid('Order', orderId) });
+  if (!data.order) {
+    const error = new Error(`Order ${orderId} not found in Shopify`);
+    error.status = 404;
+    throw error;
+  }
+  return (data.order.fulfillmentOrders?.nodes || []).map(fulfillmentOrder => ({
+    id: fromShopifyGid(fulfillmentOrder.id),
+    status: String(fulfillmentOrder.status || '').toLowerCase(),
+    assigned_location_id: fromShopifyGid(fulfillmentOrder.assignedLocation?.location?.id),
+    line_items: (fulfillmentOrder.lineItems?.nodes || []).map(lineItem => ({
+      id: fromShopifyGid(lineItem.id),
+      line_item_id: fromShopifyGid(lineItem.lineItem?.id),
+      fulfillable_quantity: lineItem.remainingQuantity
+    }))
+  }));
+}
+
+/**
+ * Move fulfillment order line items to another location
+ * @param {string|number} fulfillmentOrderId - Fulfillment order ID
+ * @param {string|number} locationId - Target location ID
+ * @param {Array} lineItems - [{ id, quantity }] fulfillment order line items
+ * @returns {Promise<Object|null>} Moved fulfillment order { id, line_items: [{ id, line_item_id }] }
+ */
+async function moveFulfillmentOrder(fulfillmentOrderId, locationId, lineItems) {
+  if (isShopifyRestFallback()) {
+    const moveResponse = await callShopifyAdmin(`/fulfillment_orders/${fulfillmentOrderId}/move.json`, {
+      method: 'POST',
+      body: JSON.stringify({
+        fulfillment_order: {
+          new_location_id: locationId,
+          fulfillment_order_line_items: lineItems
+        }
+      })
+    });
+    return moveResponse.moved_fulfillment_order || null;
+  }
+
+  const data = await callShopifyGraphQL(FULFILLMENT_ORDER_MOVE_MUTATION, {
+    id: toShopifyGid('FulfillmentOrder', fulfillmentOrderId),
+    newLocationId: toShopifyGid('Location', locationId),
+    fulfillmentOrderLineItems: lineItems.map(line => ({
+      id: toShopifyGid('FulfillmentOrderLineItem', line.id),
+      quantity: line.quantity
+    }))
+  });
+  throwOnUserErrors('fulfillmentOrderMove', data.fulfillmentOrderMove?.userErrors);
+  const moved = data.fulfillmentOrderMove?.movedFulfillmentOrder;
+  if (!moved) {
+    return null;
+  }
+  return {
+    id: fromShopifyGid(moved.id),
+    line_items: (moved.lineItems?.nodes || []).map(lineItem => ({
+      id: fromShopifyGid(lineItem.id),
+      line_item_id: fromShopifyGid(lineItem.lineItem?.id)
+    }))
+  };
+}
+
+/**
+ * Create a fulfillment from REST-shaped fulfillment data
+ * @param {string} restEndpoint - REST endpoint used by the fallback
+ * @param {Object} fulfillment - { notify_customer, tracking_info?, line_items_by_fulfillment_order }
+ * @returns {Promise<Object|null>} Created fulfillment (REST shape)
+ */
+async function postFulfillment(restEndpoint, fulfillment) {
+  if (isShopifyRestFallback()) {
+    const response = await callShopifyAdmin(restEndpoint, {
+      method: 'POST',
+      body: JSON.stringify({ fulfillment })
+    });
+    return response.fulfillment || null;
+  }
+
+  const data = await callShopifyGraphQL(FULFILLMENT_CREATE_MUTATION, {
+    fulfillment: {
+      notifyCustomer: fulfillment.notify_customer,
+      ...(fulfillment.tracking_info ? { trackingInfo: fulfillment.tracking_info } : {}),
+      lineItemsByFulfillmentOrder: fulfillment.line_items_by_fulfillment_order.map(group => ({
+        fulfillmentOrderId: toShopifyGid('FulfillmentOrder', group.fulfillment_order_id),
+        fulfillmentOrderLineItems: group.fulfillment_order_line_items.map(line => ({
+          id: toShopifyGid('FulfillmentOrderLineItem', line.id),
+          quantity: line.quantity
+        }))
+      }))
+    }
+  });
+  throwOnUserErrors('fulfillmentCreateV2', data.fulfillmentCreateV2?.userErrors);
+  return toRestFulfillment(data.fulfillmentCreateV2?.fulfillment);
+}
 
 /**
  * Get fulfillments for a specific order
@@ -175,11 +377,31 @@ export async function getOrderForFulfillment(orderId) {
   }
 }
 
+/**
+ * Build Shopify tracking_info from fulfillment options
+ * @param {Object} options - { tracking_number, tracking_company, tracking_urls }
+ * @returns {Object|null} { number, company, url } or null when there is no tracking
+ */
+function buildTrackingInfo(options = {}) {
+  const trackingInfo = {};
+  if (options.tracking_number) {
+    trackingInfo.number = String(options.tracking_number);
+  }
+  if (options.tracking_company) {
+    trackingInfo.company = String(options.tracking_company);
+  }
+  const url = Array.isArray(options.tracking_urls) ? options.tracking_urls[0] : options.tracking_url;
+  if (url) {
+    trackingInfo.url = String(url);
+  }
+  return Object.keys(trackingInfo).length > 0 ? trackingInfo : null;
+}
+
 /**
  * Create fulfillment for an order
  * @param {string|number} orderId - Shopify order ID
  * @param {Array} lineItems - Array of line items to fulfill with {id, quantity}
- * @param {Object} options - Optional fulfillment options (tracking_number, notify_customer, etc.)
+ * @param {Object} options - Optional fulfillment options (tracking_number, tracking_company, tracking_urls, notify_customer, etc.)
  * @returns {Promise<Object>} Response with created fulfillment
  */
 export async function createFulfillment(orderId, lineItems, options = {}) {
@@ -211,9 +433,9 @@ export async function createFulfillment(orderId, lineItems, options = {}) {
 
     // For REST API, we need to use fulfillment_orders endpoint first
     // Get fulfillment orders for this order
-    let fulfillmentOrdersResponse;
+    let fulfillmentOrders;
     try {
-      fulfillmentOrdersResponse = await callShopifyAdmin(`/orders/${orderId}/fulfillment_orders.json`);
+      fulfillmentOrders = await listFulfillmentOrders(orderId);
     } catch (fulfillmentOrdersError) {
       return {
         success: false,
@@ -223,7 +445,6 @@ export async function createFulfillment(orderId, lineItems, options = {}) {
       };
     }
 
-    const fulfillmentOrders = fulfillmentOrdersResponse.fulfillment_orders || [];
     if (fulfillmentOrders.length === 0) {
       return {
         success: false,
@@ -304,22 +525,23 @@ export async function createFulfillment(orderId, lineItems, options = {}) {
         line_items_by_fulfillment_order: lineItemsByFulfillmentOrder
       }
     };
+    const trackingInfo = buildTrackingInfo(options);
+    if (trackingInfo) {
+      fulfillmentRequest.fulfillment.tracking_info = trackingInfo;
+    }
 
-    const response = await callShopifyAdmin(`/orders/${orderId}/fulfillments.json`, {
-      method: 'POST',
-      body: JSON.stringify(fulfillmentRequest)
-    });
+    const fulfillment = await postFulfillment(`/orders/${orderId}/fulfillments.json`, fulfillmentRequest.fulfillment);
 
     return {
       success: true,
       httpStatus: 201,
-      fulfillment: response.fulfillment,
-      fulfillmentId: response.fulfillment?.id,
-      fulfillmentIds: response.fulfillment ? [response.fulfillment.id] : []
+      fulfillment,
+      fulfillmentId: fulfillment?.id,
+      fulfillmentIds: fulfillment ? [fulfillment.id] : []
     };
   } catch (error) {
     const statusMatch = error.message.match(/\((\d+)\)/);
-    const httpStatus = statusMatch ? parseInt(statusMatch[1], 10) : null;
+    const httpStatus = error.status || (statusMatch ? parseInt(statusMatch[1], 10) : null);
     const errorText = error.message.substring(0, 500); // First 500 chars
 
     return {
@@ -332,6 +554,363 @@ export async function createFulfillment(orderId, lineItems, options = {}) {
   }
 }
 
+/**
+ * Allocate requested line item quantities to open fulfillment order line items
+ * Fulfillment orders at the requested location are used first; lines taken from other
+ * locations are flagged for a move. Nothing is allocated when any request can't be covered.
+ * @param {Array} fulfillmentOrders - Open fulfillment orders (status open/in_progress)
+ * @param {Array|null} requests - [{ line_item_id, quantity }], null = everything still fulfillable
+ * @param {Object} options - { locationId }
+ * @returns {Object} { allocations: [{ fulfillmentOrder, lineItems: [{ id, line_item_id, quantity }], needsMove }], errors: [{ line_item_id, requested, available }] }
+ */
+export function allocateFulfillmentItems(fulfillmentOrders, requests, { locationId = null } = {}) {
+  const atLocation = fulfillmentOrder => !locationId || String(fulfillmentOrder.assigned_location_id) === String(locationId);
+  const ordered = [...fulfillmentOrders].sort((a, b) => Number(atLocation(b)) - Number(atLocation(a)));
+
+  // Remaining fulfillable quantity per fulfillment order line item
+  const remaining = new Map();
+  for (const fulfillmentOrder of ordered) {
+    for (const lineItem of fulfillmentOrder.line_items || []) {
+      remaining.set(lineItem.id, Number(lineItem.fulfillable_quantity || 0));
+    }
+  }
+
+  const wanted = requests
+    ? requests.map(request => ({ line_item_id: String(request.line_item_id), quantity: Number(request.quantity || 0) }))
+    : null;
+
+  const picked = new Map(); // fulfillment order id → line items
+  const errors = [];
+  const take = (fulfillmentOrder, lineItem, quantity) => {
+    remaining.set(lineItem.id, remaining.get(lineItem.id) - quantity);
+    const lines = picked.get(fulfillmentOrder.id) || [];
+    lines.push({ id: lineItem.id, line_item_id: String(lineItem.line_item_id), quantity });
+    picked.set(fulfillmentOrder.id, lines);
+  };
+
+  if (!wanted) {
+    for (const fulfillmentOrder of ordered) {
+      for (const lineItem of fulfillmentOrder.line_items || []) {
+        if (remaining.get(lineItem.id) > 0) {
+          take(fulfillmentOrder, lineItem, remaining.get(lineItem.id));
+        }
+      }
+    }
+  } else {
+    for (const request of wanted) {
+      let open = request.quantity;
+      const candidates = ordered.flatMap(fulfillmentOrder => (fulfillmentOrder.line_items || [])
+        .filter(lineItem => String(lineItem.line_item_id) === request.line_item_id)
+        .map(lineItem => ({ fulfillmentOrder, lineItem })));
+      const available = candidates.reduce((sum, { lineItem }) => sum + remaining.get(lineItem.id), 0);
+      if (request.quantity <= 0 || available < request.quantity) {
+        errors.push({ line_item_id: request.line_item_id, requested: request.quantity, available });
+        continue;
+      }
+      for (const { fulfillmentOrder, lineItem } of candidates) {
+        const quantity = Math.min(open, remaining.get(lineItem.id));
+        if (quantity > 0) {
+          take(fulfillmentOrder, lineItem, quantity);
+          open -= quantity;
+        }
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    return { allocations: [], errors };
+  }
+
+  const allocations = ordered
+    .filter(fulfillmentOrder => picked.has(fulfillmentOrder.id))
+    .map(fulfillmentOrder => {
+      // The same line item may be requested twice - Shopify wants one entry per line
+      const merged = new Map();
+      for (const line of picked.get(fulfillmentOrder.id)) {
+        const existing = merged.get(line.id);
+        merged.set(line.id, existing ? { ...existing, quantity: existing.quantity + line.quantity } : line);
+      }
+      return { fulfillmentOrder, lineItems: [...merged.values()], needsMove: !atLocation(fulfillmentOrder) };
+    });
+  return { allocations, errors };
+}
+
+/**
+ * Create partial / location-specific fulfillments (one per fulfillment order)
+ * Quantities are validated against the open fulfillment orders before anything is written;
+ * lines assigned to another location are moved to options.location_id first.
+ * When a later fulfillment fails after others were created, the result is a partial success
+ * (partial: true, message) - a retry of the same request would hit the already fulfilled lines.
+ * GraphQL fulfillmentCreateV2 (REST fallback: POST /admin/api/{version}/fulfillments.json)
+ * @param {string|number} orderId - Shopify order ID
+ * @param {Array|null} requests - [{ line_item_id, quantity }], null = everything still fulfillable
+ * @param {Object} options - { location_id, notify_customer, tracking_number, tracking_company, tracking_urls }
+ * @returns {Promise<Object>} { success, partial, fulfillmentIds, fulfillments: [{ fulfillmentId, fulfillmentOrderId, locationId, lineItems }] }
+ */
+export async function createFulfillmentForItems(orderId, requests, options = {}) {
+  const locationId = options.location_id ? String(options.location_id) : null;
+  const created = [];
+
+  try {
+    const openFulfillmentOrders = (await listFulfillmentOrders(orderId))
+      .filter(fo => fo.status === 'open' || fo.status === 'in_progress');
+
+    if (openFulfillmentOrders.length === 0) {
+      return {
+        success: false,
+        error: 'SHOPIFY_FULFILLMENT_CREATE_SKIP',
+        skip_reason: 'nothing_to_fulfill',
+        message: 'No open fulfillment orders found',
+        httpStatus: 200
+      };
+    }
+
+    const { allocations, errors } = allocateFulfillmentItems(openFulfillmentOrders, requests, { locationId });
+    if (errors.length > 0) {
+      return {
+        success: false,
+        error: 'SHOPIFY_FULFILLMENT_QUANTITY_INVALID',
+        message: errors.map(e => `line item ${e.line_item_id}: requested ${e.requested}, fulfillable ${e.available}`).join('; '),
+        details: errors,
+        httpStatus: 422
+      };
+    }
+    if (allocations.length === 0) {
+      return {
+        success: false,
+        error: 'SHOPIFY_FULFILLMENT_CREATE_SKIP',
+        skip_reason: 'nothing_to_fulfill',
+        message: 'No fulfillable line items found',
+        httpStatus: 200
+      };
+    }
+
+    const trackingInfo = buildTrackingInfo(options);
+    for (const allocation of allocations) {
+      let fulfillmentOrderId = allocation.fulfillmentOrder.id;
+      let lineItems = allocation.lineItems;
+
+      if (allocation.needsMove) {
+        // Moving part of a fulfillment order splits it; the moved part gets new line item ids
+        const moved = await moveFulfillmentOrder(
+          fulfillmentOrderId,
+          locationId,
+          lineItems.map(line => ({ id: line.id, quantity: line.quantity }))
+        );
+        if (!moved) {
+          throw new Error(`Shopify did not return the moved fulfillment order for ${fulfillmentOrderId}`);
+        }
+        fulfillmentOrderId = moved.id;
+        lineItems = lineItems.map(line => {
+          const movedLine = (moved.line_items || []).find(candidate => String(candidate.line_item_id) === line.line_item_id);
+          return { ...line, id: movedLine ? movedLine.id : line.id };
+        });
+      }
+
+      const fulfillment = await postFulfillment('/fulfillments.json', {
+        notify_customer: options.notify_customer !== false,
+        ...(trackingInfo ? { tracking_info: trackingInfo } : {}),
+        line_items_by_fulfillment_order: [{
+          fulfillment_order_id: fulfillmentOrderId,
+          fulfillment_order_line_items: lineItems.map(line => ({ id: line.id, quantity: line.quantity }))
+        }]
+      });
+
+      created.push({
+        fulfillmentId: fulfillment?.id,
+        fulfillmentOrderId,
+        locationId: locationId || allocation.fulfillmentOrder.assigned_location_id || null,
+        moved: allocation.needsMove,
+        lineItems: lineItems.map(line => ({ line_item_id: line.line_item_id, quantity: line.quantity }))
+      });
+    }
+
+    return {
+      success: true,
+      partial: false,
+      httpStatus: 201,
+      fulfillmentId: created[0]?.fulfillmentId,
+      fulfillmentIds: created.map(item => item.fulfillmentId),
+      fulfillments: created
+    };
+  } catch (error) {
+    const statusMatch = error.message.match(/\((\d+)\)/);
+    const httpStatus = error.status || (statusMatch ? parseInt(statusMatch[1], 10) : null);
+
+    // Fulfillments created before the failure stay in Shopify - report them instead of a failure,
+    // which would be retried with quantities that are no longer fulfillable
+    if (created.length > 0) {
+      console.warn(`[SHOPIFY FULFILLMENT] ⚠️ Order ${orderId}: ${created.length} fulfillment(s) created, then failed: ${error.message}`);
+      return {
+        success: true,
+        partial: true,
+        httpStatus: httpStatus || 500,
+        error: 'SHOPIFY_FULFILLMENT_CREATE_PARTIAL',
+        message: error.message,
+        fulfillmentId: created[0].fulfillmentId,
+        fulfillmentIds: created.map(item => item.fulfillmentId),
+        fulfillments: created
+      };
+    }
+
+    return {
+      success: false,
+      httpStatus: httpStatus || 500,
+      error: 'SHOPIFY_FULFILLMENT_CREATE_ERROR',
+      message: error.message,
+      responseSnippet: error.message.substring(0, 500),
+      fulfillmentIds: [],
+      fulfillments: []
+    };
+  }
+}
+
+/**
+ * Cancel a fulfillment of an order (e.g. created by mistake)
+ * Without fulfillmentId the most recent active fulfillment is cancelled. The fulfillment must
+ * belong to the order; an already cancelled one is reported as success (alreadyCancelled).
+ * GraphQL fulfillmentCancel (REST fallback: POST /admin/api/{version}/fulfillments/{fulfillment_id}/cancel.json)
+ * @param {string|number} orderId - Shopify order ID
+ * @param {string|number|null} fulfillmentId - Fulfillment to cancel (optional)
+ * @returns {Promise<Object>} Response with cancelled fulfillment
+ */
+export async function cancelFulfillment(orderId, fulfillmentId = null) {
+  const existing = await getFulfillmentOrders(orderId);
+  if (!existing.success) {
+    return {
+      success: false,
+      httpStatus: existing.httpStatus,
+      error: existing.error,
+      message: existing.message
+    };
+  }
+
+  const fulfillment = fulfillmentId
+    ? existing.fulfillments.find(candidate => String(candidate.id) === String(fulfillmentId))
+    : existing.fulfillments
+      .filter(candidate => candidate.status !== 'cancelled' && candidate.status !== 'error')
+      .sort((a, b) => String(b.created_at || '').localeCompare(String(a.created_at || '')))[0];
+
+  if (!fulfillment) {
+    return {
+      success: false,
+      httpStatus: 404,
+      error: 'SHOPIFY_FULFILLMENT_NOT_FOUND',
+      message: fulfillmentId
+        ? `Fulfillment ${fulfillmentId} does not belong to order ${orderId}`
+        : `Order ${orderId} has no active fulfillment to cancel`
+    };
+  }
+
+  if (fulfillment.status === 'cancelled') {
+    return {
+      success: true,
+      httpStatus: 200,
+      fulfillmentId: fulfillment.id,
+      alreadyCancelled: true
+    };
+  }
+
+  try {
+    let cancelled;
+    if (isShopifyRestFallback()) {
+      const response = await callShopifyAdmin(`/fulfillments/${fulfillment.id}/cancel.json`, {
+        method: 'POST',
+        body: JSON.stringify({})
+      });
+      cancelled = response.fulfillment;
+    } else {
+      const data = await callShopifyGraphQL(FULFILLMENT_CANCEL_MUTATION, { id: toShopifyGid('Fulfillment', fulfillment.id) });
+      throwOnUserErrors('fulfillmentCancel', data.fulfillmentCancel?.userErrors);
+      cancelled = toRestFulfillment(data.fulfillmentCancel?.fulfillment);
+    }
+
+    return {
+      success: true,
+      httpStatus: 200,
+      fulfillmentId: fulfillment.id,
+      status: cancelled?.status || 'cancelled',
+      lineItems: (fulfillment.line_items || []).map(item => ({ sku: item.sku || null, quantity: item.quantity }))
+    };
+  } catch (error) {
+    const statusMatch = error.message.match(/\((\d+)\)/);
+    const httpStatus = error.status || (statusMatch ? parseInt(statusMatch[1], 10) : null);
+
+    return {
+      success: false,
+      httpStatus: httpStatus || 500,
+      error: 'SHOPIFY_FULFILLMENT_CANCEL_ERROR',
+      message: error.message,
+      fulfillmentId: fulfillment.id,
+      responseSnippet: error.message.substring(0, 500)
+    };
+  }
+}
+
+/**
+ * Update tracking of an existing fulfillment
+ * GraphQL fulfillmentTrackingInfoUpdateV2 (REST fallback: POST /admin/api/{version}/fulfillments/{fulfillment_id}/update_tracking.json)
+ * @param {string|number} fulfillmentId - Shopify fulfillment ID
+ * @param {Object} tracking - { tracking_number, tracking_company, tracking_urls }
+ * @param {Object} options - { notify_customer } (default true)
+ * @returns {Promise<Object>} Response with updated fulfillment
+ */
+export async function updateFulfillmentTracking(fulfillmentId, tracking, options = {}) {
+  const trackingInfo = buildTrackingInfo(tracking);
+  if (!trackingInfo) {
+    return {
+      success: false,
+      error: 'SHOPIFY_TRACKING_UPDATE_SKIP',
+      skip_reason: 'no_tracking',
+      message: 'No tracking number, company or URL provided',
+      httpStatus: 200
+    };
+  }
+
+  try {
+    let fulfillment;
+    if (isShopifyRestFallback()) {
+      const response = await callShopifyAdmin(`/fulfillments/${fulfillmentId}/update_tracking.json`, {
+        method: 'POST',
+        body: JSON.stringify({
+          fulfillment: {
+            notify_customer: options.notify_customer !== false,
+            tracking_info: trackingInfo
+          }
+        })
+      });
+      fulfillment = response.fulfillment;
+    } else {
+      const data = await callShopifyGraphQL(FULFILLMENT_TRACKING_UPDATE_MUTATION, {
+        fulfillmentId: toShopifyGid('Fulfillment', fulfillmentId),
+        trackingInfoInput: trackingInfo,
+        notifyCustomer: options.notify_customer !== false
+      });
+      throwOnUserErrors('fulfillmentTrackingInfoUpdateV2', data.fulfillmentTrackingInfoUpdateV2?.userErrors);
+      fulfillment = toRestFulfillment(data.fulfillmentTrackingInfoUpdateV2?.fulfillment);
+    }
+
+    return {
+      success: true,
+      httpStatus: 200,
+      fulfillment,
+      fulfillmentId: fulfillment?.id || fulfillmentId,
+      trackingInfo
+    };
+  } catch (error) {
+    const statusMatch = error.message.match(/\((\d+)\)/);
+    const httpStatus = error.status || (statusMatch ? parseInt(statusMatch[1], 10) : null);
+
+    return {
+      success: false,
+      httpStatus: httpStatus || 500,
+      error: 'SHOPIFY_TRACKING_UPDATE_ERROR',
+      message: error.message,
+      responseSnippet: error.message.substring(0, 500)
+    };
+  }
+}
+
 /**
  * Get post-fulfillment state for logging and verification
  * Reads order and fulfillments after fulfillment creation
@@ -3,7 +3,7 @@
  * Handles creation of hold orders with product reservation
  */
 
-import { callShopifyGraphQL } from './adminClient.js';
+import { callShopifyGraphQL, callShopifyGraphQLPages } from './adminClient.js';
 
 /**
  * Get variant IDs by SKUs using GraphQL query
@@ -21,31 +21,29 @@ export async function getVariantIdsBySkus(skus) {
   const skuQueries = skus.map(sku => `sku:${sku}`).join(' OR ');
   
   const query = `
-    query getVariantsBySkus($query: String!) {
-      productVariants(first: 250, query: $query) {
+    query getVariantsBySkus($query: String!, $cursor: String) {
+      productVariants(first: 250, query: $query, after: $cursor) {
         edges {
           node {
             id
             sku
           }
         }
+        pageInfo { hasNextPage endCursor }
       }
     }
   `;
 
   try {
-    const data = await callShopifyGraphQL(query, {
+    const variants = await callShopifyGraphQLPages(query, {
       query: skuQueries
-    });
+    }, 'productVariants');
 
-    if (data?.productVariants?.edges) {
-      for (const edge of data.productVariants.edges) {
-        const variant = edge.node;
-        if (variant.sku && variant.id) {
-          // Extract numeric ID from "gid://shopify/ProductVariant/123456"
-          const variantId = variant.id.split('/').pop();
-          skuToVariantId.set(variant.sku, variantId);
-        }
+    for (const variant of variants) {
+      if (variant.sku && variant.id) {
+        // Extract numeric ID from "gid://shopify/ProductVariant/123456"
+        const variantId = variant.id.split('/').pop();
+        skuToVariantId.set(variant.sku, variantId);
       }
     }
 
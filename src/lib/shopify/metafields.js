@@ -1,15 +1,142 @@
 /**
  * Shopify Metafields API
- * Handles metafield operations for Shopify orders
+ * Handles metafield operations for Shopify orders (GraphQL metafieldsSet; REST with SHOPIFY_ADMIN_API=rest)
  */
 
-import { callShopifyAdmin } from './adminClient.js';
+import { callShopifyAdmin, callShopifyGraphQL, toShopifyGid, fromShopifyGid } from './adminClient.js';
+import { isShopifyRestFallback } from './config.js';
+
+const MARKER_NAMESPACE = 'middleware';
+const MARKER_KEY = 'last_write';
+
+const METAFIELDS_SET_MUTATION = `
+  mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      metafields { id namespace key value type }
+      userErrors { field message code }
+    }
+  }
+`;
+
+const ORDER_METAFIELD_QUERY = `
+  query orderMetafield($id: ID!, $namespace: String!, $key: String!) {
+    order(id: $id) {
+      metafield(namespace: $namespace, key: $key) { id namespace key value type }
+    }
+  }
+`;
+
+// GraphQL metafield in the REST shape callers know (numeric id)
+function toRestMetafield(metafield) {
+  return metafield ? { ...metafield, id: fromShopifyGid(metafield.id) } : null;
+}
+
+/**
+ * Write the marker with metafieldsSet (creates or updates in one call)
+ * @param {string|number} orderId - Shopify order ID
+ * @param {string} value - Marker JSON
+ * @returns {Promise<Object>} { metafield, httpStatus }
+ */
+async function writeMarkerGraphQL(orderId, value) {
+  const data = await callShopifyGraphQL(METAFIELDS_SET_MUTATION, {
+    metafields: [{
+      ownerId: toShopifyGid('Order', orderId),
+      namespace: MARKER_NAMESPACE,
+      key: MARKER_KEY,
+      type: 'single_line_text_field',
+      value
+    }]
+  });
+  const userErrors = data.metafieldsSet?.userErrors || [];
+  if (userErrors.length > 0) {
+    const error = new Error(`metafieldsSet rejected the marker: ${userErrors.map(e => e.message).join('; ')}`);
+    error.status = 422;
+    throw error;
+  }
+  return { metafield: toRestMetafield(data.metafieldsSet?.metafields?.[0]), httpStatus: 200 };
+}
+
+/**
+ * Write the marker through REST (read first, then update or create)
+ * @param {string|number} orderId - Shopify order ID
+ * @param {string} value - Marker JSON
+ * @returns {Promise<Object>} { metafield, httpStatus }
+ */
+async function writeMarkerRest(orderId, value) {
+  // Get existing metafields first to check if we need to update or create
+  let existingMetafield = null;
+  try {
+    const metafieldsResponse = await callShopifyAdmin(`/orders/${orderId}/metafields.json?namespace=${MARKER_NAMESPACE}&key=${MARKER_KEY}`);
+    if (metafieldsResponse.metafields && metafieldsResponse.metafields.length > 0) {
+      existingMetafield = metafieldsResponse.metafields[0];
+    }
+  } catch (error) {
+    // If metafield doesn't exist, we'll create it
+  }
+
+  let response;
+  if (existingMetafield) {
+    // Update existing metafield
+    response = await callShopifyAdmin(`/metafields/${existingMetafield.id}.json`, {
+      method: 'PUT',
+      body: JSON.stringify({
+        metafield: {
+          id: existingMetafield.id,
+          value: value,
+          type: 'single_line_text_field'
+        }
+      })
+    });
+  } else {
+    // Create new metafield
+    response = await callShopifyAdmin(`/orders/${orderId}/metafields.json`, {
+      method: 'POST',
+      body: JSON.stringify({
+        metafield: {
+          namespace: MARKER_NAMESPACE,
+          key: MARKER_KEY,
+          value: value,
+          type: 'single_line_text_field'
+        }
+      })
+    });
+  }
+
+  return {
+    metafield: response.metafield || response.metafields?.[0],
+    httpStatus: existingMetafield ? 200 : 201
+  };
+}
+
+/**
+ * Read the marker metafield
+ * @param {string|number} orderId - Shopify order ID
+ * @returns {Promise<Object|null>} Metafield (REST shape) or null
+ */
+async function readMarker(orderId) {
+  if (isShopifyRestFallback()) {
+    const response = await callShopifyAdmin(`/orders/${orderId}/metafields.json?namespace=${MARKER_NAMESPACE}&key=${MARKER_KEY}`);
+    return response.metafields?.[0] || null;
+  }
+  const data = await callShopifyGraphQL(ORDER_METAFIELD_QUERY, {
+    id: toShopifyGid('Order', orderId),
+    namespace: MARKER_NAMESPACE,
+    key: MARKER_KEY
+  });
+  if (!data.order) {
+    const error = new Error(`Order ${orderId} not found in Shopify`);
+    error.status = 404;
+    throw error;
+  }
+  return toRestMetafield(data.order.metafield);
+}
 
 /**
  * Set provenance marker metafield on order
  * @param {string|number} orderId - Shopify order ID
  * @param {string} correlationId - Correlation ID for tracking
- * @param {string} action - Action type (fulfillment_create, hold_create, refund_create, address_update)
+ * @param {string} action - Action type (fulfillment_create, hold_create, refund_create, address_update, tracking_update,
+ *   order_cancel, order_edit, fulfillment_cancel)
  * @param {string} payloadHash - Payload hash for strong loop guard (optional)
  * @returns {Promise<Object>} Response with metafield data
  */
@@ -29,57 +156,21 @@ export async function setProvenanceMarker(orderId, correlationId, action = 'fulf
     }
     
     const value = JSON.stringify(markerValue);
-
-    // Get existing metafields first to check if we need to update or create
-    let existingMetafield = null;
-    try {
-      const metafieldsResponse = await callShopifyAdmin(`/orders/${orderId}/metafields.json?namespace=middleware&key=last_write`);
-      if (metafieldsResponse.metafields && metafieldsResponse.metafields.length > 0) {
-        existingMetafield = metafieldsResponse.metafields[0];
-      }
-    } catch (error) {
-      // If metafield doesn't exist, we'll create it
-    }
-
-    let response;
-    if (existingMetafield) {
-      // Update existing metafield
-      response = await callShopifyAdmin(`/metafields/${existingMetafield.id}.json`, {
-        method: 'PUT',
-        body: JSON.stringify({
-          metafield: {
-            id: existingMetafield.id,
-            value: value,
-            type: 'single_line_text_field'
-          }
-        })
-      });
-    } else {
-      // Create new metafield
-      response = await callShopifyAdmin(`/orders/${orderId}/metafields.json`, {
-        method: 'POST',
-        body: JSON.stringify({
-          metafield: {
-            namespace: 'middleware',
-            key: 'last_write',
-            value: value,
-            type: 'single_line_text_field'
-          }
-        })
-      });
-    }
+    const { metafield, httpStatus } = isShopifyRestFallback()
+      ? await writeMarkerRest(orderId, value)
+      : await writeMarkerGraphQL(orderId, value);
 
     return {
       success: true,
-      httpStatus: existingMetafield ? 200 : 201,
-      metafield: response.metafield || response.metafields?.[0],
+      httpStatus,
+      metafield,
       correlationId,
       payloadHash,
       timestamp
     };
   } catch (error) {
     const statusMatch = error.message.match(/\((\d+)\)/);
-    const httpStatus = statusMatch ? parseInt(statusMatch[1], 10) : null;
+    const httpStatus = error.status || (statusMatch ? parseInt(statusMatch[1], 10) : null);
 
     return {
       success: false,
@@ -98,10 +189,9 @@ export async function setProvenanceMarker(orderId, correlationId, action = 'fulf
  */
 export async function getProvenanceMarker(orderId) {
   try {
-    const response = await callShopifyAdmin(`/orders/${orderId}/metafields.json?namespace=middleware&key=last_write`);
+    const metafield = await readMarker(orderId);
     
-    if (response.metafields && response.metafields.length > 0) {
-      const metafield = response.metafields[0];
+    if (metafield) {
       let parsedValue = null;
       
       try {
@@ -129,7 +219,7 @@ export async function getProvenanceMarker(orderId) {
     };
   } catch (error) {
     const statusMatch = error.message.match(/\((\d+)\)/);
-    const httpStatus = statusMatch ? parseInt(statusMatch[1], 10) : null;
+    const httpStatus = error.status || (statusMatch ? parseInt(statusMatch[1], 10) : null);
 
     // 404 means metafield doesn't exist, which is OK
     if (httpStatus === 404) {
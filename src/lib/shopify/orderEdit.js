@@ -0,0 +1,181 @@
+/**
+ * Shopify Order Editing
+ * Changes line items of an existing order through the GraphQL order-edit flow:
+ * orderEditBegin → orderEditSetQuantity / orderEditAddVariant → orderEditCommit.
+ * Nothing is applied unless the commit succeeds - an uncommitted edit is simply discarded.
+ */
+
+import { callShopifyGraphQL } from './adminClient.js';
+
+const ORDER_EDIT_BEGIN = `
+  mutation orderEditBegin($id: ID!) {
+    orderEditBegin(id: $id) {
+      calculatedOrder {
+        id
+        lineItems(first: 250) {
+          edges { node { id quantity sku variant { id } } }
+        }
+      }
+      userErrors { field message }
+    }
+  }
+`;
+
+const ORDER_EDIT_SET_QUANTITY = `
+  mutation orderEditSetQuantity($id: ID!, $lineItemId: ID!, $quantity: Int!, $restock: Boolean) {
+    orderEditSetQuantity(id: $id, lineItemId: $lineItemId, quantity: $quantity, restock: $restock) {
+      calculatedLineItem { id quantity }
+      userErrors { field message }
+    }
+  }
+`;
+
+const ORDER_EDIT_ADD_VARIANT = `
+  mutation orderEditAddVariant($id: ID!, $variantId: ID!, $quantity: Int!) {
+    orderEditAddVariant(id: $id, variantId: $variantId, quantity: $quantity, allowDuplicates: false) {
+      calculatedLineItem { id quantity }
+      userErrors { field message }
+    }
+  }
+`;
+
+const ORDER_EDIT_COMMIT = `
+  mutation orderEditCommit($id: ID!, $notifyCustomer: Boolean, $staffNote: String) {
+    orderEditCommit(id: $id, notifyCustomer: $notifyCustomer, staffNote: $staffNote) {
+      order { id name }
+      userErrors { field message }
+    }
+  }
+`;
+
+const VARIANT_BY_SKU = `
+  query variantBySku($query: String!) {
+    productVariants(first: 1, query: $query) {
+      edges { node { id sku } }
+    }
+  }
+`;
+
+function numericId(gid) {
+  return String(gid || '').split('/').pop();
+}
+
+function assertNoUserErrors(step, payload) {
+  const userErrors = payload?.userErrors || [];
+  if (userErrors.length > 0) {
+    const error = new Error(`${step}: ${userErrors.map(e => e.message).join('; ')}`);
+    error.errorType = 'ORDER_EDIT_REJECTED';
+    error.userErrors = userErrors;
+    throw error;
+  }
+}
+
+/**
+ * Resolve a variant GID by SKU
+ * @param {string} sku - Shopify SKU
+ * @returns {Promise<string|null>} ProductVariant GID
+ */
+async function findVariantIdBySku(sku) {
+  const data = await callShopifyGraphQL(VARIANT_BY_SKU, { query: `sku:${JSON.stringify(sku)}` });
+  const node = data.productVariants?.edges?.[0]?.node;
+  return node && node.sku === sku ? node.id : null;
+}
+
+/**
+ * Edit line items of a Shopify order
+ * @param {string|number} orderId - Shopify order ID
+ * @param {Object} editPayload - Normalized action:
+ *   items: [{ line_item_id | sku, quantity }] - new quantity of existing lines (0 removes)
+ *   add: [{ variant_id | sku, quantity }] - variants to add
+ *   restock, notify_customer, staff_note
+ * @param {string} correlationId - Correlation ID for tracking
+ * @param {string} payloadHash - Payload hash for loop guard
+ * @returns {Promise<Object>} Edit result
+ */
+export async function editOrder(orderId, editPayload, correlationId, payloadHash) {
+  if (!orderId) {
+    return {
+      success: false,
+      error: 'MISSING_ORDER_ID',
+      message: 'Shopify order ID is required for order edit'
+    };
+  }
+  const items = editPayload.items || [];
+  const additions = editPayload.add || [];
+  if (items.length === 0 && additions.length === 0) {
+    return {
+      success: false,
+      error: 'MISSING_EDIT_ITEMS',
+      message: 'Order edit needs items (quantity changes) or add (new variants)'
+    };
+  }
+
+  try {
+    const begin = await callShopifyGraphQL(ORDER_EDIT_BEGIN, { id: `gid://shopify/Order/${orderId}` });
+    assertNoUserErrors('orderEditBegin', begin.orderEditBegin);
+    const calculatedOrder = begin.orderEditBegin.calculatedOrder;
+    const calculatedLines = (calculatedOrder.lineItems?.edges || []).map(edge => edge.node);
+
+    const changes = [];
+    for (const item of items) {
+      // Calculated line items keep the numeric ID of the order line item they stand for
+      const line = item.line_item_id
+        ? calculatedLines.find(candidate => numericId(candidate.id) === String(item.line_item_id))
+        : calculatedLines.find(candidate => candidate.sku === item.sku && candidate.quantity > 0);
+      if (!line) {
+        const error = new Error(`Line item ${item.line_item_id || item.sku} not found in order ${orderId}`);
+        error.errorType = 'ORDER_EDIT_LINE_NOT_FOUND';
+        throw error;
+      }
+      const result = await callShopifyGraphQL(ORDER_EDIT_SET_QUANTITY, {
+        id: calculatedOrder.id,
+        lineItemId: line.id,
+        quantity: item.quantity,
+        restock: editPayload.restock
+      });
+      assertNoUserErrors('orderEditSetQuantity', result.orderEditSetQuantity);
+      changes.push({ type: 'set_quantity', lineItemId: numericId(line.id), sku: line.sku || null, from: line.quantity, to: item.quantity });
+    }
+
+    for (const addition of additions) {
+      const variantId = addition.variant_id
+        ? `gid://shopify/ProductVariant/${addition.variant_id}`
+        : await findVariantIdBySku(addition.sku);
+      if (!variantId) {
+        const error = new Error(`No Shopify variant with SKU ${addition.sku}`);
+        error.errorType = 'ORDER_EDIT_VARIANT_NOT_FOUND';
+        throw error;
+      }
+      const result = await callShopifyGraphQL(ORDER_EDIT_ADD_VARIANT, {
+        id: calculatedOrder.id,
+        variantId,
+        quantity: addition.quantity
+      });
+      assertNoUserErrors('orderEditAddVariant', result.orderEditAddVariant);
+      changes.push({ type: 'add_variant', variantId: numericId(variantId), sku: addition.sku || null, quantity: addition.quantity });
+    }
+
+    const commit = await callShopifyGraphQL(ORDER_EDIT_COMMIT, {
+      id: calculatedOrder.id,
+      notifyCustomer: editPayload.notify_customer,
+      staffNote: editPayload.staff_note || `Edited from Bitrix (${correlationId})`
+    });
+    assertNoUserErrors('orderEditCommit', commit.orderEditCommit);
+
+    return {
+      success: true,
+      orderId: String(orderId),
+      orderName: commit.orderEditCommit.order?.name || null,
+      changes,
+      payloadHash
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.errorType || 'ORDER_EDIT_ERROR',
+      message: error.message,
+      userErrors: error.userErrors,
+      httpStatus: error.status || 500
+    };
+  }
+}
@@ -1,9 +1,114 @@
 /**
  * Shopify Refund Operations
- * Handles refund creation (partial and full) in Shopify
+ * Handles refund creation (partial and full) in Shopify, directly or in two phases:
+ * previewRefund only calculates; createRefundFromPreview executes a stored preview once
+ * the order is verified unchanged since.
+ * Calculation and creation use GraphQL (Order.suggestedRefund, refundCreate), mapped to the
+ * REST refund shape the rest of the module works with; SHOPIFY_ADMIN_API=rest uses
+ * refunds/calculate.json and refunds.json instead.
  */
 
-import { callShopifyAdmin, getOrder } from './adminClient.js';
+import { callShopifyAdmin, callShopifyGraphQL, getOrder, toShopifyGid, fromShopifyGid } from './adminClient.js';
+import { isShopifyRestFallback } from './config.js';
+import { payloadHash as hashPayload } from '../utils/hash.js';
+
+const SUGGESTED_REFUND_QUERY = `
+  query suggestedRefund($id: ID!, $refundLineItems: [RefundLineItemInput!], $refundShipping: Boolean) {
+    order(id: $id) {
+      suggestedRefund(refundLineItems: $refundLineItems, refundShipping: $refundShipping) {
+        amountSet { shopMoney { amount currencyCode } }
+        shipping {
+          amountSet { shopMoney { amount } }
+          taxSet { shopMoney { amount } }
+        }
+        refundLineItems {
+          lineItem { id sku title variantTitle }
+          quantity
+          restockType
+          location { id }
+          subtotalSet { shopMoney { amount } }
+          totalTaxSet { shopMoney { amount } }
+        }
+        suggestedTransactions {
+          amountSet { shopMoney { amount } }
+          gateway
+          kind
+          parentTransaction { id }
+        }
+      }
+    }
+  }
+`;
+
+const REFUND_CREATE_MUTATION = `
+  mutation refundCreate($input: RefundInput!) {
+    refundCreate(input: $input) {
+      refund {
+        id
+        totalRefundedSet { shopMoney { amount } }
+        refundLineItems(first: 250) { nodes { id } }
+      }
+      userErrors { field message }
+    }
+  }
+`;
+
+function shopAmount(moneyBag) {
+  return moneyBag?.shopMoney?.amount ?? '0.00';
+}
+
+/**
+ * Order.suggestedRefund in the shape of the REST refunds/calculate response
+ * @param {string|number} orderId - Shopify order ID
+ * @param {Object} refundParams - REST refund parameters (buildRefundParams)
+ * @returns {Promise<Object>} Calculated refund
+ */
+async function calculateRefundGraphQL(orderId, refundParams) {
+  const data = await callShopifyGraphQL(SUGGESTED_REFUND_QUERY, {
+    id: toShopifyGid('Order', orderId),
+    refundLineItems: (refundParams.refund_line_items || []).map(item => ({
+      lineItemId: toShopifyGid('LineItem', item.line_item_id),
+      quantity: item.quantity,
+      restockType: String(item.restock_type || 'no_restock').toUpperCase()
+    })),
+    refundShipping: !!refundParams.shipping?.full_refund
+  });
+  if (!data.order) {
+    const error = new Error(`Order ${orderId} not found in Shopify`);
+    error.status = 404;
+    throw error;
+  }
+
+  const suggested = data.order.suggestedRefund;
+  return {
+    currency: suggested.amountSet?.shopMoney?.currencyCode || null,
+    note: refundParams.note,
+    refund_line_items: (suggested.refundLineItems || []).map(item => ({
+      line_item_id: fromShopifyGid(item.lineItem?.id),
+      quantity: item.quantity,
+      restock_type: String(item.restockType || 'NO_RESTOCK').toLowerCase(),
+      location_id: fromShopifyGid(item.location?.id),
+      subtotal: shopAmount(item.subtotalSet),
+      total_tax: shopAmount(item.totalTaxSet),
+      line_item: {
+        id: fromShopifyGid(item.lineItem?.id),
+        sku: item.lineItem?.sku || null,
+        title: item.lineItem?.title || null,
+        variant_title: item.lineItem?.variantTitle || null
+      }
+    })),
+    shipping: {
+      amount: shopAmount(suggested.shipping?.amountSet),
+      tax: shopAmount(suggested.shipping?.taxSet)
+    },
+    transactions: (suggested.suggestedTransactions || []).map(txn => ({
+      parent_id: fromShopifyGid(txn.parentTransaction?.id),
+      amount: shopAmount(txn.amountSet),
+      kind: String(txn.kind || 'SUGGESTED_REFUND').toLowerCase(),
+      gateway: txn.gateway
+    }))
+  };
+}
 
 /**
  * Calculate refund amounts using Shopify API
@@ -17,6 +122,13 @@ import { callShopifyAdmin, getOrder } from './adminClient.js';
  */
 export async function calculateRefund(orderId, refundParams) {
   try {
+    if (!isShopifyRestFallback()) {
+      return {
+        success: true,
+        calculatedRefund: await calculateRefundGraphQL(orderId, refundParams)
+      };
+    }
+
     const response = await callShopifyAdmin(`/orders/${orderId}/refunds/calculate.json`, {
       method: 'POST',
       body: JSON.stringify({
@@ -59,7 +171,9 @@ function normalizeCalculatedRefund(calculatedRefund) {
     normalized.refund_line_items = calculatedRefund.refund_line_items.map(item => ({
       line_item_id: item.line_item_id,
       quantity: item.quantity,
-      restock_type: item.restock_type || 'no_restock'
+      restock_type: item.restock_type || 'no_restock',
+      // Restock location Shopify picked in the calculation
+      ...(item.location_id ? { location_id: item.location_id } : {})
     }));
   }
 
@@ -76,6 +190,200 @@ function normalizeCalculatedRefund(calculatedRefund) {
   return normalized;
 }
 
+/**
+ * Create the refund from normalized calculated data
+ * @param {string|number} orderId - Shopify order ID
+ * @param {Object} normalizedRefund - Output of normalizeCalculatedRefund
+ * @returns {Promise<Object>} Refund creation result
+ */
+async function postRefund(orderId, normalizedRefund) {
+  if (!isShopifyRestFallback()) {
+    return postRefundGraphQL(orderId, normalizedRefund);
+  }
+
+  const refundResponse = await callShopifyAdmin(`/orders/${orderId}/refunds.json`, {
+    method: 'POST',
+    body: JSON.stringify({
+      refund: normalizedRefund
+    })
+  });
+
+  const refund = refundResponse.refund;
+
+  return {
+    success: true,
+    refundId: refund.id,
+    orderId: String(orderId),
+    refundAmount: refund.transactions?.reduce((sum, txn) => sum + parseFloat(txn.amount || 0), 0) || 0,
+    refundLineItemsCount: refund.refund_line_items?.length || 0
+  };
+}
+
+/**
+ * Create the refund with refundCreate
+ * @param {string|number} orderId - Shopify order ID
+ * @param {Object} normalizedRefund - Output of normalizeCalculatedRefund
+ * @returns {Promise<Object>} Refund creation result
+ */
+async function postRefundGraphQL(orderId, normalizedRefund) {
+  const orderGid = toShopifyGid('Order', orderId);
+  const input = {
+    orderId: orderGid,
+    note: normalizedRefund.note || null,
+    notify: false,
+    refundLineItems: normalizedRefund.refund_line_items.map(item => ({
+      lineItemId: toShopifyGid('LineItem', item.line_item_id),
+      quantity: item.quantity,
+      restockType: String(item.restock_type).toUpperCase(),
+      ...(item.location_id ? { locationId: toShopifyGid('Location', item.location_id) } : {})
+    })),
+    transactions: normalizedRefund.transactions.map(txn => ({
+      orderId: orderGid,
+      parentId: toShopifyGid('OrderTransaction', txn.parent_id),
+      amount: txn.amount,
+      gateway: txn.gateway,
+      kind: 'REFUND'
+    }))
+  };
+  if (parseFloat(normalizedRefund.shipping?.amount || 0) > 0) {
+    input.shipping = { amount: normalizedRefund.shipping.amount };
+  }
+
+  const data = await callShopifyGraphQL(REFUND_CREATE_MUTATION, { input });
+  const userErrors = data.refundCreate?.userErrors || [];
+  if (userErrors.length > 0) {
+    const error = new Error(`refundCreate rejected the refund: ${userErrors.map(e => e.message).join('; ')}`);
+    error.status = 422;
+    throw error;
+  }
+
+  const refund = data.refundCreate.refund;
+  return {
+    success: true,
+    refundId: fromShopifyGid(refund.id),
+    orderId: String(orderId),
+    refundAmount: parseFloat(shopAmount(refund.totalRefundedSet)),
+    refundLineItemsCount: refund.refundLineItems?.nodes?.length || 0
+  };
+}
+
+function toAmount(value) {
+  return Math.round(parseFloat(value || 0) * 100) / 100;
+}
+
+/**
+ * Human-readable breakdown of a calculated refund (what a preview shows in Bitrix)
+ * @param {Object} calculatedRefund - Refund object from calculate API
+ * @param {Object} order - Shopify order (titles/SKUs of the refunded lines)
+ * @returns {Object} { currency, amount, lines, shipping, transactions }
+ */
+export function summarizeCalculatedRefund(calculatedRefund, order = null) {
+  const orderLines = new Map((order?.line_items || []).map(lineItem => [String(lineItem.id), lineItem]));
+
+  const lines = (calculatedRefund?.refund_line_items || []).map(item => {
+    const lineItem = item.line_item || orderLines.get(String(item.line_item_id)) || {};
+    return {
+      line_item_id: String(item.line_item_id),
+      sku: lineItem.sku || null,
+      title: [lineItem.title, lineItem.variant_title].filter(Boolean).join(' - ') || null,
+      quantity: item.quantity,
+      restock_type: item.restock_type || 'no_restock',
+      subtotal: toAmount(item.subtotal),
+      tax: toAmount(item.total_tax)
+    };
+  });
+
+  const transactions = (calculatedRefund?.transactions || []).map(txn => ({
+    parent_id: txn.parent_id ? String(txn.parent_id) : null,
+    gateway: txn.gateway || null,
+    kind: txn.kind || 'refund',
+    amount: toAmount(txn.amount)
+  }));
+
+  return {
+    currency: calculatedRefund?.currency || order?.currency || null,
+    amount: toAmount(transactions.reduce((sum, txn) => sum + txn.amount, 0)),
+    lines,
+    shipping: {
+      amount: toAmount(calculatedRefund?.shipping?.amount),
+      tax: toAmount(calculatedRefund?.shipping?.tax)
+    },
+    transactions
+  };
+}
+
+/**
+ * Hash of the order state a refund calculation depends on (statuses, existing refunds, quantities)
+ * @param {Object} order - Shopify order
+ * @returns {string} Fingerprint
+ */
+export function refundOrderFingerprint(order) {
+  return hashPayload({
+    financialStatus: order?.financial_status || null,
+    cancelledAt: order?.cancelled_at || null,
+    currentTotalPrice: order?.current_total_price || null,
+    refunds: (order?.refunds || []).map(refund => String(refund.id)).sort(),
+    lineItems: (order?.line_items || []).map(lineItem => [
+      String(lineItem.id),
+      Number(lineItem.current_quantity ?? lineItem.quantity ?? 0),
+      Number(lineItem.fulfillable_quantity ?? 0)
+    ])
+  });
+}
+
+/**
+ * Build refunds/calculate parameters from a normalized refund_create payload
+ * @param {Object} order - Shopify order
+ * @param {Object} refundPayload - Normalized action ({ items?, restock_type, refund_shipping_full, note })
+ * @param {string} correlationId - Correlation ID for the default note
+ * @param {string} payloadHash - Payload hash for the default note
+ * @returns {Object} Refund parameters
+ */
+function buildRefundParams(order, refundPayload, correlationId, payloadHash) {
+  const refundParams = {
+    notify: false, // Don't notify customer automatically
+    note: refundPayload.note || `Refund via middleware. Correlation: ${correlationId}, Hash: ${payloadHash}`
+  };
+
+  // Handle refund_line_items
+  if (refundPayload.items && Array.isArray(refundPayload.items) && refundPayload.items.length > 0) {
+    // Partial refund: map items to refund_line_items
+    refundParams.refund_line_items = refundPayload.items.map(item => {
+      const refundItem = {
+        line_item_id: item.line_item_id || null,
+        quantity: item.quantity || 0,
+        restock_type: item.restock_type || refundPayload.restock_type || 'no_restock'
+      };
+
+      // If line_item_id not provided, try to find by SKU
+      if (!refundItem.line_item_id && item.sku) {
+        const lineItem = order.line_items?.find(li => li.sku === item.sku);
+        if (lineItem) {
+          refundItem.line_item_id = lineItem.id;
+        }
+      }
+
+      return refundItem;
+    }).filter(item => item.line_item_id && item.quantity > 0);
+  } else {
+    // Full refund: refund all line items
+    refundParams.refund_line_items = (order.line_items || []).map(lineItem => ({
+      line_item_id: lineItem.id,
+      quantity: lineItem.quantity,
+      restock_type: refundPayload.restock_type || 'no_restock'
+    }));
+  }
+
+  // Handle shipping refund
+  if (refundPayload.refund_shipping_full) {
+    refundParams.shipping = {
+      full_refund: true
+    };
+  }
+
+  return refundParams;
+}
+
 /**
  * Create refund in Shopify
  * @param {string|number} orderId - Shopify order ID
@@ -104,47 +412,8 @@ export async function createRefund(orderId, refundPayload, correlationId, payloa
       };
     }
 
-    // Step 2: Build refund parameters
-    const refundParams = {
-      notify: false, // Don't notify customer automatically
-      note: refundPayload.note || `Refund via middleware. Correlation: ${correlationId}, Hash: ${payloadHash}`
-    };
-
-    // Step 3: Handle refund_line_items
-    if (refundPayload.items && Array.isArray(refundPayload.items) && refundPayload.items.length > 0) {
-      // Partial refund: map items to refund_line_items
-      refundParams.refund_line_items = refundPayload.items.map(item => {
-        const refundItem = {
-          line_item_id: item.line_item_id || null,
-          quantity: item.quantity || 0,
-          restock_type: item.restock_type || refundPayload.restock_type || 'no_restock'
-        };
-
-        // If line_item_id not provided, try to find by SKU
-        if (!refundItem.line_item_id && item.sku) {
-          const lineItem = order.line_items?.find(li => li.sku === item.sku);
-          if (lineItem) {
-            refundItem.line_item_id = lineItem.id;
-          }
-        }
-
-        return refundItem;
-      }).filter(item => item.line_item_id && item.quantity > 0);
-    } else {
-      // Full refund: refund all line items
-      refundParams.refund_line_items = (order.line_items || []).map(lineItem => ({
-        line_item_id: lineItem.id,
-        quantity: lineItem.quantity,
-        restock_type: refundPayload.restock_type || 'no_restock'
-      }));
-    }
-
-    // Step 4: Handle shipping refund
-    if (refundPayload.refund_shipping_full) {
-      refundParams.shipping = {
-        full_refund: true
-      };
-    }
+    // Steps 2-4: Build refund parameters (line items, shipping)
+    const refundParams = buildRefundParams(order, refundPayload, correlationId, payloadHash);
 
     // Step 5: Calculate refund first (Shopify best practice)
     const calculateResult = await calculateRefund(orderId, refundParams);
@@ -167,34 +436,128 @@ export async function createRefund(orderId, refundPayload, correlationId, payloa
     }
 
     // Step 7: Create refund
-    const refundResponse = await callShopifyAdmin(`/orders/${orderId}/refunds.json`, {
-      method: 'POST',
-      body: JSON.stringify({
-        refund: normalizedRefund
-      })
-    });
+    return await postRefund(orderId, normalizedRefund);
+  } catch (error) {
+    return {
+      success: false,
+      error: 'REFUND_CREATE_ERROR',
+      message: error.message,
+      httpStatus: error.status || 500
+    };
+  }
+}
+
+/**
+ * Calculate a refund without creating it (first phase of a two-phase refund)
+ * @param {string|number} orderId - Shopify order ID
+ * @param {Object} refundPayload - Refund payload from normalized action
+ * @param {string} correlationId - Correlation ID of the preview (referenced by the confirming action)
+ * @param {string} payloadHash - Payload hash for loop guard
+ * @returns {Promise<Object>} { success, orderName, refundParams, preview, orderFingerprint }
+ */
+export async function previewRefund(orderId, refundPayload, correlationId, payloadHash) {
+  if (!orderId) {
+    return {
+      success: false,
+      error: 'MISSING_ORDER_ID',
+      message: 'Shopify order ID is required for refund'
+    };
+  }
+
+  try {
+    const order = await getOrder(orderId);
+    if (!order) {
+      return {
+        success: false,
+        error: 'ORDER_NOT_FOUND',
+        message: `Order ${orderId} not found in Shopify`
+      };
+    }
 
-    const refund = refundResponse.refund;
+    const refundParams = buildRefundParams(order, refundPayload, correlationId, payloadHash);
+    const calculateResult = await calculateRefund(orderId, refundParams);
+    if (!calculateResult.success) {
+      return {
+        success: false,
+        error: 'CALCULATE_REFUND_FAILED',
+        message: calculateResult.message
+      };
+    }
 
     return {
       success: true,
-      refundId: refund.id,
       orderId: String(orderId),
-      refundAmount: refund.transactions?.reduce((sum, txn) => sum + parseFloat(txn.amount || 0), 0) || 0,
-      refundLineItemsCount: refund.refund_line_items?.length || 0
+      orderName: order.name || null,
+      refundParams,
+      preview: summarizeCalculatedRefund(calculateResult.calculatedRefund, order),
+      orderFingerprint: refundOrderFingerprint(order)
     };
   } catch (error) {
     return {
       success: false,
-      error: 'REFUND_CREATE_ERROR',
+      error: 'REFUND_PREVIEW_ERROR',
       message: error.message,
       httpStatus: error.status || 500
     };
   }
 }
 
+/**
+ * Execute a previewed refund (second phase)
+ * Refuses with REFUND_PREVIEW_STALE when the order or the recalculated amounts differ from the preview
+ * @param {string|number} orderId - Shopify order ID
+ * @param {Object} previewed - Stored preview ({ refundParams, preview, orderFingerprint })
+ * @returns {Promise<Object>} Refund creation result
+ */
+export async function createRefundFromPreview(orderId, previewed) {
+  try {
+    const order = await getOrder(orderId);
+    if (!order) {
+      return {
+        success: false,
+        error: 'ORDER_NOT_FOUND',
+        message: `Order ${orderId} not found in Shopify`
+      };
+    }
 
+    if (refundOrderFingerprint(order) !== previewed.orderFingerprint) {
+      return {
+        success: false,
+        error: 'REFUND_PREVIEW_STALE',
+        reason: 'order_changed',
+        message: `Order ${orderId} changed since the refund preview (refunds, quantities or status) - preview again`,
+        httpStatus: 409
+      };
+    }
 
+    // Same parameters as the preview; amounts must still match what the manager saw
+    const calculateResult = await calculateRefund(orderId, previewed.refundParams);
+    if (!calculateResult.success) {
+      return {
+        success: false,
+        error: 'CALCULATE_REFUND_FAILED',
+        message: calculateResult.message
+      };
+    }
+    const preview = summarizeCalculatedRefund(calculateResult.calculatedRefund, order);
+    if (hashPayload(preview) !== hashPayload(previewed.preview)) {
+      return {
+        success: false,
+        error: 'REFUND_PREVIEW_STALE',
+        reason: 'amounts_changed',
+        message: `Refund for order ${orderId} now calculates to ${preview.amount} instead of the previewed ${previewed.preview.amount} - preview again`,
+        preview,
+        httpStatus: 409
+      };
+    }
 
-
-
+    return await postRefund(orderId, normalizeCalculatedRefund(calculateResult.calculatedRefund));
+  } catch (error) {
+    return {
+      success: false,
+      error: 'REFUND_CREATE_ERROR',
+      message: error.message,
+      httpStatus: error.status || 500
+    };
+  }
+}
@@ -0,0 +1,89 @@
+/**
+ * Shopify Webhook Authentication
+ * Raw body capture and X-Shopify-Hmac-Sha256 verification for inbound webhooks
+ */
+
+import crypto from 'crypto';
+
+// Same limit the JSON body parser used before raw body capture
+const MAX_WEBHOOK_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Get active webhook signing secrets
+ * Two secrets can be active at once to allow rotation without dropping deliveries:
+ * SHOPIFY_WEBHOOK_SECRET (current) and SHOPIFY_WEBHOOK_SECRET_PREVIOUS (being retired)
+ * @returns {string[]} Non-empty secrets, current first
+ */
+export function getShopifyWebhookSecrets() {
+  const candidates = [
+    process.env.SHOPIFY_WEBHOOK_SECRET || process.env.SHOPIFY_API_SECRET,
+    process.env.SHOPIFY_WEBHOOK_SECRET_PREVIOUS,
+  ];
+
+  return candidates
+    .filter(secret => typeof secret === 'string' && secret.trim() !== '')
+    .map(secret => secret.trim());
+}
+
+/**
+ * Read raw request body (body parser must be disabled for the route)
+ * @param {import('http').IncomingMessage} req - Incoming request
+ * @param {number} limit - Maximum body size in bytes
+ * @returns {Promise<Buffer>} Raw body
+ */
+export async function readRawBody(req, limit = MAX_WEBHOOK_BODY_BYTES) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    const buffer = typeof chunk === 'string' ? Buffer.from(chunk) : chunk;
+    size += buffer.length;
+    if (size > limit) {
+      const error = new Error(`Webhook body exceeds ${limit} bytes`);
+      error.status = 413;
+      throw error;
+    }
+    chunks.push(buffer);
+  }
+
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Compute base64 HMAC-SHA256 of raw body
+ * @param {Buffer|string} rawBody - Raw request body
+ * @param {string} secret - App/webhook secret
+ * @returns {string} Base64 digest
+ */
+export function computeShopifyHmac(rawBody, secret) {
+  return crypto.createHmac('sha256', secret).update(rawBody).digest('base64');
+}
+
+/**
+ * Verify X-Shopify-Hmac-Sha256 header against all active secrets (constant-time compare)
+ * @param {Buffer|string} rawBody - Raw request body
+ * @param {string} hmacHeader - Value of X-Shopify-Hmac-Sha256
+ * @param {string[]} secrets - Active secrets (defaults to getShopifyWebhookSecrets())
+ * @returns {Object} { valid: boolean, reason: string|null, secretIndex: number|null }
+ */
+export function verifyShopifyHmac(rawBody, hmacHeader, secrets = getShopifyWebhookSecrets()) {
+  if (!secrets || secrets.length === 0) {
+    return { valid: false, reason: 'secret_not_configured', secretIndex: null };
+  }
+
+  if (!hmacHeader || typeof hmacHeader !== 'string') {
+    return { valid: false, reason: 'missing_hmac_header', secretIndex: null };
+  }
+
+  const received = Buffer.from(hmacHeader.trim(), 'base64');
+
+  for (let i = 0; i < secrets.length; i++) {
+    const expected = Buffer.from(computeShopifyHmac(rawBody, secrets[i]), 'base64');
+    // timingSafeEqual throws on length mismatch, so check length first
+    if (received.length === expected.length && crypto.timingSafeEqual(received, expected)) {
+      return { valid: true, reason: null, secretIndex: i };
+    }
+  }
+
+  return { valid: false, reason: 'hmac_mismatch', secretIndex: null };
+}
@@ -0,0 +1,269 @@
+/**
+ * Event Store
+ * Append-only record storage shared by the Shopify, Bitrix and Success adapters:
+ * atomic appends, lookup by indexed fields (orderId, dealId), retention limits and pagination.
+ *
+ * Backend interface (all methods async, so database backends can implement it):
+ * - append(record) → record
+ * - update(id, patch) → record|null (rare follow-up changes, e.g. fulfillment state on a stored event)
+ * - list({ limit, offset }) → { items, total } (newest first)
+ * - findBy(field, value) → record[] (newest first; field must be listed in options.indexes)
+ * - latest() → record|null
+ * - count() → number
+ * - clear() → number of removed records
+ *
+ * Nothing touches the filesystem until the first call, so adapters stay importable from the UI bundle.
+ */
+
+import fs from 'fs';
+import { dataFilePath, withFileLock } from './jsonFile.js';
+
+const DEFAULT_MAX_RECORDS = Number(process.env.EVENT_STORE_MAX_RECORDS) || 2000;
+const DEFAULT_MAX_AGE_MS = (Number(process.env.EVENT_STORE_MAX_AGE_DAYS) || 30) * 24 * 60 * 60 * 1000;
+// Compact only once the file is this much over the limit, not on every append
+const COMPACTION_SLACK = 1.1;
+
+/**
+ * File-backed event store (default backend)
+ * One JSON record per line in {name}.jsonl; appends are single writes under the file lock,
+ * compaction (retention) rewrites the file atomically. Parsed records and indexes are cached
+ * per process and re-read only when the file changed on disk.
+ */
+export class FileEventStore {
+  /**
+   * @param {string} name - Store name, used as file name (e.g., 'shopify-events')
+   * @param {Object} options - { indexes: string[], timestampField, maxRecords, maxAgeMs }
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.indexes = options.indexes || [];
+    this.timestampField = options.timestampField || null;
+    this.maxRecords = options.maxRecords || DEFAULT_MAX_RECORDS;
+    this.maxAgeMs = options.maxAgeMs || DEFAULT_MAX_AGE_MS;
+    this.cache = null;
+    this.migrated = false;
+  }
+
+  getName() {
+    return 'file';
+  }
+
+  getFilePath() {
+    return dataFilePath(`${this.name}.jsonl`);
+  }
+
+  /**
+   * One-time import of the pre-JSONL array file ({name}.json) written by earlier versions
+   */
+  migrateLegacyFile(filePath) {
+    if (this.migrated) {
+      return;
+    }
+    this.migrated = true;
+
+    const legacyPath = dataFilePath(`${this.name}.json`);
+    if (fs.existsSync(filePath) || !fs.existsSync(legacyPath)) {
+      return;
+    }
+
+    try {
+      const records = JSON.parse(fs.readFileSync(legacyPath, 'utf8'));
+      if (Array.isArray(records)) {
+        this.writeRecords(filePath, records);
+        fs.renameSync(legacyPath, `${legacyPath}.migrated`);
+        console.log(`[EVENT STORE] ✅ Migrated ${records.length} records from ${legacyPath}`);
+      }
+    } catch (error) {
+      console.error(`[EVENT STORE] ⚠️ Failed to migrate ${legacyPath}:`, error.message);
+    }
+  }
+
+  writeRecords(filePath, records) {
+    const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    fs.writeFileSync(tmpPath, records.map(record => `${JSON.stringify(record)}\n`).join(''), 'utf8');
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  buildState(records, version) {
+    const indexes = {};
+    for (const field of this.indexes) {
+      indexes[field] = new Map();
+    }
+    const state = { version, records, indexes };
+    records.forEach(record => this.indexRecord(state, record));
+    return state;
+  }
+
+  indexRecord(state, record) {
+    for (const field of this.indexes) {
+      const value = record[field];
+      if (value === undefined || value === null || value === '') {
+        continue;
+      }
+      const key = String(value);
+      if (!state.indexes[field].has(key)) {
+        state.indexes[field].set(key, []);
+      }
+      state.indexes[field].get(key).push(record);
+    }
+  }
+
+  getVersion(filePath) {
+    try {
+      const stat = fs.statSync(filePath);
+      return `${stat.mtimeMs}:${stat.size}`;
+    } catch (error) {
+      return 'missing';
+    }
+  }
+
+  /**
+   * Load records (from cache when the file is unchanged)
+   */
+  readState() {
+    const filePath = this.getFilePath();
+    this.migrateLegacyFile(filePath);
+
+    const version = this.getVersion(filePath);
+    if (this.cache && this.cache.version === version) {
+      return this.cache;
+    }
+
+    const records = [];
+    if (version !== 'missing') {
+      const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+      for (const line of lines) {
+        if (!line.trim()) {
+          continue;
+        }
+        try {
+          records.push(JSON.parse(line));
+        } catch (error) {
+          // Torn line from a crashed writer - skip it, the rest of the file is intact
+          console.error(`[EVENT STORE] ⚠️ Skipping unreadable line in ${filePath}`);
+        }
+      }
+    }
+
+    this.cache = this.buildState(records, version);
+    return this.cache;
+  }
+
+  needsCompaction(records) {
+    if (records.length > this.maxRecords * COMPACTION_SLACK) {
+      return true;
+    }
+    const oldest = records[0];
+    return !!(this.timestampField && oldest?.[this.timestampField]
+      && Date.parse(oldest[this.timestampField]) < Date.now() - this.maxAgeMs);
+  }
+
+  compact(filePath, records) {
+    const cutoff = Date.now() - this.maxAgeMs;
+    const kept = records
+      .filter(record => !this.timestampField || !record[this.timestampField] || Date.parse(record[this.timestampField]) >= cutoff)
+      .slice(-this.maxRecords);
+    this.writeRecords(filePath, kept);
+    this.cache = this.buildState(kept, this.getVersion(filePath));
+    console.log(`[EVENT STORE] 🧹 Compacted ${this.name}: ${records.length} → ${kept.length} records`);
+  }
+
+  async append(record) {
+    const filePath = this.getFilePath();
+    return withFileLock(filePath, () => {
+      const state = this.readState();
+      fs.appendFileSync(filePath, `${JSON.stringify(record)}\n`, 'utf8');
+
+      // Keep the cache in step with our own write instead of re-reading the file
+      state.records.push(record);
+      this.indexRecord(state, record);
+      state.version = this.getVersion(filePath);
+
+      if (this.needsCompaction(state.records)) {
+        this.compact(filePath, state.records);
+      }
+      return record;
+    });
+  }
+
+  async update(id, patch) {
+    const filePath = this.getFilePath();
+    return withFileLock(filePath, () => {
+      const { records } = this.readState();
+      const index = records.findIndex(record => record.id === id);
+      if (index === -1) {
+        return null;
+      }
+      // Rewrites the whole file - fine for occasional follow-ups, not for hot paths
+      const updated = [...records];
+      updated[index] = { ...records[index], ...patch };
+      this.writeRecords(filePath, updated);
+      this.cache = this.buildState(updated, this.getVersion(filePath));
+      return updated[index];
+    });
+  }
+
+  async list({ limit = Infinity, offset = 0 } = {}) {
+    const { records } = this.readState();
+    const total = records.length;
+    const end = Math.max(total - offset, 0);
+    const start = Math.max(end - limit, 0);
+    return { items: records.slice(start, end).reverse(), total };
+  }
+
+  async findBy(field, value) {
+    if (!this.indexes.includes(field)) {
+      throw new Error(`Field ${field} is not indexed in ${this.name}`);
+    }
+    const { indexes } = this.readState();
+    return [...(indexes[field].get(String(value)) || [])].reverse();
+  }
+
+  async latest() {
+    const { records } = this.readState();
+    return records.length > 0 ? records[records.length - 1] : null;
+  }
+
+  async count() {
+    return this.readState().records.length;
+  }
+
+  async clear() {
+    const filePath = this.getFilePath();
+    return withFileLock(filePath, () => {
+      const count = this.readState().records.length;
+      this.writeRecords(filePath, []);
+      this.cache = this.buildState([], this.getVersion(filePath));
+      return count;
+    });
+  }
+}
+
+const backends = {
+  file: (name, options) => new FileEventStore(name, options),
+};
+
+/**
+ * Register an alternative backend under a name selectable via EVENT_STORE_BACKEND
+ * Needed on serverless hosts, where the file backend is per-instance and not durable
+ * @param {string} name - Backend name
+ * @param {Function} factory - (storeName, options) => store implementing the interface above
+ */
+export function registerEventStoreBackend(name, factory) {
+  backends[name] = factory;
+}
+
+/**
+ * Create event store for configured backend
+ * @param {string} name - Store name (e.g., 'shopify-events')
+ * @param {Object} options - { indexes, timestampField, maxRecords, maxAgeMs }
+ * @param {string} backendName - Backend name (default: EVENT_STORE_BACKEND or 'file')
+ * @returns {Object} Store instance
+ */
+export function createEventStore(name, options = {}, backendName = process.env.EVENT_STORE_BACKEND || 'file') {
+  const factory = backends[backendName];
+  if (!factory) {
+    throw new Error(`Unknown event store backend: ${backendName}. Registered: ${Object.keys(backends).join(', ')}`);
+  }
+  return factory(name, options);
+}
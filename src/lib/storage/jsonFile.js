@@ -0,0 +1,118 @@
+/**
+ * JSON File Storage Helpers
+ * Shared primitives for file-backed stores under the data directory:
+ * atomic writes (tmp + rename) and a cross-process lock file for read-modify-write
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const LOCK_RETRY_MS = 25;
+const LOCK_TIMEOUT_MS = 5000;
+// A lock older than this is considered abandoned by a crashed process
+const LOCK_STALE_MS = 30000;
+
+/**
+ * Get data directory for persistent stores
+ * Defaults to .data/ in project root; set MW_DATA_DIR on hosts where only /tmp is writable
+ * @returns {string} Absolute directory path
+ */
+export function getDataDir() {
+  return process.env.MW_DATA_DIR || path.join(process.cwd(), '.data');
+}
+
+/**
+ * Resolve file path inside data directory and make sure the directory exists
+ * @param {string} fileName - File name (e.g., 'idempotency.json')
+ * @returns {string} Absolute file path
+ */
+export function dataFilePath(fileName) {
+  const dir = getDataDir();
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  return path.join(dir, fileName);
+}
+
+/**
+ * Read and parse JSON file
+ * @param {string} filePath - Absolute file path
+ * @param {*} fallback - Value returned when file is missing or unreadable
+ * @returns {*} Parsed content or fallback
+ */
+export function readJsonFile(filePath, fallback) {
+  try {
+    if (!fs.existsSync(filePath)) {
+      return fallback;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.error(`[STORAGE] ⚠️ Error reading ${filePath}:`, error.message);
+    return fallback;
+  }
+}
+
+/**
+ * Write JSON file atomically (readers never see a half-written file)
+ * @param {string} filePath - Absolute file path
+ * @param {*} data - Serializable data
+ */
+export function writeJsonFileAtomic(filePath, data) {
+  const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), 'utf8');
+  fs.renameSync(tmpPath, filePath);
+}
+
+function tryAcquireLock(lockPath) {
+  try {
+    const fd = fs.openSync(lockPath, 'wx');
+    fs.writeSync(fd, String(process.pid));
+    fs.closeSync(fd);
+    return true;
+  } catch (error) {
+    if (error.code !== 'EEXIST') {
+      throw error;
+    }
+
+    // Remove abandoned lock left by a crashed process
+    try {
+      const stat = fs.statSync(lockPath);
+      if (Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+        fs.unlinkSync(lockPath);
+      }
+    } catch (statError) {
+      // Lock was released between open and stat - retry
+    }
+    return false;
+  }
+}
+
+/**
+ * Run fn while holding an exclusive lock on filePath
+ * @param {string} filePath - File being protected
+ * @param {Function} fn - Function to run (sync or async)
+ * @param {Object} options - { timeoutMs }
+ * @returns {Promise<*>} fn result
+ */
+export async function withFileLock(filePath, fn, options = {}) {
+  const lockPath = `${filePath}.lock`;
+  const timeoutMs = options.timeoutMs || LOCK_TIMEOUT_MS;
+  const startedAt = Date.now();
+
+  while (!tryAcquireLock(lockPath)) {
+    if (Date.now() - startedAt > timeoutMs) {
+      throw new Error(`Timed out waiting for lock on ${filePath}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+  }
+
+  try {
+    return await fn();
+  } finally {
+    try {
+      fs.unlinkSync(lockPath);
+    } catch (unlinkError) {
+      // Already removed as stale - nothing to do
+    }
+  }
+}
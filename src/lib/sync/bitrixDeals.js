@@ -0,0 +1,1767 @@
+/**
+ * Bitrix Deal Sync
+ * Processing of Bitrix deal events: MW actions (UF_MW_SHOPIFY_ACTION) and the
+ * delivery stage trigger that creates Shopify fulfillments.
+ * Runs inside the job worker (see src/lib/queue), not in the webhook request.
+ */
+
+import { callBitrix } from '../bitrix/client.js';
+import { bitrixAdapter } from '../adapters/bitrix/index.js';
+import { BITRIX_CONFIG } from '../bitrix/config.js';
+import { planDealStageChange, STAGE_EFFECTS } from '../bitrix/stageMachine.js';
+import { getDealFieldId } from '../bitrix/fieldMapping.js';
+import { getFulfillmentOrders, getOrderForFulfillment, createFulfillment, createFulfillmentForItems, getPostFulfillmentState, updateFulfillmentTracking, cancelFulfillment } from '../shopify/fulfillment.js';
+import { setProvenanceMarker } from '../shopify/metafields.js';
+import { createHoldOrder } from '../shopify/hold.js';
+import { createRefund, previewRefund, createRefundFromPreview } from '../shopify/refund.js';
+import { updateShippingAddress } from '../shopify/address.js';
+import { cancelOrder } from '../shopify/cancel.js';
+import { editOrder } from '../shopify/orderEdit.js';
+import { writeRefundPreviewToDeal, loadRefundPreview } from './refundPreview.js';
+import { reportMWActionOutcome } from './mwOutcome.js';
+import { payloadHash, cleanEmptyFields, stableJson } from '../utils/hash.js';
+import { idempotencyStore } from '../idempotency/index.js';
+import { recordDeadLetter } from '../deadLetter/index.js';
+import { resolveFulfillmentRequests } from './fulfillmentItems.js';
+
+// Queue job type that re-runs a single MW action (dead-letter replay)
+export const MW_ACTION_JOB_TYPE = 'bitrix.mw_action';
+
+/**
+ * Normalize payload for hash calculation based on action type
+ */
+function normalizePayload(action, rawPayload) {
+  if (!rawPayload || typeof rawPayload !== 'object') {
+    return null;
+  }
+
+  switch (action) {
+    case 'hold_create': {
+      // Normalize: {action, items:[{sku,qty}...]} - items сортировать по sku
+      const items = Array.isArray(rawPayload.items) ? rawPayload.items : [];
+      const normalizedItems = items
+        .map(item => ({
+          sku: String(item.sku || ''),
+          qty: Number(item.qty || 0)
+        }))
+        .filter(item => item.sku && item.qty > 0)
+        .sort((a, b) => a.sku.localeCompare(b.sku));
+
+      return {
+        action: 'hold_create',
+        items: normalizedItems
+      };
+    }
+
+    case 'refund_create': {
+      // Normalize: {action, mode, items?, restock_type, refund_shipping_full, note}
+      // items сортировать по sku/line_item_id
+      const mode = String(rawPayload.mode || '').toLowerCase();
+      if (mode === 'confirm') {
+        // Confirmation carries nothing but the preview it executes
+        return {
+          action: 'refund_create',
+          mode,
+          correlation_id: String(rawPayload.correlation_id || '')
+        };
+      }
+
+      const normalized = {
+        action: 'refund_create',
+        mode,
+        restock_type: String(rawPayload.restock_type || ''),
+        refund_shipping_full: Boolean(rawPayload.refund_shipping_full),
+        note: String(rawPayload.note || '')
+      };
+
+      if (Array.isArray(rawPayload.items) && rawPayload.items.length > 0) {
+        const normalizedItems = rawPayload.items
+          .map(item => {
+            const cleaned = {};
+            if (item.sku) cleaned.sku = String(item.sku);
+            if (item.line_item_id) cleaned.line_item_id = String(item.line_item_id);
+            if (item.quantity !== undefined && item.quantity !== null) cleaned.quantity = Number(item.quantity);
+            if (item.restock_type) cleaned.restock_type = String(item.restock_type);
+            return cleaned;
+          })
+          .filter(item => Object.keys(item).length > 0 && (item.sku || item.line_item_id))
+          .sort((a, b) => {
+            // Sort by sku first, then by line_item_id
+            if (a.sku && b.sku) {
+              return a.sku.localeCompare(b.sku);
+            }
+            if (a.line_item_id && b.line_item_id) {
+              return String(a.line_item_id).localeCompare(String(b.line_item_id));
+            }
+            return 0;
+          });
+        if (normalizedItems.length > 0) {
+          normalized.items = normalizedItems;
+        }
+      }
+
+      return normalized;
+    }
+
+    case 'address_update': {
+      // Normalize: {action, shipping_address:{...}} - ключи сортировать, пустые поля выкинуть
+      const shippingAddress = rawPayload.shipping_address || {};
+      const cleanedAddress = cleanEmptyFields(shippingAddress);
+      
+      return {
+        action: 'address_update',
+        shipping_address: cleanedAddress || {}
+      };
+    }
+
+    case 'fulfillment_create': {
+      // Normalize: {action, location_id, notify_customer, shipment, tracking_*, items?:[{line_item_id|sku|product_row_id, quantity}]}
+      // items сортировать; без items - все, что еще не отгружено
+      const normalized = {
+        action: 'fulfillment_create',
+        location_id: rawPayload.location_id ? String(rawPayload.location_id) : '',
+        // Free-form shipment reference - lets two identical partial shipments have different hashes
+        shipment: String(rawPayload.shipment || ''),
+        notify_customer: rawPayload.notify_customer === undefined ? null : Boolean(rawPayload.notify_customer),
+        tracking_number: String(rawPayload.tracking_number || ''),
+        tracking_company: String(rawPayload.tracking_company || ''),
+        tracking_url: String(rawPayload.tracking_url || '')
+      };
+
+      if (Array.isArray(rawPayload.items) && rawPayload.items.length > 0) {
+        const normalizedItems = rawPayload.items
+          .map(item => {
+            const cleaned = {};
+            if (item.line_item_id) cleaned.line_item_id = String(item.line_item_id);
+            else if (item.sku) cleaned.sku = String(item.sku);
+            else if (item.product_row_id) cleaned.product_row_id = String(item.product_row_id);
+            if (item.quantity !== undefined && item.quantity !== null) cleaned.quantity = Number(item.quantity);
+            return cleaned;
+          })
+          .filter(item => item.line_item_id || item.sku || item.product_row_id)
+          .sort((a, b) => stableJson(a).localeCompare(stableJson(b)));
+        if (normalizedItems.length > 0) {
+          normalized.items = normalizedItems;
+        }
+      }
+
+      return normalized;
+    }
+
+    case 'order_cancel': {
+      // Normalize: {action, reason, refund, restock, notify_customer, staff_note}
+      return {
+        action: 'order_cancel',
+        reason: String(rawPayload.reason || 'other').toLowerCase(),
+        refund: rawPayload.refund !== false,
+        restock: rawPayload.restock !== false,
+        notify_customer: Boolean(rawPayload.notify_customer),
+        staff_note: String(rawPayload.staff_note || '')
+      };
+    }
+
+    case 'order_edit': {
+      // Normalize: {action, items?:[{line_item_id|sku, quantity}], add?:[{variant_id|sku, quantity}], restock, notify_customer, staff_note}
+      const byKey = (a, b) => stableJson(a).localeCompare(stableJson(b));
+      const items = (Array.isArray(rawPayload.items) ? rawPayload.items : [])
+        .map(item => {
+          const cleaned = {};
+          if (item.line_item_id) cleaned.line_item_id = String(item.line_item_id);
+          else if (item.sku) cleaned.sku = String(item.sku);
+          cleaned.quantity = Number(item.quantity);
+          return cleaned;
+        })
+        .filter(item => (item.line_item_id || item.sku) && Number.isInteger(item.quantity) && item.quantity >= 0)
+        .sort(byKey);
+      const additions = (Array.isArray(rawPayload.add) ? rawPayload.add : [])
+        .map(item => {
+          const cleaned = {};
+          if (item.variant_id) cleaned.variant_id = String(item.variant_id);
+          else if (item.sku) cleaned.sku = String(item.sku);
+          cleaned.quantity = Number(item.quantity || 1);
+          return cleaned;
+        })
+        .filter(item => (item.variant_id || item.sku) && Number.isInteger(item.quantity) && item.quantity > 0)
+        .sort(byKey);
+
+      return {
+        action: 'order_edit',
+        items,
+        add: additions,
+        restock: rawPayload.restock !== false,
+        notify_customer: Boolean(rawPayload.notify_customer),
+        staff_note: String(rawPayload.staff_note || '')
+      };
+    }
+
+    case 'fulfillment_cancel': {
+      // Normalize: {action, fulfillment_id} - пусто = последний активный fulfillment
+      return {
+        action: 'fulfillment_cancel',
+        fulfillment_id: rawPayload.fulfillment_id ? String(rawPayload.fulfillment_id) : ''
+      };
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Shopify location for a shipment from the deal UF field (BITRIX_CONFIG.FULFILLMENT_LOCATION_FIELD)
+ * @param {Object} dealData - Deal from crm.deal.get
+ * @returns {string|null} Shopify location ID
+ */
+function getDealFulfillmentLocationId(dealData) {
+  const fieldId = BITRIX_CONFIG.FULFILLMENT_LOCATION_FIELD;
+  const raw = fieldId && dealData ? dealData[fieldId] : null;
+  const value = raw === null || raw === undefined ? '' : String(Array.isArray(raw) ? raw[0] : raw).trim();
+  if (!value) {
+    return null;
+  }
+  return BITRIX_CONFIG.FULFILLMENT_LOCATIONS[value] || (/^\d+$/.test(value) ? value : null);
+}
+
+/**
+ * Raw MW action JSON of a deal (UF_MW_SHOPIFY_ACTION, case-insensitive)
+ * @param {Object} dealData - Deal from crm.deal.get
+ * @returns {string} Raw value or ''
+ */
+function getDealMWActionRaw(dealData) {
+  const fieldId = BITRIX_CONFIG.MW_ACTION_FIELD;
+  return dealData[fieldId] || dealData[fieldId.toLowerCase()] || '';
+}
+
+/**
+ * Handle MW action from UF_MW_SHOPIFY_ACTION field (DRY-RUN)
+ */
+async function handleMWAction(dealId, requestId, dealData, shopifyOrderId) {
+  // Extract UF_MW_SHOPIFY_ACTION (case-insensitive)
+  const mwActionRaw = getDealMWActionRaw(dealData);
+  
+  if (!mwActionRaw || typeof mwActionRaw !== 'string' || mwActionRaw.trim() === '') {
+    return null; // No MW action, continue with normal flow
+  }
+
+  // Parse JSON string
+  let actionData = null;
+  try {
+    actionData = JSON.parse(mwActionRaw);
+  } catch (parseError) {
+    console.log(JSON.stringify({
+      event: 'MW_ACTION_PARSE_ERROR',
+      requestId,
+      dealId,
+      shopifyOrderId,
+      error: parseError.message,
+      rawValue: mwActionRaw.substring(0, 200), // Log first 200 chars
+      timestamp: new Date().toISOString()
+    }));
+    return { success: false, reason: 'parse_error', error: parseError.message };
+  }
+
+  // Validate action
+  const action = actionData.action;
+  const supportedActions = ['hold_create', 'refund_create', 'address_update', 'fulfillment_create', 'order_cancel', 'order_edit', 'fulfillment_cancel'];
+  
+  if (!action || !supportedActions.includes(action)) {
+    console.log(JSON.stringify({
+      event: 'MW_ACTION_PARSE_ERROR',
+      requestId,
+      dealId,
+      shopifyOrderId,
+      error: `Unsupported action: ${action}`,
+      supportedActions,
+      receivedAction: action,
+      timestamp: new Date().toISOString()
+    }));
+    return { success: false, reason: 'unsupported_action', action };
+  }
+
+  console.log(JSON.stringify({
+    event: 'MW_ACTION_PARSE_OK',
+    requestId,
+    dealId,
+    shopifyOrderId,
+    action,
+    rawPayload: actionData,
+    timestamp: new Date().toISOString()
+  }));
+
+  // Shipments leave from the deal's location unless the action names one
+  if (action === 'fulfillment_create' && !actionData.location_id) {
+    actionData.location_id = getDealFulfillmentLocationId(dealData);
+  }
+
+  // Normalize payload
+  const normalizedPayload = normalizePayload(action, actionData);
+  
+  if (!normalizedPayload) {
+    console.log(JSON.stringify({
+      event: 'MW_ACTION_PARSE_ERROR',
+      requestId,
+      dealId,
+      shopifyOrderId,
+      action,
+      error: 'Failed to normalize payload',
+      timestamp: new Date().toISOString()
+    }));
+    return { success: false, reason: 'normalization_failed' };
+  }
+
+  return processMWAction({ action, normalizedPayload, requestId, dealId, shopifyOrderId });
+}
+
+/**
+ * Hash, claim and execute a normalized MW action
+ * Failed Shopify writes are recorded in the dead-letter store for inspection and replay
+ * @param {Object} params - { action, normalizedPayload, requestId, dealId, shopifyOrderId }
+ * @param {Object} options - { recordFailure: false when the caller (replay job) handles failures }
+ * @returns {Promise<Object>} Action result
+ */
+async function processMWAction({ action, normalizedPayload, requestId, dealId, shopifyOrderId }, options = {}) {
+  const recordFailure = options.recordFailure ?? true;
+
+  // Calculate payloadHash
+  const hash = payloadHash(normalizedPayload);
+  const correlationId = `${dealId}:${hash}`;
+
+  console.log(JSON.stringify({
+    event: 'MW_ACTION_HASH',
+    requestId,
+    dealId,
+    shopifyOrderId,
+    action,
+    payloadHash: hash,
+    correlationId,
+    normalizedPayload,
+    timestamp: new Date().toISOString()
+  }));
+
+  // Decision logging
+  const decision = {
+    hasAction: true,
+    action,
+    hasShopifyOrderId: !!shopifyOrderId,
+    payloadHash: hash,
+    correlationId
+  };
+
+  console.log(JSON.stringify({
+    event: 'MW_ACTION_DECISION',
+    requestId,
+    dealId,
+    shopifyOrderId,
+    action,
+    payloadHash: hash,
+    correlationId,
+    decision,
+    timestamp: new Date().toISOString()
+  }));
+
+  // DRY-RUN done - no Shopify write
+  console.log(JSON.stringify({
+    event: 'MW_ACTION_DRYRUN_DONE',
+    requestId,
+    dealId,
+    shopifyOrderId,
+    action,
+    payloadHash: hash,
+    correlationId,
+    timestamp: new Date().toISOString()
+  }));
+
+  // ✅ IDEMPOTENCY: Claim correlationId so a repeated deal update does not repeat the Shopify write
+  const idempotencyKey = `mw:${correlationId}`;
+  let claimed = false;
+  let attempts = 1;
+  try {
+    const claim = await idempotencyStore.claim(idempotencyKey, {
+      meta: { action, dealId, shopifyOrderId: shopifyOrderId || null }
+    });
+    if (!claim.claimed) {
+      console.log(JSON.stringify({
+        event: 'MW_ACTION_DUPLICATE',
+        requestId,
+        dealId,
+        shopifyOrderId,
+        action,
+        payloadHash: hash,
+        correlationId,
+        state: claim.record.state,
+        firstResult: claim.record.result,
+        timestamp: new Date().toISOString()
+      }));
+
+      if (claim.record.state === 'completed' && claim.record.result) {
+        return { ...claim.record.result, duplicate: true };
+      }
+      return {
+        success: true,
+        action,
+        payloadHash: hash,
+        correlationId,
+        duplicate: true,
+        skip_reason: 'mw_action_in_progress'
+      };
+    }
+    claimed = true;
+    attempts = claim.record.attempts;
+  } catch (idempotencyError) {
+    console.log(JSON.stringify({
+      event: 'IDEMPOTENCY_STORE_ERROR',
+      requestId,
+      dealId,
+      correlationId,
+      error: idempotencyError.message,
+      timestamp: new Date().toISOString()
+    }));
+  }
+
+  const result = await executeMWAction({ action, normalizedPayload, hash, correlationId, requestId, dealId, shopifyOrderId });
+
+  if (claimed) {
+    try {
+      if (result.dryRun) {
+        // Nothing was written - let a later update (e.g. once shopifyOrderId is set) run it for real
+        await idempotencyStore.release(idempotencyKey);
+      } else if (result.success) {
+        await idempotencyStore.complete(idempotencyKey, result);
+      } else {
+        await idempotencyStore.fail(idempotencyKey, { error: result.error, message: result.message });
+      }
+    } catch (idempotencyError) {
+      console.log(JSON.stringify({
+        event: 'IDEMPOTENCY_STORE_ERROR',
+        requestId,
+        dealId,
+        correlationId,
+        error: idempotencyError.message,
+        timestamp: new Date().toISOString()
+      }));
+    }
+  }
+
+  if (recordFailure && !result.success && !result.dryRun) {
+    await recordDeadLetter({
+      source: 'mw_action',
+      jobType: MW_ACTION_JOB_TYPE,
+      operation: action,
+      payload: { action, payload: normalizedPayload, dealId, shopifyOrderId: shopifyOrderId || null },
+      failure: result,
+      attempts,
+      groupKey: `deal:${dealId}`,
+      context: { requestId, dealId, shopifyOrderId: shopifyOrderId || null, correlationId }
+    }).catch(error => {
+      console.log(JSON.stringify({
+        event: 'DEAD_LETTER_STORE_ERROR',
+        requestId,
+        dealId,
+        correlationId,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      }));
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Run a Shopify write of an MW action: attempt log → write → provenance marker → success/error log
+ * @param {Object} context - { action, hash, correlationId, requestId, dealId, shopifyOrderId }
+ * @param {string} eventPrefix - Log event prefix (e.g. ORDER_CANCEL → ORDER_CANCEL_ATTEMPT/_SUCCESS/_ERROR)
+ * @param {Object} attemptDetails - Extra fields for the attempt log
+ * @param {Function} write - () => Promise<{ success, error, message, ... }> (Shopify module result)
+ * @param {Function} pickResult - (writeResult) => fields added to the action result
+ * @returns {Promise<Object>} Action result ({ success, action, payloadHash, correlationId, ... })
+ */
+async function runMWWrite({ action, hash, correlationId, requestId, dealId, shopifyOrderId }, eventPrefix, attemptDetails, write, pickResult) {
+  const base = { requestId, dealId, shopifyOrderId, correlationId, payloadHash: hash };
+  try {
+    console.log(JSON.stringify({
+      event: `${eventPrefix}_ATTEMPT`,
+      ...base,
+      ...attemptDetails,
+      timestamp: new Date().toISOString()
+    }));
+
+    const writeResult = await write();
+
+    if (!writeResult.success) {
+      console.log(JSON.stringify({
+        event: `${eventPrefix}_ERROR`,
+        ...base,
+        error: writeResult.error,
+        message: writeResult.message,
+        httpStatus: writeResult.httpStatus,
+        timestamp: new Date().toISOString()
+      }));
+      return { success: false, action, payloadHash: hash, correlationId, error: writeResult.error, message: writeResult.message };
+    }
+
+    // Nothing was written when Shopify was already in the requested state - no marker needed
+    if (!writeResult.alreadyCancelled) {
+      const provenanceResult = await setProvenanceMarker(shopifyOrderId, correlationId, action, hash);
+      if (provenanceResult.success) {
+        console.log(JSON.stringify({
+          event: 'SHOPIFY_PROVENANCE_SET',
+          ...base,
+          httpStatus: provenanceResult.httpStatus,
+          timestamp: new Date().toISOString()
+        }));
+      }
+    }
+
+    const picked = pickResult(writeResult);
+    console.log(JSON.stringify({
+      event: `${eventPrefix}_SUCCESS`,
+      ...base,
+      ...picked,
+      timestamp: new Date().toISOString()
+    }));
+    return { success: true, action, payloadHash: hash, correlationId, ...picked };
+  } catch (writeError) {
+    console.log(JSON.stringify({
+      event: `${eventPrefix}_ERROR`,
+      ...base,
+      error: `${eventPrefix}_EXCEPTION`,
+      message: writeError.message,
+      stack: writeError.stack,
+      timestamp: new Date().toISOString()
+    }));
+    return { success: false, action, payloadHash: hash, correlationId, error: `${eventPrefix}_EXCEPTION`, message: writeError.message };
+  }
+}
+
+/**
+ * Execute normalized MW action against Shopify
+ * @returns {Promise<Object>} Action result ({ success, action, payloadHash, correlationId, ... })
+ */
+async function executeMWAction({ action, normalizedPayload, hash, correlationId, requestId, dealId, shopifyOrderId }) {
+  const writeContext = { action, hash, correlationId, requestId, dealId, shopifyOrderId };
+
+  // ✅ Write operation for hold_create
+  if (action === 'hold_create' && normalizedPayload.items && normalizedPayload.items.length > 0) {
+    try {
+      console.log(JSON.stringify({
+        event: 'HOLD_CREATE_ATTEMPT',
+        requestId,
+        dealId,
+        shopifyOrderId,
+        correlationId,
+        payloadHash: hash,
+        itemsCount: normalizedPayload.items.length,
+        items: normalizedPayload.items.map(i => ({ sku: i.sku, qty: i.qty })),
+        timestamp: new Date().toISOString()
+      }));
+
+      // Create hold order in Shopify
+      const holdResult = await createHoldOrder(normalizedPayload.items, correlationId, hash);
+
+      if (holdResult.success) {
+        // Set provenance marker with payloadHash (use orderId from created order)
+        const createdOrderId = String(holdResult.orderId);
+        const provenanceResult = await setProvenanceMarker(createdOrderId, correlationId, 'hold_create', hash);
+        
+        if (provenanceResult.success) {
+          console.log(JSON.stringify({
+            event: 'SHOPIFY_PROVENANCE_SET',
+            requestId,
+            dealId,
+            correlationId,
+            shopifyOrderId: holdResult.orderId,
+            payloadHash: hash,
+            httpStatus: provenanceResult.httpStatus,
+            timestamp: new Date().toISOString()
+          }));
+        }
+
+        console.log(JSON.stringify({
+          event: 'HOLD_CREATE_SUCCESS',
+          requestId,
+          dealId,
+          shopifyOrderId: holdResult.orderId,
+          orderName: holdResult.orderName,
+          correlationId,
+          payloadHash: hash,
+          lineItemsCount: holdResult.lineItems?.length || 0,
+          timestamp: new Date().toISOString()
+        }));
+
+        return {
+          success: true,
+          action,
+          payloadHash: hash,
+          correlationId,
+          holdOrderId: holdResult.orderId,
+          holdOrderName: holdResult.orderName
+        };
+      } else {
+        console.log(JSON.stringify({
+          event: 'HOLD_CREATE_ERROR',
+          requestId,
+          dealId,
+          shopifyOrderId,
+          correlationId,
+          payloadHash: hash,
+          error: holdResult.error,
+          message: holdResult.message,
+          timestamp: new Date().toISOString()
+        }));
+
+        return {
+          success: false,
+          action,
+          payloadHash: hash,
+          correlationId,
+          error: holdResult.error,
+          message: holdResult.message
+        };
+      }
+    } catch (holdError) {
+      console.log(JSON.stringify({
+        event: 'HOLD_CREATE_ERROR',
+        requestId,
+        dealId,
+        shopifyOrderId,
+        correlationId,
+        payloadHash: hash,
+        error: 'HOLD_CREATE_EXCEPTION',
+        message: holdError.message,
+        stack: holdError.stack,
+        timestamp: new Date().toISOString()
+      }));
+
+      return {
+        success: false,
+        action,
+        payloadHash: hash,
+        correlationId,
+        error: 'HOLD_CREATE_EXCEPTION',
+        message: holdError.message
+      };
+    }
+  }
+
+  // ✅ Read-only phase of a two-phase refund: calculate, keep the result, show it in the deal
+  if (action === 'refund_create' && normalizedPayload.mode === 'preview' && shopifyOrderId) {
+    console.log(JSON.stringify({
+      event: 'REFUND_PREVIEW_ATTEMPT',
+      requestId,
+      dealId,
+      shopifyOrderId,
+      correlationId,
+      payloadHash: hash,
+      itemsCount: normalizedPayload.items?.length || 0,
+      refundShippingFull: normalizedPayload.refund_shipping_full,
+      timestamp: new Date().toISOString()
+    }));
+
+    const previewResult = await previewRefund(shopifyOrderId, normalizedPayload, correlationId, hash);
+    if (!previewResult.success) {
+      console.log(JSON.stringify({
+        event: 'REFUND_PREVIEW_ERROR',
+        requestId,
+        dealId,
+        shopifyOrderId,
+        correlationId,
+        payloadHash: hash,
+        error: previewResult.error,
+        message: previewResult.message,
+        httpStatus: previewResult.httpStatus,
+        timestamp: new Date().toISOString()
+      }));
+      return { success: false, action, payloadHash: hash, correlationId, error: previewResult.error, message: previewResult.message };
+    }
+
+    const written = await writeRefundPreviewToDeal({
+      dealId,
+      correlationId,
+      orderName: previewResult.orderName,
+      preview: previewResult.preview
+    });
+
+    console.log(JSON.stringify({
+      event: 'REFUND_PREVIEW_SUCCESS',
+      requestId,
+      dealId,
+      shopifyOrderId,
+      correlationId,
+      payloadHash: hash,
+      amount: previewResult.preview.amount,
+      currency: previewResult.preview.currency,
+      linesCount: previewResult.preview.lines.length,
+      writtenToDeal: written,
+      timestamp: new Date().toISOString()
+    }));
+
+    // Stored as the idempotency result of this correlationId - the confirming action reads it from there
+    return {
+      success: true,
+      action,
+      mode: 'preview',
+      payloadHash: hash,
+      correlationId,
+      shopifyOrderId: String(shopifyOrderId),
+      orderName: previewResult.orderName,
+      refundParams: previewResult.refundParams,
+      preview: previewResult.preview,
+      orderFingerprint: previewResult.orderFingerprint,
+      writtenToDeal: written
+    };
+  }
+
+  // ✅ Write operation for a confirmed refund preview
+  if (action === 'refund_create' && normalizedPayload.mode === 'confirm' && shopifyOrderId) {
+    return runMWWrite(writeContext, 'REFUND_CONFIRM',
+      { previewCorrelationId: normalizedPayload.correlation_id },
+      async () => {
+        const loaded = await loadRefundPreview(normalizedPayload.correlation_id, { dealId, shopifyOrderId });
+        return loaded.success ? createRefundFromPreview(shopifyOrderId, loaded.previewed) : loaded;
+      },
+      result => ({ previewCorrelationId: normalizedPayload.correlation_id, refundId: result.refundId, refundAmount: result.refundAmount }));
+  }
+
+  // ✅ Write operation for refund_create
+  if (action === 'refund_create' && shopifyOrderId) {
+    try {
+      console.log(JSON.stringify({
+        event: 'REFUND_CREATE_ATTEMPT',
+        requestId,
+        dealId,
+        shopifyOrderId,
+        correlationId,
+        payloadHash: hash,
+        mode: normalizedPayload.mode,
+        itemsCount: normalizedPayload.items?.length || 0,
+        refundShippingFull: normalizedPayload.refund_shipping_full,
+        timestamp: new Date().toISOString()
+      }));
+
+      // Create refund in Shopify
+      const refundResult = await createRefund(shopifyOrderId, normalizedPayload, correlationId, hash);
+
+      if (refundResult.success) {
+        // Set provenance marker with payloadHash
+        const provenanceResult = await setProvenanceMarker(shopifyOrderId, correlationId, 'refund_create', hash);
+        
+        if (provenanceResult.success) {
+          console.log(JSON.stringify({
+            event: 'SHOPIFY_PROVENANCE_SET',
+            requestId,
+            dealId,
+            correlationId,
+            shopifyOrderId,
+            payloadHash: hash,
+            httpStatus: provenanceResult.httpStatus,
+            timestamp: new Date().toISOString()
+          }));
+        }
+
+        console.log(JSON.stringify({
+          event: 'REFUND_CREATE_SUCCESS',
+          requestId,
+          dealId,
+          shopifyOrderId,
+          refundId: refundResult.refundId,
+          refundAmount: refundResult.refundAmount,
+          refundLineItemsCount: refundResult.refundLineItemsCount,
+          correlationId,
+          payloadHash: hash,
+          timestamp: new Date().toISOString()
+        }));
+
+        return {
+          success: true,
+          action,
+          payloadHash: hash,
+          correlationId,
+          refundId: refundResult.refundId,
+          refundAmount: refundResult.refundAmount
+        };
+      } else {
+        console.log(JSON.stringify({
+          event: 'REFUND_CREATE_ERROR',
+          requestId,
+          dealId,
+          shopifyOrderId,
+          correlationId,
+          payloadHash: hash,
+          error: refundResult.error,
+          message: refundResult.message,
+          httpStatus: refundResult.httpStatus,
+          timestamp: new Date().toISOString()
+        }));
+
+        return {
+          success: false,
+          action,
+          payloadHash: hash,
+          correlationId,
+          error: refundResult.error,
+          message: refundResult.message
+        };
+      }
+    } catch (refundError) {
+      console.log(JSON.stringify({
+        event: 'REFUND_CREATE_ERROR',
+        requestId,
+        dealId,
+        shopifyOrderId,
+        correlationId,
+        payloadHash: hash,
+        error: 'REFUND_CREATE_EXCEPTION',
+        message: refundError.message,
+        stack: refundError.stack,
+        timestamp: new Date().toISOString()
+      }));
+
+      return {
+        success: false,
+        action,
+        payloadHash: hash,
+        correlationId,
+        error: 'REFUND_CREATE_EXCEPTION',
+        message: refundError.message
+      };
+    }
+  }
+
+  // ✅ Write operation for address_update
+  if (action === 'address_update' && shopifyOrderId) {
+    try {
+      console.log(JSON.stringify({
+        event: 'ADDRESS_UPDATE_ATTEMPT',
+        requestId,
+        dealId,
+        shopifyOrderId,
+        correlationId,
+        payloadHash: hash,
+        addressFields: Object.keys(normalizedPayload.shipping_address || {}),
+        timestamp: new Date().toISOString()
+      }));
+
+      // Update shipping address in Shopify
+      const addressResult = await updateShippingAddress(shopifyOrderId, normalizedPayload, correlationId, hash);
+
+      if (addressResult.success) {
+        // Set provenance marker with payloadHash
+        const provenanceResult = await setProvenanceMarker(shopifyOrderId, correlationId, 'address_update', hash);
+        
+        if (provenanceResult.success) {
+          console.log(JSON.stringify({
+            event: 'SHOPIFY_PROVENANCE_SET',
+            requestId,
+            dealId,
+            correlationId,
+            shopifyOrderId,
+            payloadHash: hash,
+            httpStatus: provenanceResult.httpStatus,
+            timestamp: new Date().toISOString()
+          }));
+        }
+
+        console.log(JSON.stringify({
+          event: 'ADDRESS_UPDATE_SUCCESS',
+          requestId,
+          dealId,
+          shopifyOrderId,
+          orderName: addressResult.orderName,
+          correlationId,
+          payloadHash: hash,
+          timestamp: new Date().toISOString()
+        }));
+
+        return {
+          success: true,
+          action,
+          payloadHash: hash,
+          correlationId,
+          orderName: addressResult.orderName
+        };
+      } else {
+        console.log(JSON.stringify({
+          event: 'ADDRESS_UPDATE_ERROR',
+          requestId,
+          dealId,
+          shopifyOrderId,
+          correlationId,
+          payloadHash: hash,
+          error: addressResult.error,
+          message: addressResult.message,
+          httpStatus: addressResult.httpStatus,
+          timestamp: new Date().toISOString()
+        }));
+
+        return {
+          success: false,
+          action,
+          payloadHash: hash,
+          correlationId,
+          error: addressResult.error,
+          message: addressResult.message
+        };
+      }
+    } catch (addressError) {
+      console.log(JSON.stringify({
+        event: 'ADDRESS_UPDATE_ERROR',
+        requestId,
+        dealId,
+        shopifyOrderId,
+        correlationId,
+        payloadHash: hash,
+        error: 'ADDRESS_UPDATE_EXCEPTION',
+        message: addressError.message,
+        stack: addressError.stack,
+        timestamp: new Date().toISOString()
+      }));
+
+      return {
+        success: false,
+        action,
+        payloadHash: hash,
+        correlationId,
+        error: 'ADDRESS_UPDATE_EXCEPTION',
+        message: addressError.message
+      };
+    }
+  }
+
+  // ✅ Write operation for fulfillment_create (partial / per location)
+  if (action === 'fulfillment_create' && shopifyOrderId) {
+    try {
+      console.log(JSON.stringify({
+        event: 'SHOPIFY_FULFILLMENT_CREATE_ATTEMPT',
+        requestId,
+        dealId,
+        shopifyOrderId,
+        correlationId,
+        payloadHash: hash,
+        locationId: normalizedPayload.location_id || null,
+        items: normalizedPayload.items || 'all_remaining',
+        timestamp: new Date().toISOString()
+      }));
+
+      let requests = null;
+      if (normalizedPayload.items) {
+        const orderData = await getOrderForFulfillment(shopifyOrderId);
+        if (!orderData.success) {
+          return { success: false, action, payloadHash: hash, correlationId, error: orderData.error, message: orderData.message };
+        }
+        const resolved = await resolveFulfillmentRequests({ items: normalizedPayload.items, lineItems: orderData.lineItems, dealId });
+        if (resolved.errors.length > 0) {
+          console.log(JSON.stringify({
+            event: 'SHOPIFY_FULFILLMENT_ITEMS_INVALID',
+            requestId,
+            dealId,
+            shopifyOrderId,
+            correlationId,
+            payloadHash: hash,
+            errors: resolved.errors,
+            timestamp: new Date().toISOString()
+          }));
+          return {
+            success: false,
+            action,
+            payloadHash: hash,
+            correlationId,
+            error: 'FULFILLMENT_ITEMS_INVALID',
+            message: resolved.errors.map(e => `${e.item.line_item_id || e.item.sku || `row ${e.item.product_row_id}`}: ${e.reason}${e.available !== undefined ? ` (requested ${e.requested}, remaining ${e.available})` : ''}`).join('; '),
+            details: resolved.errors
+          };
+        }
+        requests = resolved.requests;
+      }
+
+      const fulfillmentResult = await createFulfillmentForItems(shopifyOrderId, requests, {
+        location_id: normalizedPayload.location_id || null,
+        notify_customer: normalizedPayload.notify_customer ?? true,
+        tracking_number: normalizedPayload.tracking_number || null,
+        tracking_company: normalizedPayload.tracking_company || null,
+        tracking_urls: normalizedPayload.tracking_url ? [normalizedPayload.tracking_url] : []
+      });
+
+      if (fulfillmentResult.success) {
+        const provenanceResult = await setProvenanceMarker(shopifyOrderId, correlationId, 'fulfillment_create', hash);
+        if (provenanceResult.success) {
+          console.log(JSON.stringify({
+            event: 'SHOPIFY_PROVENANCE_SET',
+            requestId,
+            dealId,
+            correlationId,
+            shopifyOrderId,
+            payloadHash: hash,
+            httpStatus: provenanceResult.httpStatus,
+            timestamp: new Date().toISOString()
+          }));
+        }
+
+        console.log(JSON.stringify({
+          event: fulfillmentResult.partial ? 'SHOPIFY_FULFILLMENT_CREATE_PARTIAL' : 'SHOPIFY_FULFILLMENT_CREATE_SUCCESS',
+          requestId,
+          dealId,
+          shopifyOrderId,
+          correlationId,
+          payloadHash: hash,
+          fulfillmentIds: fulfillmentResult.fulfillmentIds,
+          fulfillments: fulfillmentResult.fulfillments,
+          ...(fulfillmentResult.partial ? { message: fulfillmentResult.message } : {}),
+          timestamp: new Date().toISOString()
+        }));
+
+        // Partial: completed, not failed - the created fulfillments must not be requested again
+        return {
+          success: true,
+          action,
+          payloadHash: hash,
+          correlationId,
+          partial: fulfillmentResult.partial,
+          ...(fulfillmentResult.partial ? { message: fulfillmentResult.message } : {}),
+          fulfillmentIds: fulfillmentResult.fulfillmentIds,
+          fulfillments: fulfillmentResult.fulfillments
+        };
+      }
+
+      console.log(JSON.stringify({
+        event: fulfillmentResult.error === 'SHOPIFY_FULFILLMENT_CREATE_SKIP' ? 'SHOPIFY_FULFILLMENT_CREATE_SKIP' : 'SHOPIFY_FULFILLMENT_CREATE_ERROR',
+        requestId,
+        dealId,
+        shopifyOrderId,
+        correlationId,
+        payloadHash: hash,
+        error: fulfillmentResult.error,
+        skip_reason: fulfillmentResult.skip_reason,
+        httpStatus: fulfillmentResult.httpStatus,
+        message: fulfillmentResult.message,
+        details: fulfillmentResult.details,
+        timestamp: new Date().toISOString()
+      }));
+
+      return {
+        success: false,
+        action,
+        payloadHash: hash,
+        correlationId,
+        error: fulfillmentResult.error,
+        skip_reason: fulfillmentResult.skip_reason,
+        message: fulfillmentResult.message,
+        details: fulfillmentResult.details
+      };
+    } catch (fulfillmentError) {
+      console.log(JSON.stringify({
+        event: 'SHOPIFY_FULFILLMENT_CREATE_ERROR',
+        requestId,
+        dealId,
+        shopifyOrderId,
+        correlationId,
+        payloadHash: hash,
+        error: 'FULFILLMENT_CREATE_EXCEPTION',
+        message: fulfillmentError.message,
+        stack: fulfillmentError.stack,
+        timestamp: new Date().toISOString()
+      }));
+
+      return {
+        success: false,
+        action,
+        payloadHash: hash,
+        correlationId,
+        error: 'FULFILLMENT_CREATE_EXCEPTION',
+        message: fulfillmentError.message
+      };
+    }
+  }
+
+  // ✅ Write operation for order_cancel
+  if (action === 'order_cancel' && shopifyOrderId) {
+    return runMWWrite(writeContext, 'ORDER_CANCEL',
+      { reason: normalizedPayload.reason, refund: normalizedPayload.refund, restock: normalizedPayload.restock },
+      () => cancelOrder(shopifyOrderId, normalizedPayload, correlationId, hash),
+      result => ({ orderName: result.orderName, jobId: result.jobId || null, alreadyCancelled: !!result.alreadyCancelled }));
+  }
+
+  // ✅ Write operation for order_edit
+  if (action === 'order_edit' && shopifyOrderId) {
+    return runMWWrite(writeContext, 'ORDER_EDIT',
+      { items: normalizedPayload.items, add: normalizedPayload.add },
+      () => editOrder(shopifyOrderId, normalizedPayload, correlationId, hash),
+      result => ({ orderName: result.orderName, changes: result.changes }));
+  }
+
+  // ✅ Write operation for fulfillment_cancel
+  if (action === 'fulfillment_cancel' && shopifyOrderId) {
+    return runMWWrite(writeContext, 'FULFILLMENT_CANCEL',
+      { fulfillmentId: normalizedPayload.fulfillment_id || 'latest' },
+      () => cancelFulfillment(shopifyOrderId, normalizedPayload.fulfillment_id || null),
+      result => ({ fulfillmentId: result.fulfillmentId, alreadyCancelled: !!result.alreadyCancelled }));
+  }
+
+  // For unsupported actions or missing required data - return dryRun
+  return {
+    success: true,
+    dryRun: true,
+    action,
+    payloadHash: hash,
+    correlationId,
+    normalizedPayload
+  };
+}
+
+/**
+ * Tracking from the deal UF fields configured in BITRIX_CONFIG.TRACKING_FIELDS
+ * @param {Object} dealData - Deal from crm.deal.get
+ * @returns {Object|null} { tracking_number, tracking_company, tracking_urls } or null without number/URL
+ */
+function getDealTracking(dealData) {
+  if (!dealData) {
+    return null;
+  }
+  const read = fieldId => {
+    const raw = fieldId ? dealData[fieldId] : null;
+    const value = Array.isArray(raw) ? raw[0] : raw;
+    return value === null || value === undefined || String(value).trim() === '' ? null : String(value).trim();
+  };
+  const { NUMBER, CARRIER, URL } = BITRIX_CONFIG.TRACKING_FIELDS;
+  const number = read(NUMBER);
+  const url = read(URL);
+  if (!number && !url) {
+    // A carrier alone is not something Shopify can show the customer
+    return null;
+  }
+  const carrier = read(CARRIER);
+  return {
+    tracking_number: number,
+    tracking_company: carrier ? (BITRIX_CONFIG.TRACKING_CARRIERS[carrier] || carrier) : null,
+    tracking_urls: url ? [url] : [],
+  };
+}
+
+/**
+ * Whether Shopify should email the customer about fulfillments/tracking for a deal category
+ * @param {number|string} categoryId - Deal CATEGORY_ID
+ * @returns {boolean}
+ */
+function shouldNotifyCustomer(categoryId) {
+  return BITRIX_CONFIG.TRACKING_NOTIFY_CUSTOMER[Number(categoryId)] !== false;
+}
+
+/**
+ * Set the provenance marker for a stage-triggered Shopify write (fulfillment, tracking)
+ * These writes are not MW actions, so the completed mw:{correlationId} record the echo guard checks
+ * the marker against is written here, before the marker
+ * @param {Object} context - { requestId, dealId, correlationId, shopifyOrderId }
+ * @param {string} action - Marker action (fulfillment_create, tracking_update)
+ * @param {string} hash - payloadHash of the write
+ * @returns {Promise<Object>} setProvenanceMarker result
+ */
+async function markStageWrite({ requestId, dealId, correlationId, shopifyOrderId }, action, hash) {
+  const base = { requestId, dealId, correlationId, shopifyOrderId };
+  try {
+    await idempotencyStore.complete(`mw:${correlationId}`, { success: true, action, payloadHash: hash, correlationId });
+  } catch (idempotencyError) {
+    console.log(JSON.stringify({
+      event: 'IDEMPOTENCY_STORE_ERROR',
+      ...base,
+      error: idempotencyError.message,
+      timestamp: new Date().toISOString()
+    }));
+  }
+
+  const provenanceResult = await setProvenanceMarker(shopifyOrderId, correlationId, action, hash);
+  console.log(JSON.stringify({
+    event: provenanceResult.success ? 'SHOPIFY_PROVENANCE_SET' : 'SHOPIFY_PROVENANCE_SET_ERROR',
+    ...base,
+    action,
+    payloadHash: hash,
+    httpStatus: provenanceResult.httpStatus,
+    ...(provenanceResult.success ? {} : { error: provenanceResult.error, message: provenanceResult.message }),
+    timestamp: new Date().toISOString()
+  }));
+  return provenanceResult;
+}
+
+/**
+ * Mark the record of a failed stage-triggered write as failed, so the marker left on the order
+ * no longer passes the echo guard
+ * @param {Object} context - { requestId, dealId, correlationId }
+ * @param {Object} failure - Shopify module result ({ error, message })
+ */
+async function failStageWrite({ requestId, dealId, correlationId }, failure) {
+  await idempotencyStore.fail(`mw:${correlationId}`, { error: failure.error, message: failure.message })
+    .catch(idempotencyError => console.log(JSON.stringify({
+      event: 'IDEMPOTENCY_STORE_ERROR',
+      requestId,
+      dealId,
+      correlationId,
+      error: idempotencyError.message,
+      timestamp: new Date().toISOString()
+    })));
+}
+
+/**
+ * Push tracking edited in Bitrix to the latest Shopify fulfillment of the order
+ * Skipped without a Shopify call when the previous event already synced the same tracking;
+ * otherwise Shopify is the reference (no update if the fulfillment already has it).
+ * Never throws - the result is stored on the event as trackingState (failed → retried on the next deal update)
+ * @returns {Promise<Object|null>} { state, ... } or null when the deal has no tracking
+ */
+async function syncDealTracking({ requestId, dealId, correlationId, categoryId, dealData, previousEvent, storedEvent, shopifyOrderId }) {
+  const tracking = getDealTracking(dealData);
+  if (!tracking || !shopifyOrderId) {
+    return null;
+  }
+
+  const markState = state => storedEvent
+    ? bitrixAdapter.updateEvent(storedEvent.id, { trackingState: state })
+      .catch(error => console.error(`[BITRIX WEBHOOK] Failed to update stored event (non-blocking):`, error.message))
+    : null;
+
+  const trackingHash = payloadHash(tracking);
+  if (previousEvent?.trackingState === 'synced' && payloadHash(getDealTracking(previousEvent.rawDealData)) === trackingHash) {
+    await markState('synced');
+    return { state: 'synced', skip_reason: 'tracking_unchanged' };
+  }
+
+  const logBase = { requestId, dealId, correlationId, shopifyOrderId, tracking };
+  const fulfillmentsResult = await getFulfillmentOrders(shopifyOrderId);
+  if (!fulfillmentsResult.success) {
+    console.log(JSON.stringify({
+      event: 'SHOPIFY_TRACKING_UPDATE_ERROR',
+      ...logBase,
+      error: fulfillmentsResult.error,
+      httpStatus: fulfillmentsResult.httpStatus,
+      message: fulfillmentsResult.message,
+      timestamp: new Date().toISOString()
+    }));
+    await markState('failed');
+    return { state: 'failed', error: fulfillmentsResult.error };
+  }
+
+  const fulfillment = fulfillmentsResult.fulfillments
+    .filter(candidate => candidate.status !== 'cancelled' && candidate.status !== 'error')
+    .sort((a, b) => String(b.created_at || '').localeCompare(String(a.created_at || '')))[0];
+  if (!fulfillment) {
+    // Tracking goes out with the fulfillment when the deal reaches the delivery stage
+    console.log(JSON.stringify({
+      event: 'SHOPIFY_TRACKING_UPDATE_SKIP',
+      ...logBase,
+      skip_reason: 'no_fulfillment',
+      timestamp: new Date().toISOString()
+    }));
+    return { state: 'pending', skip_reason: 'no_fulfillment' };
+  }
+
+  const current = {
+    tracking_number: fulfillment.tracking_number || null,
+    tracking_company: fulfillment.tracking_company || null,
+    tracking_urls: fulfillment.tracking_url ? [fulfillment.tracking_url] : (fulfillment.tracking_urls || []).slice(0, 1),
+  };
+  if (payloadHash(current) === trackingHash) {
+    await markState('synced');
+    return { state: 'synced', skip_reason: 'already_in_shopify', fulfillmentId: fulfillment.id };
+  }
+
+  await markStageWrite({ requestId, dealId, correlationId, shopifyOrderId }, 'tracking_update', trackingHash);
+
+  const notifyCustomer = shouldNotifyCustomer(categoryId);
+  const updateResult = await updateFulfillmentTracking(fulfillment.id, tracking, { notify_customer: notifyCustomer });
+  if (!updateResult.success) {
+    await failStageWrite({ requestId, dealId, correlationId }, updateResult);
+    console.log(JSON.stringify({
+      event: 'SHOPIFY_TRACKING_UPDATE_ERROR',
+      ...logBase,
+      fulfillmentId: fulfillment.id,
+      error: updateResult.error,
+      httpStatus: updateResult.httpStatus,
+      message: updateResult.message,
+      responseSnippet: updateResult.responseSnippet,
+      timestamp: new Date().toISOString()
+    }));
+    await markState('failed');
+    return { state: 'failed', error: updateResult.error, fulfillmentId: fulfillment.id };
+  }
+
+  console.log(JSON.stringify({
+    event: 'SHOPIFY_TRACKING_UPDATE_SUCCESS',
+    ...logBase,
+    fulfillmentId: fulfillment.id,
+    previousTracking: current,
+    notifyCustomer,
+    timestamp: new Date().toISOString()
+  }));
+  await markState('synced');
+  return { state: 'synced', fulfillmentId: fulfillment.id };
+}
+
+/**
+ * Handle deal update event from Bitrix
+ * Checks for MW action (UF_MW_SHOPIFY_ACTION) first, then stage side effects from the category
+ * stage machine (Delivery trigger: CATEGORY_ID == 2, STAGE_ID == "C2:EXECUTING")
+ */
+async function handleDealUpdate(dealId, requestId) {
+  // ✅ Structured logging: [BITRIX_WEBHOOK_RECEIVED]
+  console.log(JSON.stringify({
+    event: 'BITRIX_WEBHOOK_RECEIVED',
+    requestId,
+    dealId,
+    timestamp: new Date().toISOString()
+  }));
+
+  // Get full deal data from Bitrix REST API
+  let dealData = null;
+  try {
+    const dealResp = await callBitrix('/crm.deal.get.json', {
+      id: dealId,
+    });
+
+    if (!dealResp.result) {
+      const error = {
+        event: 'DEAL_GET_FAILED',
+        requestId,
+        dealId,
+        error: 'Deal not found or failed to fetch',
+        response: dealResp,
+        timestamp: new Date().toISOString()
+      };
+      console.log(JSON.stringify(error));
+      return { success: false, reason: 'deal_not_found' };
+    }
+
+    dealData = dealResp.result;
+  } catch (error) {
+    const errorLog = {
+      event: 'DEAL_GET_ERROR',
+      requestId,
+      dealId,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    };
+    console.log(JSON.stringify(errorLog));
+    // Transport/API failure - rethrow so the queue retries the event with backoff
+    throw error;
+  }
+
+  // Extract required fields
+  const categoryId = dealData.CATEGORY_ID;
+  const stageId = dealData.STAGE_ID;
+  const shopifyOrderIdField = getDealFieldId('shopifyOrderId');
+  const shopifyOrderId = dealData[shopifyOrderIdField] || dealData[shopifyOrderIdField.toLowerCase()];
+  const comments = dealData.COMMENTS || '';
+
+  // ✅ Structured logging: [DEAL_DATA_RECEIVED]
+  console.log(JSON.stringify({
+    event: 'DEAL_DATA_RECEIVED',
+    requestId,
+    dealId,
+    categoryId,
+    stageId,
+    shopifyOrderId,
+    timestamp: new Date().toISOString()
+  }));
+
+  // Previous stage (and tracking) come from the last stored event for this deal (null if never seen)
+  let previousEvent = null;
+  let previousStageId = null;
+  try {
+    const previousEvents = await bitrixAdapter.getEventsByDealId(dealId);
+    previousEvent = previousEvents[0] || null;
+    previousStageId = previousEvent?.stageId || null;
+  } catch (lookupError) {
+    console.error(`[BITRIX WEBHOOK] Failed to look up previous stage (non-blocking):`, lookupError.message);
+  }
+
+  // Store event in adapter for UI display (will be updated with fulfillment state later if needed)
+  let storedEvent = null;
+  try {
+    storedEvent = await bitrixAdapter.storeEvent({
+      dealId,
+      categoryId,
+      stageId,
+      shopifyOrderId,
+      comments,
+      received_at: new Date().toISOString(),
+      rawDealData: dealData,
+      fulfillmentState: null // Will be updated after fulfillment creation
+    });
+  } catch (storeError) {
+    console.error(`[BITRIX WEBHOOK] Failed to store event (non-blocking):`, storeError);
+  }
+
+  // ✅ STEP C: Check for MW action first (UF_MW_SHOPIFY_ACTION)
+  const mwActionResult = await handleMWAction(dealId, requestId, dealData, shopifyOrderId);
+  if (mwActionResult !== null) {
+    // MW action was processed (either success or error) - show the outcome in the deal, clear the action
+    await reportMWActionOutcome({
+      dealId,
+      requestId,
+      shopifyOrderId,
+      result: mwActionResult,
+      rawAction: getDealMWActionRaw(dealData)
+    });
+    return mwActionResult;
+  }
+
+  // No MW action found, continue with stage side effects (DELIVERY_EXECUTING trigger)
+  const correlationId = `${dealId}:${shopifyOrderId || 'no-shopify-id'}`;
+  const trackingContext = { requestId, dealId, correlationId, categoryId, dealData, previousEvent, storedEvent, shopifyOrderId };
+  const stagePlan = planDealStageChange({ categoryId, previousStageId, stageId, shopifyOrderId, deal: dealData });
+
+  if (!stagePlan.allowed) {
+    // Stage was already changed in Bitrix - we can't reject it, only flag it and skip side effects
+    console.log(JSON.stringify({
+      event: 'STAGE_REGRESSION_FLAGGED',
+      requestId,
+      dealId,
+      correlationId,
+      categoryId,
+      fromStageId: previousStageId,
+      toStageId: stageId,
+      regression: stagePlan.regression,
+      reason: stagePlan.reason,
+      skippedEffects: stagePlan.skippedEffects,
+      timestamp: new Date().toISOString()
+    }));
+  }
+
+  if (stagePlan.effects.includes(STAGE_EFFECTS.CANCELLATION_REVIEW)) {
+    console.log(JSON.stringify({
+      event: 'STAGE_CANCELLATION_REVIEW_REQUIRED',
+      requestId,
+      dealId,
+      correlationId,
+      categoryId,
+      stageId,
+      shopifyOrderId,
+      message: 'Deal lost in Bitrix - cancel or refund the Shopify order manually',
+      timestamp: new Date().toISOString()
+    }));
+  }
+
+  const decision = {
+    categoryMatch: String(categoryId) === String(BITRIX_CONFIG.CATEGORY_STOCK),
+    stageMatch: String(stageId) === BITRIX_CONFIG.STAGES_CAT_2.EXECUTING,
+    shopifyOrderIdPresent: !!(shopifyOrderId && shopifyOrderId.trim() !== ''),
+    transitionAllowed: stagePlan.allowed,
+    fulfillmentEffect: stagePlan.effects.includes(STAGE_EFFECTS.FULFILLMENT_CREATE),
+  };
+
+  // ✅ Structured logging: [DELIVERY_TRIGGER_CHECK]
+  console.log(JSON.stringify({
+    event: 'DELIVERY_TRIGGER_CHECK',
+    requestId,
+    dealId,
+    correlationId,
+    categoryId,
+    stageId,
+    shopifyOrderId,
+    previousStageId,
+    decision,
+    stagePlan,
+    expectedCategoryId: BITRIX_CONFIG.CATEGORY_STOCK,
+    expectedStageId: BITRIX_CONFIG.STAGES_CAT_2.EXECUTING,
+    timestamp: new Date().toISOString()
+  }));
+
+  // Check if all conditions are met
+  if (decision.fulfillmentEffect) {
+    // ✅ DELIVERY TRIGGER MATCHED
+    console.log(JSON.stringify({
+      event: 'DELIVERY_TRIGGER_MATCH',
+      requestId,
+      dealId,
+      correlationId,
+      categoryId,
+      stageId,
+      shopifyOrderId,
+      timestamp: new Date().toISOString()
+    }));
+
+    // ✅ MICROSTEP A2.1: Create fulfillment + set provenance marker
+    try {
+      // Step 1: Check if fulfillment is needed
+      const orderData = await getOrderForFulfillment(shopifyOrderId);
+      
+      if (!orderData.success) {
+        console.log(JSON.stringify({
+          event: 'SHOPIFY_FULFILLMENT_CREATE_SKIP',
+          requestId,
+          dealId,
+          correlationId,
+          shopifyOrderId,
+          skip_reason: 'order_fetch_error',
+          error: orderData.error,
+          message: orderData.message,
+          timestamp: new Date().toISOString()
+        }));
+        return { success: true, triggerMatch: true, correlationId };
+      }
+
+      // Check if already fulfilled
+      if (orderData.isFullyFulfilled || !orderData.needsFulfillment) {
+        const skipReason = orderData.isFullyFulfilled ? 'already_fulfilled' : 'nothing_to_fulfill';
+        console.log(JSON.stringify({
+          event: 'SHOPIFY_FULFILLMENT_CREATE_SKIP',
+          requestId,
+          dealId,
+          correlationId,
+          shopifyOrderId,
+          skip_reason: skipReason,
+          totalFulfillableQuantity: orderData.totalFulfillableQuantity,
+          isFullyFulfilled: orderData.isFullyFulfilled,
+          timestamp: new Date().toISOString()
+        }));
+        // Fulfilled earlier - tracking entered since then still has to reach it
+        const tracking = await syncDealTracking(trackingContext);
+        return { success: true, triggerMatch: true, correlationId, tracking };
+      }
+
+      const tracking = getDealTracking(dealData);
+      const locationId = getDealFulfillmentLocationId(dealData);
+
+      // Step 2: Set provenance marker before the write
+      await markStageWrite(
+        { requestId, dealId, correlationId, shopifyOrderId },
+        'fulfillment_create',
+        payloadHash({ items: orderData.itemsToFulfill, locationId, tracking })
+      );
+
+      // Step 3: Create fulfillment
+      console.log(JSON.stringify({
+        event: 'SHOPIFY_FULFILLMENT_CREATE_ATTEMPT',
+        requestId,
+        dealId,
+        correlationId,
+        shopifyOrderId,
+        totalFulfillableQuantity: orderData.totalFulfillableQuantity,
+        itemsToFulfill: orderData.itemsToFulfill.length,
+        timestamp: new Date().toISOString()
+      }));
+
+      const fulfillmentOptions = { notify_customer: shouldNotifyCustomer(categoryId), ...(tracking || {}) };
+      // Everything still open ships; with a location set on the deal it ships from there
+      const fulfillmentResult = locationId
+        ? await createFulfillmentForItems(shopifyOrderId, null, { ...fulfillmentOptions, location_id: locationId })
+        : await createFulfillment(shopifyOrderId, orderData.itemsToFulfill, fulfillmentOptions);
+
+      if (fulfillmentResult.success) {
+        console.log(JSON.stringify({
+          event: fulfillmentResult.partial ? 'SHOPIFY_FULFILLMENT_CREATE_PARTIAL' : 'SHOPIFY_FULFILLMENT_CREATE_SUCCESS',
+          requestId,
+          dealId,
+          correlationId,
+          shopifyOrderId,
+          fulfillmentId: fulfillmentResult.fulfillmentId,
+          fulfillmentIds: fulfillmentResult.fulfillmentIds,
+          ...(fulfillmentResult.partial ? { message: fulfillmentResult.message } : {}),
+          httpStatus: fulfillmentResult.httpStatus,
+          tracking,
+          timestamp: new Date().toISOString()
+        }));
+        if (tracking && storedEvent) {
+          await bitrixAdapter.updateEvent(storedEvent.id, { trackingState: 'synced' })
+            .catch(error => console.error(`[BITRIX WEBHOOK] Failed to update stored event (non-blocking):`, error.message));
+        }
+
+        // ✅ A3.1: Get post-fulfillment state for verification
+        try {
+          const postState = await getPostFulfillmentState(shopifyOrderId);
+          
+          console.log(JSON.stringify({
+            event: 'SHOPIFY_POST_FULFILLMENT_STATE',
+            requestId,
+            dealId,
+            correlationId,
+            shopifyOrderId: postState.shopifyOrderId,
+            fulfillmentIds: postState.fulfillmentIds,
+            fulfillmentStatuses: postState.fulfillmentStatuses,
+            orderFulfillmentStatus: postState.orderFulfillmentStatus,
+            lineItemsSummary: postState.lineItemsSummary,
+            timestamp: new Date().toISOString()
+          }));
+
+          // Update stored event with fulfillment state for UI
+          if (storedEvent) {
+            await bitrixAdapter.updateEvent(storedEvent.id, { fulfillmentState: postState.orderFulfillmentStatus })
+              .catch(error => console.error(`[BITRIX WEBHOOK] Failed to update stored event (non-blocking):`, error.message));
+          }
+        } catch (postStateError) {
+          console.log(JSON.stringify({
+            event: 'SHOPIFY_POST_FULFILLMENT_STATE_ERROR',
+            requestId,
+            dealId,
+            correlationId,
+            shopifyOrderId,
+            error: postStateError.message,
+            timestamp: new Date().toISOString()
+          }));
+        }
+      } else if (fulfillmentResult.error === 'SHOPIFY_FULFILLMENT_CREATE_SKIP') {
+        await failStageWrite({ requestId, dealId, correlationId }, fulfillmentResult);
+        console.log(JSON.stringify({
+          event: 'SHOPIFY_FULFILLMENT_CREATE_SKIP',
+          requestId,
+          dealId,
+          correlationId,
+          shopifyOrderId,
+          skip_reason: fulfillmentResult.skip_reason,
+          message: fulfillmentResult.message,
+          timestamp: new Date().toISOString()
+        }));
+      } else {
+        await failStageWrite({ requestId, dealId, correlationId }, fulfillmentResult);
+        console.log(JSON.stringify({
+          event: 'SHOPIFY_FULFILLMENT_CREATE_ERROR',
+          requestId,
+          dealId,
+          correlationId,
+          shopifyOrderId,
+          error: fulfillmentResult.error,
+          httpStatus: fulfillmentResult.httpStatus,
+          message: fulfillmentResult.message,
+          responseSnippet: fulfillmentResult.responseSnippet,
+          timestamp: new Date().toISOString()
+        }));
+      }
+    } catch (error) {
+      // Log any unexpected errors during fulfillment creation
+      console.log(JSON.stringify({
+        event: 'SHOPIFY_FULFILLMENT_CREATE_ERROR',
+        requestId,
+        dealId,
+        correlationId,
+        shopifyOrderId,
+        error: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      }));
+    }
+
+    return { success: true, triggerMatch: true, correlationId };
+  } else {
+    // Conditions not met - log skip reason
+    const skipReasons = [];
+    if (!decision.categoryMatch) {
+      skipReasons.push(`categoryId=${categoryId} != ${BITRIX_CONFIG.CATEGORY_STOCK}`);
+    }
+    if (!decision.stageMatch) {
+      skipReasons.push(`stageId=${stageId} != ${BITRIX_CONFIG.STAGES_CAT_2.EXECUTING}`);
+    }
+    if (!decision.shopifyOrderIdPresent) {
+      skipReasons.push('shopifyOrderId is missing or empty');
+    }
+    if (decision.categoryMatch && decision.stageMatch && !decision.transitionAllowed) {
+      skipReasons.push(`transition ${previousStageId} → ${stageId} not allowed (${stagePlan.reason})`);
+    }
+
+    const skipReason = skipReasons.join('; ');
+
+    // ✅ Structured logging: [DELIVERY_TRIGGER_SKIP]
+    console.log(JSON.stringify({
+      event: 'DELIVERY_TRIGGER_SKIP',
+      requestId,
+      dealId,
+      correlationId,
+      categoryId,
+      stageId,
+      shopifyOrderId,
+      skip_reason: skipReason,
+      decision,
+      timestamp: new Date().toISOString()
+    }));
+
+    // Tracking edited after the fulfillment was created
+    const tracking = await syncDealTracking(trackingContext);
+
+    return { success: true, triggerMatch: false, skip_reason: skipReason, ...(tracking ? { tracking } : {}) };
+  }
+}
+
+/**
+ * Handle deal creation event from Bitrix
+ * Usually not needed as deals are created from Shopify, but handle for completeness
+ */
+async function handleDealCreate(dealId, requestId) {
+  // ✅ Structured logging: [BITRIX_WEBHOOK_RECEIVED] (CREATE)
+  console.log(JSON.stringify({
+    event: 'BITRIX_WEBHOOK_RECEIVED',
+    requestId,
+    dealId,
+    eventType: 'CREATE',
+    timestamp: new Date().toISOString()
+  }));
+
+  // Deals are typically created from Shopify, so this is usually a no-op
+  // But we can log it for monitoring
+  return { success: true, triggerMatch: false, skip_reason: 'deal_create_event_ignored' };
+}
+
+/**
+ * Process one Bitrix deal event (job handler for bitrix.deal_event)
+ * @param {Object} params - { eventType, dealId, requestId }
+ * @returns {Promise<Object>} Handler result (triggerMatch, skip_reason, dryRun, ...)
+ */
+export async function processBitrixDealEvent({ eventType, dealId, requestId }) {
+  // Route based on event type
+  let result = null;
+  if (eventType === 'ONCRMDEALUPDATE' || eventType.includes('UPDATE')) {
+    result = await handleDealUpdate(dealId, requestId);
+  } else if (eventType === 'ONCRMDEALADD' || eventType.includes('ADD')) {
+    result = await handleDealCreate(dealId, requestId);
+  } else {
+    // ✅ Structured logging: [BITRIX_WEBHOOK_UNHANDLED_EVENT]
+    console.log(JSON.stringify({
+      event: 'BITRIX_WEBHOOK_UNHANDLED_EVENT',
+      requestId,
+      dealId,
+      eventType,
+      timestamp: new Date().toISOString()
+    }));
+    result = { success: true, triggerMatch: false, skip_reason: `unhandled_event_type:${eventType}` };
+  }
+
+  // ✅ Structured logging: [BITRIX_WEBHOOK_DONE]
+  console.log(JSON.stringify({
+    event: 'BITRIX_WEBHOOK_DONE',
+    requestId,
+    dealId,
+    eventType,
+    result,
+    timestamp: new Date().toISOString()
+  }));
+
+  return result;
+}
+
+/**
+ * Re-run one MW action from a dead-letter entry (job handler for bitrix.mw_action)
+ * The payload may have been edited, so it is normalized again; a changed payload gets a new correlationId
+ * @param {Object} params - { action, payload, dealId, shopifyOrderId }
+ * @returns {Promise<Object>} Action result
+ * @throws {Error} When the action fails, so the queue retries and eventually dead-letters it again
+ */
+export async function processMWActionJob({ action, payload, dealId, shopifyOrderId }) {
+  const requestId = `replay-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  const normalizedPayload = normalizePayload(action, { ...payload, action });
+  if (!normalizedPayload) {
+    const error = new Error(`Cannot normalize payload for MW action ${action}`);
+    error.errorType = 'VALIDATION';
+    throw error;
+  }
+
+  const result = await processMWAction(
+    { action, normalizedPayload, requestId, dealId, shopifyOrderId },
+    { recordFailure: false }
+  );
+
+  if (!result.success && !result.dryRun) {
+    const error = new Error(result.message || `MW action ${action} failed`);
+    error.errorType = result.error || 'UNKNOWN';
+    error.status = result.httpStatus || null;
+    throw error;
+  }
+
+  // The deal still shows the original failure - replace it; the action field is left alone
+  await reportMWActionOutcome({ dealId, requestId, shopifyOrderId, result });
+  return result;
+}
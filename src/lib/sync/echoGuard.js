@@ -0,0 +1,302 @@
+/**
+ * Echo Guard
+ * Detects orders/updated webhooks caused by the middleware's own writes to Shopify
+ * (fulfillment, refund, address, hold - see setProvenanceMarker) so they are not pushed back
+ * into Bitrix as if a Shopify user had changed the order.
+ *
+ * Decision for an inbound order update:
+ * - pass      - no fresh middleware marker, or its payloadHash does not match the completed MW action
+ *               it names (idempotency record mw:{correlationId}): a regular Shopify change
+ * - suppress  - fresh marker and nothing Bitrix cares about changed since the last sync: skip
+ * - downgrade - fresh marker but totals/statuses changed (e.g. our refund): sync fields and
+ *               product rows, keep the deal stage the manager set in Bitrix
+ *
+ * The marker comes from the payload (webhook subscribed with metafield_namespaces: ["middleware"])
+ * or is read with getProvenanceMarker. Every decision is logged (ECHO_GUARD_DECISION) and counted.
+ *
+ * Backend interface (all methods async):
+ * - getOrder(orderId) → { syncHash, syncedAt, lastMarker }|null
+ * - recordSync(orderId, patch) → record
+ * - increment(decision, reason) → void
+ * - getCounters() → { [decision]: n, reasons: { [reason]: n }, since }
+ */
+
+import { dataFilePath, readJsonFile, writeJsonFileAtomic, withFileLock } from '../storage/jsonFile.js';
+import { getProvenanceMarker } from '../shopify/metafields.js';
+import { idempotencyStore, IDEMPOTENCY_STATES } from '../idempotency/index.js';
+import { payloadHash } from '../utils/hash.js';
+
+export const ECHO_DECISIONS = {
+  PASS: 'pass',
+  SUPPRESS: 'suppress',
+  DOWNGRADE: 'downgrade',
+};
+
+const ENABLED = process.env.ECHO_GUARD_ENABLED !== 'false';
+// Marker counts as "ours" when its ts is this close to order.updated_at
+const ECHO_WINDOW_MS = Number(process.env.ECHO_GUARD_WINDOW_MS) || 2 * 60 * 1000;
+const PROVENANCE_NAMESPACE = 'middleware';
+const PROVENANCE_KEY = 'last_write';
+// The marker is written just before the MW action record completes - wait this long for it
+const ACTION_RECORD_WAIT_MS = Number(process.env.ECHO_GUARD_ACTION_WAIT_MS) || 5 * 1000;
+const ACTION_RECORD_POLL_MS = 500;
+
+/**
+ * File-backed echo guard state (default backend)
+ */
+export class FileEchoGuardStore {
+  constructor(fileName = 'echo-guard.json') {
+    this.fileName = fileName;
+  }
+
+  getName() {
+    return 'file';
+  }
+
+  getFilePath() {
+    return dataFilePath(this.fileName);
+  }
+
+  load() {
+    return readJsonFile(this.getFilePath(), { orders: {}, counters: { reasons: {}, since: new Date().toISOString() } });
+  }
+
+  async mutate(fn) {
+    const filePath = this.getFilePath();
+    return withFileLock(filePath, () => {
+      const state = this.load();
+      const result = fn(state);
+      writeJsonFileAtomic(filePath, state);
+      return result;
+    });
+  }
+
+  async getOrder(orderId) {
+    return this.load().orders[String(orderId)] || null;
+  }
+
+  async recordSync(orderId, patch) {
+    return this.mutate(state => {
+      const key = String(orderId);
+      state.orders[key] = { ...(state.orders[key] || {}), ...patch, syncedAt: new Date().toISOString() };
+      return state.orders[key];
+    });
+  }
+
+  async increment(decision, reason) {
+    return this.mutate(state => {
+      state.counters[decision] = (state.counters[decision] || 0) + 1;
+      state.counters.reasons[reason] = (state.counters.reasons[reason] || 0) + 1;
+    });
+  }
+
+  async getCounters() {
+    return this.load().counters;
+  }
+}
+
+const backends = {
+  file: () => new FileEchoGuardStore(),
+};
+
+/**
+ * Register an alternative backend under a name selectable via ECHO_GUARD_BACKEND
+ * @param {string} name - Backend name
+ * @param {Function} factory - () => store implementing the interface above
+ */
+export function registerEchoGuardBackend(name, factory) {
+  backends[name] = factory;
+}
+
+/**
+ * Create echo guard store for configured backend
+ * @param {string} backendName - Backend name (default: ECHO_GUARD_BACKEND or 'file')
+ * @returns {Object} Store instance
+ */
+export function createEchoGuardStore(backendName = process.env.ECHO_GUARD_BACKEND || 'file') {
+  const factory = backends[backendName];
+  if (!factory) {
+    throw new Error(`Unknown echo guard backend: ${backendName}. Registered: ${Object.keys(backends).join(', ')}`);
+  }
+  return factory();
+}
+
+// Export singleton instance
+export const echoGuardStore = createEchoGuardStore();
+
+/**
+ * Hash of the order state the Bitrix deal is built from (statuses, money, active quantities)
+ * @param {Object} order - Shopify order
+ * @returns {string} Hash
+ */
+export function orderSyncHash(order) {
+  return payloadHash({
+    financialStatus: order?.financial_status || null,
+    fulfillmentStatus: order?.fulfillment_status || null,
+    cancelledAt: order?.cancelled_at || null,
+    totalPrice: order?.total_price || null,
+    currentTotalPrice: order?.current_total_price || null,
+    shipping: (order?.shipping_lines || []).map(line => [line.code || line.title || null, line.price || null]),
+    lineItems: (order?.line_items || []).map(item => [String(item.id), item.sku || null, Number(item.current_quantity ?? item.quantity ?? 0)]),
+  });
+}
+
+function parseMarkerValue(value) {
+  if (!value) {
+    return null;
+  }
+  if (typeof value === 'object') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read the middleware provenance marker: payload metafields first, then the Admin API
+ * @param {Object} order - Shopify order
+ * @returns {Promise<Object>} { marker, source: payload|api|none, error }
+ */
+async function readMarker(order) {
+  const metafields = Array.isArray(order?.metafields) ? order.metafields : null;
+  if (metafields) {
+    const metafield = metafields.find(field => field.namespace === PROVENANCE_NAMESPACE && field.key === PROVENANCE_KEY);
+    return { marker: parseMarkerValue(metafield?.value), source: 'payload', error: null };
+  }
+
+  const response = await getProvenanceMarker(order.id);
+  if (!response.success) {
+    return { marker: null, source: 'api', error: response.message || response.error };
+  }
+  return { marker: response.exists ? response.value : null, source: response.exists ? 'api' : 'none', error: null };
+}
+
+/**
+ * Check the marker against the completed MW action it names: same payloadHash means the marker
+ * was written by that action (and not copied or left over from another write)
+ * @param {Object} marker - Provenance marker
+ * @returns {Promise<string|null>} Mismatch reason, null when the marker is verified
+ */
+async function verifyMarkerAction(marker) {
+  if (!marker.correlationId || !marker.payloadHash) {
+    return 'marker_incomplete';
+  }
+
+  const key = `mw:${marker.correlationId}`;
+  const deadline = Date.now() + ACTION_RECORD_WAIT_MS;
+  let record = await idempotencyStore.get(key);
+  while (record?.state === IDEMPOTENCY_STATES.PROCESSING && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, ACTION_RECORD_POLL_MS));
+    record = await idempotencyStore.get(key);
+  }
+
+  if (!record) {
+    return 'action_record_missing';
+  }
+  if (record.state !== IDEMPOTENCY_STATES.COMPLETED) {
+    return `action_${record.state}`;
+  }
+  if (record.result?.payloadHash !== marker.payloadHash) {
+    return 'payload_hash_mismatch';
+  }
+  return null;
+}
+
+/**
+ * Decide whether an orders/updated event is an echo of a middleware write
+ * Never throws - any failure reading the marker means "pass" (process normally)
+ * @param {Object} order - Shopify order
+ * @param {Object} context - { topic, webhookId } for the log line
+ * @returns {Promise<Object>} { decision, reason, marker, syncHash }
+ */
+export async function checkOrderEcho(order, { topic = 'orders/updated', webhookId = null } = {}) {
+  const syncHash = orderSyncHash(order);
+  let decision = ECHO_DECISIONS.PASS;
+  let reason;
+  let marker = null;
+  let markerSource = null;
+
+  if (!ENABLED) {
+    reason = 'disabled';
+  } else {
+    try {
+      const read = await readMarker(order);
+      marker = read.marker;
+      markerSource = read.source;
+      if (read.error) {
+        reason = 'marker_unavailable';
+      } else if (!marker || marker.source !== 'bitrix') {
+        reason = 'no_marker';
+      } else {
+        const updatedAt = Date.parse(order.updated_at || '') || Date.now();
+        const markerAt = Date.parse(marker.ts || '');
+        const fresh = markerAt && Math.abs(updatedAt - markerAt) <= ECHO_WINDOW_MS;
+        const mismatch = fresh ? await verifyMarkerAction(marker) : null;
+        if (!fresh) {
+          reason = 'marker_stale';
+        } else if (mismatch) {
+          reason = mismatch;
+        } else {
+          const record = await echoGuardStore.getOrder(order.id);
+          if (record?.syncHash === syncHash) {
+            decision = ECHO_DECISIONS.SUPPRESS;
+            reason = 'unchanged_since_last_sync';
+          } else {
+            decision = ECHO_DECISIONS.DOWNGRADE;
+            reason = record ? 'echo_with_changes' : 'echo_without_sync_record';
+          }
+        }
+      }
+    } catch (error) {
+      console.error('[ECHO GUARD] ⚠️ Check failed (non-blocking, processing anyway):', error.message);
+      reason = 'check_failed';
+    }
+  }
+
+  console.log(JSON.stringify({
+    event: 'ECHO_GUARD_DECISION',
+    decision,
+    reason,
+    topic,
+    webhookId,
+    orderId: order?.id || null,
+    markerSource,
+    markerAction: marker?.action || null,
+    markerCorrelationId: marker?.correlationId || null,
+    markerPayloadHash: marker?.payloadHash || null,
+    markerTs: marker?.ts || null,
+    orderUpdatedAt: order?.updated_at || null,
+    timestamp: new Date().toISOString()
+  }));
+
+  await echoGuardStore.increment(decision, reason)
+    .catch(error => console.error('[ECHO GUARD] ⚠️ Failed to count decision:', error.message));
+
+  return { decision, reason, marker, syncHash };
+}
+
+/**
+ * Remember the order state last synced to Bitrix (basis for "nothing changed" on the next echo)
+ * @param {Object} order - Shopify order
+ * @param {Object} marker - Provenance marker the sync ran under (optional)
+ */
+export async function recordOrderSync(order, marker = null) {
+  if (!order?.id) {
+    return;
+  }
+  await echoGuardStore.recordSync(order.id, {
+    syncHash: orderSyncHash(order),
+    ...(marker ? { lastMarker: { action: marker.action || null, correlationId: marker.correlationId || null, payloadHash: marker.payloadHash || null, ts: marker.ts || null } } : {}),
+  }).catch(error => console.error('[ECHO GUARD] ⚠️ Failed to record sync state:', error.message));
+}
+
+/**
+ * Decision counters since the store was created
+ * @returns {Promise<Object>} Counters
+ */
+export async function getEchoGuardCounters() {
+  return echoGuardStore.getCounters();
+}
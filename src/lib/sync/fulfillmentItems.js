@@ -0,0 +1,124 @@
+/**
+ * Fulfillment Items
+ * Turns the items of a Bitrix fulfillment_create action into Shopify line item quantities.
+ * An item names what ships by one of:
+ * - line_item_id   - Shopify line item
+ * - sku            - Shopify SKU (spread over the order's lines with that SKU)
+ * - product_row_id - Bitrix deal product row (crm.deal.productrows.get ID), matched to lines via
+ *                    the product ID the SKU resolves to, or by name for custom rows
+ * Quantities are checked against what is still fulfillable; fulfillment orders and locations
+ * are handled by createFulfillmentForItems in shopify/fulfillment.js.
+ */
+
+import { callBitrix } from '../bitrix/client.js';
+import { lookupStaticProductId, skuMappingStore, SKU_STATUSES } from '../bitrix/skuResolver.js';
+
+/**
+ * Bitrix product ID a Shopify line item is sent as (static mappings, then the SKU cache)
+ * @param {Object} lineItem - Shopify line item
+ * @returns {Promise<string|null>} Product ID
+ */
+async function getLineItemProductId(lineItem) {
+  const staticMatch = lookupStaticProductId(lineItem);
+  if (staticMatch) {
+    return String(staticMatch.productId);
+  }
+  if (!lineItem.sku) {
+    return null;
+  }
+  const cached = await skuMappingStore.get(lineItem.sku);
+  return cached?.status === SKU_STATUSES.MAPPED ? String(cached.productId) : null;
+}
+
+function lineItemName(lineItem) {
+  return [lineItem.title, lineItem.variant_title].filter(Boolean).join(' - ');
+}
+
+/**
+ * Shopify line items a Bitrix product row stands for
+ * @param {Object} row - Product row (ID, PRODUCT_ID, PRODUCT_NAME, QUANTITY)
+ * @param {Array} lineItems - Shopify line items
+ * @returns {Promise<Array>} Matching line items
+ */
+async function matchProductRowLineItems(row, lineItems) {
+  const productId = Number(row.PRODUCT_ID) > 0 ? String(row.PRODUCT_ID) : null;
+  const matches = [];
+  for (const lineItem of lineItems) {
+    if (productId) {
+      if (await getLineItemProductId(lineItem) === productId) {
+        matches.push(lineItem);
+      }
+    } else if (row.PRODUCT_NAME && lineItemName(lineItem) === row.PRODUCT_NAME) {
+      // Custom row (SKU without catalog product) - sent with the line item name
+      matches.push(lineItem);
+    }
+  }
+  return matches;
+}
+
+/**
+ * Resolve action items to Shopify line item quantities
+ * @param {Object} params - { items, lineItems (Shopify order line items), dealId }
+ * @returns {Promise<Object>} { requests: [{ line_item_id, quantity }], errors: [{ item, reason, available? }] }
+ */
+export async function resolveFulfillmentRequests({ items, lineItems, dealId }) {
+  const remaining = new Map(lineItems.map(lineItem => [String(lineItem.id), Number(lineItem.fulfillable_quantity || 0)]));
+  const requests = new Map();
+  const errors = [];
+
+  let productRows = null;
+  if (items.some(item => item.product_row_id)) {
+    const response = await callBitrix('/crm.deal.productrows.get.json', { id: dealId });
+    productRows = Array.isArray(response.result) ? response.result : [];
+  }
+
+  for (const item of items) {
+    let candidates = [];
+    let quantity = item.quantity;
+
+    if (item.line_item_id) {
+      candidates = lineItems.filter(lineItem => String(lineItem.id) === String(item.line_item_id));
+    } else if (item.sku) {
+      candidates = lineItems.filter(lineItem => lineItem.sku === item.sku);
+    } else if (item.product_row_id) {
+      const row = productRows.find(candidate => String(candidate.ID) === String(item.product_row_id));
+      if (!row) {
+        errors.push({ item, reason: 'product_row_not_found' });
+        continue;
+      }
+      quantity = quantity ?? Number(row.QUANTITY || 0);
+      candidates = await matchProductRowLineItems(row, lineItems);
+    }
+
+    if (candidates.length === 0) {
+      errors.push({ item, reason: 'no_matching_line_item' });
+      continue;
+    }
+    if (!quantity || quantity <= 0) {
+      errors.push({ item, reason: 'invalid_quantity' });
+      continue;
+    }
+
+    const available = candidates.reduce((sum, lineItem) => sum + remaining.get(String(lineItem.id)), 0);
+    if (available < quantity) {
+      errors.push({ item, reason: 'quantity_exceeds_remaining', requested: quantity, available });
+      continue;
+    }
+
+    let open = quantity;
+    for (const lineItem of candidates) {
+      const key = String(lineItem.id);
+      const take = Math.min(open, remaining.get(key));
+      if (take > 0) {
+        remaining.set(key, remaining.get(key) - take);
+        requests.set(key, (requests.get(key) || 0) + take);
+        open -= take;
+      }
+    }
+  }
+
+  return {
+    requests: [...requests.entries()].map(([lineItemId, qty]) => ({ line_item_id: lineItemId, quantity: qty })),
+    errors,
+  };
+}
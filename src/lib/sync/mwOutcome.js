@@ -0,0 +1,206 @@
+/**
+ * MW Action Outcome
+ * Reports what an MW action (UF_MW_SHOPIFY_ACTION) did back to the Bitrix deal, so managers see it
+ * without the middleware dashboard:
+ * - result fields (BITRIX_CONFIG.MW_RESULT_FIELDS): status (success/error) and message
+ * - timeline comment with the Shopify IDs and admin links
+ * - the action field is cleared (and archived, if configured). This also stops the loop that the
+ *   write-back's own deal update would otherwise cause: a failed action would be retried on every update.
+ *
+ * Dry runs (no Shopify order linked yet) and duplicates are not reported - the first are still
+ * waiting to run, the second were reported the first time. Write-back failures are logged, never thrown.
+ */
+
+import { callBitrixBatch, getBatchError } from '../bitrix/client.js';
+import { BITRIX_CONFIG } from '../bitrix/config.js';
+import { getShopifyAdminUrl } from '../shopify/adminClient.js';
+
+export const MW_OUTCOME_STATUSES = {
+  SUCCESS: 'success',
+  ERROR: 'error',
+};
+
+// Messages for actions rejected before reaching Shopify (handleMWAction early returns)
+const REJECTION_MESSAGES = {
+  parse_error: 'Action is not valid JSON',
+  unsupported_action: 'Unsupported action',
+  normalization_failed: 'Action payload could not be normalized',
+};
+
+function formatAmount(amount) {
+  return Number(amount || 0).toFixed(2);
+}
+
+/**
+ * One-line summary and Shopify references of a successful action
+ * @param {Object} result - MW action result
+ * @returns {Object} { message, refs: [{ label, url? }] }
+ */
+function describeSuccess(result) {
+  switch (result.action) {
+    case 'hold_create':
+      return {
+        message: `Hold order ${result.holdOrderName || result.holdOrderId} created`,
+        refs: [{ label: `Hold order ${result.holdOrderName || result.holdOrderId}`, url: getShopifyAdminUrl(`/orders/${result.holdOrderId}`) }]
+      };
+    case 'refund_create':
+      if (result.mode === 'preview') {
+        return {
+          message: `Refund preview: ${formatAmount(result.preview?.amount)} ${result.preview?.currency || ''}`.trim(),
+          refs: []
+        };
+      }
+      return {
+        message: `Refund ${result.refundId} created: ${formatAmount(result.refundAmount)}`,
+        refs: [{ label: `Refund ${result.refundId}` }]
+      };
+    case 'address_update':
+      return { message: 'Shipping address updated', refs: [] };
+    case 'fulfillment_create':
+      return {
+        message: result.partial
+          ? `Fulfillment ${(result.fulfillmentIds || []).join(', ')} created, remaining items not fulfilled: ${result.message}`
+          : `Fulfillment ${(result.fulfillmentIds || []).join(', ')} created`,
+        refs: (result.fulfillmentIds || []).map(id => ({ label: `Fulfillment ${id}` }))
+      };
+    case 'fulfillment_cancel':
+      return {
+        message: result.alreadyCancelled ? `Fulfillment ${result.fulfillmentId} was already cancelled` : `Fulfillment ${result.fulfillmentId} cancelled`,
+        refs: [{ label: `Fulfillment ${result.fulfillmentId}` }]
+      };
+    case 'order_cancel':
+      return { message: result.alreadyCancelled ? 'Order was already cancelled' : 'Order cancelled', refs: [] };
+    case 'order_edit':
+      return { message: `Order edited (${(result.changes || []).length} line changes)`, refs: [] };
+    default:
+      return { message: `${result.action} done`, refs: [] };
+  }
+}
+
+/**
+ * Status, message and Shopify references of an MW action result
+ * @param {Object} result - handleMWAction / processMWAction result
+ * @param {Object} context - { shopifyOrderId }
+ * @returns {Object|null} { status, action, message, refs } or null when nothing is reported
+ */
+export function describeMWOutcome(result, { shopifyOrderId = null } = {}) {
+  if (!result || result.dryRun || result.duplicate) {
+    return null;
+  }
+
+  const action = result.action || 'unknown';
+  let status;
+  let message;
+  let refs = [];
+
+  if (result.success) {
+    status = MW_OUTCOME_STATUSES.SUCCESS;
+    ({ message, refs } = describeSuccess(result));
+  } else {
+    status = MW_OUTCOME_STATUSES.ERROR;
+    const reason = REJECTION_MESSAGES[result.reason];
+    message = reason
+      ? [reason, result.action, result.error].filter(Boolean).join(': ')
+      : [result.error, result.message].filter(Boolean).join(': ') || 'Unknown error';
+  }
+
+  if (shopifyOrderId) {
+    const orderLabel = result.orderName ? `Order ${result.orderName}` : `Order ${shopifyOrderId}`;
+    refs = [{ label: orderLabel, url: getShopifyAdminUrl(`/orders/${shopifyOrderId}`) }, ...refs];
+  }
+
+  return { status, action, message, refs, correlationId: result.correlationId || null };
+}
+
+/**
+ * Timeline comment text for an outcome
+ * @param {Object} outcome - describeMWOutcome output
+ * @returns {string} Comment
+ */
+export function formatMWOutcomeComment(outcome) {
+  const lines = [`Shopify action ${outcome.action}: ${outcome.status === MW_OUTCOME_STATUSES.SUCCESS ? '✅' : '❌'} ${outcome.message}`];
+  for (const ref of outcome.refs) {
+    lines.push(ref.url ? `${ref.label}: ${ref.url}` : ref.label);
+  }
+  if (outcome.correlationId) {
+    lines.push(`Correlation ID: ${outcome.correlationId}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Write the outcome of an MW action to the deal
+ * @param {Object} params - { dealId, requestId, shopifyOrderId, result, rawAction }
+ *   rawAction - action JSON as read from the deal; when given, the action field is cleared (and archived).
+ *   Replays pass none: the field may already hold a newer action.
+ * @returns {Promise<Object|null>} { status, fields, timeline } or null when nothing was reported
+ */
+export async function reportMWActionOutcome({ dealId, requestId = null, shopifyOrderId = null, result, rawAction = null }) {
+  const outcome = describeMWOutcome(result, { shopifyOrderId });
+  if (!outcome) {
+    return null;
+  }
+
+  const { STATUS, MESSAGE, ARCHIVE } = BITRIX_CONFIG.MW_RESULT_FIELDS || {};
+  const fields = {};
+  if (STATUS) {
+    fields[STATUS] = outcome.status;
+  }
+  if (MESSAGE) {
+    fields[MESSAGE] = `${new Date().toISOString()} ${outcome.action}: ${outcome.message}`;
+  }
+  if (rawAction) {
+    fields[BITRIX_CONFIG.MW_ACTION_FIELD] = '';
+    if (ARCHIVE) {
+      fields[ARCHIVE] = rawAction;
+    }
+  }
+
+  const written = { status: outcome.status, fields: [], timeline: false };
+
+  // Fields and comment go in one batch; each command succeeds or fails on its own
+  const commands = {};
+  if (Object.keys(fields).length > 0) {
+    commands.update = ['crm.deal.update', { id: dealId, fields }];
+  }
+  // A refund preview already put its breakdown into the timeline
+  if (!result.writtenToDeal?.timeline) {
+    commands.comment = ['crm.timeline.comment.add', {
+      fields: { ENTITY_ID: dealId, ENTITY_TYPE: 'deal', COMMENT: formatMWOutcomeComment(outcome) }
+    }];
+  }
+
+  let batch = { results: {}, errors: {} };
+  try {
+    batch = await callBitrixBatch(commands);
+  } catch (error) {
+    console.error(`[MW OUTCOME] ⚠️ Failed to write outcome to deal ${dealId} (non-blocking):`, error.message);
+  }
+  if ('update' in batch.results) {
+    written.fields = Object.keys(fields);
+  } else if (batch.errors.update) {
+    console.error(`[MW OUTCOME] ⚠️ Failed to write outcome fields to deal ${dealId} (non-blocking):`, getBatchError(batch, 'update').message);
+  }
+  if ('comment' in batch.results) {
+    written.timeline = true;
+  } else if (batch.errors.comment) {
+    console.error(`[MW OUTCOME] ⚠️ Failed to add outcome comment to deal ${dealId} (non-blocking):`, getBatchError(batch, 'comment').message);
+  }
+
+  console.log(JSON.stringify({
+    event: 'MW_ACTION_OUTCOME_REPORTED',
+    requestId,
+    dealId,
+    shopifyOrderId,
+    action: outcome.action,
+    status: outcome.status,
+    message: outcome.message,
+    correlationId: outcome.correlationId,
+    fields: written.fields,
+    timeline: written.timeline,
+    actionCleared: written.fields.includes(BITRIX_CONFIG.MW_ACTION_FIELD),
+    timestamp: new Date().toISOString()
+  }));
+
+  return written;
+}
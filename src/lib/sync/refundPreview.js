@@ -0,0 +1,160 @@
+/**
+ * Refund Preview
+ * Bitrix side of the two-phase refund (refund_create with mode "preview", then "confirm"):
+ * - a preview is an MW action like any other; its completed idempotency record (mw:{correlationId})
+ *   keeps the calculation, so the confirming action finds it by that correlation ID
+ * - the calculated amounts are written back to the deal as a timeline comment and, if configured,
+ *   to BITRIX_CONFIG.REFUND_PREVIEW_FIELDS
+ */
+
+import { callBitrixBatch, getBatchError } from '../bitrix/client.js';
+import { BITRIX_CONFIG } from '../bitrix/config.js';
+import { idempotencyStore, IDEMPOTENCY_STATES } from '../idempotency/index.js';
+
+// A preview older than this must be recalculated before it can be confirmed
+const PREVIEW_TTL_MS = Number(process.env.REFUND_PREVIEW_TTL_MS) || 24 * 60 * 60 * 1000;
+const TIMELINE_ENABLED = process.env.REFUND_PREVIEW_TIMELINE !== 'false';
+
+function formatAmount(amount) {
+  return Number(amount || 0).toFixed(2);
+}
+
+/**
+ * Payload of the action that confirms a preview
+ * @param {string} correlationId - Correlation ID of the preview
+ * @returns {string} JSON for UF_MW_SHOPIFY_ACTION
+ */
+export function buildConfirmPayload(correlationId) {
+  return JSON.stringify({ action: 'refund_create', mode: 'confirm', correlation_id: correlationId });
+}
+
+/**
+ * Plain-text breakdown of a refund preview
+ * @param {Object} preview - summarizeCalculatedRefund output
+ * @param {Object} context - { correlationId, orderName }
+ * @returns {string} Text for the timeline comment / details field
+ */
+export function formatRefundPreview(preview, { correlationId, orderName = null }) {
+  const currency = preview.currency || '';
+  const lines = [`Refund preview${orderName ? ` for Shopify order ${orderName}` : ''}: ${formatAmount(preview.amount)} ${currency}`.trim()];
+
+  for (const line of preview.lines) {
+    const label = [line.sku, line.title].filter(Boolean).join(' ') || `line ${line.line_item_id}`;
+    lines.push(`- ${label} × ${line.quantity}: ${formatAmount(line.subtotal)} (tax ${formatAmount(line.tax)}), restock: ${line.restock_type}`);
+  }
+  if (preview.shipping.amount > 0) {
+    lines.push(`Shipping: ${formatAmount(preview.shipping.amount)} (tax ${formatAmount(preview.shipping.tax)})`);
+  }
+  for (const txn of preview.transactions) {
+    lines.push(`Refund to ${txn.gateway || 'unknown gateway'}: ${formatAmount(txn.amount)} ${currency}`.trim());
+  }
+  lines.push(`Confirm with: ${buildConfirmPayload(correlationId)}`);
+
+  return lines.join('\n');
+}
+
+/**
+ * Write a refund preview to the deal (non-blocking: failures are logged, not thrown)
+ * @param {Object} params - { dealId, correlationId, orderName, preview }
+ * @returns {Promise<Object>} { timeline: boolean, fields: string[] }
+ */
+export async function writeRefundPreviewToDeal({ dealId, correlationId, orderName, preview }) {
+  const text = formatRefundPreview(preview, { correlationId, orderName });
+  const written = { timeline: false, fields: [] };
+
+  const { AMOUNT, DETAILS } = BITRIX_CONFIG.REFUND_PREVIEW_FIELDS || {};
+  const fields = {};
+  if (AMOUNT) {
+    fields[AMOUNT] = preview.currency ? `${formatAmount(preview.amount)}|${preview.currency}` : formatAmount(preview.amount);
+  }
+  if (DETAILS) {
+    fields[DETAILS] = text;
+  }
+
+  // Fields and comment go in one batch; each command succeeds or fails on its own
+  const commands = {};
+  if (Object.keys(fields).length > 0) {
+    commands.update = ['crm.deal.update', { id: dealId, fields }];
+  }
+  if (TIMELINE_ENABLED) {
+    commands.comment = ['crm.timeline.comment.add', {
+      fields: { ENTITY_ID: dealId, ENTITY_TYPE: 'deal', COMMENT: text }
+    }];
+  }
+
+  let batch = { results: {}, errors: {} };
+  try {
+    batch = await callBitrixBatch(commands);
+  } catch (error) {
+    console.error(`[REFUND PREVIEW] ⚠️ Failed to write preview to deal ${dealId} (non-blocking):`, error.message);
+  }
+  if ('update' in batch.results) {
+    written.fields = Object.keys(fields);
+  } else if (batch.errors.update) {
+    console.error(`[REFUND PREVIEW] ⚠️ Failed to write preview fields to deal ${dealId} (non-blocking):`, getBatchError(batch, 'update').message);
+  }
+  if ('comment' in batch.results) {
+    written.timeline = true;
+  } else if (batch.errors.comment) {
+    console.error(`[REFUND PREVIEW] ⚠️ Failed to add preview comment to deal ${dealId} (non-blocking):`, getBatchError(batch, 'comment').message);
+  }
+
+  return written;
+}
+
+/**
+ * Find the preview a confirming action refers to
+ * @param {string} correlationId - Correlation ID of the preview
+ * @param {Object} context - { dealId, shopifyOrderId } of the confirming action
+ * @returns {Promise<Object>} { success: true, previewed } or { success: false, error, message }
+ */
+export async function loadRefundPreview(correlationId, { dealId, shopifyOrderId }) {
+  if (!correlationId) {
+    return {
+      success: false,
+      error: 'MISSING_CORRELATION_ID',
+      message: 'Refund confirmation needs correlation_id of the preview'
+    };
+  }
+  if (!correlationId.startsWith(`${dealId}:`)) {
+    return {
+      success: false,
+      error: 'REFUND_PREVIEW_DEAL_MISMATCH',
+      message: `Preview ${correlationId} belongs to another deal`
+    };
+  }
+
+  const record = await idempotencyStore.get(`mw:${correlationId}`);
+  const result = record?.result;
+  if (!record || record.state !== IDEMPOTENCY_STATES.COMPLETED || result?.action !== 'refund_create' || result?.mode !== 'preview') {
+    return {
+      success: false,
+      error: 'REFUND_PREVIEW_NOT_FOUND',
+      message: `No refund preview with correlation ID ${correlationId}`
+    };
+  }
+  if (String(result.shopifyOrderId) !== String(shopifyOrderId)) {
+    return {
+      success: false,
+      error: 'REFUND_PREVIEW_ORDER_MISMATCH',
+      message: `Preview ${correlationId} was calculated for Shopify order ${result.shopifyOrderId}, deal now links ${shopifyOrderId}`
+    };
+  }
+  if (Date.now() - Date.parse(record.completedAt) > PREVIEW_TTL_MS) {
+    return {
+      success: false,
+      error: 'REFUND_PREVIEW_EXPIRED',
+      message: `Preview ${correlationId} is older than ${Math.round(PREVIEW_TTL_MS / 60000)} minutes - preview again`
+    };
+  }
+
+  return {
+    success: true,
+    previewed: {
+      refundParams: result.refundParams,
+      preview: result.preview,
+      orderFingerprint: result.orderFingerprint,
+      previewedAt: record.completedAt
+    }
+  };
+}
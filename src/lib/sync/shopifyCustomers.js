@@ -0,0 +1,158 @@
+/**
+ * Shopify Customer Sync
+ * Processing of Shopify customers/create, customers/update and customers/delete events into
+ * Bitrix contacts. Runs inside the job worker.
+ *
+ * A customer is resolved to a contact through the persistent customer ↔ contact link
+ * (bitrix/customerLinks.js), then the regular contact matching (e-mail, phone, name + city).
+ * The link is recorded either way, so later orders of the customer attach to the contact
+ * without matching. Ambiguous matches create nothing - the first order flags them for review.
+ * Deleted customers lose the link and the ORIGIN_ID marker on the contact (which would restore
+ * the link); the contact itself stays, deals still reference it.
+ */
+
+import { callBitrixAPI, getBitrixWebhookBase } from '../bitrix/client.js';
+import {
+  findContactByShopifyCustomer,
+  matchBitrixContact,
+  syncContactFields,
+  createContactForPerson,
+  rememberCustomerContact,
+  forgetCustomerContact,
+  withCustomerLease
+} from '../bitrix/contact.js';
+import { extractShopifyCustomer, mapCustomerContactFields } from '../bitrix/customerMapper.js';
+import { idempotencyStore, claimWebhookDelivery } from '../idempotency/index.js';
+
+export const CUSTOMER_TOPICS = ['customers/create', 'customers/update', 'customers/delete'];
+
+/**
+ * Create or update the Bitrix contact of a Shopify customer
+ * @param {Object} customer - Shopify customer (customers/create or customers/update payload)
+ * @returns {Promise<Object>} { shopifyCustomerId, contactId, action: created|updated|unchanged|ambiguous|skipped, matchedBy, fields }
+ */
+export async function syncShopifyCustomer(customer) {
+  const webhookUrl = getBitrixWebhookBase();
+  const person = extractShopifyCustomer(customer);
+  const extraFields = mapCustomerContactFields(customer);
+  const shopifyCustomerId = person.shopifyCustomerId;
+
+  return withCustomerLease(shopifyCustomerId, async () => {
+    let contact = await findContactByShopifyCustomer(webhookUrl, shopifyCustomerId);
+    let matchedBy = contact ? 'customer_link' : null;
+
+    if (!contact) {
+      const match = await matchBitrixContact(webhookUrl, person);
+      if (match.ambiguous) {
+        console.warn(`[SHOPIFY CUSTOMERS] ⚠️ Ambiguous ${match.matchedBy} match for customer ${shopifyCustomerId}: ${match.candidates.map(candidate => `${candidate.id} (${candidate.score})`).join(', ')} - not creating a contact`);
+        return { shopifyCustomerId, contactId: null, action: 'ambiguous', matchedBy: match.matchedBy, fields: [] };
+      }
+      contact = match.contact;
+      matchedBy = match.matchedBy;
+    }
+
+    if (!contact) {
+      if (!person.email && !person.rawPhone) {
+        console.log(`[SHOPIFY CUSTOMERS] Customer ${shopifyCustomerId} has no e-mail or phone and matched no contact, skipping`);
+        return { shopifyCustomerId, contactId: null, action: 'skipped', matchedBy: null, fields: [] };
+      }
+      const contactId = await createContactForPerson(webhookUrl, person, extraFields, 'customer');
+      if (!contactId) {
+        throw new Error(`Failed to create contact for Shopify customer ${shopifyCustomerId}`);
+      }
+      return { shopifyCustomerId, contactId, action: 'created', matchedBy: null, fields: [] };
+    }
+
+    const synced = await syncContactFields(webhookUrl, contact, person, extraFields);
+    if (matchedBy !== 'customer_link') {
+      await rememberCustomerContact(webhookUrl, contact, shopifyCustomerId, 'customer');
+    }
+    return {
+      shopifyCustomerId,
+      contactId: parseInt(contact.ID),
+      action: synced.updated ? 'updated' : 'unchanged',
+      matchedBy,
+      fields: synced.fields
+    };
+  });
+}
+
+/**
+ * Unlink a deleted Shopify customer from its contact and note the deletion on the contact
+ * Runs under the customer lease, so an order of the customer in flight can't re-link it halfway
+ * @param {string|number} shopifyCustomerId - Shopify customer id
+ * @returns {Promise<Object>} { shopifyCustomerId, contactId }
+ */
+async function unlinkDeletedCustomer(shopifyCustomerId) {
+  const webhookUrl = getBitrixWebhookBase();
+  const { contactId } = await withCustomerLease(shopifyCustomerId, () => forgetCustomerContact(webhookUrl, shopifyCustomerId));
+  if (!contactId) {
+    return { shopifyCustomerId: String(shopifyCustomerId), contactId: null };
+  }
+
+  try {
+    await callBitrixAPI(webhookUrl, 'crm.timeline.comment.add', {
+      fields: {
+        ENTITY_ID: contactId,
+        ENTITY_TYPE: 'contact',
+        COMMENT: `Shopify customer ${shopifyCustomerId} was deleted in Shopify. The contact is kept; new orders are no longer linked to it automatically.`
+      }
+    });
+  } catch (commentError) {
+    console.error(`[SHOPIFY CUSTOMERS] ⚠️ Deletion comment on contact ${contactId} failed (non-blocking):`, commentError.message);
+  }
+  return { shopifyCustomerId: String(shopifyCustomerId), contactId };
+}
+
+/**
+ * Process one Shopify customer webhook delivery (job handler for shopify.customer_event)
+ * @param {Object} payload - { topic, customer, webhookId }
+ * @returns {Promise<Object>} Result
+ */
+export async function processShopifyCustomerEvent({ topic, customer, webhookId = null }) {
+  const customerId = customer?.id || null;
+
+  // ✅ IDEMPOTENCY: Same X-Shopify-Webhook-Id claim as order events
+  const delivery = await claimWebhookDelivery(webhookId, { topic, customerId }, '[SHOPIFY CUSTOMERS]');
+  if (delivery.duplicate) {
+    return delivery.duplicate;
+  }
+  const idempotencyKey = delivery.key;
+
+  try {
+    let result;
+    if (!customerId) {
+      console.log(`[SHOPIFY CUSTOMERS] ⚠️ ${topic} without customer id, skipping`);
+      result = { topic, customerId: null, skipped: true };
+    } else if (topic === 'customers/delete') {
+      // Delete payload is only { id } - the contact is kept, only the link and ORIGIN_ID go
+      const unlinked = await unlinkDeletedCustomer(customerId);
+      result = { topic, customerId, contactId: unlinked.contactId, action: unlinked.contactId ? 'unlinked' : 'not_linked' };
+    } else if (topic === 'customers/create' || topic === 'customers/update') {
+      const synced = await syncShopifyCustomer(customer);
+      result = { topic, customerId, contactId: synced.contactId, action: synced.action, matchedBy: synced.matchedBy, fields: synced.fields };
+    } else {
+      console.log(`[SHOPIFY CUSTOMERS] ⚠️ Unhandled topic: ${topic}, skipping`);
+      result = { topic, customerId, skipped: true };
+    }
+
+    console.log(JSON.stringify({
+      event: 'SHOPIFY_CUSTOMER_SYNCED',
+      ...result,
+      timestamp: new Date().toISOString()
+    }));
+
+    if (idempotencyKey) {
+      await idempotencyStore.complete(idempotencyKey, result)
+        .catch(error => console.error('[SHOPIFY CUSTOMERS] ⚠️ Failed to record idempotency result:', error.message));
+    }
+    return result;
+  } catch (e) {
+    if (idempotencyKey) {
+      await idempotencyStore.fail(idempotencyKey, e)
+        .catch(error => console.error('[SHOPIFY CUSTOMERS] ⚠️ Failed to record idempotency failure:', error.message));
+    }
+    console.error('[SHOPIFY CUSTOMERS] ❌ Error:', { message: e.message, topic, customerId });
+    throw e;
+  }
+}
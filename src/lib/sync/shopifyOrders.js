@@ -0,0 +1,825 @@
+/**
+ * Shopify Order Sync
+ * Processing of Shopify orders/create and orders/updated events into Bitrix deals.
+ * Runs inside the job worker (see src/lib/queue), not in the webhook request.
+ */
+
+import { successAdapter } from '../adapters/success/index.js';
+import { callBitrix, callBitrixBatch, getBatchError, getBitrixWebhookBase, classifyBitrixError } from '../bitrix/client.js';
+import { mapShopifyOrderToBitrixDeal } from '../bitrix/orderMapper.js';
+import { upsertBitrixContact } from '../bitrix/contact.js';
+import { upsertBitrixCompany } from '../bitrix/company.js';
+import { BITRIX_CONFIG } from '../bitrix/config.js';
+import { planOrderStageTransition } from '../bitrix/stageMachine.js';
+import { getDealFieldId, getUpdateFieldIds, getFieldMapping } from '../bitrix/fieldMapping.js';
+import { resolveOrderProductIds } from '../bitrix/skuResolver.js';
+import { assignResponsible } from '../bitrix/responsible.js';
+import { idempotencyStore, claimWebhookDelivery } from '../idempotency/index.js';
+import { withOrderLock } from '../locks/index.js';
+import { checkOrderEcho, recordOrderSync, ECHO_DECISIONS } from './echoGuard.js';
+
+/**
+ * Apply the category stage machine to an update of an existing deal
+ * Sets fields.STAGE_ID only when the transition from the deal's current stage is allowed;
+ * rejected transitions (regressions like WON → NEW) leave the stage untouched and are logged
+ * @param {Object} deal - Existing deal ({ ID, CATEGORY_ID, STAGE_ID })
+ * @param {Object} order - Shopify order
+ * @param {Object} fields - Update fields (mutated)
+ * @returns {Object} Transition plan from planOrderStageTransition
+ */
+function applyStageTransition(deal, order, fields) {
+  const plan = planOrderStageTransition({
+    categoryId: deal.CATEGORY_ID,
+    currentStageId: deal.STAGE_ID,
+    order,
+  });
+
+  if (plan.stageId) {
+    fields.STAGE_ID = plan.stageId;
+  } else {
+    delete fields.STAGE_ID;
+  }
+
+  console.log(JSON.stringify({
+    event: plan.allowed ? 'STAGE_TRANSITION_PLANNED' : 'STAGE_TRANSITION_REJECTED',
+    dealId: deal.ID,
+    shopifyOrderId: String(order.id),
+    categoryId: deal.CATEGORY_ID,
+    fromStageId: deal.STAGE_ID,
+    targetStageId: plan.targetStageId,
+    regression: plan.regression,
+    reason: plan.reason,
+    financialStatus: order.financial_status,
+    fulfillmentStatus: order.fulfillment_status || null,
+    cancelled: !!order.cancelled_at,
+    timestamp: new Date().toISOString()
+  }));
+
+  return plan;
+}
+
+/**
+ * Verify deal exists in Bitrix and get full details
+ * @param {string} dealId - Deal ID to verify
+ * @returns {Promise<Object|null>} Deal data or null if not found
+ */
+async function verifyDeal(dealId) {
+  try {
+    const dealResp = await callBitrix('/crm.deal.get.json', {
+      id: dealId,
+    });
+
+    if (dealResp.result) {
+      console.log(`[SHOPIFY WEBHOOK] ✅ Deal verified: ID=${dealId}, TITLE=${dealResp.result.TITLE}, OPPORTUNITY=${dealResp.result.OPPORTUNITY}`);
+      return dealResp.result;
+    }
+    
+    console.warn(`[SHOPIFY WEBHOOK] ⚠️ Deal verification failed: Deal ${dealId} not found in Bitrix`);
+    return null;
+  } catch (error) {
+    console.error(`[SHOPIFY WEBHOOK] ❌ Deal verification error for ${dealId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Verify deal from a crm.deal.get command batched with the write (verifyDeal without a round-trip)
+ * @param {string} dealId - Deal ID
+ * @param {Object} batch - callBitrixBatch result
+ * @param {string} key - Key of the crm.deal.get command
+ * @returns {Object|null} Deal data or null if not found
+ */
+function verifyDealFromBatch(dealId, batch, key = 'deal') {
+  const deal = batch.results[key];
+  if (deal && typeof deal === 'object') {
+    console.log(`[SHOPIFY WEBHOOK] ✅ Deal verified: ID=${dealId}, TITLE=${deal.TITLE}, OPPORTUNITY=${deal.OPPORTUNITY}`);
+    return deal;
+  }
+
+  const error = getBatchError(batch, key);
+  if (error) {
+    console.error(`[SHOPIFY WEBHOOK] ❌ Deal verification error for ${dealId}:`, error);
+  } else {
+    console.warn(`[SHOPIFY WEBHOOK] ⚠️ Deal verification failed: Deal ${dealId} not found in Bitrix`);
+  }
+  return null;
+}
+
+/**
+ * Validate deal fields before sending to Bitrix
+ * @param {Object} dealFields - Deal fields to validate
+ * @returns {Object} { valid: boolean, errors: Array<string>, warnings: Array<string> }
+ */
+function validateDealFields(dealFields) {
+  const errors = [];
+  const warnings = [];
+
+  // Check for zero or null amount
+  const amount = Number(dealFields.OPPORTUNITY || 0);
+  if (amount === 0 || isNaN(amount)) {
+    warnings.push('Deal amount is 0 or invalid - may be deleted by Bitrix robots');
+  }
+
+  // Check for required fields (adjust based on your Bitrix configuration)
+  if (!dealFields.TITLE || dealFields.TITLE.trim() === '') {
+    errors.push('TITLE is required');
+  }
+
+  if (!dealFields.CATEGORY_ID) {
+    warnings.push('CATEGORY_ID is missing - may use default category');
+  }
+
+  if (!dealFields.STAGE_ID) {
+    warnings.push('STAGE_ID is missing - may use default stage');
+  }
+
+  // Check for Shopify Order ID
+  const shopifyOrderIdField = getDealFieldId('shopifyOrderId');
+  if (!dealFields[shopifyOrderIdField]) {
+    warnings.push(`${shopifyOrderIdField} (Shopify Order ID) is missing`);
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings
+  };
+}
+
+/**
+ * Create deal with retry logic and duplicate handling (Optimistic Locking)
+ * Uses Bitrix API as source of truth to handle race conditions
+ * 
+ * The new deal's product rows and verification read go in the same batch as crm.deal.add
+ * ($result[add] is the new deal ID); a duplicate found instead leaves the rows to the caller.
+ *
+ * @param {Object} dealFields - Deal fields to create
+ * @param {string} shopifyOrderId - Shopify order ID for duplicate detection
+ * @param {number} maxRetries - Maximum number of retry attempts (default: 3)
+ * @param {Array} productRows - Product rows of the new deal
+ * @returns {Promise<Object>} { success: boolean, dealId: string, wasDuplicate: boolean, productRowsSet: boolean, errorType?: string }
+ */
+async function createDealWithRetry(dealFields, shopifyOrderId, maxRetries = 3, productRows = []) {
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      console.log(`[SHOPIFY WEBHOOK] Creating deal attempt ${attempt}/${maxRetries} for order ${shopifyOrderId}`);
+      
+      // Try to create deal (rows and verification only take effect if the add succeeds)
+      const commands = { add: ['crm.deal.add', { fields: dealFields }] };
+      if (productRows.length > 0) {
+        commands.rows = ['crm.deal.productrows.set', { id: '$result[add]', rows: productRows }];
+      }
+      commands.deal = ['crm.deal.get', { id: '$result[add]' }];
+      const batch = await callBitrixBatch(commands);
+      const dealAddResp = batch.results.add
+        ? { result: batch.results.add }
+        : batch.errors.add || { error: 'UNKNOWN', error_description: 'crm.deal.add returned no result' };
+
+      // Success case
+      if (dealAddResp.result) {
+        const dealId = dealAddResp.result;
+        console.log(`[SHOPIFY WEBHOOK] ✅ Deal created successfully on attempt ${attempt}: ${dealId}`);
+
+        let productRowsSet = false;
+        if (commands.rows) {
+          const productRowsError = getBatchError(batch, 'rows');
+          if (productRowsError) {
+            console.error(`[SHOPIFY WEBHOOK] Product rows error (non-blocking):`, productRowsError);
+          } else {
+            productRowsSet = true;
+            console.log(`[SHOPIFY WEBHOOK] Product rows set for deal ${dealId}: ${productRows.length} rows`);
+          }
+        }
+        
+        // Verify deal exists and get details
+        const verifiedDeal = verifyDealFromBatch(dealId, batch);
+        if (verifiedDeal) {
+          console.log(`[SHOPIFY WEBHOOK] ✅ Deal verified after creation:`, {
+            ID: verifiedDeal.ID,
+            TITLE: verifiedDeal.TITLE,
+            OPPORTUNITY: verifiedDeal.OPPORTUNITY,
+            STAGE_ID: verifiedDeal.STAGE_ID,
+            CATEGORY_ID: verifiedDeal.CATEGORY_ID,
+            shopifyOrderId: verifiedDeal[getDealFieldId('shopifyOrderId')]
+          });
+        } else {
+          console.warn(`[SHOPIFY WEBHOOK] ⚠️ Deal ${dealId} was created but verification failed - deal may have been deleted`);
+        }
+        
+        return { 
+          success: true, 
+          dealId,
+          wasDuplicate: false,
+          productRowsSet,
+          attempt,
+          verifiedDeal
+        };
+      }
+
+      // Check for duplicate error in response
+      if (dealAddResp.error) {
+        const errorInfo = classifyBitrixError(dealAddResp);
+        
+        // Log error with classification
+        console.error(`[SHOPIFY WEBHOOK] ❌ Bitrix API error (${errorInfo.type}): ${errorInfo.message}`, {
+          errorCode: errorInfo.code,
+          shopifyOrderId,
+          attempt,
+          dealFields: Object.keys(dealFields)
+        });
+        
+        // Handle duplicate errors
+        if (errorInfo.type === 'DUPLICATE') {
+          console.log(`[SHOPIFY WEBHOOK] ⚠️ Duplicate detected on attempt ${attempt}, finding existing deal`);
+          
+          // Wait a bit for Bitrix to commit the transaction (exponential backoff)
+          const waitTime = Math.min(100 * attempt, 500);
+          await new Promise(resolve => setTimeout(resolve, waitTime));
+          
+          // Find existing deal
+          const existingDealResp = await callBitrix('/crm.deal.list.json', {
+            filter: { [getDealFieldId('shopifyOrderId')]: shopifyOrderId },
+            select: ['ID', 'TITLE', 'OPPORTUNITY', 'STAGE_ID'],
+          });
+
+          if (existingDealResp.result && existingDealResp.result.length > 0) {
+            const dealId = existingDealResp.result[0].ID;
+            console.log(`[SHOPIFY WEBHOOK] ✅ Found existing deal ${dealId} after duplicate error (attempt ${attempt})`);
+            
+            // Verify the found deal
+            const verifiedDeal = await verifyDeal(dealId);
+            
+            return { 
+              success: true, 
+              dealId, 
+              wasDuplicate: true,
+              attempt,
+              verifiedDeal
+            };
+          }
+          
+          // Deal not found yet, might be in process - retry
+          console.log(`[SHOPIFY WEBHOOK] Deal not found yet after duplicate error, will retry`);
+        }
+        
+        // For validation errors, don't retry - log and throw
+        if (errorInfo.type === 'VALIDATION') {
+          console.error(`[SHOPIFY WEBHOOK] ❌ Validation error - stopping retries:`, {
+            message: errorInfo.message,
+            code: errorInfo.code,
+            shopifyOrderId,
+            missingFields: errorInfo.details
+          });
+          const error = new Error(`Validation error: ${errorInfo.message}`);
+          error.errorType = 'VALIDATION';
+          error.errorDetails = errorInfo.details;
+          throw error;
+        }
+        
+        // For permission errors, don't retry - log and throw
+        if (errorInfo.type === 'PERMISSION') {
+          console.error(`[SHOPIFY WEBHOOK] ❌ Permission error - stopping retries:`, {
+            message: errorInfo.message,
+            code: errorInfo.code,
+            shopifyOrderId
+          });
+          const error = new Error(`Permission error: ${errorInfo.message}`);
+          error.errorType = 'PERMISSION';
+          error.errorDetails = errorInfo.details;
+          throw error;
+        }
+      }
+
+      // If not a duplicate error, throw to be handled by retry logic
+      throw new Error(`Failed to create deal: ${JSON.stringify(dealAddResp)}`);
+      
+    } catch (error) {
+      const errorType = error.errorType || 'UNKNOWN';
+      const errorMsg = error.message.toLowerCase();
+      
+      // Don't retry validation or permission errors
+      if (errorType === 'VALIDATION' || errorType === 'PERMISSION') {
+        console.error(`[SHOPIFY WEBHOOK] ❌ ${errorType} error - not retrying:`, {
+          message: error.message,
+          errorDetails: error.errorDetails,
+          shopifyOrderId,
+          attempt
+        });
+        throw error;
+      }
+      
+      // Check if error message indicates duplicate
+      const isDuplicateInMessage = 
+        errorMsg.includes('duplicate') || 
+        errorMsg.includes('already exists') ||
+        errorMsg.includes('уже существует');
+      
+      if (isDuplicateInMessage) {
+        // Wait and retry finding existing deal
+        const waitTime = Math.min(200 * attempt, 1000);
+        await new Promise(resolve => setTimeout(resolve, waitTime));
+        
+        const existingDealResp = await callBitrix('/crm.deal.list.json', {
+          filter: { [getDealFieldId('shopifyOrderId')]: shopifyOrderId },
+          select: ['ID', 'TITLE', 'OPPORTUNITY', 'STAGE_ID'],
+        });
+
+        if (existingDealResp.result && existingDealResp.result.length > 0) {
+          const dealId = existingDealResp.result[0].ID;
+          console.log(`[SHOPIFY WEBHOOK] ✅ Found existing deal ${dealId} from error message (attempt ${attempt})`);
+          
+          // Verify the found deal
+          const verifiedDeal = await verifyDeal(dealId);
+          
+          return { 
+            success: true, 
+            dealId, 
+            wasDuplicate: true,
+            attempt,
+            verifiedDeal
+          };
+        }
+      }
+
+      // If last attempt, throw error with full context
+      if (attempt === maxRetries) {
+        console.error(`[SHOPIFY WEBHOOK] ❌ Failed to create deal after ${maxRetries} attempts:`, {
+          error: error.message,
+          errorType: errorType,
+          errorDetails: error.errorDetails,
+          shopifyOrderId,
+          attempts: maxRetries
+        });
+        throw error;
+      }
+
+      // Exponential backoff for retry
+      const delay = Math.min(1000 * Math.pow(2, attempt - 1), 5000);
+      console.log(`[SHOPIFY WEBHOOK] Retry attempt ${attempt + 1}/${maxRetries} after ${delay}ms delay (error type: ${errorType})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+  
+  // Should never reach here, but just in case
+  throw new Error(`Failed to create deal after ${maxRetries} attempts`);
+}
+
+/**
+ * Handle order created event - create deal in Bitrix
+ * Includes duplicate prevention by checking for existing deal
+ */
+async function handleOrderCreated(order) {
+  const shopifyOrderId = String(order.id);
+  
+  console.log(`[SHOPIFY WEBHOOK] Handling order created: ${order.name || order.id}`);
+  console.log(`[SHOPIFY WEBHOOK] Order data:`, {
+    id: order.id,
+    name: order.name,
+    total_price: order.total_price,
+    current_total_price: order.current_total_price,
+    financial_status: order.financial_status,
+    line_items_count: order.line_items?.length || 0
+  });
+
+  // ✅ DUPLICATE PREVENTION: Check if deal already exists
+  try {
+    const existingDealResp = await callBitrix('/crm.deal.list.json', {
+      filter: { [getDealFieldId('shopifyOrderId')]: shopifyOrderId },
+      select: ['ID', 'TITLE', 'OPPORTUNITY', 'STAGE_ID', 'CATEGORY_ID', 'CONTACT_ID'],
+    });
+
+    if (existingDealResp.result && existingDealResp.result.length > 0) {
+      const existingDeal = existingDealResp.result[0];
+      const dealId = existingDeal.ID;
+      
+      console.log(`[SHOPIFY WEBHOOK] ⚠️ Deal already exists for Shopify order ${shopifyOrderId}: Deal ID ${dealId}`);
+      console.log(`[SHOPIFY WEBHOOK] Skipping creation to prevent duplicate. Updating existing deal instead.`);
+      
+      // Update existing deal instead of creating duplicate
+      const productIds = await resolveOrderProductIds(order);
+      const { dealFields, productRows } = mapShopifyOrderToBitrixDeal(order, { productIds });
+      
+      // Upsert contact (non-blocking)
+      let contactId = null;
+      try {
+        const bitrixBase = getBitrixWebhookBase();
+        // A deal that already has a contact needs no review of an ambiguous match
+        contactId = await upsertBitrixContact(bitrixBase, order, { flagAmbiguous: !Number(existingDeal.CONTACT_ID) });
+        if (contactId) {
+          dealFields.CONTACT_ID = contactId;
+        }
+      } catch (contactError) {
+        console.error('[SHOPIFY WEBHOOK] Contact upsert failed (non-blocking):', contactError);
+      }
+
+      // Upsert company of B2B orders (non-blocking)
+      try {
+        const companyId = await upsertBitrixCompany(getBitrixWebhookBase(), order, { contactId });
+        if (companyId) {
+          dealFields.COMPANY_ID = companyId;
+        }
+      } catch (companyError) {
+        console.error('[SHOPIFY WEBHOOK] Company upsert failed (non-blocking):', companyError);
+      }
+
+      // CATEGORY_ID is immutable after creation; stage only moves along the category's stage machine
+      delete dealFields.CATEGORY_ID;
+      applyStageTransition(existingDeal, order, dealFields);
+
+      // Validate before update
+      const validation = validateDealFields(dealFields);
+      if (validation.warnings.length > 0) {
+        console.warn(`[SHOPIFY WEBHOOK] ⚠️ Validation warnings before update:`, validation.warnings);
+      }
+
+      // Update deal fields, product rows and read the deal back in one batch
+      const batch = await callBitrixBatch({
+        update: ['crm.deal.update', { id: dealId, fields: dealFields }],
+        ...(productRows.length > 0 && { rows: ['crm.deal.productrows.set', { id: dealId, rows: productRows }] }),
+        deal: ['crm.deal.get', { id: dealId }],
+      });
+      const updateError = getBatchError(batch, 'update');
+      if (updateError) {
+        throw updateError;
+      }
+      console.log(`[SHOPIFY WEBHOOK] ✅ Existing deal ${dealId} updated`);
+
+      const productRowsError = getBatchError(batch, 'rows');
+      if (productRowsError) {
+        console.error(`[SHOPIFY WEBHOOK] Product rows update error (non-blocking):`, productRowsError);
+      } else if (productRows.length > 0) {
+        console.log(`[SHOPIFY WEBHOOK] Product rows updated for deal ${dealId}: ${productRows.length} rows`);
+      }
+
+      // Verify updated deal
+      const verifiedDeal = verifyDealFromBatch(dealId, batch);
+      if (verifiedDeal) {
+        console.log(`[SHOPIFY WEBHOOK] ✅ Deal verified after update:`, {
+          ID: verifiedDeal.ID,
+          TITLE: verifiedDeal.TITLE,
+          OPPORTUNITY: verifiedDeal.OPPORTUNITY,
+          STAGE_ID: verifiedDeal.STAGE_ID
+        });
+      }
+
+      // Store successful update operation
+      try {
+        await successAdapter.storeOperation({
+          operationType: 'UPDATE',
+          dealId: dealId,
+          shopifyOrderId: shopifyOrderId,
+          shopifyOrderName: order.name,
+          dealData: verifiedDeal || existingDeal,
+          verified: !!verifiedDeal,
+          productRowsCount: productRows.length
+        });
+      } catch (storeError) {
+        console.error(`[SHOPIFY WEBHOOK] ⚠️ Failed to store success operation (non-blocking):`, storeError);
+      }
+
+      return dealId;
+    }
+  } catch (checkError) {
+    console.error(`[SHOPIFY WEBHOOK] ⚠️ Error checking for existing deal (non-blocking, will attempt creation):`, checkError);
+    // Continue with creation if check fails
+  }
+
+  // Map order to Bitrix deal
+  // Link rows to catalog products (lookup/create by SKU); unresolved SKUs stay custom rows
+  const productIds = await resolveOrderProductIds(order);
+  // Responsible from the roster; advances the rotation, so only on the create path
+  const { assigneeId } = await assignResponsible(order);
+  const { dealFields, productRows } = mapShopifyOrderToBitrixDeal(order, { productIds, assigneeId });
+  
+  console.log(`[SHOPIFY WEBHOOK] Mapped dealFields:`, JSON.stringify(dealFields, null, 2));
+  console.log(`[SHOPIFY WEBHOOK] Mapped productRows count:`, productRows.length);
+  if (productRows.length > 0) {
+    console.log(`[SHOPIFY WEBHOOK] First product row:`, JSON.stringify(productRows[0], null, 2));
+  }
+
+  // ✅ VALIDATION: Validate deal fields before sending
+  const validation = validateDealFields(dealFields);
+  if (validation.warnings.length > 0) {
+    console.warn(`[SHOPIFY WEBHOOK] ⚠️ Validation warnings:`, validation.warnings);
+  }
+  if (!validation.valid) {
+    console.error(`[SHOPIFY WEBHOOK] ❌ Validation errors:`, validation.errors);
+    const error = new Error(`Validation failed: ${validation.errors.join(', ')}`);
+    error.errorType = 'VALIDATION';
+    throw error;
+  }
+
+  // Upsert contact (non-blocking)
+  let contactId = null;
+  try {
+    const bitrixBase = getBitrixWebhookBase();
+    contactId = await upsertBitrixContact(bitrixBase, order);
+    if (contactId) {
+      dealFields.CONTACT_ID = contactId;
+    }
+  } catch (contactError) {
+    console.error('[SHOPIFY WEBHOOK] Contact upsert failed (non-blocking):', contactError);
+  }
+
+  // Upsert company of B2B orders (non-blocking)
+  try {
+    const companyId = await upsertBitrixCompany(getBitrixWebhookBase(), order, { contactId });
+    if (companyId) {
+      dealFields.COMPANY_ID = companyId;
+    }
+  } catch (companyError) {
+    console.error('[SHOPIFY WEBHOOK] Company upsert failed (non-blocking):', companyError);
+  }
+
+  // ✅ STEP 2: Create deal with retry logic and duplicate handling (Optimistic Locking)
+  console.log(`[SHOPIFY WEBHOOK] Creating new deal in Bitrix with fields:`, Object.keys(dealFields));
+  
+  const createResult = await createDealWithRetry(dealFields, shopifyOrderId, 3, productRows);
+  
+  if (!createResult.success) {
+    throw new Error('Failed to create deal after retries');
+  }
+
+  const dealId = createResult.dealId;
+  const verifiedDeal = createResult.verifiedDeal;
+  
+  if (createResult.wasDuplicate) {
+    console.log(`[SHOPIFY WEBHOOK] ✅ Deal was duplicate, using existing: ${dealId} (found on attempt ${createResult.attempt})`);
+  } else {
+    console.log(`[SHOPIFY WEBHOOK] ✅ Deal created successfully: ${dealId} (attempt ${createResult.attempt})`);
+  }
+
+  // 2. Set product rows (a new deal got them in the creation batch)
+  if (productRows.length > 0 && createResult.wasDuplicate) {
+    try {
+      await callBitrix('/crm.deal.productrows.set.json', {
+        id: dealId,
+        rows: productRows,
+      });
+      console.log(`[SHOPIFY WEBHOOK] Product rows set for deal ${dealId}: ${productRows.length} rows`);
+    } catch (productRowsError) {
+      console.error(`[SHOPIFY WEBHOOK] Product rows error (non-blocking):`, productRowsError);
+      // Don't throw - deal is already created
+    }
+  }
+
+  // ✅ Store successful operation
+  try {
+    await successAdapter.storeOperation({
+      operationType: createResult.wasDuplicate ? 'UPDATE' : 'CREATE',
+      dealId: dealId,
+      shopifyOrderId: shopifyOrderId,
+      shopifyOrderName: order.name,
+      dealData: verifiedDeal || {
+        ID: dealId,
+        TITLE: dealFields.TITLE,
+        OPPORTUNITY: dealFields.OPPORTUNITY,
+        STAGE_ID: dealFields.STAGE_ID,
+        CATEGORY_ID: dealFields.CATEGORY_ID
+      },
+      attempt: createResult.attempt,
+      wasDuplicate: createResult.wasDuplicate,
+      verified: !!verifiedDeal,
+      productRowsCount: productRows.length
+    });
+    console.log(`[SHOPIFY WEBHOOK] ✅ Success operation stored for deal ${dealId}`);
+  } catch (storeError) {
+    console.error(`[SHOPIFY WEBHOOK] ⚠️ Failed to store success operation (non-blocking):`, storeError);
+  }
+
+  return dealId;
+}
+
+/**
+ * Handle order updated event - update deal in Bitrix
+ * @param {Object} order - Shopify order
+ * @param {Object} options - { keepStage: leave STAGE_ID as is (echo of a middleware write) }
+ */
+async function handleOrderUpdated(order, { keepStage = false } = {}) {
+  console.log(`[SHOPIFY WEBHOOK] Handling order updated: ${order.name || order.id}`);
+
+  const shopifyOrderId = String(order.id);
+
+  // 1. Find deal by the Shopify Order ID field (role shopifyOrderId in the field mapping)
+  // ✅ FIX: Use correct field name that matches orderMapper.js
+  const listResp = await callBitrix('/crm.deal.list.json', {
+    filter: { [getDealFieldId('shopifyOrderId')]: shopifyOrderId },
+    select: ['ID', 'OPPORTUNITY', 'STAGE_ID', 'CATEGORY_ID'],
+  });
+
+  const deal = listResp.result?.[0];
+  if (!deal) {
+    // ✅ CRITICAL FIX: Create deal if not found
+    // This handles case when orders/updated arrives before orders/create
+    // or when deal was not created due to previous error
+    console.log(`[SHOPIFY WEBHOOK] ⚠️ Deal not found for Shopify order ${shopifyOrderId}`);
+    console.log(`[SHOPIFY WEBHOOK] Creating new deal from update event to prevent data loss`);
+    return await handleOrderCreated(order);
+  }
+
+  const dealId = deal.ID;
+  console.log(`[SHOPIFY WEBHOOK] Found deal ${dealId} for order ${shopifyOrderId}`);
+
+  // ✅ Use mapShopifyOrderToBitrixDeal to get all fields consistently (same as create)
+  // This ensures OPPORTUNITY, payment status, stage, and all other fields are calculated correctly
+  const productIds = await resolveOrderProductIds(order);
+  const { dealFields: mappedFields, productRows: mappedProductRows } = mapShopifyOrderToBitrixDeal(order, { productIds });
+  
+  console.log(`[SHOPIFY WEBHOOK] 📊 Mapped fields from orderMapper:`);
+  console.log(`  - OPPORTUNITY: ${mappedFields.OPPORTUNITY}`);
+  console.log(`  - STAGE_ID: ${mappedFields.STAGE_ID}`);
+  for (const role of ['paymentStatus', 'orderTotal', 'paidAmount']) {
+    const fieldId = getDealFieldId(role);
+    console.log(`  - ${getFieldMapping().fields[fieldId]?.label || role} (${fieldId}): ${mappedFields[fieldId]}`);
+  }
+  
+  const currentAmount = Number(deal.OPPORTUNITY || 0);
+  const newAmount = Number(mappedFields.OPPORTUNITY || 0);
+  
+  console.log(`[SHOPIFY WEBHOOK] 💰 Amount comparison:`);
+  console.log(`  - Current in Bitrix: ${currentAmount}`);
+  console.log(`  - New from mapper (sum of active items): ${newAmount}`);
+  if (newAmount !== currentAmount) {
+    console.log(`  - ✅ Amount changed: ${currentAmount} → ${newAmount} (delta: ${newAmount - currentAmount})`);
+  } else {
+    console.log(`  - ⚠️ Amount unchanged: ${newAmount} (updating anyway to ensure sync)`);
+  }
+
+  // 2. Prepare update fields - always update to ensure sync
+  // ✅ Use mapped fields to ensure consistency with create logic
+  const fields = {
+    OPPORTUNITY: mappedFields.OPPORTUNITY,
+    STAGE_ID: mappedFields.STAGE_ID,
+  };
+
+  // UF fields marked onUpdate in the field mapping (payment status, totals, delivery, order type) - only if mapped
+  for (const fieldId of getUpdateFieldIds()) {
+    if (mappedFields[fieldId] !== undefined) {
+      fields[fieldId] = mappedFields[fieldId];
+    }
+  }
+
+  // Note: CATEGORY_ID is immutable after creation, so we don't update it
+
+  // Stage follows the deal's category stage machine; regressions are not written.
+  // Echoes of our own Shopify writes keep the stage the manager set in Bitrix
+  if (keepStage) {
+    delete fields.STAGE_ID;
+    console.log(`[SHOPIFY WEBHOOK] ↩️ Echo of a middleware write: keeping deal ${dealId} stage ${deal.STAGE_ID}`);
+  } else {
+    applyStageTransition(deal, order, fields);
+  }
+
+  // 3. ✅ ALWAYS update product rows (including shipping) to reflect any changes
+  const productRows = mappedProductRows || [];
+  console.log(`[SHOPIFY WEBHOOK] 📦 Product rows mapping result:`);
+  console.log(`  - Total product rows: ${productRows.length}`);
+  console.log(`  - Line items in order: ${order.line_items?.length || 0}`);
+  if (order.line_items && order.line_items.length > 0) {
+    const totalQuantity = order.line_items.reduce((sum, item) => sum + (Number(item.quantity) || 0), 0);
+    const totalCurrentQuantity = order.line_items.reduce((sum, item) => sum + (Number(item.current_quantity ?? item.quantity) || 0), 0);
+    console.log(`  - Total quantity (original): ${totalQuantity}`);
+    console.log(`  - Total quantity (current, after refunds): ${totalCurrentQuantity}`);
+    if (totalQuantity !== totalCurrentQuantity) {
+      console.log(`  - ⚠️ WARNING: Some items were refunded/removed (${totalQuantity - totalCurrentQuantity} items removed)`);
+    }
+  }
+
+  // ✅ ALWAYS update deal fields (even if values are the same, ensures sync and triggers update event).
+  // Fields, product rows and the verification read go in one batch; an empty row list would reach
+  // crm.deal.productrows.set as an empty string, so clearing rows stays a separate call
+  console.log(`[SHOPIFY WEBHOOK] Updating deal ${dealId} with fields:`, Object.keys(fields));
+  const batch = await callBitrixBatch({
+    update: ['crm.deal.update', { id: dealId, fields }],
+    ...(productRows.length > 0 && { rows: ['crm.deal.productrows.set', { id: dealId, rows: productRows }] }),
+    deal: ['crm.deal.get', { id: dealId }],
+  });
+  const updateError = getBatchError(batch, 'update');
+  if (updateError) {
+    throw updateError;
+  }
+  console.log(`[SHOPIFY WEBHOOK] ✅ Deal ${dealId} updated with fields:`, Object.keys(fields));
+
+  if (productRows.length > 0) {
+    const productRowsError = getBatchError(batch, 'rows');
+    if (productRowsError) {
+      // Do not throw to keep the webhook handler resilient
+      console.error(`[SHOPIFY WEBHOOK] ❌ Product rows update error (non-blocking):`, productRowsError);
+    } else {
+      console.log(`[SHOPIFY WEBHOOK] ✅ Product rows updated for deal ${dealId}: ${productRows.length} rows`);
+    }
+  } else {
+    // If no product rows (e.g., all items removed/refunded), clear rows to keep Bitrix in sync
+    console.log(`[SHOPIFY WEBHOOK] ⚠️ No product rows to update (all items may be refunded/removed). Clearing product rows in Bitrix.`);
+    try {
+      await callBitrix('/crm.deal.productrows.set.json', {
+        id: dealId,
+        rows: [],
+      });
+      console.log(`[SHOPIFY WEBHOOK] ✅ Product rows cleared for deal ${dealId} (no active items)`);
+    } catch (productRowsError) {
+      console.error(`[SHOPIFY WEBHOOK] ❌ Product rows update error (non-blocking):`, productRowsError);
+    }
+  }
+
+  // Verify updated deal
+  const verifiedDeal = verifyDealFromBatch(dealId, batch);
+  if (verifiedDeal) {
+    console.log(`[SHOPIFY WEBHOOK] ✅ Deal verified after update:`, {
+      ID: verifiedDeal.ID,
+      TITLE: verifiedDeal.TITLE,
+      OPPORTUNITY: verifiedDeal.OPPORTUNITY,
+      STAGE_ID: verifiedDeal.STAGE_ID
+    });
+  }
+
+  // ✅ Store successful update operation (always, even if values didn't change - we still synced)
+  try {
+    await successAdapter.storeOperation({
+      operationType: 'UPDATE',
+      dealId: dealId,
+      shopifyOrderId: shopifyOrderId,
+      shopifyOrderName: order.name,
+      dealData: verifiedDeal || {
+        ID: dealId,
+        OPPORTUNITY: newAmount,
+        STAGE_ID: deal.STAGE_ID
+      },
+      verified: !!verifiedDeal,
+      updatedFields: Object.keys(fields),
+      productRowsCount: productRows.length
+    });
+    console.log(`[SHOPIFY WEBHOOK] ✅ Success operation stored for deal ${dealId}`);
+  } catch (storeError) {
+    console.error(`[SHOPIFY WEBHOOK] ⚠️ Failed to store success operation (non-blocking):`, storeError);
+  }
+
+  return dealId;
+}
+
+/**
+ * Process one Shopify order webhook delivery (job handler for shopify.order_event)
+ * @param {Object} params - { topic, order, webhookId }
+ * @returns {Promise<Object>} { topic, orderId, dealId } or first result for a repeated delivery
+ * @throws {Error} On failure; errorType 'IN_PROGRESS' when the same delivery is running elsewhere
+ */
+export async function processShopifyOrderEvent({ topic, order, webhookId = null }) {
+  const orderId = order?.id || null;
+
+  // ✅ IDEMPOTENCY: Claim X-Shopify-Webhook-Id so a redelivery short-circuits with the first result
+  const delivery = await claimWebhookDelivery(webhookId, { topic, orderId }, '[SHOPIFY WEBHOOK]');
+  if (delivery.duplicate) {
+    return delivery.duplicate;
+  }
+  const idempotencyKey = delivery.key;
+
+  try {
+    // ✅ PROCESS: Handle order events (create or update)
+    // Both run under the same per-order lease: handleOrderUpdated falls back to handleOrderCreated,
+    // so a near-simultaneous create + update would otherwise both reach crm.deal.add
+    let dealId = null;
+    let echo = null;
+    if (topic === 'orders/create') {
+      console.log(`[SHOPIFY WEBHOOK] 🔄 Processing orders/create event...`);
+      dealId = await withOrderLock(orderId, async () => {
+        const createdDealId = await handleOrderCreated(order);
+        await recordOrderSync(order);
+        return createdDealId;
+      });
+    } else if (topic === 'orders/updated') {
+      console.log(`[SHOPIFY WEBHOOK] 🔄 Processing orders/updated event...`);
+      dealId = await withOrderLock(orderId, async () => {
+        // ✅ ECHO GUARD: fulfillments/refunds/address changes made by the middleware come back as orders/updated
+        echo = await checkOrderEcho(order, { topic, webhookId });
+        if (echo.decision === ECHO_DECISIONS.SUPPRESS) {
+          console.log(`[SHOPIFY WEBHOOK] ↩️ Echo of middleware ${echo.marker?.action || 'write'} suppressed for order ${orderId}`);
+          return null;
+        }
+        const updatedDealId = await handleOrderUpdated(order, { keepStage: echo.decision === ECHO_DECISIONS.DOWNGRADE });
+        await recordOrderSync(order, echo.marker);
+        return updatedDealId;
+      });
+    } else {
+      console.log(`[SHOPIFY WEBHOOK] ⚠️ Unhandled topic: ${topic}, skipping Bitrix processing`);
+    }
+
+    const result = { topic, orderId, dealId, ...(echo ? { echo: echo.decision, echoReason: echo.reason } : {}) };
+    if (idempotencyKey) {
+      await idempotencyStore.complete(idempotencyKey, result)
+        .catch(error => console.error('[SHOPIFY WEBHOOK] ⚠️ Failed to record idempotency result:', error.message));
+    }
+    return result;
+  } catch (e) {
+    if (idempotencyKey) {
+      await idempotencyStore.fail(idempotencyKey, e)
+        .catch(error => console.error('[SHOPIFY WEBHOOK] ⚠️ Failed to record idempotency failure:', error.message));
+    }
+    console.error('[SHOPIFY WEBHOOK] ❌ Error:', e);
+    console.error('[SHOPIFY WEBHOOK] Error details:', {
+      message: e.message,
+      topic,
+      orderId
+    });
+    throw e;
+  }
+}
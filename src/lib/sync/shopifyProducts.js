@@ -0,0 +1,238 @@
+/**
+ * Shopify Product Sync
+ * Processing of Shopify products/create, products/update and products/delete events into
+ * Bitrix catalog products (one per variant, keyed by SKU). Runs inside the job worker.
+ *
+ * Idempotent per variant: the SKU cache (see bitrix/skuResolver.js) remembers the Bitrix product
+ * and a hash of the last fields sent, so redeliveries and no-op updates make no Bitrix writes.
+ * Deleted products and variants removed from a product are deactivated, never deleted -
+ * existing deals still reference them.
+ */
+
+import { callBitrix } from '../bitrix/client.js';
+import { mapShopifyVariantToCatalogFields, getVariantImageUrl } from '../bitrix/productMapper.js';
+import { skuMappingStore, SKU_STATUSES, findCatalogProductBySku, lookupStaticProductId } from '../bitrix/skuResolver.js';
+import { idempotencyStore, claimWebhookDelivery } from '../idempotency/index.js';
+import { withLease } from '../locks/index.js';
+import { payloadHash } from '../utils/hash.js';
+
+// Shopify product JSON has no currency - prices are in the shop currency
+const SHOP_CURRENCY = process.env.SHOPIFY_CURRENCY || 'EUR';
+const SYNC_IMAGES = process.env.PRODUCT_SYNC_IMAGES !== 'false';
+const IMAGE_TIMEOUT_MS = 15 * 1000;
+
+export const PRODUCT_TOPICS = ['products/create', 'products/update', 'products/delete'];
+
+/**
+ * Download image as Bitrix fileData ([name, base64])
+ * @param {string} url - Image URL (Shopify CDN)
+ * @returns {Promise<Array>} fileData
+ */
+async function fetchImageFileData(url) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(IMAGE_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`Image download failed: HTTP ${response.status}`);
+  }
+  const buffer = Buffer.from(await response.arrayBuffer());
+  const name = decodeURIComponent(new URL(url).pathname.split('/').pop() || 'image.jpg');
+  return [name, buffer.toString('base64')];
+}
+
+/**
+ * Create or update the catalog product of one variant
+ * @param {Object} product - Shopify product
+ * @param {Object} variant - Shopify variant with SKU
+ * @returns {Promise<Object>} { sku, variantId, productId, action: created|updated|unchanged }
+ */
+async function upsertVariantProduct(product, variant) {
+  const sku = String(variant.sku).trim();
+  const fields = mapShopifyVariantToCatalogFields(product, variant, { currency: SHOP_CURRENCY });
+  const imageSrc = SYNC_IMAGES ? getVariantImageUrl(product, variant) : null;
+  const catalogHash = payloadHash({ fields, imageSrc });
+
+  const cached = await skuMappingStore.get(sku);
+  let productId = cached?.status === SKU_STATUSES.MAPPED ? cached.productId : null;
+  let source = cached?.source || null;
+  if (!productId) {
+    const staticMatch = lookupStaticProductId(variant);
+    if (staticMatch) {
+      productId = String(staticMatch.productId);
+      source = staticMatch.source;
+    }
+  }
+  if (!productId) {
+    const existing = await findCatalogProductBySku(sku);
+    if (existing) {
+      productId = String(existing.ID);
+      source = 'catalog';
+    }
+  }
+
+  const now = new Date().toISOString();
+  const link = {
+    shopifyProductId: String(product.id),
+    shopifyVariantId: variant.id ? String(variant.id) : null,
+  };
+
+  if (productId && cached?.catalogHash === catalogHash) {
+    await skuMappingStore.upsert(sku, { ...link, lastSyncedAt: now });
+    return { sku, variantId: link.shopifyVariantId, productId, action: 'unchanged' };
+  }
+
+  // Image only re-uploaded when the source changed - every upload is a new file in Bitrix
+  if (imageSrc && imageSrc !== cached?.imageSrc) {
+    try {
+      const fileData = await fetchImageFileData(imageSrc);
+      fields.PREVIEW_PICTURE = { fileData };
+      fields.DETAIL_PICTURE = { fileData };
+    } catch (imageError) {
+      console.error(`[SHOPIFY PRODUCTS] ⚠️ Image for SKU ${sku} not synced (non-blocking):`, imageError.message);
+    }
+  }
+
+  let action;
+  if (productId) {
+    await callBitrix('/crm.product.update.json', { id: productId, fields });
+    action = 'updated';
+  } else {
+    const response = await callBitrix('/crm.product.add.json', { fields });
+    if (!response.result) {
+      throw new Error(`crm.product.add returned no ID for SKU ${sku}`);
+    }
+    productId = String(response.result);
+    source = 'product_sync';
+    action = 'created';
+  }
+
+  await skuMappingStore.upsert(sku, {
+    status: SKU_STATUSES.MAPPED,
+    productId,
+    source,
+    ...link,
+    catalogHash,
+    // Keep the previous source if the image failed, so the next event retries it
+    imageSrc: fields.DETAIL_PICTURE || !imageSrc ? imageSrc : (cached?.imageSrc || null),
+    deactivated: fields.ACTIVE === 'N',
+    lastSyncedAt: now,
+    lastCheckedAt: now,
+    lastError: null,
+  });
+
+  console.log(JSON.stringify({
+    event: 'SHOPIFY_PRODUCT_VARIANT_SYNCED',
+    action,
+    sku,
+    productId,
+    shopifyProductId: link.shopifyProductId,
+    shopifyVariantId: link.shopifyVariantId,
+    timestamp: now
+  }));
+
+  return { sku, variantId: link.shopifyVariantId, productId, action };
+}
+
+/**
+ * Deactivate catalog products linked to a Shopify product
+ * @param {string|number} shopifyProductId - Shopify product ID
+ * @param {Set<string>} keepSkus - SKUs still present on the product
+ * @returns {Promise<Array>} Deactivated { sku, productId }
+ */
+async function deactivateLinkedProducts(shopifyProductId, keepSkus = new Set()) {
+  const linked = (await skuMappingStore.list({ status: SKU_STATUSES.MAPPED }))
+    .filter(entry => entry.shopifyProductId === String(shopifyProductId) && !keepSkus.has(entry.sku) && !entry.deactivated);
+
+  const deactivated = [];
+  for (const entry of linked) {
+    await withLease(`sku:${entry.sku}`, async () => {
+      await callBitrix('/crm.product.update.json', { id: entry.productId, fields: { ACTIVE: 'N' } });
+      await skuMappingStore.upsert(entry.sku, { deactivated: true, catalogHash: null, lastSyncedAt: new Date().toISOString() });
+    }, { waitMs: 10 * 1000 });
+    deactivated.push({ sku: entry.sku, productId: entry.productId });
+    console.log(JSON.stringify({
+      event: 'SHOPIFY_PRODUCT_VARIANT_DEACTIVATED',
+      sku: entry.sku,
+      productId: entry.productId,
+      shopifyProductId: String(shopifyProductId),
+      timestamp: new Date().toISOString()
+    }));
+  }
+  return deactivated;
+}
+
+/**
+ * Sync all variants of a Shopify product into the Bitrix catalog
+ * @param {Object} product - Shopify product (products/create or products/update payload)
+ * @returns {Promise<Object>} { shopifyProductId, variants, deactivated }
+ */
+export async function syncShopifyProduct(product) {
+  const variants = Array.isArray(product?.variants) ? product.variants : [];
+  const results = [];
+  const skus = new Set();
+
+  for (const variant of variants) {
+    const sku = variant?.sku ? String(variant.sku).trim() : '';
+    if (!sku) {
+      // Without a SKU there is nothing to key the catalog product on
+      results.push({ sku: null, variantId: variant?.id ? String(variant.id) : null, productId: null, action: 'skipped_no_sku' });
+      continue;
+    }
+    skus.add(sku);
+    // Same lease as the SKU resolver, so an order with this SKU can't create a second product
+    results.push(await withLease(`sku:${sku}`, () => upsertVariantProduct(product, variant), { waitMs: 10 * 1000 }));
+  }
+
+  const deactivated = await deactivateLinkedProducts(product.id, skus);
+  return { shopifyProductId: String(product.id), variants: results, deactivated };
+}
+
+/**
+ * Process one Shopify product webhook delivery (job handler for shopify.product_event)
+ * @param {Object} payload - { topic, product, webhookId }
+ * @returns {Promise<Object>} Result
+ */
+export async function processShopifyProductEvent({ topic, product, webhookId = null }) {
+  const productId = product?.id || null;
+
+  // ✅ IDEMPOTENCY: Same X-Shopify-Webhook-Id claim as order events
+  const delivery = await claimWebhookDelivery(webhookId, { topic, productId }, '[SHOPIFY PRODUCTS]');
+  if (delivery.duplicate) {
+    return delivery.duplicate;
+  }
+  const idempotencyKey = delivery.key;
+
+  try {
+    let result;
+    if (!productId) {
+      console.log(`[SHOPIFY PRODUCTS] ⚠️ ${topic} without product id, skipping`);
+      result = { topic, productId: null, skipped: true };
+    } else if (topic === 'products/delete') {
+      // Delete payload is only { id } - everything linked to the product goes inactive
+      const deactivated = await deactivateLinkedProducts(productId);
+      result = { topic, productId, deactivated };
+    } else if (topic === 'products/create' || topic === 'products/update') {
+      const synced = await syncShopifyProduct(product);
+      result = {
+        topic,
+        productId,
+        variants: synced.variants.map(({ sku, productId: bitrixProductId, action }) => ({ sku, productId: bitrixProductId, action })),
+        deactivated: synced.deactivated,
+      };
+    } else {
+      console.log(`[SHOPIFY PRODUCTS] ⚠️ Unhandled topic: ${topic}, skipping`);
+      result = { topic, productId, skipped: true };
+    }
+
+    if (idempotencyKey) {
+      await idempotencyStore.complete(idempotencyKey, result)
+        .catch(error => console.error('[SHOPIFY PRODUCTS] ⚠️ Failed to record idempotency result:', error.message));
+    }
+    return result;
+  } catch (e) {
+    if (idempotencyKey) {
+      await idempotencyStore.fail(idempotencyKey, e)
+        .catch(error => console.error('[SHOPIFY PRODUCTS] ⚠️ Failed to record idempotency failure:', error.message));
+    }
+    console.error('[SHOPIFY PRODUCTS] ❌ Error:', { message: e.message, topic, productId });
+    throw e;
+  }
+}
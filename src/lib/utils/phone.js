@@ -0,0 +1,63 @@
+/**
+ * Phone number normalization
+ * Brings customer-entered numbers to E.164 (+35799123456) so the same phone typed as
+ * "99 123456", "0035799123456" or "+357 99-123-456" compares equal.
+ * National numbers need the customer's country (ISO 3166-1 alpha-2) for the calling code.
+ */
+
+// Calling codes of the countries orders come from; unknown countries only accept international input
+const CALLING_CODES = {
+  AE: '971', AT: '43', AU: '61', BE: '32', BG: '359', BY: '375', CA: '1', CH: '41', CY: '357',
+  CZ: '420', DE: '49', DK: '45', EE: '372', ES: '34', FI: '358', FR: '33', GB: '44', GE: '995',
+  GR: '30', HR: '385', HU: '36', IE: '353', IL: '972', IT: '39', KZ: '7', LT: '370', LU: '352',
+  LV: '371', MT: '356', NL: '31', NO: '47', PL: '48', PT: '351', RO: '40', RS: '381', RU: '7',
+  SE: '46', SI: '386', SK: '421', TR: '90', UA: '380', US: '1',
+};
+
+// Countries whose national numbers keep the leading 0 after the calling code
+const KEEP_TRUNK_ZERO = new Set(['IT']);
+
+const MIN_DIGITS = 8;
+const MAX_DIGITS = 15;
+
+function toE164(digits) {
+  return digits.length >= MIN_DIGITS && digits.length <= MAX_DIGITS && !digits.startsWith('0')
+    ? `+${digits}`
+    : null;
+}
+
+/**
+ * Normalize a phone number to E.164
+ * @param {string} phone - Number as entered by the customer
+ * @param {string} countryCode - Customer country (shipping/billing country_code), used for national numbers
+ * @returns {string|null} E.164 number or null if it cannot be normalized
+ */
+export function normalizePhoneE164(phone, countryCode = null) {
+  if (!phone) {
+    return null;
+  }
+  const raw = String(phone).trim();
+  const digits = raw.replace(/\D/g, '');
+  if (!digits) {
+    return null;
+  }
+
+  if (raw.startsWith('+')) {
+    return toE164(digits);
+  }
+  if (digits.startsWith('00')) {
+    return toE164(digits.slice(2));
+  }
+
+  const country = String(countryCode || '').toUpperCase();
+  const callingCode = CALLING_CODES[country];
+  if (!callingCode) {
+    return null;
+  }
+  // International number typed without "+" ("35799123456")
+  if (digits.startsWith(callingCode) && digits.length >= callingCode.length + MIN_DIGITS) {
+    return toE164(digits);
+  }
+  const national = KEEP_TRUNK_ZERO.has(country) ? digits : digits.replace(/^0/, '');
+  return toE164(`${callingCode}${national}`);
+}
@@ -0,0 +1,61 @@
+/**
+ * callBitrixBatch command encoding (fetch stubbed, webhook mode)
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+const originalFetch = globalThis.fetch;
+let requests = [];
+let client;
+
+before(async () => {
+  delete process.env.BITRIX_AUTH_MODE;
+  process.env.BITRIX_WEBHOOK_BASE = 'https://portal.example/rest/1/hook/';
+  globalThis.fetch = async (url, init) => {
+    requests.push({ url, body: JSON.parse(init.body) });
+    return new Response(JSON.stringify({ result: { result: { update: true }, result_error: [], result_total: [] } }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  };
+  client = await import('../src/lib/bitrix/client.js');
+});
+
+after(() => {
+  globalThis.fetch = originalFetch;
+});
+
+test('null and empty arrays are sent as empty values so crm.deal.update clears the fields', async () => {
+  requests = [];
+  const batch = await client.callBitrixBatch({
+    update: ['crm.deal.update', {
+      id: 42,
+      fields: { TITLE: 'Order #1001', UF_CRM_TRACKING: null, UF_CRM_SIZES: [], UF_CRM_SKIPPED: undefined, CLOSED: false }
+    }]
+  });
+
+  assert.deepEqual(batch.results, { update: true });
+  assert.match(requests[0].url, /\/batch\.json$/);
+  const query = new URLSearchParams(requests[0].body.cmd.update.split('?')[1]);
+  assert.equal(requests[0].body.cmd.update.split('?')[0], 'crm.deal.update');
+  assert.deepEqual([...query.entries()], [
+    ['id', '42'],
+    ['fields[TITLE]', 'Order #1001'],
+    ['fields[UF_CRM_TRACKING]', ''],
+    ['fields[UF_CRM_SIZES]', ''],
+    ['fields[CLOSED]', '0']
+  ]);
+});
+
+test('nested arrays keep PHP indices', async () => {
+  requests = [];
+  await client.callBitrixBatch({
+    rows: ['/crm.deal.productrows.set.json', { id: '$result[add]', rows: [{ PRODUCT_ID: 7, PRICE: 20.99 }] }]
+  });
+
+  assert.equal(
+    decodeURIComponent(requests[0].body.cmd.rows),
+    'crm.deal.productrows.set?id=$result[add]&rows[0][PRODUCT_ID]=7&rows[0][PRICE]=20.99'
+  );
+});
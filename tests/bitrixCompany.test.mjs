@@ -0,0 +1,71 @@
+/**
+ * B2B company find-or-create against a stubbed Bitrix portal (fetch stubbed, webhook mode)
+ */
+
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { useBitrixPortal, WEBHOOK_URL } from './helpers/bitrixPortal.mjs';
+
+let portal;
+let company;
+
+// Just enough of crm.company.* / crm.requisite.* / crm.address.* to find what was created
+useBitrixPortal({
+  'crm.company.list': params => portal.companies.filter(candidate => (params.filter.ORIGIN_ID
+    ? candidate.ORIGIN_ID === params.filter.ORIGIN_ID
+    : candidate.TITLE.includes(params.filter['%TITLE']))),
+  'crm.company.add': params => {
+    portal.companies.push({ ID: String(portal.companies.length + 1), ...params.fields });
+    return portal.companies.length;
+  },
+  'crm.company.update': () => true,
+  'crm.requisite.list': params => portal.requisites.filter(requisite => (params.filter.ENTITY_ID
+    ? requisite.ENTITY_ID === params.filter.ENTITY_ID
+    : params.filter.RQ_VAT_ID.includes(requisite.RQ_VAT_ID))),
+  'crm.requisite.add': params => {
+    portal.requisites.push({ ID: String(portal.requisites.length + 1), ...params.fields });
+    return portal.requisites.length;
+  },
+  'crm.address.list': () => [],
+  'crm.address.add': () => true
+}, {
+  // Slow enough for parallel lookups to miss each other without the lease
+  latencyMs: 20
+});
+
+function b2bOrder(overrides = {}) {
+  return {
+    id: 1001,
+    email: 'buyer@acme.example',
+    billing_address: { company: 'Acme Ltd', address1: 'Main St 1', city: 'Limassol', country: 'Cyprus', country_code: 'CY' },
+    note_attributes: [{ name: 'VAT', value: 'CY10012345X' }],
+    ...overrides
+  };
+}
+
+before(async () => {
+  company = await import('../src/lib/bitrix/company.js');
+});
+
+beforeEach(() => {
+  portal = { companies: [], requisites: [] };
+});
+
+test('parallel orders of a new company create it once', async () => {
+  const ids = await Promise.all([1001, 1002, 1003].map(id => company.upsertBitrixCompany(WEBHOOK_URL, b2bOrder({ id }))));
+
+  assert.equal(portal.companies.length, 1);
+  assert.equal(portal.requisites.length, 1);
+  assert.deepEqual(ids, [1, 1, 1]);
+});
+
+test('lease key follows Shopify company id, then VAT id, then name and country', () => {
+  const acme = { name: 'ACME Limited', countryCode: 'CY', vatId: 'CY10012345X', shopifyCompanyId: 'gid://shopify/Company/7' };
+
+  assert.equal(company.companyLeaseKey(acme), 'company:shopify:gid://shopify/Company/7');
+  assert.equal(company.companyLeaseKey({ ...acme, shopifyCompanyId: null }), 'company:vat:CY10012345X');
+  assert.equal(
+    company.companyLeaseKey({ ...acme, shopifyCompanyId: null, vatId: null }),
+    company.companyLeaseKey({ name: 'Acme Ltd.', countryCode: 'CY', vatId: null, shopifyCompanyId: null })
+  );
+});
@@ -0,0 +1,263 @@
+/**
+ * Bitrix24 OAuth application mode against a local mock portal + OAuth server
+ * (BITRIX_OAUTH_SERVER and the portal's client_endpoint both point at it)
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const MEMBER_ID = 'member-1';
+const APPLICATION_TOKEN = 'app-token-1';
+const OTHER_MEMBER_ID = 'member-2';
+
+// Mock state: valid access tokens, app.info behaviour, every request seen
+const mock = { validTokens: new Set(), appInfoError: null, appClientId: 'client', nextToken: 1, requests: [] };
+let server;
+let domain;
+let oauth;
+let client;
+let installHandler;
+
+function readBody(req) {
+  return new Promise(resolve => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => resolve(data ? JSON.parse(data) : {}));
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+async function handleMockRequest(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const body = req.method === 'POST' ? await readBody(req) : {};
+  mock.requests.push({ path: url.pathname, query: Object.fromEntries(url.searchParams), body });
+
+  if (url.pathname === '/oauth/token/') {
+    if (url.searchParams.get('grant_type') !== 'refresh_token' || url.searchParams.get('client_secret') !== 'secret') {
+      return sendJson(res, 400, { error: 'invalid_grant' });
+    }
+    const accessToken = `access-${++mock.nextToken}`;
+    mock.validTokens.add(accessToken);
+    return sendJson(res, 200, { access_token: accessToken, refresh_token: `refresh-${mock.nextToken}`, expires_in: 3600 });
+  }
+
+  if (url.pathname === '/rest/app.info.json') {
+    if (mock.appInfoError) {
+      return sendJson(res, 401, { error: mock.appInfoError, error_description: 'Invalid token' });
+    }
+    return sendJson(res, 200, { result: { CODE: 'local.mw', CLIENT_ID: mock.appClientId, INSTALLED: true } });
+  }
+
+  if (url.pathname.startsWith('/rest/')) {
+    if (!mock.validTokens.has(body.auth)) {
+      return sendJson(res, 401, { error: 'expired_token', error_description: 'The access token provided has expired.' });
+    }
+    return sendJson(res, 200, { result: { ID: body.id, TITLE: 'Deal' } });
+  }
+
+  sendJson(res, 404, { error: 'NOT_FOUND' });
+}
+
+function mockResponse() {
+  const res = { statusCode: 200, headers: {}, body: null };
+  res.status = code => { res.statusCode = code; return res; };
+  res.json = body => { res.body = body; return res; };
+  res.send = body => { res.body = body; return res; };
+  res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+  return res;
+}
+
+function installEvent(overrides = {}) {
+  return {
+    event: 'ONAPPINSTALL',
+    auth: {
+      access_token: 'access-1',
+      refresh_token: 'refresh-1',
+      expires_in: 3600,
+      member_id: MEMBER_ID,
+      domain,
+      client_endpoint: `http://${domain}/rest/`,
+      application_token: APPLICATION_TOKEN,
+      ...overrides
+    }
+  };
+}
+
+async function install(body) {
+  const res = mockResponse();
+  await installHandler({ method: 'POST', body, query: {}, headers: {} }, res);
+  return res;
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    handleMockRequest(req, res).catch(error => sendJson(res, 500, { error: error.message }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  domain = `127.0.0.1:${server.address().port}`;
+
+  Object.assign(process.env, {
+    BITRIX_AUTH_MODE: 'oauth',
+    BITRIX_CLIENT_ID: 'client',
+    BITRIX_CLIENT_SECRET: 'secret',
+    BITRIX_OAUTH_SERVER: `http://${domain}`,
+    BITRIX_MEMBER_ID: MEMBER_ID,
+    MW_DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'mw-oauth-test-')),
+  });
+  // Config is read at import time
+  oauth = await import('../src/lib/bitrix/oauth.js');
+  client = await import('../src/lib/bitrix/client.js');
+  installHandler = (await import('../pages/api/bitrix/install.js')).default;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(process.env.MW_DATA_DIR, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  mock.validTokens = new Set(['access-1']);
+  mock.appInfoError = null;
+  mock.appClientId = 'client';
+  mock.requests = [];
+  await oauth.bitrixPortalStore.remove(MEMBER_ID);
+  await oauth.bitrixPortalStore.remove(OTHER_MEMBER_ID);
+});
+
+test('install saves no tokens when app.info rejects the access token', async () => {
+  mock.appInfoError = 'invalid_token';
+
+  const res = await install(installEvent());
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.error, 'INSTALL_REJECTED');
+  assert.deepEqual(mock.requests.map(request => request.path), ['/rest/app.info.json']);
+  assert.equal(await oauth.bitrixPortalStore.get(MEMBER_ID), null);
+});
+
+test('install saves the portal tokens once app.info succeeds', async () => {
+  const res = await install(installEvent());
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.memberId, MEMBER_ID);
+  assert.equal(mock.requests[0].body.auth, 'access-1');
+  const portal = await oauth.bitrixPortalStore.get(MEMBER_ID);
+  assert.equal(portal.accessToken, 'access-1');
+  assert.equal(portal.refreshToken, 'refresh-1');
+  assert.equal(portal.applicationToken, APPLICATION_TOKEN);
+  assert.equal(portal.clientEndpoint, `http://${domain}/rest/`);
+  assert.equal(portal.appCode, 'local.mw');
+});
+
+test('install rejects a client_endpoint outside the portal domain without calling it', async () => {
+  const res = await install(installEvent({ client_endpoint: 'http://attacker.example/rest/' }));
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(mock.requests.length, 0);
+  assert.equal(await oauth.bitrixPortalStore.get(MEMBER_ID), null);
+});
+
+test('install rejects a token issued to another application', async () => {
+  mock.appClientId = 'other-client';
+
+  const res = await install(installEvent());
+
+  assert.equal(res.statusCode, 403);
+  assert.match(res.body.message, /BITRIX_CLIENT_ID/);
+  assert.equal(await oauth.bitrixPortalStore.get(MEMBER_ID), null);
+});
+
+test('install rejects a portal other than BITRIX_MEMBER_ID without calling it', async () => {
+  const res = await install(installEvent({ member_id: OTHER_MEMBER_ID }));
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(mock.requests.length, 0);
+  assert.equal(await oauth.bitrixPortalStore.get(OTHER_MEMBER_ID), null);
+});
+
+test('install is refused while neither BITRIX_ALLOWED_DOMAINS nor BITRIX_MEMBER_ID is set', async () => {
+  delete process.env.BITRIX_MEMBER_ID;
+  let unrestricted;
+  try {
+    // Separate module instance that reads the config without BITRIX_MEMBER_ID
+    unrestricted = await import('../src/lib/bitrix/oauth.js?unrestricted');
+  } finally {
+    process.env.BITRIX_MEMBER_ID = MEMBER_ID;
+  }
+
+  await assert.rejects(unrestricted.saveInstalledPortal(installEvent().auth), /BITRIX_ALLOWED_DOMAINS or BITRIX_MEMBER_ID/);
+  assert.equal(mock.requests.length, 0);
+  assert.equal(await oauth.bitrixPortalStore.get(MEMBER_ID), null);
+});
+
+test('expired_token is refreshed once and the call repeated with the new token', async () => {
+  await install(installEvent());
+  mock.validTokens.clear();
+  mock.requests = [];
+
+  const result = await client.callBitrix('/crm.deal.get.json', { id: 7 });
+
+  assert.deepEqual(result.result, { ID: 7, TITLE: 'Deal' });
+  assert.deepEqual(mock.requests.map(request => request.path), ['/rest/crm.deal.get.json', '/oauth/token/', '/rest/crm.deal.get.json']);
+  assert.equal(mock.requests[0].body.auth, 'access-1');
+  assert.equal(mock.requests[1].query.refresh_token, 'refresh-1');
+  const portal = await oauth.bitrixPortalStore.get(MEMBER_ID);
+  assert.equal(mock.requests[2].body.auth, portal.accessToken);
+  assert.notEqual(portal.accessToken, 'access-1');
+});
+
+test('a token rejected again after the refresh is not retried a second time', async () => {
+  await install(installEvent());
+  mock.validTokens.clear();
+  // Tokens issued by the refresh are rejected as well
+  const add = mock.validTokens.add.bind(mock.validTokens);
+  mock.validTokens.add = () => mock.validTokens;
+  mock.requests = [];
+
+  try {
+    await assert.rejects(client.callBitrix('/crm.deal.get.json', { id: 7 }), error => error.errorType === 'expired_token');
+  } finally {
+    mock.validTokens.add = add;
+  }
+  assert.deepEqual(mock.requests.map(request => request.path), ['/rest/crm.deal.get.json', '/oauth/token/', '/rest/crm.deal.get.json']);
+});
+
+test('verifyBitrixEventAuth accepts only the application_token saved for the portal', async () => {
+  await install(installEvent());
+  const event = (memberId, token) => ({ event: 'ONCRMDEALUPDATE', auth: { member_id: memberId, application_token: token } });
+
+  assert.deepEqual(await oauth.verifyBitrixEventAuth(event(MEMBER_ID, APPLICATION_TOKEN)), { ok: true, reason: 'token_match', memberId: MEMBER_ID });
+  assert.deepEqual(await oauth.verifyBitrixEventAuth(event(MEMBER_ID, 'wrong-token')), { ok: false, reason: 'token_mismatch', memberId: MEMBER_ID });
+  assert.deepEqual(await oauth.verifyBitrixEventAuth(event('other-member', APPLICATION_TOKEN)), { ok: false, reason: 'unknown_portal', memberId: 'other-member' });
+  assert.deepEqual(await oauth.verifyBitrixEventAuth(event(MEMBER_ID, null)), { ok: false, reason: 'missing_application_token', memberId: MEMBER_ID });
+});
+
+test('events of an installed portal other than the active one are rejected, except for uninstall', async () => {
+  await install(installEvent());
+  // Installed before BITRIX_MEMBER_ID was set
+  await oauth.bitrixPortalStore.upsert(OTHER_MEMBER_ID, { domain, applicationToken: 'app-token-2' });
+  const event = { event: 'ONCRMDEALUPDATE', auth: { member_id: OTHER_MEMBER_ID, application_token: 'app-token-2' } };
+
+  assert.deepEqual(await oauth.verifyBitrixEventAuth(event), { ok: false, reason: 'foreign_portal', memberId: OTHER_MEMBER_ID });
+  assert.equal((await oauth.verifyBitrixEventAuth(event, { activePortalOnly: false })).ok, true);
+
+  const res = await install({ ...event, event: 'ONAPPUNINSTALL' });
+  assert.equal(res.statusCode, 200);
+  assert.equal(await oauth.bitrixPortalStore.get(OTHER_MEMBER_ID), null);
+  assert.ok(await oauth.bitrixPortalStore.get(MEMBER_ID));
+});
+
+test('form-encoded events are checked the same way', async () => {
+  await install(installEvent());
+  const body = { event: 'ONCRMDEALUPDATE', 'auth[member_id]': MEMBER_ID, 'auth[application_token]': 'wrong-token' };
+
+  assert.equal((await oauth.verifyBitrixEventAuth(body)).reason, 'token_mismatch');
+});
@@ -0,0 +1,34 @@
+/**
+ * Bitrix24 inbound webhook mode: application_token against BITRIX_AUTH_TOKEN
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+let oauth;
+
+before(async () => {
+  delete process.env.BITRIX_AUTH_MODE;
+  oauth = await import('../src/lib/bitrix/oauth.js');
+});
+
+const event = token => ({ event: 'ONCRMDEALUPDATE', auth: { member_id: 'member-1', application_token: token } });
+
+test('events without application_token are accepted', async () => {
+  const verdict = await oauth.verifyBitrixEventAuth({ event: 'ONCRMDEALUPDATE' }, { expectedToken: 'secret' });
+
+  assert.equal(verdict.ok, true);
+  assert.equal(verdict.reason, 'no_token');
+});
+
+test('application_token is rejected when BITRIX_AUTH_TOKEN is not configured', async () => {
+  const verdict = await oauth.verifyBitrixEventAuth(event('anything'), { expectedToken: null });
+
+  assert.equal(verdict.ok, false);
+  assert.equal(verdict.reason, 'token_not_configured');
+});
+
+test('application_token must match BITRIX_AUTH_TOKEN', async () => {
+  assert.equal((await oauth.verifyBitrixEventAuth(event('secret'), { expectedToken: 'secret' })).reason, 'token_match');
+  assert.equal((await oauth.verifyBitrixEventAuth(event('wrong'), { expectedToken: 'secret' })).ok, false);
+});
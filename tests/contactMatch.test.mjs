@@ -0,0 +1,97 @@
+/**
+ * Contact match scoring and decisions (pure, no Bitrix calls)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  jaroWinkler,
+  nameScore,
+  nameCityScore,
+  decideContactMatch,
+  PHONE_NAME_MATCH_THRESHOLD,
+  NAME_CITY_AUTO_THRESHOLD,
+  NAME_CITY_REVIEW_THRESHOLD
+} from '../src/lib/bitrix/contactMatch.js';
+
+function person(firstName, lastName, city = 'Limassol') {
+  return { firstName, lastName, address: { city } };
+}
+
+function contact(ID, NAME, LAST_NAME, ADDRESS_CITY = 'Limassol') {
+  return { ID, NAME, LAST_NAME, ADDRESS_CITY };
+}
+
+test('jaroWinkler: reference values, identical and empty strings', () => {
+  assert.equal(jaroWinkler('martha', 'marhta').toFixed(4), '0.9611');
+  assert.equal(jaroWinkler('dixon', 'dicksonx').toFixed(4), '0.8133');
+  assert.equal(jaroWinkler('anna', 'anna'), 1);
+  assert.equal(jaroWinkler('anna', ''), 0);
+  assert.equal(jaroWinkler('abc', 'xyz'), 0);
+});
+
+test('nameScore: swapped first and last name, diacritics and case', () => {
+  assert.equal(nameScore({ firstName: 'Schmidt', lastName: 'Anna' }, { NAME: 'Anna', LAST_NAME: 'Schmidt' }), 1);
+  assert.equal(nameScore({ firstName: 'ANNA', lastName: 'Schmídt' }, { NAME: 'anna', LAST_NAME: 'schmidt' }), 1);
+  // A shared last name alone is not enough
+  assert.equal(nameScore({ firstName: 'Anna', lastName: 'Schmidt' }, { NAME: '', LAST_NAME: 'Schmidt' }), 0.5);
+});
+
+test('nameScore: nothing to compare', () => {
+  assert.equal(nameScore({ firstName: '', lastName: '' }, { NAME: 'Anna', LAST_NAME: 'Schmidt' }), null);
+  assert.equal(nameScore({ firstName: 'Anna', lastName: 'Schmidt' }, { NAME: 'Shopify', LAST_NAME: 'Customer' }), null);
+});
+
+test('phone match is accepted from PHONE_NAME_MATCH_THRESHOLD on', () => {
+  const atThreshold = decideContactMatch(person('Alexis', 'Schmidt'), [contact('1', 'Andrei', 'Schmidt')], 'phone');
+  assert.equal(atThreshold.confidence, PHONE_NAME_MATCH_THRESHOLD);
+  assert.equal(atThreshold.contact.ID, '1');
+
+  const below = decideContactMatch(person('Anna', 'Schmidt'), [contact('1', 'Andrei', 'Schmidt')], 'phone');
+  assert.ok(below.confidence < PHONE_NAME_MATCH_THRESHOLD);
+  assert.equal(below.contact, null);
+  // A different person on the same number: no match, the next strategy decides
+  assert.equal(below.ambiguous, false);
+});
+
+test('phone match: a nameless contact matches, two plausible names are ambiguous', () => {
+  const nameless = decideContactMatch(person('Anna', 'Schmidt'), [contact('1', '', '')], 'phone');
+  assert.equal(nameless.contact.ID, '1');
+
+  const two = decideContactMatch(person('Anna', 'Schmidt'), [contact('1', 'Anna', 'Schmidt'), contact('2', 'Anne', 'Schmidt')], 'phone');
+  assert.equal(two.contact, null);
+  assert.equal(two.ambiguous, true);
+  assert.deepEqual(two.candidates.map(candidate => candidate.id), [1, 2]);
+});
+
+test('name + city: auto-link, review and no match around the thresholds', () => {
+  const customer = person('Anna', 'Schmidt', 'Limassol');
+
+  const auto = decideContactMatch(customer, [contact('1', 'Anne', 'Schmidt', 'Limasol')], 'name_city');
+  assert.ok(auto.confidence >= NAME_CITY_AUTO_THRESHOLD);
+  assert.equal(auto.contact.ID, '1');
+
+  const review = decideContactMatch(customer, [contact('1', 'Anna', 'Schmidt', 'Lemesos')], 'name_city');
+  assert.ok(review.confidence < NAME_CITY_AUTO_THRESHOLD && review.confidence >= NAME_CITY_REVIEW_THRESHOLD);
+  assert.equal(review.contact, null);
+  assert.equal(review.ambiguous, true);
+
+  const far = contact('1', 'Andrei', 'Schmidt', 'Larnaca');
+  assert.ok(nameCityScore(customer, far) < NAME_CITY_REVIEW_THRESHOLD);
+  assert.deepEqual(decideContactMatch(customer, [far], 'name_city'), { contact: null, confidence: 0, ambiguous: false, candidates: [] });
+});
+
+test('name + city: swapped names still auto-link, two close candidates go to review', () => {
+  const swapped = decideContactMatch(person('Schmidt', 'Anna'), [contact('1', 'Anna', 'Schmidt')], 'name_city');
+  assert.equal(swapped.contact.ID, '1');
+
+  const twins = decideContactMatch(person('Anna', 'Schmidt'), [contact('1', 'Anna', 'Schmidt'), contact('2', 'Anna', 'Schmidt')], 'name_city');
+  assert.equal(twins.ambiguous, true);
+});
+
+test('e-mail duplicates: best named contact wins, then the oldest', () => {
+  const customer = person('Anna', 'Schmidt');
+
+  assert.equal(decideContactMatch(customer, [contact('3', 'Olga', 'Ivanova'), contact('5', 'Anna', 'Schmidt')], 'email').contact.ID, '5');
+  assert.equal(decideContactMatch(customer, [contact('5', 'Anna', 'Schmidt'), contact('3', 'Anna', 'Schmidt')], 'email').contact.ID, '3');
+});
@@ -0,0 +1,110 @@
+/**
+ * Echo guard on Shopify writes triggered by deal stage changes: the orders/updated such a write causes
+ * carries a provenance marker the guard can verify (Bitrix and Shopify fetch stubbed, webhook mode;
+ * Shopify answers from fixtures/shopify)
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const GRAPHQL_FIXTURES = JSON.parse(fs.readFileSync(new URL('./fixtures/shopify/graphql.json', import.meta.url)));
+const REST_FIXTURES = JSON.parse(fs.readFileSync(new URL('./fixtures/shopify/rest.json', import.meta.url)));
+
+const SHOPIFY_ORDER_FIELD = 'UF_CRM_1742556489';
+const TRACKING_NUMBER_FIELD = 'UF_CRM_TRACKING_NUMBER';
+const originalFetch = globalThis.fetch;
+let deal;
+let markerWrites = [];
+let deals;
+let echoGuard;
+
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+async function stubFetch(url, init = {}) {
+  const { hostname, pathname, search } = new URL(url);
+  if (hostname === 'portal.example') {
+    const method = pathname.split('/').pop().replace(/\.json$/, '');
+    if (method !== 'crm.deal.get') {
+      throw new Error(`Unexpected Bitrix method ${method}`);
+    }
+    return jsonResponse(200, { result: deal });
+  }
+
+  const shopifyPath = pathname.replace(/^\/admin\/api\/[^/]+/, '') + search;
+  if (shopifyPath === '/graphql.json') {
+    const { query, variables } = JSON.parse(init.body);
+    const operation = /^\s*(?:query|mutation)\s+(\w+)/.exec(query)[1];
+    if (operation === 'metafieldsSet') {
+      markerWrites.push(variables.metafields[0].value);
+    }
+    return jsonResponse(200, {
+      data: GRAPHQL_FIXTURES[operation],
+      extensions: { cost: { requestedQueryCost: 10, throttleStatus: { maximumAvailable: 2000, currentlyAvailable: 1990, restoreRate: 100 } } }
+    });
+  }
+
+  const key = `${(init.method || 'GET').toUpperCase()} ${shopifyPath}`;
+  return REST_FIXTURES[key] ? jsonResponse(200, REST_FIXTURES[key]) : jsonResponse(404, { errors: `No fixture for ${key}` });
+}
+
+// The orders/updated Shopify sends after the write, with the marker written last in its metafields
+function echoOfLastWrite() {
+  const value = markerWrites.at(-1);
+  return {
+    ...REST_FIXTURES['GET /orders/1001.json'].order,
+    updated_at: JSON.parse(value).ts,
+    metafields: [{ namespace: 'middleware', key: 'last_write', value }]
+  };
+}
+
+before(async () => {
+  delete process.env.BITRIX_AUTH_MODE;
+  process.env.BITRIX_WEBHOOK_BASE = 'https://portal.example/rest/1/hook/';
+  process.env.BITRIX_TRACKING_NUMBER_FIELD = TRACKING_NUMBER_FIELD;
+  process.env.SHOPIFY_24_ADMIN = 'shpat_test';
+  process.env.MW_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mw-echo-test-'));
+  globalThis.fetch = stubFetch;
+  deals = await import('../src/lib/sync/bitrixDeals.js');
+  echoGuard = await import('../src/lib/sync/echoGuard.js');
+});
+
+after(() => {
+  globalThis.fetch = originalFetch;
+  fs.rmSync(process.env.MW_DATA_DIR, { recursive: true, force: true });
+});
+
+test('echo of a fulfillment created by the delivery stage is suppressed', async () => {
+  deal = { ID: '42', CATEGORY_ID: '2', STAGE_ID: 'C2:EXECUTING', [SHOPIFY_ORDER_FIELD]: '1001' };
+  markerWrites = [];
+
+  const result = await deals.processBitrixDealEvent({ eventType: 'ONCRMDEALUPDATE', dealId: 42, requestId: 'req-stage' });
+
+  assert.equal(result.triggerMatch, true);
+  assert.equal(markerWrites.length, 1);
+  const echo = echoOfLastWrite();
+  // Nothing the deal is built from changed since the last sync
+  await echoGuard.recordOrderSync(echo);
+  const check = await echoGuard.checkOrderEcho(echo);
+  assert.equal(check.decision, 'suppress');
+  assert.equal(check.marker.action, 'fulfillment_create');
+});
+
+test('echo of tracking pushed to the fulfillment on a later deal update is suppressed', async () => {
+  deal = { ID: '43', CATEGORY_ID: '2', STAGE_ID: 'C2:PREPARATION', [SHOPIFY_ORDER_FIELD]: '1001', [TRACKING_NUMBER_FIELD]: 'JJD000390007' };
+  markerWrites = [];
+
+  const result = await deals.processBitrixDealEvent({ eventType: 'ONCRMDEALUPDATE', dealId: 43, requestId: 'req-tracking' });
+
+  assert.equal(result.tracking.state, 'synced');
+  assert.equal(markerWrites.length, 1);
+  const echo = echoOfLastWrite();
+  await echoGuard.recordOrderSync(echo);
+  const check = await echoGuard.checkOrderEcho(echo);
+  assert.equal(check.decision, 'suppress');
+  assert.equal(check.marker.action, 'tracking_update');
+});
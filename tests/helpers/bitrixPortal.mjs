@@ -0,0 +1,43 @@
+/**
+ * Stubbed Bitrix portal for tests: webhook mode, fetch answers REST calls from a method → handler map,
+ * MW_DATA_DIR points to a fresh temp directory. Hooks are registered on the calling test file.
+ */
+
+import { before, after } from 'node:test';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+export const WEBHOOK_URL = 'https://portal.example/rest/1/hook/';
+
+/**
+ * Register before/after hooks that install and remove the stub; call at the top level of the test
+ * file, before the hook that imports the modules under test (config is read at import time)
+ * @param {Object} handlers - { 'crm.contact.list': (params) => result, ... }; may be async, unknown methods throw
+ * @param {Object} options - { latencyMs: delay before every answer }
+ */
+export function useBitrixPortal(handlers, { latencyMs = 0 } = {}) {
+  const originalFetch = globalThis.fetch;
+
+  before(() => {
+    delete process.env.BITRIX_AUTH_MODE;
+    process.env.BITRIX_WEBHOOK_BASE = WEBHOOK_URL;
+    process.env.MW_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mw-portal-test-'));
+    globalThis.fetch = async (url, init) => {
+      const method = new URL(url).pathname.split('/').pop().replace(/\.json$/, '');
+      if (!handlers[method]) {
+        throw new Error(`Unexpected Bitrix method ${method}`);
+      }
+      if (latencyMs) {
+        await new Promise(resolve => setTimeout(resolve, latencyMs));
+      }
+      const result = await handlers[method](JSON.parse(init.body));
+      return new Response(JSON.stringify({ result }), { status: 200, headers: { 'Content-Type': 'application/json' } });
+    };
+  });
+
+  after(() => {
+    globalThis.fetch = originalFetch;
+    fs.rmSync(process.env.MW_DATA_DIR, { recursive: true, force: true });
+  });
+}
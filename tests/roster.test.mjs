@@ -0,0 +1,105 @@
+/**
+ * Roster engine: shift windows, overrides, rule fall-through and strategies at fixed moments
+ * (UTC rosters, so the wall clock is the ISO time; 2026-10-16 is a Friday)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isShiftActive, getActiveOverrides, resolveRoster, pickManager, ROSTER_STRATEGIES } from '../src/lib/bitrix/roster.js';
+
+const at = iso => new Date(`${iso}Z`);
+
+test('a week window from Friday evening to Monday morning wraps over Sunday', () => {
+  const weekend = { id: 'weekend', timezone: 'UTC', windows: [{ from: 'fri 19:01', to: 'mon 09:01' }] };
+
+  assert.equal(isShiftActive(weekend, at('2026-10-16T19:00')), false);
+  assert.equal(isShiftActive(weekend, at('2026-10-16T19:01')), true);
+  assert.equal(isShiftActive(weekend, at('2026-10-18T12:00')), true);
+  assert.equal(isShiftActive(weekend, at('2026-10-19T09:00')), true);
+  assert.equal(isShiftActive(weekend, at('2026-10-19T09:01')), false);
+  assert.equal(isShiftActive(weekend, at('2026-10-21T12:00')), false);
+});
+
+test('a daily window with to <= from ends on the next day', () => {
+  const night = { id: 'night', timezone: 'UTC', windows: [{ days: ['fri'], from: '22:00', to: '06:00' }] };
+
+  assert.equal(isShiftActive(night, at('2026-10-16T21:59')), false);
+  assert.equal(isShiftActive(night, at('2026-10-16T23:30')), true);
+  // Saturday is not listed, but Friday's night runs into it
+  assert.equal(isShiftActive(night, at('2026-10-17T05:59')), true);
+  assert.equal(isShiftActive(night, at('2026-10-17T06:00')), false);
+  assert.equal(isShiftActive(night, at('2026-10-17T23:30')), false);
+
+  const allDay = { id: 'all-day', timezone: 'UTC', windows: [{ days: ['sun'], from: '00:00', to: '00:00' }] };
+  assert.equal(isShiftActive(allDay, at('2026-10-18T23:59')), true);
+  assert.equal(isShiftActive(allDay, at('2026-10-19T00:00')), false);
+});
+
+test('an override with a date-only to covers that whole day', () => {
+  const roster = { timezone: 'UTC', overrides: [{ id: 'holiday', from: '2026-10-16', to: '2026-10-17', absent: [10] }] };
+
+  assert.deepEqual(getActiveOverrides(roster, at('2026-10-15T23:59')), []);
+  assert.deepEqual(getActiveOverrides(roster, at('2026-10-16T00:00')).map(override => override.id), ['holiday']);
+  assert.deepEqual(getActiveOverrides(roster, at('2026-10-17T23:59')).map(override => override.id), ['holiday']);
+  assert.deepEqual(getActiveOverrides(roster, at('2026-10-18T00:00')), []);
+
+  const until = { timezone: 'UTC', overrides: [{ id: 'morning', from: '2026-10-16', to: '2026-10-16T12:00', absent: [10] }] };
+  assert.equal(getActiveOverrides(until, at('2026-10-16T11:59')).length, 1);
+  assert.equal(getActiveOverrides(until, at('2026-10-16T12:00')).length, 0);
+});
+
+test('a rule whose only manager is absent falls through to the next rule', () => {
+  const roster = {
+    timezone: 'UTC',
+    default: 99,
+    shifts: [{ id: 'office', windows: [{ days: ['fri'], from: '09:00', to: '18:00' }], managers: [20, 21] }],
+    rules: [
+      { id: 'wholesale', priority: 1, when: { tags: ['wholesale'] }, managers: [10] },
+      { id: 'office', priority: 2, shifts: ['office'] }
+    ],
+    overrides: [{ id: 'vacation', from: '2026-10-16', absent: [10] }]
+  };
+  const order = { tags: 'wholesale, vip' };
+
+  const result = resolveRoster(roster, order, { now: at('2026-10-16T10:00') });
+  assert.equal(result.ruleId, 'office');
+  assert.equal(result.assigneeId, 20);
+  assert.deepEqual(result.evaluated, [
+    { ruleId: 'wholesale', shiftId: null, result: 'no_available_manager' },
+    { ruleId: 'office', shiftId: 'office', result: 'assigned' }
+  ]);
+
+  // Outside the shift nothing else matches: the default gets it
+  const evening = resolveRoster(roster, order, { now: at('2026-10-16T19:00') });
+  assert.equal(evening.matchedBy, 'default');
+  assert.equal(evening.assigneeId, 99);
+
+  // The vacation ended with the day
+  assert.equal(resolveRoster(roster, order, { now: at('2026-10-17T10:00') }).assigneeId, 10);
+});
+
+test('least_open_deals compares counts and rotates when one is missing', () => {
+  const pool = [1, 2, 3];
+  const lastAssignedAt = { 1: 3000, 2: 1000, 3: 2000 };
+
+  assert.deepEqual(
+    pickManager(pool, ROSTER_STRATEGIES.LEAST_OPEN_DEALS, { lastAssignedAt, openDeals: { 1: 0, 2: 4, 3: 2 } }),
+    { assigneeId: 1, strategy: ROSTER_STRATEGIES.LEAST_OPEN_DEALS }
+  );
+  // Equal counts: longest without a deal first
+  assert.equal(pickManager(pool, ROSTER_STRATEGIES.LEAST_OPEN_DEALS, { lastAssignedAt, openDeals: { 1: 1, 2: 1, 3: 1 } }).assigneeId, 2);
+  assert.deepEqual(
+    pickManager(pool, ROSTER_STRATEGIES.LEAST_OPEN_DEALS, { lastAssignedAt, openDeals: { 1: 0, 3: 2 } }),
+    { assigneeId: 2, strategy: ROSTER_STRATEGIES.ROUND_ROBIN }
+  );
+  assert.deepEqual(
+    pickManager(pool, ROSTER_STRATEGIES.LEAST_OPEN_DEALS, { lastAssignedAt }),
+    { assigneeId: 2, strategy: ROSTER_STRATEGIES.ROUND_ROBIN }
+  );
+
+  const roster = { timezone: 'UTC', strategy: ROSTER_STRATEGIES.LEAST_OPEN_DEALS, rules: [{ id: 'all', managers: pool }] };
+  const result = resolveRoster(roster, {}, { now: at('2026-10-16T10:00'), stats: { lastAssignedAt, openDeals: { 1: 0 } } });
+  assert.equal(result.requestedStrategy, ROSTER_STRATEGIES.LEAST_OPEN_DEALS);
+  assert.equal(result.strategy, ROSTER_STRATEGIES.ROUND_ROBIN);
+  assert.equal(result.assigneeId, 2);
+});
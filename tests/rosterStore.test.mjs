@@ -0,0 +1,68 @@
+/**
+ * Runtime responsible roster: saves, resets and their audit trail
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+let store;
+let bundledRoster;
+
+const SOURCE = { ip: '203.0.113.7', userAgent: 'test' };
+
+function withDefault(managerId) {
+  return { ...bundledRoster, default: managerId };
+}
+
+before(async () => {
+  process.env.MW_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mw-roster-test-'));
+  store = await import('../src/lib/bitrix/rosterStore.js');
+  bundledRoster = store.loadRoster().roster;
+});
+
+after(() => {
+  fs.rmSync(process.env.MW_DATA_DIR, { recursive: true, force: true });
+});
+
+test('concurrent saves are audited in the order they were applied', async () => {
+  const saves = await Promise.all([101, 102, 103, 104].map(managerId => store.saveRoster(withDefault(managerId), {
+    actor: `manager-${managerId}`,
+    source: SOURCE
+  })));
+
+  const { entries } = store.listRosterAudit();
+  const applied = entries.slice().reverse();
+  assert.equal(applied.length, 4);
+  assert.deepEqual(applied.map(entry => entry.id).sort(), saves.map(saved => saved.auditEntry.id).sort());
+  // Each entry starts from the roster the previous one left behind
+  assert.equal(applied[0].before.default, bundledRoster.default);
+  for (let index = 1; index < applied.length; index++) {
+    assert.equal(applied[index].before.default, applied[index - 1].after.default);
+  }
+  assert.equal(store.loadRoster().roster.default, applied[3].after.default);
+  assert.deepEqual(applied[0].source, SOURCE);
+});
+
+test('saving the active roster again writes no audit entry', async () => {
+  const total = store.listRosterAudit().total;
+
+  const saved = await store.saveRoster(store.loadRoster().roster, { actor: 'anna', source: SOURCE });
+
+  assert.equal(saved.auditEntry, null);
+  assert.equal(store.listRosterAudit().total, total);
+});
+
+test('reset is audited with its source and restores the bundled roster', async () => {
+  const reset = await store.resetRoster({ actor: 'anna', note: 'back to file', source: SOURCE });
+
+  assert.equal(store.loadRoster().source, 'bundled');
+  assert.equal(reset.auditEntry.action, 'reset');
+  assert.deepEqual(reset.auditEntry.source, SOURCE);
+  assert.deepEqual(store.listRosterAudit().entries[0], reset.auditEntry);
+
+  const again = await store.resetRoster({ actor: 'anna', source: SOURCE });
+  assert.equal(again.auditEntry, null);
+});
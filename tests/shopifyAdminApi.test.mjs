@@ -0,0 +1,233 @@
+/**
+ * GraphQL writes vs the SHOPIFY_ADMIN_API=rest fallback
+ * fetch is stubbed with recorded responses (fixtures/shopify/graphql.json by operation name,
+ * fixtures/shopify/rest.json by "METHOD path"). Each operation runs once per API; the GraphQL
+ * result must equal the REST result, compared on the fields the GraphQL mapping produces
+ * (REST resources carry more fields than the mutations select).
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+const GRAPHQL_FIXTURES = JSON.parse(fs.readFileSync(new URL('./fixtures/shopify/graphql.json', import.meta.url)));
+const REST_FIXTURES = JSON.parse(fs.readFileSync(new URL('./fixtures/shopify/rest.json', import.meta.url)));
+
+const originalFetch = globalThis.fetch;
+let calls = [];
+let SHOPIFY_CONFIG;
+let fulfillment;
+let refund;
+let address;
+let metafields;
+
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+async function stubFetch(url, init = {}) {
+  const { pathname, search } = new URL(url);
+  const path = pathname.replace(/^\/admin\/api\/[^/]+/, '') + search;
+  const method = (init.method || 'GET').toUpperCase();
+
+  if (path === '/graphql.json') {
+    const { query, variables } = JSON.parse(init.body);
+    const operation = /^\s*(?:query|mutation)\s+(\w+)/.exec(query)[1];
+    calls.push({ operation, variables });
+    if (!GRAPHQL_FIXTURES[operation]) {
+      return jsonResponse(200, { errors: [{ message: `No fixture for ${operation}` }] });
+    }
+    return jsonResponse(200, {
+      data: GRAPHQL_FIXTURES[operation],
+      extensions: { cost: { requestedQueryCost: 10, throttleStatus: { maximumAvailable: 2000, currentlyAvailable: 1990, restoreRate: 100 } } }
+    });
+  }
+
+  const key = `${method} ${path}`;
+  calls.push({ operation: key, body: init.body ? JSON.parse(init.body) : null });
+  if (!REST_FIXTURES[key]) {
+    return jsonResponse(404, { errors: `No fixture for ${key}` });
+  }
+  return jsonResponse(method === 'POST' ? 201 : 200, REST_FIXTURES[key]);
+}
+
+/**
+ * Run an operation through GraphQL and through the REST fallback
+ * @param {Function} operation - Calls the module under test
+ * @returns {Promise<Object>} { graphql: { result, operations }, rest: { result, operations } }
+ */
+async function runBothApis(operation) {
+  const runs = {};
+  for (const api of ['graphql', 'rest']) {
+    SHOPIFY_CONFIG.ADMIN_API = api;
+    calls = [];
+    const result = await operation();
+    runs[api] = { result, operations: calls.map(call => call.operation) };
+  }
+  SHOPIFY_CONFIG.ADMIN_API = 'graphql';
+  return runs;
+}
+
+// The REST value restricted to the keys of the GraphQL value (arrays keep the REST length)
+function restrictTo(value, shape) {
+  if (Array.isArray(value)) {
+    return value.map((item, index) => restrictTo(item, Array.isArray(shape) ? shape[index] : undefined));
+  }
+  if (value && typeof value === 'object' && shape && typeof shape === 'object') {
+    return Object.fromEntries(Object.keys(shape).map(key => [key, restrictTo(value[key], shape[key])]));
+  }
+  return value;
+}
+
+function assertSameRestShape(runs) {
+  assert.equal(runs.graphql.result.success, true, `GraphQL failed: ${runs.graphql.result.message}`);
+  assert.equal(runs.rest.result.success, true, `REST failed: ${runs.rest.result.message}`);
+  assert.deepEqual(runs.graphql.result, restrictTo(runs.rest.result, runs.graphql.result));
+}
+
+before(async () => {
+  process.env.SHOPIFY_24_ADMIN = 'shpat_test';
+  globalThis.fetch = stubFetch;
+  // Token and API selection are read at import time
+  ({ SHOPIFY_CONFIG } = await import('../src/lib/shopify/config.js'));
+  fulfillment = await import('../src/lib/shopify/fulfillment.js');
+  refund = await import('../src/lib/shopify/refund.js');
+  address = await import('../src/lib/shopify/address.js');
+  metafields = await import('../src/lib/shopify/metafields.js');
+});
+
+after(() => {
+  globalThis.fetch = originalFetch;
+});
+
+test('listFulfillmentOrders: same fulfillable quantities', async () => {
+  const runs = await runBothApis(() => fulfillment.createFulfillmentForItems(1001, [
+    { line_item_id: 5001, quantity: 3 },
+    { line_item_id: 5002, quantity: 2 }
+  ]));
+
+  assert.deepEqual(runs.graphql.operations, ['orderFulfillmentOrders']);
+  assert.deepEqual(runs.rest.operations, ['GET /orders/1001/fulfillment_orders.json']);
+  assert.equal(runs.graphql.result.error, 'SHOPIFY_FULFILLMENT_QUANTITY_INVALID');
+  assert.deepEqual(runs.graphql.result.details, [
+    { line_item_id: '5001', requested: 3, available: 2 },
+    { line_item_id: '5002', requested: 2, available: 1 }
+  ]);
+  assert.deepEqual(runs.graphql.result, runs.rest.result);
+});
+
+test('postFulfillment: same created fulfillment', async () => {
+  const runs = await runBothApis(() => fulfillment.createFulfillment(1001, [{ id: 4001, quantity: 2 }], {
+    notify_customer: false
+  }));
+
+  assert.deepEqual(runs.graphql.operations, ['orderFulfillmentOrders', 'fulfillmentCreateV2']);
+  assert.deepEqual(runs.rest.operations, ['GET /orders/1001/fulfillment_orders.json', 'POST /orders/1001/fulfillments.json']);
+  assertSameRestShape(runs);
+  assert.deepEqual(runs.graphql.result.fulfillment, { id: 6001, status: 'success' });
+  assert.deepEqual(runs.graphql.result.fulfillmentIds, [6001]);
+});
+
+test('moveFulfillmentOrder: fulfillment is created on the moved fulfillment order', async () => {
+  const runs = await runBothApis(() => fulfillment.createFulfillmentForItems(1001, [{ line_item_id: 5001, quantity: 1 }], {
+    location_id: 3002
+  }));
+
+  assert.deepEqual(runs.graphql.operations, ['orderFulfillmentOrders', 'fulfillmentOrderMove', 'fulfillmentCreateV2']);
+  assert.deepEqual(runs.rest.operations, [
+    'GET /orders/1001/fulfillment_orders.json',
+    'POST /fulfillment_orders/2001/move.json',
+    'POST /fulfillments.json'
+  ]);
+  assertSameRestShape(runs);
+  assert.deepEqual(runs.graphql.result.fulfillments, [{
+    fulfillmentId: 6001,
+    fulfillmentOrderId: 2002,
+    locationId: '3002',
+    moved: true,
+    lineItems: [{ line_item_id: '5001', quantity: 1 }]
+  }]);
+});
+
+test('cancelFulfillment: same cancelled fulfillment', async () => {
+  const runs = await runBothApis(() => fulfillment.cancelFulfillment(1001, 6001));
+
+  assert.deepEqual(runs.graphql.operations, ['GET /orders/1001/fulfillments.json', 'fulfillmentCancel']);
+  assert.deepEqual(runs.rest.operations, ['GET /orders/1001/fulfillments.json', 'POST /fulfillments/6001/cancel.json']);
+  assertSameRestShape(runs);
+  assert.equal(runs.graphql.result.status, 'cancelled');
+});
+
+test('updateFulfillmentTracking: same tracking fields', async () => {
+  const runs = await runBothApis(() => fulfillment.updateFulfillmentTracking(6001, {
+    tracking_number: 'JJD000390007',
+    tracking_company: 'DHL Express',
+    tracking_urls: ['https://www.dhl.com/track?AWB=JJD000390007']
+  }));
+
+  assert.deepEqual(runs.graphql.operations, ['fulfillmentTrackingInfoUpdateV2']);
+  assert.deepEqual(runs.rest.operations, ['POST /fulfillments/6001/update_tracking.json']);
+  assertSameRestShape(runs);
+  assert.deepEqual(runs.graphql.result.fulfillment, {
+    id: 6001,
+    status: 'success',
+    tracking_number: 'JJD000390007',
+    tracking_company: 'DHL Express',
+    tracking_url: 'https://www.dhl.com/track?AWB=JJD000390007'
+  });
+});
+
+test('createRefund: same refund id, amount and line count', async () => {
+  const runs = await runBothApis(() => refund.createRefund(1001, {
+    items: [{ line_item_id: 5001, quantity: 1 }],
+    restock_type: 'no_restock'
+  }, 'corr-1', 'hash-1'));
+
+  assert.deepEqual(runs.graphql.operations, ['GET /orders/1001.json', 'suggestedRefund', 'refundCreate']);
+  assert.deepEqual(runs.rest.operations, ['GET /orders/1001.json', 'POST /orders/1001/refunds/calculate.json', 'POST /orders/1001/refunds.json']);
+  assertSameRestShape(runs);
+  assert.deepEqual(runs.graphql.result, {
+    success: true,
+    refundId: 8001,
+    orderId: '1001',
+    refundAmount: 24.99,
+    refundLineItemsCount: 1
+  });
+});
+
+test('updateShippingAddress: same shipping_address', async () => {
+  const runs = await runBothApis(() => address.updateShippingAddress(1001, {
+    shipping_address: {
+      first_name: 'Anna',
+      last_name: 'Schmidt',
+      address1: 'Hauptstraße 5',
+      city: 'Berlin',
+      zip: '10115',
+      province: 'BE',
+      country: 'DE',
+      phone: '+4930123456'
+    }
+  }, 'corr-1', 'hash-1'));
+
+  assert.deepEqual(runs.graphql.operations, ['orderUpdate']);
+  assert.deepEqual(runs.rest.operations, ['GET /orders/1001.json', 'GET /countries.json', 'PUT /orders/1001.json']);
+  assertSameRestShape(runs);
+  assert.equal(runs.graphql.result.orderName, '#1001');
+  assert.equal(runs.graphql.result.shippingAddress.country_code, 'DE');
+});
+
+test('setProvenanceMarker: same metafield', async () => {
+  const runs = await runBothApis(() => metafields.setProvenanceMarker(1001, 'corr-1', 'refund_create', 'hash-1'));
+
+  assert.deepEqual(runs.graphql.operations, ['metafieldsSet']);
+  assert.deepEqual(runs.rest.operations, [
+    'GET /orders/1001/metafields.json?namespace=middleware&key=last_write',
+    'PUT /metafields/9001.json'
+  ]);
+  // The write time differs between the runs
+  delete runs.graphql.result.timestamp;
+  delete runs.rest.result.timestamp;
+  assertSameRestShape(runs);
+  assert.equal(runs.graphql.result.metafield.id, 9001);
+  assert.equal(JSON.parse(runs.graphql.result.metafield.value).payloadHash, 'hash-1');
+});
@@ -0,0 +1,52 @@
+/**
+ * customers/delete against a stubbed Bitrix portal (fetch stubbed, webhook mode)
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { useBitrixPortal, WEBHOOK_URL } from './helpers/bitrixPortal.mjs';
+
+const CUSTOMER_ID = 7001;
+const portal = { contacts: [], comments: [] };
+let contact;
+let customers;
+
+useBitrixPortal({
+  'crm.contact.list': params => portal.contacts.filter(candidate => (params.filter.ID
+    ? params.filter.ID.map(String).includes(candidate.ID)
+    : candidate.ORIGINATOR_ID === params.filter.ORIGINATOR_ID && candidate.ORIGIN_ID === params.filter.ORIGIN_ID)),
+  'crm.contact.update': params => {
+    Object.assign(portal.contacts.find(candidate => candidate.ID === String(params.id)), params.fields);
+    return true;
+  },
+  'crm.timeline.comment.add': params => {
+    portal.comments.push(params.fields);
+    return portal.comments.length;
+  }
+});
+
+before(async () => {
+  contact = await import('../src/lib/bitrix/contact.js');
+  customers = await import('../src/lib/sync/shopifyCustomers.js');
+});
+
+test('a deleted customer is not linked back to its contact through ORIGIN_ID', async () => {
+  portal.contacts.push({ ID: '42', NAME: 'Anna', ORIGINATOR_ID: 'shopify', ORIGIN_ID: String(CUSTOMER_ID) });
+  // Link restored from ORIGIN_ID, as after a lost data directory
+  assert.equal((await contact.findContactByShopifyCustomer(WEBHOOK_URL, CUSTOMER_ID)).ID, '42');
+
+  const result = await customers.processShopifyCustomerEvent({ topic: 'customers/delete', customer: { id: CUSTOMER_ID } });
+
+  assert.equal(result.action, 'unlinked');
+  assert.equal(result.contactId, 42);
+  assert.deepEqual(portal.contacts[0], { ID: '42', NAME: 'Anna', ORIGINATOR_ID: '', ORIGIN_ID: '' });
+  assert.equal(portal.comments[0].ENTITY_ID, 42);
+  assert.equal(await contact.findContactByShopifyCustomer(WEBHOOK_URL, CUSTOMER_ID), null);
+});
+
+test('deleting an unknown customer touches no contact', async () => {
+  const result = await customers.processShopifyCustomerEvent({ topic: 'customers/delete', customer: { id: 7002 } });
+
+  assert.equal(result.action, 'not_linked');
+  assert.equal(portal.comments.length, 1);
+});